@@ -22,19 +22,46 @@
  */
 const FALLBACK_PROMPTS = {
   word_selection: {
-    template: "Select next 5-letter English word for user:\nStats: {{totalGames}} games, {{winRate}}% win, {{avgGuesses}} avg\nRecent30: {{recentCompact}}\nReturn only the word, nothing else.",
-    parameters: ["totalGames", "winRate", "avgGuesses", "recentCompact"]
+    template: "Select next {{wordLength}}-letter {{language}} word for user:\nStats: {{totalGames}} games, {{winRate}}% win, {{avgGuesses}} avg\nRecent30: {{recentCompact}}\nReturn only the word, nothing else.",
+    parameters: ["wordLength", "language", "totalGames", "winRate", "avgGuesses", "recentCompact"]
   },
   word_reasoning: {
     template: "You selected \"{{word}}\" for a user who recently played: {{recentGames}}. In ONE sentence, explain why this word is appropriate for their skill level.",
     parameters: ["word", "recentGames"]
   },
   extended_word_info: {
-    template: "For \"{{word}}\": Provide etymology, word family, and translations in JSON format.",
+    template: "For \"{{word}}\": Provide etymology (\"e\"), word family (\"f\"), and translations into {{languages}} in JSON format. Key each translation by its language code under \"t\": {\"t\": {\"de\": {\"w\": \"word\", \"d\": \"definition\", \"ex\": [\"example\"]}}}.",
+    parameters: ["word", "languages"]
+  },
+  word_definition: {
+    template: "Define the English word \"{{word}}\" like a learner's dictionary: up to 2 parts of speech, up to 2 short definitions each, with an example sentence.\nJSON format: {\"p\": \"IPA pronunciation\", \"m\": [{\"pos\": \"noun\", \"d\": [{\"d\": \"definition\", \"ex\": \"example\"}]}]}\nIf it is not an English word, return {\"m\": []}. Return ONLY valid JSON.",
     parameters: ["word"]
   }
 };
 
+/**
+ * Default parameter values for clients that don't send them
+ * (older app versions only played five-letter English words)
+ */
+const DEFAULT_PARAMS = {
+  word_selection: {
+    wordLength: 5,
+    language: "English"
+  },
+  // Translations were German and Croatian before users could choose
+  extended_word_info: {
+    languages: "German (de), Croatian (hr)"
+  }
+};
+
+/**
+ * Default max tokens for actions whose answer is longer than a word
+ * (used when the model config in KV doesn't set them)
+ */
+const DEFAULT_MAX_TOKENS = {
+  word_definition: 400
+};
+
 /**
  * Get prompt template from KV, with fallback
  */
@@ -127,7 +154,7 @@ async function buildPrompt(action, params, env) {
   }
 
   // Substitute parameters
-  const prompt = await substituteParams(promptData.template, params, env);
+  const prompt = await substituteParams(promptData.template, { ...DEFAULT_PARAMS[action], ...params }, env);
 
   return prompt;
 }
@@ -241,6 +268,8 @@ export default {
         const modelConfig = await getModelConfig(env);
         if (modelConfig && modelConfig.maxTokens && modelConfig.maxTokens[body.action]) {
           maxTokens = modelConfig.maxTokens[body.action];
+        } else if (DEFAULT_MAX_TOKENS[body.action]) {
+          maxTokens = DEFAULT_MAX_TOKENS[body.action];
         }
 
         requestBody = {
@@ -1,22 +1,38 @@
 import { useState, useEffect } from 'react'
 import './App.css'
 import WordWise from './components/WordWise'
+import { t, setLocale, getLocale, loadUILanguage, saveUILanguage } from './utils/i18n'
+
+const CHALLENGE_ROUTE = '#/wordwise/challenge/'
+
+// Token from a challenge link (#/wordwise/challenge/<token>), or null
+const getChallengeToken = () => {
+  const hash = window.location.hash
+  return hash.startsWith(CHALLENGE_ROUTE) ? hash.slice(CHALLENGE_ROUTE.length) : null
+}
 
 function App() {
   // Initialize from hash or default to home
   const getInitialRoute = () => {
     const hash = window.location.hash
-    if (hash === '#/wordwise') return 'wordwise'
+    if (hash === '#/wordwise' || getChallengeToken()) return 'wordwise'
     return 'home'
   }
 
   const [currentPage, setCurrentPage] = useState(getInitialRoute)
+  const [challengeToken, setChallengeToken] = useState(getChallengeToken)
+  const [uiLanguage, setUILanguage] = useState(() => {
+    setLocale(loadUILanguage())
+    return getLocale()
+  })
 
   // Listen for hash changes
   useEffect(() => {
     const handleHashChange = () => {
       const hash = window.location.hash
-      if (hash === '#/wordwise') {
+      const token = getChallengeToken()
+      setChallengeToken(token)
+      if (hash === '#/wordwise' || token) {
         setCurrentPage('wordwise')
       } else {
         setCurrentPage('home')
@@ -35,6 +51,13 @@ function App() {
     window.location.hash = '#/'
   }
 
+  // The locale is module state in i18n, this state re-renders the page with it
+  const handleUILanguageChange = (language) => {
+    setLocale(language)
+    saveUILanguage(getLocale())
+    setUILanguage(getLocale())
+  }
+
   if (currentPage === 'wordwise') {
     return (
       <div className="app">
@@ -42,9 +65,15 @@ function App() {
           className="back-button"
           onClick={navigateToHome}
         >
-          ← Back to Games
+          {t('app.back')}
         </button>
-        <WordWise />
+        {/* A new challenge link remounts the game so it picks up the new word */}
+        <WordWise
+          key={challengeToken || 'wordwise'}
+          challengeToken={challengeToken}
+          uiLanguage={uiLanguage}
+          onUILanguageChange={handleUILanguageChange}
+        />
       </div>
     )
   }
@@ -52,21 +81,21 @@ function App() {
   return (
     <div className="app">
       <header className="header">
-        <h1>🎮 Better Games</h1>
-        <p>Better games to boost your everyday skills</p>
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.tagline')}</p>
       </header>
 
       <main className="games-grid">
         <GameCard
           title="WordWise"
-          description="Educational word guessing game"
+          description={t('app.wordwiseDescription')}
           emoji="📚"
           onClick={() => navigateToGame('wordwise')}
         />
       </main>
 
       <footer className="footer">
-        <p>Made with React + Vite</p>
+        <p>{t('app.footer')}</p>
       </footer>
     </div>
   )
@@ -79,7 +108,7 @@ function GameCard({ title, description, emoji, onClick }) {
       <h2>{title}</h2>
       <p>{description}</p>
       <button className="game-button" onClick={onClick}>
-        Play Now
+        {t('app.playNow')}
       </button>
     </div>
   )
@@ -2,12 +2,119 @@ import { useState, useEffect, useRef, useMemo } from 'react'
 import './WordWise.css'
 import answersText from '../data/wordle-answers.txt?raw'
 import allowedText from '../data/wordle-allowed-guesses.txt?raw'
-
-const WORD_LENGTH = 5
-const MAX_ATTEMPTS = 6
+import answers4Text from '../data/wordle-answers-4.txt?raw'
+import allowed4Text from '../data/wordle-allowed-guesses-4.txt?raw'
+import answers6Text from '../data/wordle-answers-6.txt?raw'
+import allowed6Text from '../data/wordle-allowed-guesses-6.txt?raw'
+import answers7Text from '../data/wordle-answers-7.txt?raw'
+import allowed7Text from '../data/wordle-allowed-guesses-7.txt?raw'
+import answersDeText from '../data/wordle-answers-de.txt?raw'
+import allowedDeText from '../data/wordle-allowed-guesses-de.txt?raw'
+import answersHrText from '../data/wordle-answers-hr.txt?raw'
+import allowedHrText from '../data/wordle-allowed-guesses-hr.txt?raw'
+import miniDictionaryText from '../data/mini-dictionary-en.txt?raw'
+import {
+  getInitialStats,
+  toStatsBaseline,
+  countsTowardStats,
+  computeStats,
+  intelligentMerge,
+  createGameHistoryEntry,
+  getGameLanguage,
+  getHistoryPage,
+  trimGameHistory,
+  normalizeWord,
+  getLetterStatuses,
+  getHardModeViolation,
+  getInitialDailyStats,
+  getDateKey,
+  getDailyNumber,
+  getDailyWord,
+  updateDailyStatistics,
+  getDailyCurrentStreak,
+  getMultiBoardAttempts,
+  pickMultiBoardWords,
+  getMultiBoardResults,
+  getMultiBoardStatus,
+  getKeyboardStatuses,
+  filterCandidates,
+  pickAdversarialFeedback,
+  rankGuesses,
+  analyzeGuess,
+  buildShareText,
+  encodeChallengeWord,
+  decodeChallengeWord,
+  parseWordPack,
+  getGameReviewQuality,
+  getRecallReviewQuality,
+  recordReview,
+  rerateLastReview,
+  getDueReviews,
+  maskWord,
+  pickQuizWord,
+  getDictionaryClues,
+  getQuizHintLetters,
+  getQuizUnderstanding,
+  getSpokenClue,
+  recordNotebookGame,
+  updateNotebookNote,
+  buildNotebook,
+  filterNotebook,
+  buildNotebookCSV,
+  buildAnkiExport,
+  normalizeAIDefinition,
+  parseMiniDictionary,
+  lookupDefinition,
+  getPronunciations,
+  DEFAULT_TRANSLATION_LANGUAGES,
+  getTranslations,
+  getWeeklyProgress,
+  getRollingUnderstanding,
+  getSourceComparison,
+  getGamesPerDay,
+  getMissedLetters,
+  getPositionMisses,
+  getOpenerStats,
+  getLetterUsage,
+  STREAK_FREEZE_DAYS,
+  MAX_STREAK_FREEZES,
+  getDayStreak,
+  getPlayCalendar,
+  generateUUID
+} from '../utils/gameLogic'
+import {
+  t,
+  setLocale,
+  getLocale,
+  formatNumber,
+  formatDate,
+  formatOrdinal,
+  formatLanguageName,
+  loadUILanguage,
+  UI_LANGUAGE_NAMES
+} from '../utils/i18n'
+import {
+  getCachedWord,
+  cacheWord,
+  getWordCacheStats,
+  clearWordCache
+} from '../utils/wordCache'
+import {
+  storeGames,
+  migrateHistory,
+  loadHistoryPage,
+  loadRecentGames,
+  loadAllGames
+} from '../utils/historyStore'
+
+const WORD_LENGTHS = [4, 5, 6, 7]
+const BOARD_COUNTS = [2, 4]
+const DEFAULT_WORD_LENGTH = 5  // Classic length (daily challenge always uses it)
+const DEFAULT_LANGUAGE = 'en'  // Every mode but endless is played in English
+const LANGUAGE_NAMES = { en: 'English', de: 'German', hr: 'Croatian' }  // For the AI prompt, the UI uses languages.* messages
 const STATS_KEY = 'wordwise-stats'
 const GAME_STATE_KEY = 'wordwise-game-state'
-const HISTORY_KEY = 'wordwise-history'  // Game history (last 20 games)
+const HISTORY_KEY = 'wordwise-history'  // Recent game history (last 20 games per language, every game is in IndexedDB)
 const USED_WORDS_KEY = 'wordwise-used'  // All used words
 const AI_ENABLED_KEY = 'wordwise-ai-enabled'  // AI toggle preference
 const PENDING_UNDERSTANDING_KEY = 'wordwise-pending-understanding'  // Pending understanding rating
@@ -15,73 +122,287 @@ const API_KEY_KEY = 'wordwise-api-key'  // Anthropic API key
 const SHOW_REASONING_KEY = 'wordwise-show-reasoning'  // Show AI reasoning toggle
 const TIER2_FOCUS_KEY = 'wordwise-tier2-focus'  // Tier II vocabulary focus toggle
 const EXTENDED_INFO_KEY = 'wordwise-extended-info'  // Extended word information toggle
+const TRANSLATION_LANGUAGES_KEY = 'wordwise-translation-languages'  // Languages the Learn view translates into
+const HARD_MODE_KEY = 'wordwise-hard-mode'  // Hard mode toggle (revealed hints must be reused)
+const ASSISTANT_ENABLED_KEY = 'wordwise-assistant-enabled'  // Guess assistant toggle
+const LISTEN_FIRST_KEY = 'wordwise-listen-first'  // Read quiz and review clues aloud (off, definition or word)
 const TOKEN_USAGE_KEY = 'wordwise-token-usage'  // AI token usage tracking (dev only)
 const SYNC_CODE_KEY = 'wordwise-sync-code'  // Cloud sync code
 const SYNC_VERSION_KEY = 'wordwise-sync-version'  // Cloud sync version number
 const SYNC_ENABLED_KEY = 'wordwise-sync-enabled'  // Cloud sync enabled toggle
+const GAME_MODE_KEY = 'wordwise-game-mode'  // Selected game mode ('endless', 'daily', 'multi', 'evil' or 'quiz')
+const DAILY_STATS_KEY = 'wordwise-daily-stats'  // Daily challenge stats (separate from endless)
+const DAILY_STATE_KEY = 'wordwise-daily-state'  // In-progress daily challenge game
+const WORD_LENGTH_KEY = 'wordwise-word-length'  // Selected word length for endless games
+const LANGUAGE_KEY = 'wordwise-language'  // Selected language for endless games ('en', 'de' or 'hr')
+const MULTI_STATE_KEY = 'wordwise-multi-state'  // In-progress multi-board game
+const BOARD_COUNT_KEY = 'wordwise-board-count'  // Number of boards in multi-board mode (2 or 4)
+const EVIL_STATS_KEY = 'wordwise-evil-stats'  // Evil mode stats (separate from endless)
+const EVIL_STATE_KEY = 'wordwise-evil-state'  // In-progress evil mode game
+const QUIZ_STATE_KEY = 'wordwise-quiz-state'  // In-progress definition quiz game
+const WORD_PACKS_KEY = 'wordwise-word-packs'  // Imported word packs
+const ACTIVE_PACK_KEY = 'wordwise-active-pack'  // Word pack used for new endless games (none = standard list)
+const REVIEW_SCHEDULE_KEY = 'wordwise-review'  // Spaced-repetition cards of English words played
+const NOTEBOOK_KEY = 'wordwise-notebook'  // Vocabulary notebook notes per word (seen dates, rating, cached definition, star)
 const MAX_HISTORY_SIZE = 20
+const HISTORY_PAGE_SIZE = 10  // Games per page in the History modal
+const PROMPT_HISTORY_SIZE = 30  // Recent games the AI word picker sees
+const CHART_WIDTH = 300  // Progress charts are drawn in this box and scaled to the modal
+const CHART_HEIGHT = 100
+const MISSED_LETTER_COUNT = 8  // Most missed letters charted on the letters tab
+const CALENDAR_WEEKS = 26  // Weeks in the play calendar
+const CALENDAR_CELL = 12  // Calendar day size including the gap
 const MAX_TOKEN_USAGE_SIZE = 100
+const REPLAY_ROW_DELAY = 700  // ms between rows in the history replay viewer
+const REVIEW_SESSION_SIZE = 20  // Most due words quizzed in one review session
+const NOTEBOOK_SOURCES = ['list', 'ai', 'challenge', 'daily', 'multi', 'evil', 'quiz']  // Translated, other sources are pack names
+const LISTEN_FIRST_OPTIONS = ['off', 'definition', 'word']
+const TRANSLATION_LANGUAGES = ['de', 'hr', 'es', 'fr', 'it', 'pt', 'nl', 'pl', 'cs', 'sv', 'tr', 'ru', 'uk', 'ar', 'hi', 'zh', 'ja', 'ko']  // Offered for translations
+const SPEECH_LANGUAGES = { en: 'en-US', de: 'de-DE', hr: 'hr-HR' }  // Voices for speech synthesis
+const SPEECH_AVAILABLE = typeof window !== 'undefined' && 'speechSynthesis' in window
 
 const CLOUDFLARE_WORKER_URL = 'https://wordwise-proxy.zsmaguc.workers.dev'
 
-// UUID v4 generator for game IDs
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0
-    const v = c === 'x' ? r : (r & 0x3 | 0x8)
-    return v.toString(16)
-  })
+// German is QWERTZ with its umlauts and ß, Croatian leaves out Q, W, X and Y (not in its alphabet)
+const KEYBOARD_ROWS = {
+  en: [
+    ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+    ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'BACKSPACE']
+  ],
+  de: [
+    ['Q', 'W', 'E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Ü'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ö', 'Ä'],
+    ['ENTER', 'Y', 'X', 'C', 'V', 'B', 'N', 'M', 'ẞ', 'BACKSPACE']
+  ],
+  hr: [
+    ['E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Š', 'Đ'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Č', 'Ć'],
+    ['ENTER', 'Ž', 'C', 'V', 'B', 'N', 'M', 'BACKSPACE']
+  ]
 }
 
-const KEYBOARD_ROWS = [
-  ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
-  ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-  ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'BACKSPACE']
-]
+// Letters that can be typed in each language
+const KEYBOARD_LETTERS = Object.fromEntries(
+  Object.entries(KEYBOARD_ROWS).map(([language, rows]) => [language, new Set(rows.flat().filter(key => key.length === 1))])
+)
 
 // Parse word lists
-const ANSWER_WORDS = answersText.trim().split('\n').map(word => word.trim().toUpperCase())
-const ALLOWED_WORDS = allowedText.trim().split('\n').map(word => word.trim().toUpperCase())
-const VALID_WORDS = new Set([...ANSWER_WORDS, ...ALLOWED_WORDS])
+const parseWordList = (text) => text.trim().split('\n').map(word => normalizeWord(word.trim()))
+
+const createWordList = (answers, allowed, maxAttempts) => {
+  const answerWords = parseWordList(answers)
+  return {
+    answers: answerWords,
+    valid: new Set([...answerWords, ...parseWordList(allowed)]),
+    maxAttempts
+  }
+}
+
+// One answer list and allowed guesses list per language and word length (7-letter words get an extra guess)
+// German and Croatian are played with the classic length only
+const WORD_LISTS = {
+  en: {
+    4: createWordList(answers4Text, allowed4Text, 6),
+    5: createWordList(answersText, allowedText, 6),
+    6: createWordList(answers6Text, allowed6Text, 6),
+    7: createWordList(answers7Text, allowed7Text, 7)
+  },
+  de: {
+    5: createWordList(answersDeText, allowedDeText, 6)
+  },
+  hr: {
+    5: createWordList(answersHrText, allowedHrText, 6)
+  }
+}
+const ANSWER_WORDS = WORD_LISTS[DEFAULT_LANGUAGE][DEFAULT_WORD_LENGTH].answers
+
+// Bundled definitions of common words, the last of the definition providers
+const MINI_DICTIONARY = parseMiniDictionary(miniDictionaryText)
+
+// Stats, used words and endless games are stored per word length and language
+// Classic English keeps the original keys so existing data carries over
+const getVariantKey = (key, length, language = DEFAULT_LANGUAGE) => {
+  const lengthKey = length === DEFAULT_WORD_LENGTH ? key : `${key}-${length}`
+  return language === DEFAULT_LANGUAGE ? lengthKey : `${lengthKey}-${language}`
+}
+
+// Synced variants are keyed by length, other languages add their code (e.g. "5-de")
+const getVariantId = (length, language) => language === DEFAULT_LANGUAGE ? String(length) : `${length}-${language}`
 
 // Statistics helper functions
-const getInitialStats = () => ({
-  played: 0,
-  wins: 0,
-  currentStreak: 0,
-  maxStreak: 0,
-  guessDistribution: [0, 0, 0, 0, 0, 0], // Indices 0-5 represent guesses 1-6
-  aiWords: 0,      // Count of AI-selected words
-  listWords: 0     // Count of random list words
-})
+// Stored stats are the baseline the games played since are added to (see computeStats)
+// Counters saved before stats were computed from the history become that baseline once
+const migrateStats = (stats, save) => {
+  if (stats.until !== undefined) {
+    return stats
+  }
+  const baseline = toStatsBaseline(stats, loadGameHistory())
+  save(baseline)
+  return baseline
+}
 
-const loadStats = () => {
+const loadStats = (length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
   try {
-    const stored = localStorage.getItem(STATS_KEY)
+    const stored = localStorage.getItem(getVariantKey(STATS_KEY, length, language))
     if (stored) {
-      return JSON.parse(stored)
+      return migrateStats(JSON.parse(stored), baseline => saveStats(baseline, length, language))
     }
   } catch (error) {
     console.error('Error loading stats:', error)
   }
-  return getInitialStats()
+  // Never saved: an empty baseline from the start, so every game in the history counts
+  return { ...getInitialStats(WORD_LISTS[language][length].maxAttempts), until: 0 }
 }
 
-const saveStats = (stats) => {
+const saveStats = (stats, length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
   try {
-    localStorage.setItem(STATS_KEY, JSON.stringify(stats))
+    localStorage.setItem(getVariantKey(STATS_KEY, length, language), JSON.stringify(stats))
   } catch (error) {
     console.error('Error saving stats:', error)
   }
 }
 
-const resetStats = () => {
-  const initial = getInitialStats()
-  saveStats(initial)
+const resetStats = (length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
+  // An empty baseline from now on, so the games played so far no longer count
+  const initial = getInitialStats(WORD_LISTS[language][length].maxAttempts)
+  saveStats({ ...initial, until: Date.now() }, length, language)
   return initial
 }
 
-// Game history helper functions (last 20 games with details)
+// Stats of a word length and language: the baseline plus the endless games played since
+const getGameStats = (history, length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) =>
+  computeStats(history, loadStats(length, language), game => countsTowardStats(game, 'endless', length, language))
+
+// Word length helper functions
+const loadWordLength = () => {
+  try {
+    const stored = Number(localStorage.getItem(WORD_LENGTH_KEY))
+    if (WORD_LENGTHS.includes(stored)) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading word length:', error)
+  }
+  return DEFAULT_WORD_LENGTH
+}
+
+const saveWordLength = (length) => {
+  try {
+    localStorage.setItem(WORD_LENGTH_KEY, String(length))
+  } catch (error) {
+    console.error('Error saving word length:', error)
+  }
+}
+
+// Language helper functions
+const loadLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_KEY)
+    if (Object.keys(WORD_LISTS).includes(stored)) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading language:', error)
+  }
+  return DEFAULT_LANGUAGE
+}
+
+const saveLanguage = (language) => {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, language)
+  } catch (error) {
+    console.error('Error saving language:', error)
+  }
+}
+
+// Daily challenge helper functions
+const loadDailyStats = () => {
+  try {
+    const stored = localStorage.getItem(DAILY_STATS_KEY)
+    if (stored) {
+      return { ...getInitialDailyStats(), ...JSON.parse(stored) }
+    }
+  } catch (error) {
+    console.error('Error loading daily stats:', error)
+  }
+  return getInitialDailyStats()
+}
+
+const saveDailyStats = (dailyStats) => {
+  try {
+    localStorage.setItem(DAILY_STATS_KEY, JSON.stringify(dailyStats))
+  } catch (error) {
+    console.error('Error saving daily stats:', error)
+  }
+}
+
+// Game mode helper functions
+const loadGameMode = () => {
+  try {
+    const stored = localStorage.getItem(GAME_MODE_KEY)
+    if (stored === 'daily' || stored === 'multi' || stored === 'evil' || stored === 'quiz') {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading game mode:', error)
+  }
+  return 'endless'  // Default to endless play
+}
+
+const saveGameMode = (mode) => {
+  try {
+    localStorage.setItem(GAME_MODE_KEY, mode)
+  } catch (error) {
+    console.error('Error saving game mode:', error)
+  }
+}
+
+// Evil mode helper functions
+const loadEvilStats = () => {
+  try {
+    const stored = localStorage.getItem(EVIL_STATS_KEY)
+    if (stored) {
+      return migrateStats(JSON.parse(stored), saveEvilStats)
+    }
+  } catch (error) {
+    console.error('Error loading evil stats:', error)
+  }
+  return { ...getInitialStats(), until: 0 }
+}
+
+const saveEvilStats = (evilStats) => {
+  try {
+    localStorage.setItem(EVIL_STATS_KEY, JSON.stringify(evilStats))
+  } catch (error) {
+    console.error('Error saving evil stats:', error)
+  }
+}
+
+const getEvilStats = (history) => computeStats(history, loadEvilStats(), game => countsTowardStats(game, 'evil'))
+
+// Multi-board helper functions
+const loadBoardCount = () => {
+  try {
+    const stored = Number(localStorage.getItem(BOARD_COUNT_KEY))
+    if (BOARD_COUNTS.includes(stored)) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading board count:', error)
+  }
+  return 2  // Default to two boards
+}
+
+const saveBoardCount = (boardCount) => {
+  try {
+    localStorage.setItem(BOARD_COUNT_KEY, String(boardCount))
+  } catch (error) {
+    console.error('Error saving board count:', error)
+  }
+}
+
+// Game history helper functions (last 20 games of each language with details)
 const loadGameHistory = () => {
   try {
     const stored = localStorage.getItem(HISTORY_KEY)
@@ -96,35 +417,84 @@ const loadGameHistory = () => {
 
 const saveGameHistory = (history) => {
   try {
-    // Keep only last 20 games
-    const trimmed = history.slice(-MAX_HISTORY_SIZE)
+    // Keep only the last 20 games of each language, the history store keeps them all
+    const trimmed = trimGameHistory(history, MAX_HISTORY_SIZE)
     localStorage.setItem(HISTORY_KEY, JSON.stringify(trimmed))
+    storeGames(trimmed)
   } catch (error) {
     console.error('Error saving game history:', error)
   }
 }
 
-const addGameToHistory = (word, result, understanding, source) => {
+const addGameToHistory = (word, result, understanding, source, mode = 'endless', hardMode = false, assisted = false, guesses = [], guessTimes = [], language = DEFAULT_LANGUAGE) => {
   const history = loadGameHistory()
-  const entry = {
-    id: generateUUID(),  // Unique game ID for sync merge
-    w: word,
-    r: result,
-    src: source,
-    t: Date.now()  // Timestamp for conflict resolution
-  }
-  if (understanding !== null && understanding !== undefined) {
-    entry.u = understanding
-  }
+  const entry = createGameHistoryEntry(word, result, understanding, source, mode, hardMode, assisted, guesses, guessTimes, language)
   history.push(entry)
   saveGameHistory(history)
+  saveNotebook(recordNotebookGame(loadNotebook(), entry))
+  // Only English words can be reviewed (the dictionary has no others)
+  if (language === DEFAULT_LANGUAGE) {
+    saveReviewSchedule(recordReview(loadReviewSchedule(), word, getGameReviewQuality(result, understanding), entry.t))
+  }
   return entry  // Return the entry for potential sync triggering
 }
 
-// Used words helper functions (all words ever played)
-const loadUsedWords = () => {
+// Review schedule helper functions (one SM-2 card per English word played)
+const loadReviewSchedule = () => {
+  try {
+    const stored = localStorage.getItem(REVIEW_SCHEDULE_KEY)
+    if (stored) {
+      return JSON.parse(stored)
+    }
+  } catch (error) {
+    console.error('Error loading review schedule:', error)
+  }
+  return {}
+}
+
+const saveReviewSchedule = (schedule) => {
+  try {
+    localStorage.setItem(REVIEW_SCHEDULE_KEY, JSON.stringify(schedule))
+  } catch (error) {
+    console.error('Error saving review schedule:', error)
+  }
+}
+
+// Vocabulary notebook helper functions (kept for every word, the history only keeps the last games)
+const loadNotebook = () => {
+  try {
+    const stored = localStorage.getItem(NOTEBOOK_KEY)
+    if (stored) {
+      return JSON.parse(stored)
+    }
+  } catch (error) {
+    console.error('Error loading notebook:', error)
+  }
+  return {}
+}
+
+const saveNotebook = (notebook) => {
+  try {
+    localStorage.setItem(NOTEBOOK_KEY, JSON.stringify(notebook))
+  } catch (error) {
+    console.error('Error saving notebook:', error)
+  }
+}
+
+// Keep a word's first dictionary definition so the notebook can show it without a lookup
+const cacheNotebookDefinition = (word, entries) => {
+  const definition = entries[0]?.meanings?.[0]?.definitions?.[0]?.definition
+  if (definition) {
+    saveNotebook(updateNotebookNote(loadNotebook(), word, 'd', definition))
+  }
+}
+
+// Used words helper functions (all words ever played, per word length and language or word pack)
+const getUsedWordsKey = (length, packId, language) => packId ? `${USED_WORDS_KEY}-pack-${packId}` : getVariantKey(USED_WORDS_KEY, length, language)
+
+const loadUsedWords = (length = DEFAULT_WORD_LENGTH, packId = null, language = DEFAULT_LANGUAGE) => {
   try {
-    const stored = localStorage.getItem(USED_WORDS_KEY)
+    const stored = localStorage.getItem(getUsedWordsKey(length, packId, language))
     if (stored) {
       return new Set(JSON.parse(stored))
     }
@@ -134,28 +504,83 @@ const loadUsedWords = () => {
   return new Set()
 }
 
-const saveUsedWords = (usedWords) => {
+const saveUsedWords = (usedWords, length = DEFAULT_WORD_LENGTH, packId = null, language = DEFAULT_LANGUAGE) => {
   try {
-    localStorage.setItem(USED_WORDS_KEY, JSON.stringify(Array.from(usedWords)))
+    localStorage.setItem(getUsedWordsKey(length, packId, language), JSON.stringify(Array.from(usedWords)))
   } catch (error) {
     console.error('Error saving used words:', error)
   }
 }
 
-const addUsedWord = (word) => {
-  const usedWords = loadUsedWords()
+const addUsedWord = (word, packId = null, language = DEFAULT_LANGUAGE) => {
+  const usedWords = loadUsedWords(word.length, packId, language)
   usedWords.add(word)
-  saveUsedWords(usedWords)
+  saveUsedWords(usedWords, word.length, packId, language)
 }
 
-const clearUsedWords = () => {
+const clearUsedWords = (length = DEFAULT_WORD_LENGTH, packId = null, language = DEFAULT_LANGUAGE) => {
   try {
-    localStorage.removeItem(USED_WORDS_KEY)
+    localStorage.removeItem(getUsedWordsKey(length, packId, language))
   } catch (error) {
     console.error('Error clearing used words:', error)
   }
 }
 
+// Word pack helper functions
+const loadWordPacks = () => {
+  try {
+    const stored = localStorage.getItem(WORD_PACKS_KEY)
+    if (stored) {
+      return JSON.parse(stored)
+    }
+  } catch (error) {
+    console.error('Error loading word packs:', error)
+  }
+  return []
+}
+
+const saveWordPacks = (packs) => {
+  try {
+    localStorage.setItem(WORD_PACKS_KEY, JSON.stringify(packs))
+  } catch (error) {
+    console.error('Error saving word packs:', error)
+  }
+}
+
+const loadActivePackId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PACK_KEY)
+  } catch (error) {
+    console.error('Error loading active word pack:', error)
+    return null
+  }
+}
+
+const saveActivePackId = (packId) => {
+  try {
+    if (packId) {
+      localStorage.setItem(ACTIVE_PACK_KEY, packId)
+    } else {
+      localStorage.removeItem(ACTIVE_PACK_KEY)
+    }
+  } catch (error) {
+    console.error('Error saving active word pack:', error)
+  }
+}
+
+// The active pack only applies to English endless games of its own word length
+const getActivePack = (packs, packId, length, language = DEFAULT_LANGUAGE) => {
+  if (language !== DEFAULT_LANGUAGE) return null
+  return packs.find(pack => pack.id === packId && pack.length === length) || null
+}
+
+// A pack's words are the answers, the standard guesses stay valid on top of its own additions
+const createPackWordList = (pack) => ({
+  answers: pack.words,
+  valid: new Set([...WORD_LISTS[DEFAULT_LANGUAGE][pack.length].valid, ...pack.words, ...(pack.allowed || [])]),
+  maxAttempts: WORD_LISTS[DEFAULT_LANGUAGE][pack.length].maxAttempts
+})
+
 // AI preference helper functions
 const loadAIEnabled = () => {
   try {
@@ -293,6 +718,92 @@ const saveExtendedInfo = (enabled) => {
   }
 }
 
+const loadTranslationLanguages = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TRANSLATION_LANGUAGES_KEY))
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading translation languages:', error)
+  }
+  return DEFAULT_TRANSLATION_LANGUAGES
+}
+
+const saveTranslationLanguages = (languages) => {
+  try {
+    localStorage.setItem(TRANSLATION_LANGUAGES_KEY, JSON.stringify(languages))
+  } catch (error) {
+    console.error('Error saving translation languages:', error)
+  }
+}
+
+// Extended info is complete when it has a translation for every chosen language
+const hasTranslations = (info, languages) => !!info && getTranslations(info, languages).length === languages.length
+
+// Hard mode helper functions
+const loadHardMode = () => {
+  try {
+    const stored = localStorage.getItem(HARD_MODE_KEY)
+    if (stored !== null) {
+      return stored === 'true'
+    }
+  } catch (error) {
+    console.error('Error loading hard mode:', error)
+  }
+  return false  // Default to OFF
+}
+
+const saveHardMode = (enabled) => {
+  try {
+    localStorage.setItem(HARD_MODE_KEY, enabled ? 'true' : 'false')
+  } catch (error) {
+    console.error('Error saving hard mode:', error)
+  }
+}
+
+// Guess assistant preference helper functions
+const loadAssistantEnabled = () => {
+  try {
+    const stored = localStorage.getItem(ASSISTANT_ENABLED_KEY)
+    if (stored !== null) {
+      return stored === 'true'
+    }
+  } catch (error) {
+    console.error('Error loading assistant preference:', error)
+  }
+  return false  // Default to OFF
+}
+
+const saveAssistantEnabled = (enabled) => {
+  try {
+    localStorage.setItem(ASSISTANT_ENABLED_KEY, enabled ? 'true' : 'false')
+  } catch (error) {
+    console.error('Error saving assistant preference:', error)
+  }
+}
+
+// Listen first preference helper functions
+const loadListenFirst = () => {
+  try {
+    const stored = localStorage.getItem(LISTEN_FIRST_KEY)
+    if (LISTEN_FIRST_OPTIONS.includes(stored)) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading listen first preference:', error)
+  }
+  return 'off'
+}
+
+const saveListenFirst = (option) => {
+  try {
+    localStorage.setItem(LISTEN_FIRST_KEY, option)
+  } catch (error) {
+    console.error('Error saving listen first preference:', error)
+  }
+}
+
 // Token usage helper functions (dev only)
 const loadTokenUsage = () => {
   try {
@@ -400,117 +911,6 @@ const saveSyncEnabled = (enabled) => {
   }
 }
 
-// Intelligent merge strategy for synced data
-const intelligentMerge = (localData, remoteData) => {
-  const merged = {
-    stats: {},
-    gameHistory: [],
-    usedWords: [],
-    settings: {}
-  }
-
-  // Stats: Use max values for all metrics
-  const localStats = localData.stats || getInitialStats()
-  const remoteStats = remoteData.stats || getInitialStats()
-
-  // Get game history arrays (needed for currentStreak logic)
-  const localHistory = localData.gameHistory || []
-  const remoteHistory = remoteData.gameHistory || []
-
-  // Determine which device has the most recent game to get accurate currentStreak
-  const localLastGame = localHistory.length > 0 ? localHistory[localHistory.length - 1] : null
-  const remoteLastGame = remoteHistory.length > 0 ? remoteHistory[remoteHistory.length - 1] : null
-
-  // Use currentStreak from device with most recent game
-  // (currentStreak is time-sensitive - it should reflect the actual current state, not a max)
-  let currentStreakToUse = localStats.currentStreak || 0
-  if (localLastGame && remoteLastGame) {
-    // Both have games - use streak from device with most recent game
-    const localTime = localLastGame.t || 0
-    const remoteTime = remoteLastGame.t || 0
-    currentStreakToUse = remoteTime > localTime
-      ? (remoteStats.currentStreak || 0)
-      : (localStats.currentStreak || 0)
-  } else if (remoteLastGame && !localLastGame) {
-    // Only remote has games
-    currentStreakToUse = remoteStats.currentStreak || 0
-  }
-
-  merged.stats = {
-    played: Math.max(localStats.played || 0, remoteStats.played || 0),
-    wins: Math.max(localStats.wins || 0, remoteStats.wins || 0),
-    currentStreak: currentStreakToUse,  // Use most recent, not max!
-    maxStreak: Math.max(localStats.maxStreak || 0, remoteStats.maxStreak || 0),
-    guessDistribution: (localStats.guessDistribution || [0,0,0,0,0,0]).map((val, idx) =>
-      Math.max(val, (remoteStats.guessDistribution || [0,0,0,0,0,0])[idx] || 0)
-    ),
-    aiWords: Math.max(localStats.aiWords || 0, remoteStats.aiWords || 0),
-    listWords: Math.max(localStats.listWords || 0, remoteStats.listWords || 0)
-  }
-
-  // Game history: Merge by unique game ID, keep most recent for duplicates
-  const historyMap = new Map()
-  const gamesWithoutId = []
-
-  // Add all local games
-  localHistory.forEach(game => {
-    if (game.id) {
-      historyMap.set(game.id, game)
-    } else {
-      // Old game entry without ID - add UUID and timestamp
-      const updatedGame = {
-        ...game,
-        id: generateUUID(),
-        t: Date.now()
-      }
-      gamesWithoutId.push(updatedGame)
-    }
-  })
-
-  // Add remote games, overwrite if remote timestamp is newer
-  remoteHistory.forEach(game => {
-    if (game.id) {
-      const existing = historyMap.get(game.id)
-      if (!existing || (game.t && existing.t && game.t > existing.t)) {
-        historyMap.set(game.id, game)
-      }
-    } else {
-      // Old game entry without ID - add UUID and timestamp
-      const updatedGame = {
-        ...game,
-        id: generateUUID(),
-        t: Date.now()
-      }
-      gamesWithoutId.push(updatedGame)
-    }
-  })
-
-  // Combine games with IDs and old games without IDs
-  const allGames = [...Array.from(historyMap.values()), ...gamesWithoutId]
-
-  // Convert to array and sort by timestamp (most recent last)
-  merged.gameHistory = allGames
-    .sort((a, b) => (a.t || 0) - (b.t || 0))
-    .slice(-MAX_HISTORY_SIZE)  // Keep last 20 games
-
-  // Used words: Union of both sets
-  const localWords = new Set(localData.usedWords || [])
-  const remoteWords = new Set(remoteData.usedWords || [])
-  merged.usedWords = Array.from(new Set([...localWords, ...remoteWords]))
-
-  // Settings: Prefer local values (user's current device settings)
-  // But sync preferences like tier2Focus and extendedInfo
-  merged.settings = {
-    aiEnabled: localData.settings?.aiEnabled !== undefined ? localData.settings.aiEnabled : (remoteData.settings?.aiEnabled || true),
-    showReasoning: localData.settings?.showReasoning !== undefined ? localData.settings.showReasoning : (remoteData.settings?.showReasoning || false),
-    tier2Focus: localData.settings?.tier2Focus !== undefined ? localData.settings.tier2Focus : (remoteData.settings?.tier2Focus || false),
-    extendedInfo: localData.settings?.extendedInfo !== undefined ? localData.settings.extendedInfo : (remoteData.settings?.extendedInfo || false)
-    // Note: apiKey is explicitly NOT synced for security
-  }
-
-  return merged
-}
-
 // Sync API functions
 const generateSyncCode = async (localData) => {
   try {
@@ -524,7 +924,7 @@ const generateSyncCode = async (localData) => {
 
     if (!response.ok) {
       const error = await response.json()
-      throw new Error(error.error || 'Failed to generate sync code')
+      throw new Error(error.error || t('sync.generateFailed'))
     }
 
     const result = await response.json()
@@ -546,7 +946,7 @@ const fetchSyncData = async (code) => {
 
     if (!response.ok) {
       const error = await response.json()
-      throw new Error(error.error || 'Failed to fetch sync data')
+      throw new Error(error.error || t('sync.fetchFailed'))
     }
 
     return await response.json()
@@ -578,7 +978,7 @@ const updateSyncData = async (code, data, version) => {
         }
       }
 
-      throw new Error(error.error || 'Failed to update sync data')
+      throw new Error(error.error || t('sync.updateFailed'))
     }
 
     return await response.json()
@@ -588,18 +988,26 @@ const updateSyncData = async (code, data, version) => {
   }
 }
 
-// Game state helper functions
-const saveGameState = (state) => {
+// Game state helper functions (each mode and endless word length and language keeps its own in-progress game)
+const getGameStateKey = (mode, length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
+  if (mode === 'daily') return DAILY_STATE_KEY
+  if (mode === 'multi') return MULTI_STATE_KEY
+  if (mode === 'evil') return EVIL_STATE_KEY
+  if (mode === 'quiz') return QUIZ_STATE_KEY
+  return getVariantKey(GAME_STATE_KEY, length, language)
+}
+
+const saveGameState = (state, mode = 'endless', length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
   try {
-    localStorage.setItem(GAME_STATE_KEY, JSON.stringify(state))
+    localStorage.setItem(getGameStateKey(mode, length, language), JSON.stringify(state))
   } catch (error) {
     console.error('Error saving game state:', error)
   }
 }
 
-const loadGameState = () => {
+const loadGameState = (mode = 'endless', length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
   try {
-    const stored = localStorage.getItem(GAME_STATE_KEY)
+    const stored = localStorage.getItem(getGameStateKey(mode, length, language))
     if (stored) {
       return JSON.parse(stored)
     }
@@ -609,39 +1017,265 @@ const loadGameState = () => {
   return null
 }
 
-const clearGameState = () => {
+const clearGameState = (mode = 'endless', length = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
   try {
-    localStorage.removeItem(GAME_STATE_KEY)
+    localStorage.removeItem(getGameStateKey(mode, length, language))
   } catch (error) {
     console.error('Error clearing game state:', error)
   }
 }
 
-// Claude API integration
-const callClaudeAPI = async (prompt, apiKey, returnUsage = false, actionParams = null) => {
-  try {
-    // Use Cloudflare Worker if URL is configured, otherwise direct API call
-    const apiUrl = CLOUDFLARE_WORKER_URL || 'https://api.anthropic.com/v1/messages'
-    const useWorker = !!CLOUDFLARE_WORKER_URL
+// Build a definition quiz game for one of the English words already played
+// Words from packs that aren't in the standard lists can't be guessed, so they're left out
+// targetWord is null when there's no history to quiz from
+// Without the stored games, the recent games in localStorage are used
+const createQuizGameState = (previousWord = null, games = loadGameHistory()) => {
+  const playedGames = games.filter(game =>
+    getGameLanguage(game) === DEFAULT_LANGUAGE && WORD_LISTS[DEFAULT_LANGUAGE][game.w.length]?.valid.has(game.w)
+  )
+  const word = pickQuizWord(playedGames, previousWord)
+  return {
+    targetWord: word,
+    wordSource: 'list',
+    guesses: Array(word ? WORD_LISTS[DEFAULT_LANGUAGE][word.length].maxAttempts : 0).fill(''),
+    currentGuess: '',
+    currentRow: 0,
+    gameStatus: 'playing',
+    keyColors: {},
+    recorded: false
+  }
+}
 
-    // Build headers based on whether we're using the worker or not
-    const headers = {
-      'Content-Type': 'application/json'
-    }
+// Build a fresh game state for the given mode (word length and language only apply to endless games)
+const createNewGameState = (mode, usedWords, length = DEFAULT_WORD_LENGTH, boardCount = 2, pack = null, language = DEFAULT_LANGUAGE) => {
+  if (mode === 'quiz') {
+    return createQuizGameState()
+  }
 
-    if (useWorker) {
-      // Worker expects API key in X-API-Key header
-      headers['X-API-Key'] = apiKey
-    } else {
-      // Direct API call uses x-api-key header
-      headers['x-api-key'] = apiKey
-      headers['anthropic-version'] = '2023-06-01'
+  if (mode === 'multi') {
+    // Multi-board games use the classic lists and don't use up endless words
+    return {
+      targetWords: pickMultiBoardWords(ANSWER_WORDS, boardCount),
+      wordSource: 'list',
+      guesses: Array(getMultiBoardAttempts(boardCount)).fill(''),
+      currentGuess: '',
+      currentRow: 0,
+      gameStatus: 'playing',
+      keyColors: {},
+      recorded: false
     }
+  }
 
-    let requestBody;
-
-    // NEW FORMAT: action-based (prompts from KV via Worker)
-    if (actionParams && useWorker) {
+  if (mode === 'evil') {
+    // The target is only a placeholder: it moves after every guess
+    return {
+      targetWord: ANSWER_WORDS[Math.floor(Math.random() * ANSWER_WORDS.length)],
+      wordSource: 'list',
+      guesses: Array(WORD_LISTS[DEFAULT_LANGUAGE][DEFAULT_WORD_LENGTH].maxAttempts).fill(''),
+      currentGuess: '',
+      currentRow: 0,
+      gameStatus: 'playing',
+      keyColors: {},
+      recorded: false
+    }
+  }
+
+  if (mode === 'daily') {
+    const today = new Date()
+    return {
+      targetWord: getDailyWord(ANSWER_WORDS, today),
+      wordSource: 'list',
+      dateKey: getDateKey(today),
+      guesses: Array(WORD_LISTS[DEFAULT_LANGUAGE][DEFAULT_WORD_LENGTH].maxAttempts).fill(''),
+      currentGuess: '',
+      currentRow: 0,
+      gameStatus: 'playing',
+      keyColors: {}
+    }
+  }
+
+  const state = {
+    targetWord: getRandomWord(usedWords, length, pack?.words || WORD_LISTS[language][length].answers),
+    wordSource: 'list',  // First game is always random
+    guesses: Array(WORD_LISTS[language][length].maxAttempts).fill(''),
+    currentGuess: '',
+    currentRow: 0,
+    gameStatus: 'playing',
+    keyColors: {}
+  }
+  if (pack) {
+    state.packId = pack.id
+  }
+  return state
+}
+
+// Load the saved game for a mode, or start a new one
+// A saved daily game is only resumed on the same calendar day,
+// a saved multi-board game only with the same number of boards
+const loadOrCreateGameState = (mode, usedWords, length = DEFAULT_WORD_LENGTH, boardCount = 2, pack = null, language = DEFAULT_LANGUAGE) => {
+  const savedState = loadGameState(mode, length, language)
+  const isResumable = savedState && (
+    mode === 'daily' ? savedState.dateKey === getDateKey()
+      : mode === 'multi' ? savedState.targetWords?.length === boardCount
+        : true
+  )
+  if (isResumable) {
+    return savedState
+  }
+  return createNewGameState(mode, usedWords, length, boardCount, pack, language)
+}
+
+// Dictionary lookup (English only)
+const fetchDictionaryEntries = async (word) => {
+  const response = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word.toLowerCase()}`)
+
+  if (!response.ok) {
+    throw new Error(t('learn.definitionUnavailable'))
+  }
+
+  return response.json()
+}
+
+// Definition providers, tried in order until one knows the word
+// Each answers with entries in the Free Dictionary API shape the Definition tab renders
+const getDefinitionProviders = ({ apiKey, aiEnabled }) => [
+  { id: 'dictionary', lookup: fetchDictionaryEntries },
+  {
+    id: 'ai',
+    lookup: async (word) => {
+      if (!aiEnabled || !apiKey) return null
+      const result = await getAIDefinition(word, apiKey)
+      storeTokenUsage(word, 'definition', result.usage)
+      return normalizeAIDefinition(result.data, word)
+    }
+  },
+  { id: 'offline', lookup: async (word) => MINI_DICTIONARY[word] || null }
+]
+
+// Definition lookup with the offline cache in front (English only)
+const loadDefinition = async (word, options) => {
+  const cached = await getCachedWord('definition', word)
+  if (cached) {
+    // Entries cached before there were other providers all came from the dictionary
+    return Array.isArray(cached) ? { entries: cached, provider: 'dictionary' } : cached
+  }
+
+  const result = await lookupDefinition(word, getDefinitionProviders(options))
+  // The offline dictionary is bundled, so caching its answers would only hide better ones later
+  if (result.provider !== 'offline') {
+    cacheWord('definition', word, result)
+    cachePronunciationAudio(result.entries)
+  }
+  return result
+}
+
+// Download pronunciation recordings so they replay offline
+const cachePronunciationAudio = async (entries) => {
+  for (const { audio } of getPronunciations(entries)) {
+    try {
+      const response = await fetch(audio)
+      if (response.ok) {
+        await cacheWord('audio', audio, await response.blob())
+      }
+    } catch (error) {
+      console.error('Error caching pronunciation:', error)
+    }
+  }
+}
+
+// Read text aloud with the browser's speech synthesis
+const speakText = (text, language = DEFAULT_LANGUAGE) => {
+  if (!SPEECH_AVAILABLE) return
+
+  speechSynthesis.cancel()
+  const utterance = new SpeechSynthesisUtterance(text)
+  utterance.lang = SPEECH_LANGUAGES[language]
+  speechSynthesis.speak(utterance)
+}
+
+// Play a pronunciation recording, from the offline cache when it's there
+// Offline without a cached recording, the browser's voice says the word instead
+const playPronunciation = async (audioUrl, word) => {
+  const blob = await getCachedWord('audio', audioUrl)
+  const audio = new Audio(blob ? URL.createObjectURL(blob) : audioUrl)
+  if (blob) {
+    audio.onended = () => URL.revokeObjectURL(audio.src)
+  }
+
+  try {
+    await audio.play()
+  } catch {
+    speakText(word.toLowerCase())
+  }
+}
+
+// Listen first: read a quiz or review clue aloud, or say the word itself
+const speakClue = (word, clue, option) => {
+  if (option === 'word') {
+    if (clue.audio) {
+      playPronunciation(clue.audio, word)
+    } else {
+      speakText(word.toLowerCase())
+    }
+  } else if (option === 'definition') {
+    const text = getSpokenClue(clue, word)
+    if (text) {
+      speakText(text)
+    }
+  }
+}
+
+// Clues for word review and the definition quiz: a word pack's own definition, else a looked up one
+const fetchWordClues = async (word, packs, options) => {
+  const pack = packs.find(wordPack => wordPack.definitions?.[word])
+  if (pack) {
+    return { clues: [{ label: pack.name, text: pack.definitions[word] }], example: null }
+  }
+
+  try {
+    const { entries } = await loadDefinition(word, options)
+    cacheNotebookDefinition(word, entries)
+    return { ...getDictionaryClues(entries), audio: getPronunciations(entries)[0]?.audio || null }
+  } catch (error) {
+    return { error: error.message }
+  }
+}
+
+// Save text as a downloaded file
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Claude API integration
+const callClaudeAPI = async (prompt, apiKey, returnUsage = false, actionParams = null) => {
+  try {
+    // Use Cloudflare Worker if URL is configured, otherwise direct API call
+    const apiUrl = CLOUDFLARE_WORKER_URL || 'https://api.anthropic.com/v1/messages'
+    const useWorker = !!CLOUDFLARE_WORKER_URL
+
+    // Build headers based on whether we're using the worker or not
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+
+    if (useWorker) {
+      // Worker expects API key in X-API-Key header
+      headers['X-API-Key'] = apiKey
+    } else {
+      // Direct API call uses x-api-key header
+      headers['x-api-key'] = apiKey
+      headers['anthropic-version'] = '2023-06-01'
+    }
+
+    let requestBody;
+
+    // NEW FORMAT: action-based (prompts from KV via Worker)
+    if (actionParams && useWorker) {
       requestBody = actionParams; // { action: "...", params: { ... } }
     } else {
       // LEGACY FORMAT: direct prompt (for backward compatibility / direct API)
@@ -663,22 +1297,22 @@ const callClaudeAPI = async (prompt, apiKey, returnUsage = false, actionParams =
 
     if (!response.ok) {
       const error = await response.json()
-      const errorMessage = error.error?.message || 'API request failed'
+      const errorMessage = error.error?.message || t('ai.requestFailed')
 
       // Provide user-friendly error messages
       if (response.status === 401) {
-        throw new Error('Invalid API key. Please check your key in the debug panel.')
+        throw new Error(t('ai.invalidKey'))
       } else if (response.status === 429) {
-        throw new Error('API rate limit exceeded. Please try again in a moment.')
+        throw new Error(t('ai.rateLimit'))
       } else if (response.status >= 500) {
-        throw new Error('Claude API is temporarily unavailable.')
+        throw new Error(t('ai.unavailable'))
       } else {
         throw new Error(errorMessage)
       }
     }
 
     const data = await response.json()
-    const word = data.content[0].text.trim().toUpperCase()
+    const word = normalizeWord(data.content[0].text.trim())
 
     if (returnUsage) {
       return {
@@ -694,16 +1328,16 @@ const callClaudeAPI = async (prompt, apiKey, returnUsage = false, actionParams =
   } catch (error) {
     if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
       const workerHint = CLOUDFLARE_WORKER_URL
-        ? 'Check your Cloudflare Worker is running and accessible.'
-        : 'Network error. Try deploying a Cloudflare Worker to bypass CORS restrictions.'
-      throw new Error(`Network error. ${workerHint}`)
+        ? t('ai.workerHint')
+        : t('ai.corsHint')
+      throw new Error(t('ai.networkError', { hint: workerHint }))
     }
     throw error
   }
 }
 
-// Get extended word information (Etymology + Translations)
-const getExtendedWordInfo = async (word, apiKey) => {
+// Get extended word information (Etymology + Translations into the chosen languages)
+const getExtendedWordInfo = async (word, apiKey, languages) => {
   try {
     const apiUrl = CLOUDFLARE_WORKER_URL || 'https://api.anthropic.com/v1/messages'
     const useWorker = !!CLOUDFLARE_WORKER_URL
@@ -726,37 +1360,37 @@ const getExtendedWordInfo = async (word, apiKey) => {
       requestBody = {
         action: 'extended_word_info',
         params: {
-          word
+          word,
+          // e.g. "German (de)", so the model knows the code to key each translation by
+          languages: languages.map(code => `${formatLanguageName(code, 'en')} (${code})`)
         }
       };
     } else {
       // LEGACY FORMAT: direct prompt (for backward compatibility / direct API)
+      const languageNames = languages.map(code => `${formatLanguageName(code, 'en')} (${code})`).join(', ')
       const prompt = `For "${word}":
 
 1. Etymology (2 sentences max)
 2. Word family (4 related 5-letter words with brief definitions)
-3. German and Croatian: translation, definition, 2 examples each
+3. ${languageNames}: translation, definition, 2 examples each
 
-JSON format:
+JSON format, with one "t" entry per language code:
 {
   "e": "etymology text",
   "f": ["WORD - def", "WORD - def", ...],
-  "de": {
-    "w": "word",
-    "d": "definition",
-    "ex": ["example 1", "example 2"]
-  },
-  "hr": {
-    "w": "word",
-    "d": "definition",
-    "ex": ["example 1", "example 2"]
+  "t": {
+    "${languages[0]}": {
+      "w": "word",
+      "d": "definition",
+      "ex": ["example 1", "example 2"]
+    }
   }
 }
 
-Keep under 250 words. Return ONLY valid JSON.`;
+Keep under ${150 + 50 * languages.length} words. Return ONLY valid JSON.`;
       requestBody = {
         model: 'claude-haiku-4-5',
-        max_tokens: 800,
+        max_tokens: 400 + 200 * languages.length,
         messages: [{
           role: 'user',
           content: prompt
@@ -772,7 +1406,7 @@ Keep under 250 words. Return ONLY valid JSON.`;
 
     if (!response.ok) {
       const error = await response.json()
-      const errorMessage = error.error?.message || 'API request failed'
+      const errorMessage = error.error?.message || t('ai.requestFailed')
       throw new Error(errorMessage)
     }
 
@@ -799,25 +1433,104 @@ Keep under 250 words. Return ONLY valid JSON.`;
   }
 }
 
+// Get a structured definition for words the dictionary doesn't have
+const getAIDefinition = async (word, apiKey) => {
+  try {
+    const apiUrl = CLOUDFLARE_WORKER_URL || 'https://api.anthropic.com/v1/messages'
+    const useWorker = !!CLOUDFLARE_WORKER_URL
+
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+
+    if (useWorker) {
+      headers['X-API-Key'] = apiKey
+    } else {
+      headers['x-api-key'] = apiKey
+      headers['anthropic-version'] = '2023-06-01'
+    }
+
+    let requestBody
+
+    if (useWorker) {
+      requestBody = {
+        action: 'word_definition',
+        params: {
+          word
+        }
+      }
+    } else {
+      const prompt = `Define the English word "${word}" like a learner's dictionary: up to 2 parts of speech, up to 2 short definitions each, with an example sentence.
+
+JSON format:
+{
+  "p": "IPA pronunciation",
+  "m": [{"pos": "noun", "d": [{"d": "definition", "ex": "example"}]}]
+}
+
+If it is not an English word, return {"m": []}. Return ONLY valid JSON.`
+      requestBody = {
+        model: 'claude-haiku-4-5',
+        max_tokens: 400,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }
+    }
+
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody)
+    })
+
+    if (!response.ok) {
+      const error = await response.json()
+      throw new Error(error.error?.message || t('ai.requestFailed'))
+    }
+
+    const data = await response.json()
+    const text = data.content[0].text.trim()
+      .replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+
+    return {
+      data: JSON.parse(text),
+      usage: {
+        input: data.usage?.input_tokens || 0,
+        output: data.usage?.output_tokens || 0
+      }
+    }
+  } catch (error) {
+    console.error('Failed to get AI definition:', error)
+    throw error
+  }
+}
+
+// Challenge words were picked by a friend, so they say nothing about the player's level
+const isPromptGame = (game) => game.src !== 'challenge'
+const getPromptHistory = (gameHistory) => gameHistory.filter(isPromptGame)
+
 // Optimized AI prompt generation
-const generateOptimizedPrompt = (gameHistory, usedWords, tier2Enabled) => {
-  const totalGames = gameHistory.length
-  const wins = gameHistory.filter(g => g.r > 0).length
+const generateOptimizedPrompt = (gameHistory, usedWords, tier2Enabled, wordLength = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) => {
+  const promptHistory = getPromptHistory(gameHistory)
+  const totalGames = promptHistory.length
+  const wins = promptHistory.filter(g => g.r > 0).length
   const winRate = totalGames > 0 ? Math.round((wins / totalGames) * 100) : 0
-  const wonGames = gameHistory.filter(g => g.r > 0)
+  const wonGames = promptHistory.filter(g => g.r > 0)
   const avgGuesses = wonGames.length > 0
     ? Math.round((wonGames.reduce((sum, g) => sum + g.r, 0) / wonGames.length) * 10) / 10
     : 0
 
   // Format recent 30 games compactly: WORD(result,understanding,source)
-  const recentCompact = gameHistory.slice(0, 30).map(g => {
+  const recentCompact = promptHistory.slice(0, 30).map(g => {
     let str = `${g.w}(${g.r}`
     if (g.u) str += `,${g.u}`
     str += `,${g.src === 'ai' ? 'a' : 'l'})`
     return str
   }).join(',')
 
-  let prompt = `Select next 5-letter English word for user:
+  let prompt = `Select next ${wordLength}-letter ${LANGUAGE_NAMES[language]} word for user:
 Stats: ${totalGames} games, ${winRate}% win, ${avgGuesses} avg
 Recent30: ${recentCompact}
 Format: WORD(result,understanding,source) where result=1-6 if won or -1 if lost, source=a(AI) or l(list)
@@ -844,7 +1557,7 @@ Return only the word, nothing else.`
 
 // Get word selection reasoning
 const getWordReasoning = async (word, gameHistory, apiKey) => {
-  const recentGames = gameHistory.slice(0, 5).map(g =>
+  const recentGames = gameHistory.slice(-5).map(g =>
     `${g.w}(${g.r > 0 ? 'won' : 'lost'})`
   ).join(',')
 
@@ -906,8 +1619,8 @@ const getWordReasoning = async (word, gameHistory, apiKey) => {
 }
 
 // Helper function to get random word (excluding previously used words)
-const getRandomWord = (usedWords) => {
-  const availableWords = ANSWER_WORDS.filter(word => !usedWords.has(word))
+const getRandomWord = (usedWords, length = DEFAULT_WORD_LENGTH, answers = WORD_LISTS[DEFAULT_LANGUAGE][length].answers) => {
+  const availableWords = answers.filter(word => !usedWords.has(word))
 
   // If all words have been used, return null to show victory dialog
   if (availableWords.length === 0) {
@@ -927,44 +1640,70 @@ const shuffleArray = (array) => {
   return shuffled
 }
 
-function WordWise() {
-  // Initialize state from localStorage if available
-  const initializeGameState = () => {
-    const savedState = loadGameState()
-    if (savedState) {
-      return savedState
-    }
-    const usedWords = loadUsedWords()
-    const newWord = getRandomWord(usedWords)
-    // Don't add to history yet - only add when game is completed
-    return {
-      targetWord: newWord,
-      wordSource: 'list',  // First game is always random
-      guesses: Array(MAX_ATTEMPTS).fill(''),
-      currentGuess: '',
-      currentRow: 0,
-      gameStatus: 'playing',
-      keyColors: {}
-    }
-  }
+// Helper function to format time since the first guess (m:ss)
+const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Number with a fixed count of decimals in the UI language (1.5 or 1,5)
+const formatDecimal = (value, digits) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits })
 
-  const initialState = initializeGameState()
-  const [usedWords, setUsedWords] = useState(() => loadUsedWords())
+// Share of a total as a percentage in the UI language (42% or 42 %)
+const formatPercent = (part, total) => formatNumber(total > 0 ? part / total : 0, { style: 'percent' })
+
+// uiLanguage and onUILanguageChange come from App, which re-renders the whole page on a change
+function WordWise({ challengeToken = null, uiLanguage = getLocale(), onUILanguageChange = setLocale }) {
+  // Initialize state from localStorage if available
+  // Don't add new games to history yet - only add when game is completed
+  const [initialMode] = useState(() => loadGameMode())
+  const [initialLanguage] = useState(() => loadLanguage())
+  const [initialWordLength] = useState(() => {
+    // Other languages only have some of the lengths
+    const length = loadWordLength()
+    return WORD_LISTS[initialLanguage][length] ? length : DEFAULT_WORD_LENGTH
+  })
+  const [initialBoardCount] = useState(() => loadBoardCount())
+  const [initialPack] = useState(() => getActivePack(loadWordPacks(), loadActivePackId(), initialWordLength, initialLanguage))
+  const [initialState] = useState(() =>
+    loadOrCreateGameState(initialMode, loadUsedWords(initialWordLength, initialPack?.id, initialLanguage), initialWordLength, initialBoardCount, initialPack, initialLanguage)
+  )
+  const [wordPacks, setWordPacks] = useState(() => loadWordPacks())
+  const [activePackId, setActivePackId] = useState(() => loadActivePackId())
+  const [usedWords, setUsedWords] = useState(() => loadUsedWords(initialWordLength, initialPack?.id, initialLanguage))  // Of the standard list or active pack
   const [gameHistory, setGameHistory] = useState(() => loadGameHistory())
 
+  const [gameMode, setGameMode] = useState(initialMode)
+  const [language, setLanguage] = useState(initialLanguage)
+  const [wordLength, setWordLength] = useState(initialWordLength)
+  const [boardCount, setBoardCount] = useState(initialBoardCount)
+  const [targetWords, setTargetWords] = useState(initialState.targetWords || [])  // Multi-board only
+  const [gameRecorded, setGameRecorded] = useState(!!initialState.recorded)  // Multi-board, evil, challenge and word pack games
+  const [gamePackId, setGamePackId] = useState(initialState.packId || null)  // Word pack of the current endless game
+  const [evilStats, setEvilStats] = useState(() => getEvilStats(loadGameHistory()))
+  const [assisted, setAssisted] = useState(!!initialState.assisted)  // Guess assistant opened this game
+  const [playedHardMode, setPlayedHardMode] = useState(!!initialState.hardMode)  // Hard mode was on when this game's first guess was made
+  const [dailyDateKey, setDailyDateKey] = useState(initialState.dateKey || getDateKey())
+  const [dailyStats, setDailyStats] = useState(() => loadDailyStats())
   const [targetWord, setTargetWord] = useState(initialState.targetWord)
   const [wordSource, setWordSource] = useState(initialState.wordSource || 'list')
   const [guesses, setGuesses] = useState(initialState.guesses)
+  const [guessTimes, setGuessTimes] = useState(initialState.guessTimes || [])  // When each guess was submitted
   const [currentGuess, setCurrentGuess] = useState(initialState.currentGuess || '')
   const [currentRow, setCurrentRow] = useState(initialState.currentRow)
   const [gameStatus, setGameStatus] = useState(initialState.gameStatus)
   const [keyColors, setKeyColors] = useState(initialState.keyColors)
   const [errorMessage, setErrorMessage] = useState('')
-  const [stats, setStats] = useState(() => loadStats())
+  const [stats, setStats] = useState(() => getGameStats(loadGameHistory(), initialWordLength, initialLanguage))
   const [aiEnabled, setAIEnabled] = useState(() => loadAIEnabled())
   const [showReasoning, setShowReasoning] = useState(() => loadShowReasoning())
   const [tier2Focus, setTier2Focus] = useState(() => loadTier2Focus())
   const [extendedInfo, setExtendedInfo] = useState(() => loadExtendedInfo())
+  const [hardMode, setHardMode] = useState(() => loadHardMode())
+  const [assistantEnabled, setAssistantEnabled] = useState(() => loadAssistantEnabled())
+  const [listenFirst, setListenFirst] = useState(() => loadListenFirst())
+  const [showAssistant, setShowAssistant] = useState(false)
+  const [assistantSuggestions, setAssistantSuggestions] = useState(null)
   const [apiKey, setAPIKey] = useState(() => loadAPIKey())
   const [currentReasoning, setCurrentReasoning] = useState(null)
   const [isLoadingWord, setIsLoadingWord] = useState(false)
@@ -978,27 +1717,90 @@ function WordWise() {
   const [showFeedbackModal, setShowFeedbackModal] = useState(false)
   const [showVictoryDialog, setShowVictoryDialog] = useState(false)
   const [showHistoryModal, setShowHistoryModal] = useState(false)
+  const [showReviewModal, setShowReviewModal] = useState(false)
+  const [reviewRows, setReviewRows] = useState(null)
+  const [reviewSchedule, setReviewSchedule] = useState(() => loadReviewSchedule())
+  const [reviewSession, setReviewSession] = useState(null)  // { words, index, correct } while quizzing due words
+  const [reviewInput, setReviewInput] = useState('')
+  const [reviewHintShown, setReviewHintShown] = useState(false)
+  const [reviewAnswer, setReviewAnswer] = useState(null)  // { correct, interval } once the current word is answered
+  const [wordClues, setWordClues] = useState({})  // Clues by word: { loading }, { clues, example } or { error }
+  const [showNotebookModal, setShowNotebookModal] = useState(false)
+  const [notebookRows, setNotebookRows] = useState([])  // Every word encountered, built when the notebook opens
+  const [notebookQuery, setNotebookQuery] = useState('')
+  const [notebookRating, setNotebookRating] = useState('all')  // 'all', 'unrated', 'low', 'medium' or 'high'
+  const [notebookStarred, setNotebookStarred] = useState(false)
   const [showAIPanel, setShowAIPanel] = useState(false)
   const [aiUsagePage, setAIUsagePage] = useState(0)
   const [definitionData, setDefinitionData] = useState(null)
+  const [definitionProvider, setDefinitionProvider] = useState(null)
   const [definitionLoading, setDefinitionLoading] = useState(false)
   const [definitionError, setDefinitionError] = useState(null)
   const [learnTab, setLearnTab] = useState('definition')
   const [extendedInfoData, setExtendedInfoData] = useState({})
+  const [translationLanguages, setTranslationLanguages] = useState(() => loadTranslationLanguages())
   const [extendedInfoLoading, setExtendedInfoLoading] = useState(false)
   const [extendedInfoError, setExtendedInfoError] = useState(null)
   const [currentLearnWord, setCurrentLearnWord] = useState(null)
+  const [wordCacheStats, setWordCacheStats] = useState(null)
   const [historyPage, setHistoryPage] = useState(0)
+  const [storedHistoryPage, setStoredHistoryPage] = useState(null)  // {games, total} from the history store
+  const [replayEntry, setReplayEntry] = useState(null)
+  const [replayStep, setReplayStep] = useState(0)
   const [lastWinRow, setLastWinRow] = useState(null)
+  const [shareCopied, setShareCopied] = useState(false)
+  const [shareFallbackText, setShareFallbackText] = useState(null)  // Shown when the clipboard isn't available
   const [pendingUnderstanding, setPendingUnderstanding] = useState(() => loadPendingUnderstanding())
-  const [settingsTab, setSettingsTab] = useState('ai')  // 'ai' or 'sync'
+  const [settingsTab, setSettingsTab] = useState('game')  // 'game', 'ai' or 'sync'
+  const [statsTab, setStatsTab] = useState(initialMode === 'multi' ? 'endless' : initialMode)  // 'endless', 'daily', 'evil', 'progress' or 'letters'
+  const [historyGames, setHistoryGames] = useState(null)  // Every game, for the progress and letters tabs
   const [syncCode, setSyncCode] = useState(() => loadSyncCode())
   const [syncEnabled, setSyncEnabled] = useState(() => loadSyncEnabled())
   const [syncVersion, setSyncVersion] = useState(() => loadSyncVersion())
   const [syncStatus, setSyncStatus] = useState(null)  // null, 'syncing', 'success', 'error'
   const [syncError, setSyncError] = useState(null)
   const [syncCodeInput, setSyncCodeInput] = useState('')
+  const [pendingChallenge, setPendingChallenge] = useState(() => {
+    // Opened from a challenge link: word is null when the link is broken or the word isn't in our lists
+    if (!challengeToken) return null
+    const word = decodeChallengeWord(challengeToken)
+    return { word: word && WORD_LISTS[DEFAULT_LANGUAGE][word.length]?.valid.has(word) ? word : null }
+  })
+  const [challengeWordInput, setChallengeWordInput] = useState('')
+  const [challengeLink, setChallengeLink] = useState(null)
+  const [challengeLinkCopied, setChallengeLinkCopied] = useState(false)
+  const [challengeError, setChallengeError] = useState(null)
+  const [packText, setPackText] = useState('')
+  const [packName, setPackName] = useState('')
+  const [packImportResult, setPackImportResult] = useState(null)  // { error } or { message }
   const errorTimeoutRef = useRef(null)
+  const spokenClueRef = useRef(null)  // Word whose clue listen first read last
+
+  // Only endless games use the selected word length and language, every other mode uses the classic 5-letter English words
+  // Quiz games use the length of the word being quizzed
+  const boardLength = gameMode === 'endless' ? wordLength : gameMode === 'quiz' ? targetWord.length : DEFAULT_WORD_LENGTH
+  const boardLanguage = gameMode === 'endless' ? language : DEFAULT_LANGUAGE
+  const keyboardRows = KEYBOARD_ROWS[boardLanguage]
+  // activePack is used for new endless games, gamePack is the pack of the game on the board
+  const activePack = getActivePack(wordPacks, activePackId, wordLength, language)
+  const gamePack = gameMode === 'endless' && gamePackId ? wordPacks.find(pack => pack.id === gamePackId) || null : null
+  const packWordList = useMemo(() => gamePack ? createPackWordList(gamePack) : null, [gamePack])
+  const wordList = packWordList || WORD_LISTS[boardLanguage][boardLength]
+  // Each language has its own history
+  const languageHistory = gameHistory.filter(game => getGameLanguage(game) === language)
+  // History modal page from the history store, or from the recent games without IndexedDB
+  const historyPageData = storedHistoryPage ?? getHistoryPage(gameHistory, language, historyPage, HISTORY_PAGE_SIZE)
+  const maxAttempts = gameMode === 'multi' ? getMultiBoardAttempts(targetWords.length) : wordList.maxAttempts
+
+  // The assistant needs a single target, and the daily challenge is kept fair for everyone
+  const isAssistantAvailable = assistantEnabled && (gameMode === 'endless' || gameMode === 'evil')
+
+  // A game counts as started once the first guess is in
+  const isGameInProgress = gameStatus === 'playing' && currentRow > 0
+
+  // Today's daily word was finished elsewhere (e.g. synced from another device) - nothing left to play
+  const isDailyLocked = gameMode === 'daily' && gameStatus === 'playing' && dailyStats.lastPlayedDate === dailyDateKey
+
   const gameEndedRef = useRef(initialState.gameStatus !== 'playing')
   const pendingNewGameRef = useRef(false)
 
@@ -1006,26 +1808,26 @@ function WordWise() {
   useEffect(() => {
     const handleKeyDown = (e) => {
       // Block keyboard input when any modal is open
-      if (showStatsModal || showSettingsModal || showLearnModal || showFeedbackModal || showAPIKeyDialog || showVictoryDialog || showHistoryModal || showAIPanel) {
+      if (showStatsModal || showSettingsModal || showLearnModal || showFeedbackModal || showAPIKeyDialog || showVictoryDialog || showHistoryModal || showReviewModal || showAIPanel || pendingChallenge || reviewSession || showNotebookModal) {
         return
       }
 
-      if (gameStatus !== 'playing') return
+      if (gameStatus !== 'playing' || isDailyLocked) return
 
-      const key = e.key.toUpperCase()
+      const key = normalizeWord(e.key)
 
       if (key === 'ENTER') {
         handleSubmit()
       } else if (key === 'BACKSPACE') {
         handleBackspace()
-      } else if (/^[A-Z]$/.test(key) && currentGuess.length < WORD_LENGTH) {
+      } else if (KEYBOARD_LETTERS[boardLanguage].has(key) && currentGuess.length < boardLength) {
         setCurrentGuess(prev => prev + key)
       }
     }
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [currentGuess, currentRow, gameStatus, showStatsModal, showSettingsModal, showLearnModal, showFeedbackModal, showAPIKeyDialog, showVictoryDialog, showHistoryModal, showAIPanel])
+  }, [currentGuess, currentRow, gameStatus, isDailyLocked, boardLength, boardLanguage, targetWord, targetWords, showStatsModal, showSettingsModal, showLearnModal, showFeedbackModal, showAPIKeyDialog, showVictoryDialog, showHistoryModal, showReviewModal, showAIPanel, pendingChallenge, reviewSession, showNotebookModal])
 
   // Update statistics when game ends
   useEffect(() => {
@@ -1033,6 +1835,8 @@ function WordWise() {
       gameEndedRef.current = true
 
       // Show result dialog immediately
+      setShareCopied(false)
+      setShareFallbackText(null)
       setShowFeedbackModal(true)
     }
   }, [gameStatus])
@@ -1040,16 +1844,39 @@ function WordWise() {
   // Save game state whenever it changes
   useEffect(() => {
     if (gameStatus !== 'playing' || currentRow > 0 || guesses.some(g => g) || currentGuess) {
-      saveGameState({
+      const state = {
         targetWord,
+        wordSource,
         guesses,
         currentGuess,
         currentRow,
         gameStatus,
         keyColors
-      })
+      }
+      if (gameMode === 'daily') {
+        state.dateKey = dailyDateKey
+      }
+      if (gameMode === 'multi') {
+        state.targetWords = targetWords
+      }
+      if (gameMode === 'multi' || gameMode === 'evil' || gameMode === 'quiz' || wordSource === 'challenge' || gamePackId) {
+        state.recorded = gameRecorded
+      }
+      if (gamePackId) {
+        state.packId = gamePackId
+      }
+      if (assisted) {
+        state.assisted = true
+      }
+      if (playedHardMode) {
+        state.hardMode = true
+      }
+      if (guessTimes.length > 0) {
+        state.guessTimes = guessTimes
+      }
+      saveGameState(state, gameMode, wordLength, language)
     }
-  }, [targetWord, guesses, currentGuess, currentRow, gameStatus, keyColors])
+  }, [gameMode, wordLength, language, dailyDateKey, targetWords, gameRecorded, gamePackId, assisted, playedHardMode, guessTimes, targetWord, wordSource, guesses, currentGuess, currentRow, gameStatus, keyColors])
 
   // Cleanup error timeout on unmount
   useEffect(() => {
@@ -1060,6 +1887,41 @@ function WordWise() {
     }
   }, [])
 
+  // Copy the history kept in localStorage into the history store (first start only)
+  useEffect(() => {
+    migrateHistory(loadGameHistory())
+  }, [])
+
+  // Stats are computed from every game in the history store (the recent games without IndexedDB)
+  // whenever a game is added, the history is synced or the word length or language changes
+  useEffect(() => {
+    let cancelled = false
+    loadAllGames().then(games => {
+      if (!cancelled) {
+        const history = games ?? loadGameHistory()
+        setStats(getGameStats(history, wordLength, language))
+        setEvilStats(getEvilStats(history))
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [wordLength, language, gameHistory])
+
+  // The progress and letters tabs use every game in the history store (the recent games without IndexedDB)
+  useEffect(() => {
+    if (!showStatsModal || (statsTab !== 'progress' && statsTab !== 'letters')) return
+    let cancelled = false
+    loadAllGames().then(games => {
+      if (!cancelled) {
+        setHistoryGames(games ?? loadGameHistory())
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [showStatsModal, statsTab, gameHistory])
+
   // Sync on load (only if sync is enabled and sync code exists)
   useEffect(() => {
     const syncOnLoad = async () => {
@@ -1070,7 +1932,7 @@ function WordWise() {
           const remoteData = await fetchSyncData(syncCode)
 
           // Merge with local data
-          const localData = prepareDataForSync()
+          const localData = await prepareDataForSync()
           const mergedData = intelligentMerge(localData, remoteData.data)
 
           // Apply merged data locally
@@ -1087,45 +1949,87 @@ function WordWise() {
     syncOnLoad()
   }, [])  // Only run once on mount
 
-  const updateStatistics = (status, guessCount, source) => {
-    const newStats = { ...stats }
-    newStats.played += 1
-
-    // Track word source
-    if (source === 'ai') {
-      newStats.aiWords = (newStats.aiWords || 0) + 1
-    } else {
-      newStats.listWords = (newStats.listWords || 0) + 1
-    }
-
-    if (status === 'won') {
-      newStats.wins += 1
-      newStats.currentStreak += 1
-      newStats.maxStreak = Math.max(newStats.maxStreak, newStats.currentStreak)
-      newStats.guessDistribution[guessCount - 1] += 1
-      setLastWinRow(guessCount - 1)
-    } else {
-      newStats.currentStreak = 0
-    }
-
-    saveStats(newStats)
-    setStats(newStats)
-  }
-
   const saveGameToHistory = async () => {
     // Save game without understanding rating (rating will be added later from Learn More)
     const result = gameStatus === 'won' ? currentRow + 1 : -1
+    const playedGuesses = guesses.slice(0, currentRow + 1)
+    const playedTimes = guessTimes.slice(0, currentRow + 1)
+
+    if (gameMode === 'daily') {
+      // Daily games have their own stats and don't use up endless words
+      const newDailyStats = updateDailyStatistics(loadDailyStats(), gameStatus, currentRow + 1, dailyDateKey)
+      saveDailyStats(newDailyStats)
+      setDailyStats(newDailyStats)
+      if (gameStatus === 'won') {
+        setLastWinRow(currentRow)
+      }
 
-    // Update statistics
-    updateStatistics(gameStatus, currentRow + 1, wordSource)
+      addGameToHistory(targetWord, result, null, wordSource, 'daily', playedHardMode, false, playedGuesses, playedTimes)
+      setGameHistory(loadGameHistory())
+    } else if (gameMode === 'multi') {
+      // Every board is its own history entry; multi-board games don't use up endless words
+      const boardResults = getMultiBoardResults(guesses, targetWords)
+      // Each board's replay stops at the guess that solved it
+      targetWords.forEach((word, index) => {
+        const boardRows = boardResults[index] > 0 ? boardResults[index] : playedGuesses.length
+        addGameToHistory(word, boardResults[index], null, 'list', 'multi', false, false, playedGuesses.slice(0, boardRows), playedTimes.slice(0, boardRows))
+      })
+      setGameHistory(loadGameHistory())
+      setGameRecorded(true)
+    } else if (gameMode === 'evil') {
+      // Evil games have their own stats (computed from the history) and don't use up endless words
+      // Assisted games don't count toward the stats
+      if (!assisted && gameStatus === 'won') {
+        setLastWinRow(currentRow)
+      }
 
-    // Add to game history without understanding rating
-    addGameToHistory(targetWord, result, null, wordSource)
-    setGameHistory(loadGameHistory())
+      addGameToHistory(targetWord, result, null, 'list', 'evil', playedHardMode, assisted, playedGuesses, playedTimes)
+      setGameHistory(loadGameHistory())
+      setGameRecorded(true)
+    } else if (gameMode === 'quiz') {
+      // Quiz games aren't new history entries, the result becomes the word's understanding rating
+      const understanding = getQuizUnderstanding(result)
+      const isQuizWordGame = game => game.w === targetWord && getGameLanguage(game) === DEFAULT_LANGUAGE
+      const history = loadGameHistory()
+      const lastGame = history.findLast(isQuizWordGame)
+      if (lastGame) {
+        lastGame.u = understanding
+        saveGameHistory(history)
+        setGameHistory(history)
+      }
+      saveNotebook(updateNotebookNote(loadNotebook(), targetWord, 'u', understanding))
+      saveReviewSchedule(recordReview(loadReviewSchedule(), targetWord, getGameReviewQuality(result, understanding)))
+      setGameRecorded(true)
+
+      // Words from before the recent games are only in the history store
+      const storedGame = !lastGame && (await loadAllGames())?.findLast(isQuizWordGame)
+      if (storedGame && await storeGames([{ ...storedGame, u: understanding }])) {
+        setGameHistory(loadGameHistory())
+      }
+    } else {
+      // Assisted games don't count toward the stats
+      if (!assisted && gameStatus === 'won') {
+        setLastWinRow(currentRow)
+      }
+
+      // Add to game history without understanding rating, the stats are computed from it
+      addGameToHistory(targetWord, result, null, wordSource, 'endless', playedHardMode, assisted, playedGuesses, playedTimes, language)
+      setGameHistory(loadGameHistory())
+
+      // Add to used words (challenge words were picked by a friend, they stay available)
+      // Word packs keep their own used words
+      if (wordSource === 'challenge') {
+        setGameRecorded(true)
+      } else {
+        addUsedWord(targetWord, gamePackId, language)
+        setUsedWords(loadUsedWords(wordLength, activePack?.id, language))
+        if (gamePackId) {
+          setGameRecorded(true)
+        }
+      }
+    }
 
-    // Add to used words
-    addUsedWord(targetWord)
-    setUsedWords(loadUsedWords())
+    setReviewSchedule(loadReviewSchedule())
 
     // Trigger cloud sync if enabled
     if (syncEnabled && syncCode) {
@@ -1138,9 +2042,21 @@ function WordWise() {
     }
   }
 
+  // Whether the finished game has already been added to stats and history
+  const isGameRecorded = () => {
+    if (gameMode === 'daily') {
+      return dailyStats.lastPlayedDate === dailyDateKey
+    }
+    if (gameMode === 'multi' || gameMode === 'evil' || gameMode === 'quiz' || wordSource === 'challenge' || gamePackId) {
+      return gameRecorded
+    }
+    // usedWords may belong to the active pack, the game on the board used the standard list
+    return loadUsedWords(wordLength, null, language).has(targetWord)
+  }
+
   const handleCloseFeedback = () => {
     // Save game to history if not already saved
-    if (!usedWords.has(targetWord)) {
+    if (!isGameRecorded()) {
       saveGameToHistory()
     }
     setShowFeedbackModal(false)
@@ -1148,7 +2064,7 @@ function WordWise() {
 
   const handleLearnMore = () => {
     // Save game to history if not already saved (in case they click Learn without closing dialog)
-    if (!usedWords.has(targetWord)) {
+    if (!isGameRecorded()) {
       saveGameToHistory()
     }
     fetchDefinition(targetWord)
@@ -1156,7 +2072,7 @@ function WordWise() {
 
   const handlePlayAgain = () => {
     // Save game to history if not already saved (in case they click Play Again without closing dialog)
-    if (!usedWords.has(targetWord)) {
+    if (!isGameRecorded()) {
       saveGameToHistory()
     }
     startNewGame()
@@ -1166,6 +2082,74 @@ function WordWise() {
     // Save rating to pending storage
     savePendingUnderstanding(rating)
     setPendingUnderstanding(rating)
+
+    // The rating replaces the win/loss guess the game was scheduled with
+    const lastGame = loadGameHistory().at(-1)
+    const schedule = loadReviewSchedule()
+    if (lastGame && lastGame.w === currentLearnWord && schedule[lastGame.w]?.t === lastGame.t) {
+      const newSchedule = rerateLastReview(schedule, lastGame.w, getGameReviewQuality(lastGame.r, rating))
+      saveReviewSchedule(newSchedule)
+      setReviewSchedule(newSchedule)
+    }
+  }
+
+  const loadWordClues = async (word) => {
+    if (wordClues[word]) return
+
+    setWordClues(prev => ({ ...prev, [word]: { loading: true } }))
+    const result = await fetchWordClues(word, wordPacks, { apiKey, aiEnabled })
+    setWordClues(prev => ({ ...prev, [word]: result }))
+  }
+
+  const resetReviewQuestion = () => {
+    setReviewInput('')
+    setReviewHintShown(false)
+    setReviewAnswer(null)
+  }
+
+  const startReviewSession = () => {
+    const words = getDueReviews(reviewSchedule).slice(0, REVIEW_SESSION_SIZE)
+    resetReviewQuestion()
+    spokenClueRef.current = null
+    setReviewSession({ words, index: 0, correct: 0 })
+    if (words.length > 0) {
+      loadWordClues(words[0])
+    }
+  }
+
+  const handleReviewAnswer = (gaveUp = false) => {
+    const word = reviewSession.words[reviewSession.index]
+    const correct = !gaveUp && normalizeWord(reviewInput.trim()) === word
+    const newSchedule = recordReview(reviewSchedule, word, getRecallReviewQuality(correct, reviewHintShown, gaveUp))
+    saveReviewSchedule(newSchedule)
+    setReviewSchedule(newSchedule)
+    setReviewAnswer({ correct, interval: newSchedule[word].i })
+    if (correct) {
+      setReviewSession(prev => ({ ...prev, correct: prev.correct + 1 }))
+    }
+  }
+
+  const handleReviewNext = () => {
+    const index = reviewSession.index + 1
+    resetReviewQuestion()
+    setReviewSession(prev => ({ ...prev, index }))
+    if (index < reviewSession.words.length) {
+      loadWordClues(reviewSession.words[index])
+    }
+  }
+
+  const handleCloseReviewSession = async () => {
+    const reviewed = reviewSession.index > 0 || reviewAnswer !== null
+    setReviewSession(null)
+
+    // Sync the new schedule if any word was reviewed
+    if (reviewed && syncEnabled && syncCode) {
+      try {
+        await handleSyncNow()
+      } catch (error) {
+        console.error('Failed to sync after word review:', error)
+      }
+    }
   }
 
   const handleAIToggle = (enabled) => {
@@ -1188,9 +2172,117 @@ function WordWise() {
     saveExtendedInfo(enabled)
   }
 
-  const handleAddAPIKey = () => {
-    setAPIKeyInput(apiKey || '')
-    setShowAPIKeyDialog(true)
+  // Keep at least one language, in the order they're offered
+  const handleTranslationLanguageToggle = (code) => {
+    const selected = translationLanguages.includes(code)
+    if (selected && translationLanguages.length === 1) return
+
+    const languages = TRANSLATION_LANGUAGES.filter(language =>
+      language === code ? !selected : translationLanguages.includes(language)
+    )
+    setTranslationLanguages(languages)
+    saveTranslationLanguages(languages)
+  }
+
+  const handleWordLengthChange = (length) => {
+    if (length === wordLength) return
+
+    // Each length keeps its own used words, stats and in-progress endless game
+    const lengthPack = getActivePack(wordPacks, activePackId, length, language)
+    const lengthUsedWords = loadUsedWords(length, lengthPack?.id, language)
+    if (gameMode === 'endless') {
+      // The current game is already saved under its own length by the save effect
+      const state = loadOrCreateGameState('endless', lengthUsedWords, length, boardCount, lengthPack, language)
+      if (!state.targetWord) {
+        showError(t('game.allLengthPlayed', { length }))
+        return
+      }
+      applyGameState(state)
+    }
+
+    setWordLength(length)
+    saveWordLength(length)
+    setUsedWords(lengthUsedWords)
+  }
+
+  const handleLanguageChange = (newLanguage) => {
+    if (newLanguage === language) return
+
+    // Each language keeps its own used words, stats, history and in-progress endless game
+    // and falls back to the classic length when it doesn't have the selected one
+    const length = WORD_LISTS[newLanguage][wordLength] ? wordLength : DEFAULT_WORD_LENGTH
+    const languagePack = getActivePack(wordPacks, activePackId, length, newLanguage)
+    const languageUsedWords = loadUsedWords(length, languagePack?.id, newLanguage)
+    if (gameMode === 'endless') {
+      // The current game is already saved under its own language by the save effect
+      const state = loadOrCreateGameState('endless', languageUsedWords, length, boardCount, languagePack, newLanguage)
+      if (!state.targetWord) {
+        showError(t('game.allLanguagePlayed', { language: t(`languages.${newLanguage}`) }))
+        return
+      }
+      applyGameState(state)
+    }
+
+    setLanguage(newLanguage)
+    saveLanguage(newLanguage)
+    if (length !== wordLength) {
+      setWordLength(length)
+      saveWordLength(length)
+    }
+    setUsedWords(languageUsedWords)
+  }
+
+  const handleBoardCountChange = (count) => {
+    if (count === boardCount) return
+    // Board count applies to a whole game, so it can't change once guessing has started
+    if (gameMode === 'multi' && isGameInProgress) {
+      showError(t('settings.boardCountLocked'))
+      return
+    }
+
+    setBoardCount(count)
+    saveBoardCount(count)
+    if (gameMode === 'multi') {
+      startFreshGame(count)
+    }
+  }
+
+  const handleListenFirstChange = (option) => {
+    setListenFirst(option)
+    saveListenFirst(option)
+  }
+
+  const handleAssistantToggle = (enabled) => {
+    setAssistantEnabled(enabled)
+    saveAssistantEnabled(enabled)
+    if (!enabled) {
+      setShowAssistant(false)
+    }
+  }
+
+  const handleShowAssistant = () => {
+    if (showAssistant) {
+      setShowAssistant(false)
+      return
+    }
+    // Looking at the suggestions marks the game as assisted
+    setAssisted(true)
+    setShowAssistant(true)
+  }
+
+  const handleHardModeToggle = (enabled) => {
+    // Hard mode applies to a whole game, so it can't change once guessing has started
+    if (isGameInProgress) {
+      showError(t('settings.hardModeLocked'))
+      return
+    }
+    setHardMode(enabled)
+    saveHardMode(enabled)
+  }
+
+  const handleAddAPIKey = () => {
+    setAPIKeyInput(apiKey || '')
+    setShowAPIKeyDialog(true)
   }
 
   const handleSaveAPIKey = () => {
@@ -1204,7 +2296,7 @@ function WordWise() {
   }
 
   const handleClearAPIKey = () => {
-    if (window.confirm('Remove your API key from this device?')) {
+    if (window.confirm(t('apiKey.confirmRemove'))) {
       saveAPIKey(null)
       setAPIKey(null)
       // Automatically disable AI if it's currently enabled
@@ -1215,43 +2307,86 @@ function WordWise() {
   }
 
   const handleClearUsedWords = () => {
-    if (window.confirm('Are you sure you want to clear all used words? This will allow all words to appear again.')) {
-      clearUsedWords()
+    if (window.confirm(t('stats.confirmClearUsed'))) {
+      clearUsedWords(wordLength, null, language)
       setUsedWords(new Set())
     }
   }
 
   // Cloud Sync handlers
-  const prepareDataForSync = () => {
+  const prepareDataForSync = async () => {
     // Read from localStorage to ensure we have the most recent data
     // (React state updates are async and might not have completed)
     return {
       stats: loadStats(),
-      gameHistory: loadGameHistory(),
+      dailyStats: loadDailyStats(),
+      evilStats: loadEvilStats(),
+      // Every game, the stats on each device are computed from the merged history
+      gameHistory: await loadAllGames() ?? loadGameHistory(),
       usedWords: Array.from(loadUsedWords()),
+      // Stats and used words for the other word lengths and languages
+      variants: Object.fromEntries(
+        Object.entries(WORD_LISTS).flatMap(([variantLanguage, lists]) => Object.keys(lists)
+          .map(Number)
+          .filter(length => variantLanguage !== DEFAULT_LANGUAGE || length !== DEFAULT_WORD_LENGTH)
+          .map(length => [
+            getVariantId(length, variantLanguage),
+            { stats: loadStats(length, variantLanguage), usedWords: Array.from(loadUsedWords(length, null, variantLanguage)) }
+          ])
+        )
+      ),
       settings: {
         aiEnabled: loadAIEnabled(),
         showReasoning: loadShowReasoning(),
         tier2Focus: loadTier2Focus(),
-        extendedInfo: loadExtendedInfo()
+        extendedInfo: loadExtendedInfo(),
+        hardMode: loadHardMode(),
+        uiLanguage: loadUILanguage(),
+        translationLanguages: loadTranslationLanguages()
         // apiKey is explicitly NOT included for security
-      }
+      },
+      reviewSchedule: loadReviewSchedule()
     }
   }
 
   const applyMergedData = (mergedData) => {
-    // Apply merged stats
-    setStats(mergedData.stats)
+    // Apply merged stats baselines
     saveStats(mergedData.stats)
 
-    // Apply merged game history
-    setGameHistory(mergedData.gameHistory)
+    // Apply merged daily challenge stats
+    if (mergedData.dailyStats) {
+      setDailyStats(mergedData.dailyStats)
+      saveDailyStats(mergedData.dailyStats)
+    }
+
+    // Apply merged evil mode stats
+    if (mergedData.evilStats) {
+      saveEvilStats(mergedData.evilStats)
+    }
+
+    // Apply merged game history (localStorage keeps the recent games, the history store all of them)
+    storeGames(mergedData.gameHistory)
     saveGameHistory(mergedData.gameHistory)
+    setGameHistory(loadGameHistory())
 
     // Apply merged used words
-    const mergedUsedWordsSet = new Set(mergedData.usedWords)
-    setUsedWords(mergedUsedWordsSet)
-    saveUsedWords(mergedUsedWordsSet)
+    saveUsedWords(new Set(mergedData.usedWords))
+
+    // Apply merged review schedule
+    if (mergedData.reviewSchedule) {
+      setReviewSchedule(mergedData.reviewSchedule)
+      saveReviewSchedule(mergedData.reviewSchedule)
+    }
+
+    // Apply merged stats and used words for the other word lengths and languages
+    Object.entries(mergedData.variants || {}).forEach(([variantId, variant]) => {
+      const [length, variantLanguage = DEFAULT_LANGUAGE] = variantId.split('-')
+      saveStats(variant.stats, Number(length), variantLanguage)
+      saveUsedWords(new Set(variant.usedWords), Number(length), null, variantLanguage)
+    })
+
+    // Show the used words for the word length and language being played (the stats follow the history)
+    setUsedWords(loadUsedWords(wordLength, activePack?.id, language))
 
     // Apply synced settings
     if (mergedData.settings.aiEnabled !== undefined) {
@@ -1270,6 +2405,18 @@ function WordWise() {
       setExtendedInfo(mergedData.settings.extendedInfo)
       saveExtendedInfo(mergedData.settings.extendedInfo)
     }
+    if (mergedData.settings.translationLanguages !== undefined) {
+      setTranslationLanguages(mergedData.settings.translationLanguages)
+      saveTranslationLanguages(mergedData.settings.translationLanguages)
+    }
+    // Never switch hard mode under a game that is already underway
+    if (mergedData.settings.hardMode !== undefined && !isGameInProgress) {
+      setHardMode(mergedData.settings.hardMode)
+      saveHardMode(mergedData.settings.hardMode)
+    }
+    if (mergedData.settings.uiLanguage !== undefined && mergedData.settings.uiLanguage !== uiLanguage) {
+      onUILanguageChange(mergedData.settings.uiLanguage)
+    }
   }
 
   const handleGenerateSyncCode = async () => {
@@ -1277,7 +2424,7 @@ function WordWise() {
       setSyncStatus('syncing')
       setSyncError(null)
 
-      const localData = prepareDataForSync()
+      const localData = await prepareDataForSync()
       const code = await generateSyncCode(localData)
 
       setSyncCode(code)
@@ -1298,7 +2445,7 @@ function WordWise() {
   const handleEnterSyncCode = async () => {
     const code = syncCodeInput.trim().toUpperCase()
     if (!code || code.length !== 9) {
-      setSyncError('Invalid sync code format. Use XXXX-YYYY format.')
+      setSyncError(t('sync.invalidFormat'))
       return
     }
 
@@ -1310,7 +2457,7 @@ function WordWise() {
       const remoteData = await fetchSyncData(code)
 
       // Merge with local data
-      const localData = prepareDataForSync()
+      const localData = await prepareDataForSync()
       const mergedData = intelligentMerge(localData, remoteData.data)
 
       // Apply merged data
@@ -1344,7 +2491,7 @@ function WordWise() {
       const remoteData = await fetchSyncData(syncCode)
 
       // Merge with local data
-      const localData = prepareDataForSync()
+      const localData = await prepareDataForSync()
       const mergedData = intelligentMerge(localData, remoteData.data)
 
       // Apply merged data locally
@@ -1378,7 +2525,7 @@ function WordWise() {
   }
 
   const handleDisableSync = () => {
-    if (window.confirm('Disable cloud sync? Your sync code will be removed from this device but data in the cloud will remain.')) {
+    if (window.confirm(t('sync.confirmDisable'))) {
       setSyncCode(null)
       saveSyncCode(null)
       setSyncEnabled(false)
@@ -1394,24 +2541,29 @@ function WordWise() {
       setIsLoadingWord(true)
       setCurrentReasoning(null)
 
-      const availableFromList = ANSWER_WORDS.filter(w => !usedWords.has(w))
+      // Read used words from storage, they may have just been cleared by Start Fresh
+      const sourceUsedWords = loadUsedWords(wordLength, activePack?.id, language)
+      const answers = activePack ? activePack.words : WORD_LISTS[language][wordLength].answers
+      const availableFromList = answers.filter(w => !sourceUsedWords.has(w))
+      // The AI sees the recent games from the full history (localStorage games without IndexedDB)
+      const promptHistory = await loadRecentGames(language, PROMPT_HISTORY_SIZE, isPromptGame) ?? getPromptHistory(languageHistory)
 
-      // Check if random mode or insufficient history
-      if (!aiEnabled || gameHistory.length < 5) {
+      // Check if random mode or insufficient history (word packs are always random)
+      if (activePack || !aiEnabled || promptHistory.length < 5) {
         if (availableFromList.length === 0) {
           setShowVictoryDialog(true)
           setIsLoadingWord(false)
           return
         }
         const word = availableFromList[Math.floor(Math.random() * availableFromList.length)]
-        startGameWithWord(word, 'list')
+        startGameWithWord(word, 'list', activePack?.id)
         setIsLoadingWord(false)
         return
       }
 
       // AI mode - check for API key
       if (!apiKey) {
-        alert('Please add your Anthropic API key in the debug panel to use AI word selection.')
+        alert(t('ai.noKey'))
         // Fallback to random
         if (availableFromList.length === 0) {
           setShowVictoryDialog(true)
@@ -1426,16 +2578,16 @@ function WordWise() {
 
       try {
         // Calculate stats for word selection
-        const totalGames = gameHistory.length
-        const wins = gameHistory.filter(g => g.r > 0).length
+        const totalGames = promptHistory.length
+        const wins = promptHistory.filter(g => g.r > 0).length
         const winRate = totalGames > 0 ? Math.round((wins / totalGames) * 100) : 0
-        const wonGames = gameHistory.filter(g => g.r > 0)
+        const wonGames = promptHistory.filter(g => g.r > 0)
         const avgGuesses = wonGames.length > 0
           ? Math.round((wonGames.reduce((sum, g) => sum + g.r, 0) / wonGames.length) * 10) / 10
           : 0
 
         // Format recent 30 games compactly: WORD(result,understanding,source)
-        const recentCompact = gameHistory.slice(0, 30).map(g => {
+        const recentCompact = promptHistory.slice(-PROMPT_HISTORY_SIZE).map(g => {
           let str = `${g.w}(${g.r}`
           if (g.u) str += `,${g.u}`
           str += `,${g.src === 'ai' ? 'a' : 'l'})`
@@ -1447,7 +2599,9 @@ function WordWise() {
           totalGames,
           winRate,
           avgGuesses,
-          recentCompact
+          recentCompact,
+          wordLength,
+          language: LANGUAGE_NAMES[language]
         };
 
         // Only include tier2_section when tier2 focus is enabled
@@ -1466,19 +2620,19 @@ function WordWise() {
         storeTokenUsage(word, 'wordSelection', result.usage)
 
         // Validate word
-        if (!word || word.length !== 5 || !/^[A-Z]+$/.test(word)) {
-          throw new Error('Invalid word format from API')
+        if (!word || word.length !== wordLength || ![...word].every(letter => KEYBOARD_LETTERS[language].has(letter))) {
+          throw new Error(t('ai.invalidWord'))
         }
 
         if (usedWords.has(word)) {
-          throw new Error('API returned already-used word')
+          throw new Error(t('ai.usedWord'))
         }
 
         // Get reasoning if enabled
         let reasoning = null
         if (showReasoning) {
           try {
-            const reasoningResult = await getWordReasoning(word, gameHistory, apiKey)
+            const reasoningResult = await getWordReasoning(word, promptHistory, apiKey)
             reasoning = reasoningResult.text
             setCurrentReasoning(reasoning)
 
@@ -1495,7 +2649,7 @@ function WordWise() {
 
       } catch (error) {
         console.error('AI word selection failed:', error)
-        alert(`AI word selection failed: ${error.message}\nFalling back to random selection.`)
+        alert(t('ai.selectionFailed', { error: error.message }))
 
         // Fallback to random
         if (availableFromList.length === 0) {
@@ -1513,7 +2667,7 @@ function WordWise() {
     }
   }
 
-  const startGameWithWord = (word, source) => {
+  const startGameWithWord = (word, source, packId = null, wordLanguage = language) => {
     // Save pending understanding to most recent game before starting new game
     const pendingRating = loadPendingUnderstanding()
     if (pendingRating !== null) {
@@ -1523,36 +2677,218 @@ function WordWise() {
         history[history.length - 1].u = pendingRating
         saveGameHistory(history)
         setGameHistory(history)
+        saveNotebook(updateNotebookNote(loadNotebook(), history[history.length - 1].w, 'u', pendingRating))
       }
       // Clear pending understanding
       savePendingUnderstanding(null)
       setPendingUnderstanding(null)
     }
 
-    clearGameState()
+    clearGameState('endless', word.length, wordLanguage)
     setTargetWord(word)
     setWordSource(source)
-    setGuesses(Array(MAX_ATTEMPTS).fill(''))
+    setGuesses(Array(WORD_LISTS[wordLanguage][word.length].maxAttempts).fill(''))
+    setGuessTimes([])
+    setGameRecorded(false)
+    setGamePackId(packId)
     setCurrentGuess('')
     setCurrentRow(0)
     setGameStatus('playing')
     setKeyColors({})
+    setAssisted(false)
+    setPlayedHardMode(false)
+    setShowAssistant(false)
     setErrorMessage('')
     setShowGameOverModal(false)
     gameEndedRef.current = false
   }
 
+  // Restore a saved (or freshly created) game into the board state
+  const applyGameState = (state) => {
+    // Set before the status so a finished game doesn't pop the result dialog again
+    gameEndedRef.current = state.gameStatus !== 'playing'
+    setTargetWord(state.targetWord)
+    setWordSource(state.wordSource || 'list')
+    setGuesses(state.guesses)
+    setGuessTimes(state.guessTimes || [])
+    setCurrentGuess(state.currentGuess || '')
+    setCurrentRow(state.currentRow)
+    setGameStatus(state.gameStatus)
+    setKeyColors(state.keyColors || {})
+    setTargetWords(state.targetWords || [])
+    setGameRecorded(!!state.recorded)
+    setGamePackId(state.packId || null)
+    setAssisted(!!state.assisted)
+    setPlayedHardMode(!!state.hardMode)
+    setShowAssistant(false)
+    setErrorMessage('')
+    setLastWinRow(null)
+    if (state.dateKey) {
+      setDailyDateKey(state.dateKey)
+    }
+  }
+
+  // Quiz words come from every stored game (the recent games without IndexedDB)
+  const loadQuizGames = async () => await loadAllGames() ?? loadGameHistory()
+
+  // Start over in multi-board, evil or quiz mode (they don't use the endless word selection)
+  const startFreshGame = async (count = boardCount) => {
+    // Save the finished game to history if not already saved
+    if (gameStatus !== 'playing' && !isGameRecorded()) {
+      saveGameToHistory()
+    }
+    clearGameState(gameMode)
+    // The next quiz word shouldn't be the one just played
+    applyGameState(gameMode === 'quiz' ? createQuizGameState(targetWord, await loadQuizGames()) : createNewGameState(gameMode, usedWords, wordLength, count))
+  }
+
+  const handleGameModeChange = async (mode) => {
+    // Switching to daily also rolls over to a new word after midnight
+    if (mode === gameMode && (mode !== 'daily' || dailyDateKey === getDateKey())) return
+
+    // The current game is already saved under its own mode by the save effect
+    const state = mode === 'quiz'
+      ? loadGameState('quiz') ?? createQuizGameState(null, await loadQuizGames())
+      : loadOrCreateGameState(mode, usedWords, wordLength, boardCount, activePack, language)
+    if (mode === 'endless' && !state.targetWord) {
+      // Every endless word has been used
+      setShowVictoryDialog(true)
+      return
+    }
+    if (mode === 'quiz' && !state.targetWord) {
+      showError(t('quiz.noWords'))
+      return
+    }
+
+    setGameMode(mode)
+    saveGameMode(mode)
+    if (mode !== 'multi' && mode !== 'quiz') {
+      setStatsTab(mode)  // Multi-board and quiz games have no stats tab
+    }
+    applyGameState(state)
+  }
+
+  const closeChallengeDialog = () => {
+    setPendingChallenge(null)
+    // Reloading the page shouldn't bring the challenge back
+    window.history.replaceState(null, '', '#/wordwise')
+  }
+
+  const handleAcceptChallenge = () => {
+    const word = pendingChallenge.word
+    closeChallengeDialog()
+
+    // Save the finished game to history if not already saved
+    if (gameStatus !== 'playing' && !isGameRecorded()) {
+      saveGameToHistory()
+    }
+
+    // Challenges are English endless games with the length of the challenge word
+    if (gameMode !== 'endless') {
+      setGameMode('endless')
+      saveGameMode('endless')
+      setStatsTab('endless')
+    }
+    if (word.length !== wordLength || language !== DEFAULT_LANGUAGE) {
+      setWordLength(word.length)
+      saveWordLength(word.length)
+      setLanguage(DEFAULT_LANGUAGE)
+      saveLanguage(DEFAULT_LANGUAGE)
+      setUsedWords(loadUsedWords(word.length))
+    }
+    startGameWithWord(word, 'challenge', null, DEFAULT_LANGUAGE)
+  }
+
+  const handleCreateChallenge = async () => {
+    const word = challengeWordInput.trim().toUpperCase()
+    setChallengeLink(null)
+    setChallengeLinkCopied(false)
+
+    if (!WORD_LISTS[DEFAULT_LANGUAGE][word.length]) {
+      setChallengeError(t('challenge.lengthError', { min: WORD_LENGTHS[0], max: WORD_LENGTHS[WORD_LENGTHS.length - 1] }))
+      return
+    }
+    if (!WORD_LISTS[DEFAULT_LANGUAGE][word.length].valid.has(word)) {
+      setChallengeError(t('game.notInList'))
+      return
+    }
+
+    const link = `${window.location.origin}${window.location.pathname}#/wordwise/challenge/${encodeChallengeWord(word)}`
+    setChallengeError(null)
+    setChallengeLink(link)
+    try {
+      await navigator.clipboard.writeText(link)
+      setChallengeLinkCopied(true)
+    } catch (error) {
+      // The link is shown below the input, so it can still be copied by hand
+      console.error('Error copying challenge link:', error)
+    }
+  }
+
+  const handleActivePackChange = (packId) => {
+    setActivePackId(packId)
+    saveActivePackId(packId)
+    setUsedWords(loadUsedWords(wordLength, packId))
+  }
+
+  const handlePackFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setPackText(await file.text())
+    if (!packName) {
+      setPackName(file.name.replace(/\.[^.]+$/, ''))
+    }
+  }
+
+  const handleImportPack = () => {
+    const { pack, skipped, error } = parseWordPack(packText, { name: packName, wordLength })
+    if (error) {
+      setPackImportResult({ error })
+      return
+    }
+
+    const newPacks = [...wordPacks, { id: generateUUID(), ...pack }]
+    setWordPacks(newPacks)
+    saveWordPacks(newPacks)
+    setPackText('')
+    setPackName('')
+    setPackImportResult({
+      message: t('packs.imported', { name: pack.name, count: pack.words.length }) +
+        (skipped.length > 0 ? t('packs.skipped', { count: skipped.length, words: `${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? '...' : ''}` }) : '')
+    })
+  }
+
+  const handleDeletePack = (pack) => {
+    if (!window.confirm(t('packs.confirmDelete', { name: pack.name }))) return
+
+    const newPacks = wordPacks.filter(p => p.id !== pack.id)
+    setWordPacks(newPacks)
+    saveWordPacks(newPacks)
+    clearUsedWords(pack.length, pack.id)
+    if (activePackId === pack.id) {
+      handleActivePackChange(null)
+    }
+  }
+
   const handleVictoryStartFresh = () => {
-    if (window.confirm('Are you sure you want to start fresh? This will clear all history, used words, and stats.')) {
-      // Clear all data except AI preference
-      clearUsedWords()
-      resetStats()
-      localStorage.removeItem(HISTORY_KEY)
+    if (activePack) {
+      // Only the pack starts over, history and stats are kept
+      if (window.confirm(t('victory.confirmPackRestart', { name: activePack.name }))) {
+        clearUsedWords(wordLength, activePack.id)
+        setUsedWords(new Set())
+        setShowVictoryDialog(false)
+        startNewGame()
+      }
+      return
+    }
+    if (window.confirm(t('victory.confirmStartFresh'))) {
+      // The history is kept, the new baseline leaves the games played so far out of the stats
+      clearUsedWords(wordLength, null, language)
+      const initialStats = resetStats(wordLength, language)
 
       // Reset state
       setUsedWords(new Set())
-      setGameHistory([])
-      setStats(getInitialStats())
+      setStats(initialStats)
       setShowVictoryDialog(false)
 
       // Start new game
@@ -1571,13 +2907,13 @@ function WordWise() {
   }
 
   const handleKeyClick = (key) => {
-    if (gameStatus !== 'playing') return
+    if (gameStatus !== 'playing' || isDailyLocked) return
 
     if (key === 'ENTER') {
       handleSubmit()
     } else if (key === 'BACKSPACE') {
       handleBackspace()
-    } else if (currentGuess.length < WORD_LENGTH) {
+    } else if (currentGuess.length < boardLength) {
       setCurrentGuess(prev => prev + key)
     }
   }
@@ -1587,31 +2923,69 @@ function WordWise() {
   }
 
   const handleSubmit = () => {
-    if (currentGuess.length !== WORD_LENGTH) return
-    if (currentRow >= MAX_ATTEMPTS) return
+    if (currentGuess.length !== boardLength) return
+    if (currentRow >= maxAttempts) return
+
+    // Compare in the same form as the word lists (composed accents, ß as ẞ)
+    const guess = normalizeWord(currentGuess)
 
     // Validate word
-    if (!VALID_WORDS.has(currentGuess)) {
-      showError('Not in word list')
+    if (!wordList.valid.has(guess)) {
+      showError(t('game.notInList'))
       return
     }
 
+    // Hard mode: revealed hints must be used in every later guess (single board only)
+    if (hardMode && gameMode !== 'multi') {
+      const violation = getHardModeViolation(guess, guesses.slice(0, currentRow), targetWord)
+      if (violation) {
+        showError(violation)
+        return
+      }
+    }
+
+    // The game keeps the hard mode it started with, the setting may change once it's over
+    if (currentRow === 0) {
+      setPlayedHardMode(hardMode && gameMode !== 'multi')
+    }
+
     // Update guesses array
     const newGuesses = [...guesses]
-    newGuesses[currentRow] = currentGuess
+    newGuesses[currentRow] = guess
     setGuesses(newGuesses)
+    setGuessTimes([...guessTimes.slice(0, currentRow), Date.now()])
+
+    // Evil mode: the target moves to whichever feedback keeps the most words possible
+    // (every remaining candidate agrees with the feedback already shown)
+    let target = targetWord
+    if (gameMode === 'evil') {
+      target = pickAdversarialFeedback(guess, getRemainingWords()).candidates[0]
+      setTargetWord(target)
+    }
+
+    // Multi-board: the guess applies to every board, solved boards just stop changing
+    if (gameMode === 'multi') {
+      const status = getMultiBoardStatus(newGuesses, targetWords, maxAttempts)
+      if (status !== 'playing') {
+        setGameStatus(status)
+        return
+      }
+      setCurrentRow(prev => prev + 1)
+      setCurrentGuess('')
+      return
+    }
 
     // Update keyboard colors
-    updateKeyboardColors(currentGuess)
+    updateKeyboardColors(guess, target)
 
     // Check win condition
-    if (currentGuess === targetWord) {
+    if (guess === target) {
       setGameStatus('won')
       return
     }
 
     // Check lose condition
-    if (currentRow === MAX_ATTEMPTS - 1) {
+    if (currentRow === maxAttempts - 1) {
       setGameStatus('lost')
       return
     }
@@ -1621,16 +2995,16 @@ function WordWise() {
     setCurrentGuess('')
   }
 
-  const updateKeyboardColors = (guess) => {
+  const updateKeyboardColors = (guess, target = targetWord) => {
     const newKeyColors = { ...keyColors }
 
     for (let i = 0; i < guess.length; i++) {
       const letter = guess[i]
       const currentColor = newKeyColors[letter]
 
-      if (targetWord[i] === letter) {
+      if (target[i] === letter) {
         newKeyColors[letter] = 'correct'
-      } else if (targetWord.includes(letter) && currentColor !== 'correct') {
+      } else if (target.includes(letter) && currentColor !== 'correct') {
         newKeyColors[letter] = 'present'
       } else if (!newKeyColors[letter]) {
         newKeyColors[letter] = 'absent'
@@ -1640,122 +3014,76 @@ function WordWise() {
     setKeyColors(newKeyColors)
   }
 
-  const getLetterStatus = (letter, position, rowIndex) => {
+  const getLetterStatus = (letter, position, rowIndex, target = targetWord) => {
     if (rowIndex > currentRow) return ''
 
     // If game is still playing and this is the current row being typed, don't evaluate yet
     if (rowIndex === currentRow && gameStatus === 'playing') return ''
 
     const guess = guesses[rowIndex]
-    if (!guess) return ''
-
-    // Count how many times this letter appears in the target word
-    const targetLetterCount = targetWord.split('').filter(l => l === letter).length
-
-    // If this position is an exact match, it's correct (green)
-    if (targetWord[position] === letter) {
-      return 'correct'
-    }
-
-    // For non-exact matches, check if there are available instances of this letter
-    // Count how many of this letter are already "used" (either correct or present before this position)
-    let usedCount = 0
-
-    // Count exact matches (correct/green) for this letter across the whole guess
-    for (let i = 0; i < guess.length; i++) {
-      if (guess[i] === letter && targetWord[i] === letter) {
-        usedCount++
-      }
-    }
-
-    // Count present matches (yellow) that come before this position
-    for (let i = 0; i < position; i++) {
-      if (guess[i] === letter && targetWord[i] !== letter) {
-        // This position has the same letter but not exact match
-        // Check if it would be marked as present (yellow)
-        if (usedCount < targetLetterCount) {
-          usedCount++
-        }
-      }
-    }
-
-    // If the letter exists in target and we haven't used all instances, mark as present
-    if (targetWord.includes(letter) && usedCount < targetLetterCount) {
-      return 'present'
-    }
+    if (!guess || guess[position] !== letter) return ''
 
-    // Otherwise, mark as absent (gray)
-    return 'absent'
+    // Greens first, then yellows left to right while the target still has that letter
+    return getLetterStatuses(guess, target)[position]
   }
 
   // Calculate remaining possible words based on revealed information
   const getRemainingWords = () => {
     const submittedGuesses = guesses.slice(0, currentRow)
 
-    if (submittedGuesses.length === 0 || submittedGuesses.every(g => !g)) {
-      return ANSWER_WORDS
-    }
-
-    return ANSWER_WORDS.filter(word => {
-      // Check if this word is compatible with all guesses
-      for (let guessIndex = 0; guessIndex < submittedGuesses.length; guessIndex++) {
-        const guess = submittedGuesses[guessIndex]
-        if (!guess) continue
-
-        for (let i = 0; i < WORD_LENGTH; i++) {
-          const letter = guess[i]
-          const status = getLetterStatus(letter, i, guessIndex)
-
-          if (status === 'correct') {
-            // Green: word must have this letter at this position
-            if (word[i] !== letter) return false
-          } else if (status === 'present') {
-            // Yellow: word must contain this letter but NOT at this position
-            if (!word.includes(letter)) return false
-            if (word[i] === letter) return false
-          } else if (status === 'absent') {
-            // Gray: word must not contain this letter
-            if (word.includes(letter)) return false
-          }
-        }
-      }
-      return true
-    })
+    // Multi-board games have no single target to narrow down
+    if (gameMode === 'multi' || submittedGuesses.length === 0 || submittedGuesses.every(g => !g)) {
+      return wordList.answers
+    }
+
+    // Keep the words that would have produced exactly the same colors
+    return filterCandidates(wordList.answers, submittedGuesses, targetWord)
   }
 
   const resetGame = () => {
     // Save game to history if not already saved
-    if (!usedWords.has(targetWord)) {
+    if (!isGameRecorded()) {
       saveGameToHistory()
     }
     startNewGame()
   }
 
+  const handlePlayEndless = () => {
+    // Save daily game to history if not already saved
+    if (!isGameRecorded()) {
+      saveGameToHistory()
+    }
+    handleGameModeChange('endless')
+  }
+
   const handleResetStats = () => {
-    if (window.confirm('Are you sure you want to reset all statistics? This cannot be undone.')) {
-      const newStats = resetStats()
+    if (window.confirm(t('stats.confirmReset'))) {
+      const newStats = resetStats(wordLength, language)
       setStats(newStats)
       setLastWinRow(null)
     }
   }
 
 
-  const fetchDefinition = async (word) => {
+  const fetchDefinition = async (word, wordLanguage = boardLanguage) => {
     setDefinitionLoading(true)
     setDefinitionError(null)
     setShowLearnModal(true)
     setCurrentLearnWord(word)
     setLearnTab('definition')
 
-    try {
-      const response = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word.toLowerCase()}`)
-
-      if (!response.ok) {
-        throw new Error('Definition not available')
-      }
+    // The dictionary only has English words
+    if (wordLanguage !== DEFAULT_LANGUAGE) {
+      setDefinitionError(t('learn.languageUnavailable', { language: t(`languages.${wordLanguage}`) }))
+      setDefinitionLoading(false)
+      return
+    }
 
-      const data = await response.json()
-      setDefinitionData(data)
+    try {
+      const { entries, provider } = await loadDefinition(word, { apiKey, aiEnabled })
+      cacheNotebookDefinition(word, entries)
+      setDefinitionData(entries)
+      setDefinitionProvider(provider)
     } catch (error) {
       setDefinitionError(error.message)
     } finally {
@@ -1764,8 +3092,8 @@ function WordWise() {
   }
 
   const fetchExtendedInfo = async (word) => {
-    // Check if already fetched for this word
-    if (extendedInfoData[word]) {
+    // Check if already fetched for this word in every chosen language
+    if (hasTranslations(extendedInfoData[word], translationLanguages)) {
       return
     }
 
@@ -1773,11 +3101,18 @@ function WordWise() {
     setExtendedInfoError(null)
 
     try {
-      const result = await getExtendedWordInfo(word, apiKey)
+      const cached = await getCachedWord('extended', word)
+      if (hasTranslations(cached, translationLanguages)) {
+        setExtendedInfoData(prev => ({ ...prev, [word]: cached }))
+        return
+      }
+
+      const result = await getExtendedWordInfo(word, apiKey, translationLanguages)
       setExtendedInfoData(prev => ({
         ...prev,
         [word]: result.data
       }))
+      cacheWord('extended', word, result.data)
 
       // Store extended info token usage
       storeTokenUsage(word, 'extendedInfo', result.usage)
@@ -1788,33 +3123,126 @@ function WordWise() {
     }
   }
 
+  const openSettings = () => {
+    setShowSettingsModal(true)
+    getWordCacheStats().then(setWordCacheStats)
+  }
+
+  const handleClearWordCache = async () => {
+    await clearWordCache()
+    setWordCacheStats({ count: 0, bytes: 0 })
+  }
+
   const handleLearnTabChange = (tab) => {
     setLearnTab(tab)
 
     // Lazy load extended info when switching to Etymology or Translations tab
-    if ((tab === 'etymology' || tab === 'translations') && extendedInfo && currentLearnWord && !extendedInfoData[currentLearnWord] && !extendedInfoLoading) {
+    if ((tab === 'etymology' || tab === 'translations') && extendedInfo && currentLearnWord && !hasTranslations(extendedInfoData[currentLearnWord], translationLanguages) && !extendedInfoLoading) {
       fetchExtendedInfo(currentLearnWord)
     }
   }
 
   const handleEnableExtendedInfo = () => {
     handleExtendedInfoToggle(true)
-    if (currentLearnWord && !extendedInfoData[currentLearnWord]) {
+    if (currentLearnWord && !hasTranslations(extendedInfoData[currentLearnWord], translationLanguages)) {
       fetchExtendedInfo(currentLearnWord)
     }
   }
 
   const handleLearnClick = () => {
     // Save game to history if not already saved
-    if (!usedWords.has(targetWord)) {
+    if (!isGameRecorded()) {
       saveGameToHistory()
     }
     fetchDefinition(targetWord)
   }
 
+  const handleShareClick = async () => {
+    const text = buildShareText(guesses, gameMode === 'multi' ? targetWords : [targetWord], {
+      mode: wordSource === 'challenge' ? 'challenge' : gameMode,
+      maxAttempts,
+      hardMode: playedHardMode,
+      dailyNumber
+    })
+
+    try {
+      await navigator.clipboard.writeText(text)
+      setShareCopied(true)
+    } catch (error) {
+      // No clipboard access (older browsers, insecure context): let the player copy it by hand
+      console.error('Error copying result:', error)
+      setShareFallbackText(text)
+    }
+  }
+
+  const handleReviewClick = () => {
+    // Save game to history if not already saved
+    if (!isGameRecorded()) {
+      saveGameToHistory()
+    }
+    setShowFeedbackModal(false)
+    setShowReviewModal(true)
+  }
+
+  const handleBoardLearnClick = (word) => {
+    // Save game to history if not already saved
+    if (!isGameRecorded()) {
+      saveGameToHistory()
+    }
+    fetchDefinition(word)
+  }
+
+  const showHistoryPage = async (page) => {
+    const pageData = await loadHistoryPage(language, page, HISTORY_PAGE_SIZE)
+    setHistoryPage(page)
+    setStoredHistoryPage(pageData)
+  }
+
+  const handleReplayClick = (entry) => {
+    setReplayEntry(entry)
+    setReplayStep(0)
+  }
+
   const handleHistoryLearnClick = (word) => {
     setShowHistoryModal(false)
-    fetchDefinition(word)
+    fetchDefinition(word, language)
+  }
+
+  const openNotebook = async () => {
+    // Used words of every length, language and word pack, for words played before the notebook kept notes
+    const usedWordGroups = [
+      ...Object.entries(WORD_LISTS).flatMap(([listLanguage, lists]) => Object.keys(lists).map(length => ({
+        words: Array.from(loadUsedWords(Number(length), null, listLanguage)),
+        language: listLanguage,
+        source: 'list'
+      }))),
+      ...wordPacks.map(pack => ({ words: Array.from(loadUsedWords(pack.length, pack.id)), language: DEFAULT_LANGUAGE, source: pack.name }))
+    ]
+    // Every game in the history store (the recent games without IndexedDB)
+    const history = await loadAllGames() ?? loadGameHistory()
+    setNotebookRows(buildNotebook(loadNotebook(), history, usedWordGroups))
+    setShowNotebookModal(true)
+  }
+
+  const handleNotebookStar = (word) => {
+    const starred = !notebookRows.find(row => row.word === word).starred
+    saveNotebook(updateNotebookNote(loadNotebook(), word, 's', starred))
+    setNotebookRows(rows => rows.map(row => row.word === word ? { ...row, starred } : row))
+  }
+
+  const handleNotebookLearnClick = (row) => {
+    setShowNotebookModal(false)
+    fetchDefinition(row.word, row.language)
+  }
+
+  const handleNotebookExport = (format) => {
+    const rows = filterNotebook(notebookRows, { query: notebookQuery, rating: notebookRating, starred: notebookStarred })
+    if (format === 'anki') {
+      downloadFile(`wordwise-anki-${getDateKey()}.txt`, buildAnkiExport(rows), 'text/tab-separated-values;charset=utf-8')
+    } else {
+      // The byte order mark makes spreadsheet apps read umlauts and Croatian letters as UTF-8
+      downloadFile(`wordwise-notebook-${getDateKey()}.csv`, '\uFEFF' + buildNotebookCSV(rows), 'text/csv;charset=utf-8')
+    }
   }
 
   const closeLearnModal = () => {
@@ -1829,53 +3257,560 @@ function WordWise() {
   // Get remaining words for debug panel - only recalculate when guesses or currentRow changes
   const remainingWords = useMemo(() => {
     return getRemainingWords()
-  }, [guesses, currentRow, targetWord])
+  }, [guesses, currentRow, targetWord, gameMode])
+
+  // One array per word list, so rankings of a board state are cached across renders
+  const guessWords = useMemo(() => Array.from(wordList.valid), [wordList])
+
+  // Guess assistant: rank the allowed guesses against the remaining words
+  // Deferred so the panel can show that it's calculating first
+  useEffect(() => {
+    if (!showAssistant || !isAssistantAvailable) return
+
+    setAssistantSuggestions(null)
+    const timeout = setTimeout(() => {
+      setAssistantSuggestions(rankGuesses(guessWords, remainingWords))
+    }, 0)
+    return () => clearTimeout(timeout)
+  }, [showAssistant, isAssistantAvailable, remainingWords, guessWords])
+
+  // Definition quiz: load the clue for the word on the board
+  useEffect(() => {
+    if (gameMode !== 'quiz' || wordClues[targetWord]) return
+
+    setWordClues(prev => ({ ...prev, [targetWord]: { loading: true } }))
+    fetchWordClues(targetWord, wordPacks, { apiKey, aiEnabled }).then(result => {
+      setWordClues(prev => ({ ...prev, [targetWord]: result }))
+    })
+  }, [gameMode, targetWord, wordClues, wordPacks, apiKey, aiEnabled])
+
+  // Listen first: read the quiz or review clue aloud once it has loaded
+  useEffect(() => {
+    if (listenFirst === 'off') return
+
+    const word = reviewSession
+      ? reviewSession.words[reviewSession.index]
+      : gameMode === 'quiz' && gameStatus === 'playing' ? targetWord : null
+    const clue = word && wordClues[word]
+    if (!clue || clue.loading || spokenClueRef.current === word) return
+
+    spokenClueRef.current = word
+    speakClue(word, clue, listenFirst)
+  }, [listenFirst, reviewSession, gameMode, gameStatus, targetWord, wordClues])
+
+  // History replay: reveal one row at a time
+  useEffect(() => {
+    if (!replayEntry || replayStep >= replayEntry.g.length) return
+
+    const timeout = setTimeout(() => setReplayStep(step => step + 1), REPLAY_ROW_DELAY)
+    return () => clearTimeout(timeout)
+  }, [replayEntry, replayStep])
+
+  // Post-game review: replay every guess against the answer list
+  // One row at a time, so the rows show up while the rest is still analyzed
+  useEffect(() => {
+    if (!showReviewModal) return
+
+    const reviewGuesses = guesses.filter(Boolean)
+    let candidates = wordList.answers
+    let timeout = null
+    const analyzeNext = (index) => {
+      timeout = setTimeout(() => {
+        const { row, remaining } = analyzeGuess(reviewGuesses[index], targetWord, candidates, guessWords)
+        candidates = remaining
+        setReviewRows(rows => [...rows, row])
+        if (index + 1 < reviewGuesses.length) analyzeNext(index + 1)
+      }, 0)
+    }
+
+    setReviewRows([])
+    if (reviewGuesses.length > 0) analyzeNext(0)
+    return () => clearTimeout(timeout)
+  }, [showReviewModal, guesses, targetWord, wordList, guessWords])
+
+  const isReviewPending = reviewRows === null || reviewRows.length < guesses.filter(Boolean).length
 
   const shuffledRemainingWords = useMemo(() => {
     return shuffleArray(remainingWords).slice(0, 10)
   }, [remainingWords])
 
   // Calculate win percentage
-  const winPercentage = stats.played > 0 ? Math.round((stats.wins / stats.played) * 100) : 0
+  const getWinPercentage = (s) => s.played > 0 ? Math.round((s.wins / s.played) * 100) : 0
+
+  // Definition from an imported word pack, shown alongside the dictionary's
+  const packDefinition = currentLearnWord && wordPacks
+    .filter(pack => pack.definitions?.[currentLearnWord])
+    .map(pack => ({ packName: pack.name, text: pack.definitions[currentLearnWord] }))[0]
+
+  const dueReviewCount = getDueReviews(reviewSchedule).length
+  const visibleNotebookRows = showNotebookModal
+    ? filterNotebook(notebookRows, { query: notebookQuery, rating: notebookRating, starred: notebookStarred })
+    : []
+  const getNotebookSourceLabel = (source) => NOTEBOOK_SOURCES.includes(source) ? t(`notebook.source.${source}`) : source
+  const reviewWord = reviewSession?.words[reviewSession.index]
+  const reviewDefinition = reviewWord && wordClues[reviewWord]
+  const quizClue = gameMode === 'quiz' ? wordClues[targetWord] : null
+  const pronunciations = getPronunciations(definitionData)
+  const quizHintLetters = gameMode === 'quiz' ? getQuizHintLetters(targetWord, guesses.slice(0, currentRow + (gameStatus === 'playing' ? 0 : 1))) : []
+
+  const dailyNumber = getDailyNumber(new Date(`${dailyDateKey}T00:00:00`))
+
+  // Stats modal sections shared by the endless, daily and evil tabs
+  const renderStatsGrid = (s, currentStreak) => (
+    <div className="stats-grid">
+      <div className="stat-item">
+        <div className="stat-value">{formatNumber(s.played)}</div>
+        <div className="stat-label">{t('stats.played')}</div>
+      </div>
+      <div className="stat-item">
+        <div className="stat-value">{getWinPercentage(s)}</div>
+        <div className="stat-label">{t('stats.winPercent')}</div>
+      </div>
+      <div className="stat-item">
+        <div className="stat-value">{formatNumber(currentStreak)}</div>
+        <div className="stat-label">{t('stats.currentStreak')}</div>
+      </div>
+      <div className="stat-item">
+        <div className="stat-value">{formatNumber(s.maxStreak)}</div>
+        <div className="stat-label">{t('stats.maxStreak')}</div>
+      </div>
+    </div>
+  )
 
-  // Get max value for bar chart scaling
-  const maxDistribution = Math.max(...stats.guessDistribution, 1)
+  const renderGuessDistribution = (s, mode) => {
+    // Get max value for bar chart scaling
+    const maxDistribution = Math.max(...s.guessDistribution, 1)
+
+    return (
+      <div className="guess-distribution">
+        <h3>{t('stats.distribution')}</h3>
+        <div className="distribution-chart">
+          {s.guessDistribution.map((count, index) => {
+            const percentage = maxDistribution > 0 ? (count / maxDistribution) * 100 : 0
+            const isLastWin = lastWinRow === index && gameStatus === 'won' && gameMode === mode
+
+            return (
+              <div key={index} className="distribution-row">
+                <div className="distribution-label">{index + 1}</div>
+                <div className="distribution-bar-container">
+                  <div
+                    className={`distribution-bar ${isLastWin ? 'highlight' : ''}`}
+                    style={{ width: `${Math.max(percentage, count > 0 ? 7 : 0)}%` }}
+                  >
+                    <span className="distribution-count">{formatNumber(count)}</span>
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    )
+  }
 
-  return (
-    <div className="wordwise-container">
-      {/* Top Action Buttons */}
-      <div className="top-action-buttons">
-        <button
-          className="icon-button"
-          onClick={() => setShowStatsModal(true)}
-          title="Statistics"
-        >
-          📊
-        </button>
-        <button
-          className="icon-button"
-          onClick={() => {
-            setHistoryPage(0)
-            setShowHistoryModal(true)
-          }}
-          title="Word History"
-        >
-          📜
-        </button>
-        <button
-          className="icon-button"
-          onClick={() => setShowSettingsModal(true)}
-          title="Settings"
-        >
-          ⚙️
-        </button>
-        {import.meta.env.DEV && (
-          <>
-            <button
-              className="icon-button"
-              onClick={() => setShowDebugPanel(!showDebugPanel)}
-              title="Debug Panel"
-            >
+  // Progress tab charts: inline SVG, null values leave gaps
+  const formatChartDate = (date) => formatDate(date, { day: 'numeric', month: 'short' })
+  const formatRate = (value) => formatNumber(value / 100, { style: 'percent' })
+
+  const renderChartScale = (min, max, format) => (
+    <>
+      <line className="chart-grid" x1="0" y1="0" x2={CHART_WIDTH} y2="0" />
+      <line className="chart-axis" x1="0" y1={CHART_HEIGHT} x2={CHART_WIDTH} y2={CHART_HEIGHT} />
+      <text className="chart-scale" x="-4" y="4">{format(max)}</text>
+      <text className="chart-scale" x="-4" y={CHART_HEIGHT + 4}>{format(min)}</text>
+    </>
+  )
+
+  const renderChartLabels = (points) => (
+    <div className="chart-labels">
+      <span>{points[0].label}</span>
+      {points.length > 1 && <span>{points[points.length - 1].label}</span>}
+    </div>
+  )
+
+  const renderLineChart = (title, points, { min = 0, max, format }) => {
+    const x = (index) => points.length > 1 ? (index / (points.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2
+    const y = (value) => CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT
+    // A point without a value ends the line, the next one starts a new one
+    const lines = points.reduce((segments, point, index) => {
+      if (point.value === null) {
+        segments.push([])
+      } else {
+        segments[segments.length - 1].push(`${x(index)},${y(point.value)}`)
+      }
+      return segments
+    }, [[]]).filter(segment => segment.length > 1)
+
+    return (
+      <div className="progress-chart">
+        <h3>{title}</h3>
+        <svg className="chart" viewBox={`-32 -8 ${CHART_WIDTH + 40} ${CHART_HEIGHT + 16}`} role="img" aria-label={title}>
+          {renderChartScale(min, max, format)}
+          {lines.map((segment, index) => (
+            <polyline key={index} className="chart-line" points={segment.join(' ')} />
+          ))}
+          {points.map((point, index) => point.value !== null && (
+            <circle key={index} className="chart-point" cx={x(index)} cy={y(point.value)} r="3">
+              <title>{`${point.title ?? point.label}: ${format(point.value)}`}</title>
+            </circle>
+          ))}
+        </svg>
+        {renderChartLabels(points)}
+      </div>
+    )
+  }
+
+  const renderBarChart = (title, bars) => {
+    const max = Math.max(...bars.map(bar => bar.value), 1)
+    const width = CHART_WIDTH / bars.length
+
+    return (
+      <div className="progress-chart">
+        <h3>{title}</h3>
+        <svg className="chart" viewBox={`-32 -8 ${CHART_WIDTH + 40} ${CHART_HEIGHT + 16}`} role="img" aria-label={title}>
+          {renderChartScale(0, max, formatNumber)}
+          {bars.map((bar, index) => (
+            <rect
+              key={index}
+              className="chart-bar"
+              x={index * width + width * 0.15}
+              y={CHART_HEIGHT - (bar.value / max) * CHART_HEIGHT}
+              width={width * 0.7}
+              height={(bar.value / max) * CHART_HEIGHT}
+            >
+              <title>{`${bar.label}: ${formatNumber(bar.value)}`}</title>
+            </rect>
+          ))}
+        </svg>
+        {renderChartLabels(bars)}
+      </div>
+    )
+  }
+
+  // One horizontal bar per row: {key, label, value, text, className}
+  const renderHorizontalBars = (title, rows, max) => (
+    <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${rows.length * 24 - 4}`} role="img" aria-label={title}>
+      {rows.map((row, index) => {
+        const width = row.value === null ? 0 : (row.value / max) * (CHART_WIDTH - 160)
+        return (
+          <g key={row.key} transform={`translate(0, ${index * 24})`}>
+            <text className="chart-source" x="0" y="14">{row.label}</text>
+            <rect className={`chart-bar ${row.className || ''}`} x="80" y="2" width={width} height="16" />
+            <text className="chart-value" x={86 + width} y="14">{row.text}</text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+
+  const renderSourceBars = (title, comparison, key, max, format) => (
+    <>
+      <h4>{title}</h4>
+      {renderHorizontalBars(title, [['ai', t('stats.aiLabel')], ['list', t('stats.randomLabel')]].map(([source, label]) => {
+        const value = comparison[source][key]
+        return { key: source, label, value, text: value === null ? '–' : format(value), className: source }
+      }), max)}
+    </>
+  )
+
+  // Day streak and a calendar of the days played, in every language
+  const renderDayStreak = (allGames) => {
+    const streak = getDayStreak(allGames)
+    const frozenDays = new Set(streak.frozenDays)
+    const calendar = getPlayCalendar(allGames, CALENDAR_WEEKS)
+    const level = (count) => count === 0 ? 0 : count === 1 ? 1 : count <= 3 ? 2 : count <= 6 ? 3 : 4
+
+    return (
+      <div className="progress-chart">
+        <h3>{t('stats.dayStreak')}</h3>
+        <div className="stats-grid">
+          <div className="stat-item">
+            <div className="stat-value">{formatNumber(streak.current)}</div>
+            <div className="stat-label">{t('stats.currentDays')}</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-value">{formatNumber(streak.best)}</div>
+            <div className="stat-label">{t('stats.bestDays')}</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-value">{'❄️'.repeat(streak.freezes) || '–'}</div>
+            <div className="stat-label">{t('stats.freezes')}</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-value">{formatNumber(streak.daysPlayed)}</div>
+            <div className="stat-label">{t('stats.daysPlayed')}</div>
+          </div>
+        </div>
+        {!streak.playedToday && streak.current > 0 && (
+          <p className="progress-note">{t('stats.keepStreak')}</p>
+        )}
+        <svg
+          className="chart play-calendar"
+          viewBox={`0 -14 ${CALENDAR_WEEKS * CALENDAR_CELL} ${7 * CALENDAR_CELL + 14}`}
+          role="img"
+          aria-label={t('stats.dayStreak')}
+        >
+          {calendar.map((week, weekIndex) => (
+            <g key={weekIndex} transform={`translate(${weekIndex * CALENDAR_CELL}, 0)`}>
+              {/* Month name above its first Monday */}
+              {Number(week[0].date.slice(8)) <= 7 && (
+                <text className="chart-scale calendar-month" x="0" y="-4">
+                  {formatDate(`${week[0].date}T00:00:00`, { month: 'short' })}
+                </text>
+              )}
+              {week.map((day, dayIndex) => (
+                <rect
+                  key={day.date}
+                  className={`calendar-day level-${level(day.count)} ${frozenDays.has(day.date) ? 'frozen' : ''}`}
+                  y={dayIndex * CALENDAR_CELL}
+                  width={CALENDAR_CELL - 2}
+                  height={CALENDAR_CELL - 2}
+                  rx="2"
+                >
+                  <title>
+                    {`${formatDate(`${day.date}T00:00:00`)}: ${frozenDays.has(day.date) ? t('stats.frozenDay') : t('stats.gamesOnDay', { count: day.count })}`}
+                  </title>
+                </rect>
+              ))}
+            </g>
+          ))}
+        </svg>
+        <p className="progress-note">{t('stats.freezeNote', { days: STREAK_FREEZE_DAYS, max: MAX_STREAK_FREEZES })}</p>
+      </div>
+    )
+  }
+
+  const renderProgress = (allGames) => {
+    if (allGames.length === 0) {
+      return <p className="stats-word-length">{t('stats.progressEmpty')}</p>
+    }
+
+    const games = allGames.filter(game => getGameLanguage(game) === language)
+    if (games.length === 0) {
+      return <div className="progress-dashboard">{renderDayStreak(allGames)}</div>
+    }
+
+    const weeks = getWeeklyProgress(games).map(week => {
+      const label = formatChartDate(`${week.week}T00:00:00`)
+      return { ...week, label, title: t('stats.weekOf', { date: label }) }
+    })
+    const understanding = getRollingUnderstanding(games).map(point => ({ ...point, label: formatChartDate(point.t) }))
+    const comparison = getSourceComparison(games)
+    const days = getGamesPerDay(games).map(day => ({ value: day.count, label: formatChartDate(`${day.date}T00:00:00`) }))
+    const maxGuesses = Math.max(6, ...weeks.map(week => week.avgGuesses ?? 0))
+
+    return (
+      <div className="progress-dashboard">
+        {renderDayStreak(allGames)}
+        {renderLineChart(t('stats.weeklyWinRate'), weeks.map(week => ({ ...week, value: week.winRate })), { max: 100, format: formatRate })}
+        {renderLineChart(t('stats.weeklyGuesses'), weeks.map(week => ({ ...week, value: week.avgGuesses })), { min: 1, max: maxGuesses, format: formatNumber })}
+        {understanding.length > 0 && renderLineChart(t('stats.understanding'), understanding, { min: 1, max: 10, format: formatNumber })}
+        {(comparison.ai.games > 0 || comparison.list.games > 0) && (
+          <div className="progress-chart">
+            <h3>{t('stats.sourceComparison')}</h3>
+            <p className="progress-note">{t('stats.sourceGames', { ai: comparison.ai.games, list: comparison.list.games })}</p>
+            {renderSourceBars(t('stats.winRate'), comparison, 'winRate', 100, formatRate)}
+            {renderSourceBars(t('stats.avgGuesses'), comparison, 'avgGuesses', maxGuesses, formatNumber)}
+          </div>
+        )}
+        {renderBarChart(t('stats.gamesPerDay'), days)}
+      </div>
+    )
+  }
+
+  const renderLetters = (allGames) => {
+    const games = allGames.filter(game => getGameLanguage(game) === language)
+    const missedLetters = getMissedLetters(games).slice(0, MISSED_LETTER_COUNT)
+    if (missedLetters.length === 0) {
+      return <p className="stats-word-length">{t('stats.lettersEmpty')}</p>
+    }
+
+    const positions = getPositionMisses(games)
+    const openers = getOpenerStats(games)
+    const usage = getLetterUsage(games)
+    const maxUsage = Math.max(...Object.values(usage), 1)
+
+    return (
+      <div className="progress-dashboard">
+        <div className="progress-chart">
+          <h3>{t('stats.missedLetters')}</h3>
+          <p className="progress-note">{t('stats.missedLettersDescription')}</p>
+          {renderHorizontalBars(t('stats.missedLetters'), missedLetters.map(counts => ({
+            key: counts.letter,
+            label: counts.letter,
+            value: counts.rate,
+            text: t('stats.missedOf', { percent: formatRate(counts.rate), missed: counts.missed, games: counts.games })
+          })), 100)}
+        </div>
+
+        <div className="progress-chart">
+          <h3>{t('stats.missedPositions')}</h3>
+          <p className="progress-note">{t('stats.missedPositionsDescription')}</p>
+          {renderHorizontalBars(t('stats.missedPositions'), positions.map(counts => ({
+            key: counts.position,
+            label: formatOrdinal(counts.position),
+            value: counts.rate,
+            text: formatRate(counts.rate)
+          })), 100)}
+        </div>
+
+        {openers.length > 0 && (
+          <div className="progress-chart">
+            <h3>{t('stats.openers')}</h3>
+            <table className="assistant-table">
+              <thead>
+                <tr>
+                  <th>{t('stats.opener')}</th>
+                  <th>{t('stats.openerGames')}</th>
+                  <th>{t('stats.winRate')}</th>
+                  <th>{t('stats.avgGuesses')}</th>
+                  <th>{t('stats.openerFound')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {openers.map(opener => (
+                  <tr key={opener.word}>
+                    <td>{opener.word}</td>
+                    <td>{formatNumber(opener.games)}</td>
+                    <td>{formatRate(opener.winRate)}</td>
+                    <td>{opener.avgGuesses === null ? '–' : formatNumber(opener.avgGuesses)}</td>
+                    <td>{formatNumber(opener.revealed)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Keyboard heatmap: the more a letter was guessed, the stronger its key */}
+        <div className="progress-chart">
+          <h3>{t('stats.letterUsage')}</h3>
+          <div className="letter-heatmap">
+            {KEYBOARD_ROWS[language].map((row, rowIndex) => (
+              <div key={rowIndex} className="heatmap-row">
+                {row.filter(key => key.length === 1).map(key => {
+                  const heat = Math.round(((usage[key] || 0) / maxUsage) * 100)
+                  return (
+                    <span
+                      key={key}
+                      className={`heatmap-key ${heat > 50 ? 'hot' : ''}`}
+                      style={{ backgroundColor: `color-mix(in srgb, var(--primary) ${heat}%, var(--bg))` }}
+                      title={`${key}: ${formatNumber(usage[key] || 0)}`}
+                    >
+                      {key}
+                    </span>
+                  )
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const multiBoardResults = gameMode === 'multi' ? getMultiBoardResults(guesses, targetWords) : []
+
+  // Evil mode: words still possible after each submitted guess
+  const candidateCounts = useMemo(() => {
+    if (gameMode !== 'evil') return null
+    const submittedRows = gameStatus === 'playing' ? currentRow : currentRow + 1
+    return guesses.map((_, rowIndex) => rowIndex < submittedRows
+      ? filterCandidates(ANSWER_WORDS, guesses.slice(0, rowIndex + 1), targetWord).length
+      : null
+    )
+  }, [gameMode, gameStatus, guesses, currentRow, targetWord])
+  const evilRemaining = candidateCounts
+    ? [...candidateCounts].reverse().find(count => count !== null) ?? ANSWER_WORDS.length
+    : null
+
+  // Multi-board keyboard: one color per board (solved boards stay neutral)
+  const boardKeyStatuses = gameMode === 'multi'
+    ? targetWords.map(word => guesses.includes(word) ? {} : getKeyboardStatuses(guesses, word))
+    : null
+
+  // Rows of one board; a solved board stops at the row that solved it
+  const renderGuessRows = (target, solvedRow = -1, rowCounts = null) => guesses.map((guess, rowIndex) => (
+    <div key={rowIndex} className="guess-row">
+      {Array(boardLength).fill('').map((_, colIndex) => {
+        const isCurrentRow = rowIndex === currentRow
+        const isAfterSolve = solvedRow >= 0 && rowIndex > solvedRow
+        const letter = isAfterSolve
+          ? ''
+          : isCurrentRow
+            ? currentGuess[colIndex] || ''
+            : guess[colIndex] || ''
+        const status = getLetterStatus(letter, colIndex, rowIndex, target)
+
+        return (
+          <div
+            key={colIndex}
+            className={`letter-box ${status}`}
+          >
+            {letter}
+          </div>
+        )
+      })}
+      {rowCounts && rowCounts[rowIndex] !== null && (
+        <span className="candidate-count" title={t('board.wordsPossible')}>{formatNumber(rowCounts[rowIndex])}</span>
+      )}
+    </div>
+  ))
+
+  return (
+    <div className="wordwise-container">
+      {/* Top Action Buttons */}
+      <div className="top-action-buttons">
+        <button
+          className="icon-button"
+          onClick={() => setShowStatsModal(true)}
+          title={t('nav.statistics')}
+        >
+          📊
+        </button>
+        <button
+          className="icon-button"
+          onClick={() => {
+            setStoredHistoryPage(null)
+            showHistoryPage(0)
+            setReplayEntry(null)
+            setShowHistoryModal(true)
+          }}
+          title={t('nav.history')}
+        >
+          📜
+        </button>
+        <button
+          className="icon-button"
+          onClick={startReviewSession}
+          title={t('nav.wordReview')}
+        >
+          🧠
+          {dueReviewCount > 0 && (
+            <span className="icon-button-badge">{formatNumber(dueReviewCount)}</span>
+          )}
+        </button>
+        <button
+          className="icon-button"
+          onClick={openNotebook}
+          title={t('nav.notebook')}
+        >
+          📓
+        </button>
+        <button
+          className="icon-button"
+          onClick={openSettings}
+          title={t('nav.settings')}
+        >
+          ⚙️
+        </button>
+        {import.meta.env.DEV && (
+          <>
+            <button
+              className="icon-button"
+              onClick={() => setShowDebugPanel(!showDebugPanel)}
+              title="Debug Panel"
+            >
               🐛
             </button>
             <button
@@ -1897,10 +3832,10 @@ function WordWise() {
         <div className="debug-panel">
           <h3>Debug Info</h3>
           <div className="debug-item">
-            <strong>Target Word:</strong> {targetWord}
+            <strong>Target Word:</strong> {gameMode === 'multi' ? targetWords.join(', ') : targetWord}
           </div>
           <div className="debug-item">
-            <strong>Remaining (list):</strong> {ANSWER_WORDS.filter(w => !usedWords.has(w)).length} words
+            <strong>Remaining (list):</strong> {WORD_LISTS[language][wordLength].answers.filter(w => !usedWords.has(w)).length} {wordLength}-letter words
           </div>
           <div className="debug-item">
             <strong>Next 10:</strong>
@@ -1928,7 +3863,7 @@ function WordWise() {
             </div>
           )}
           <div className="debug-item">
-            <strong>Total used:</strong> {usedWords.size} ({stats.aiWords || 0} AI, {stats.listWords || 0} list)
+            <strong>{t('stats.totalUsed')}</strong> {t('stats.usedBySource', { total: usedWords.size, ai: stats.aiWords || 0, list: stats.listWords || 0 })}
           </div>
           <button className="reset-stats-button" onClick={handleResetStats}>
             Reset Statistics
@@ -1941,70 +3876,287 @@ function WordWise() {
 
       <div className="wordwise-header">
         <h1>WordWise</h1>
+        <div className="mode-toggle">
+          <button
+            className={`toggle-btn ${gameMode === 'endless' ? 'active' : ''}`}
+            onClick={() => handleGameModeChange('endless')}
+            disabled={isLoadingWord}
+          >
+            {t('mode.endless')}
+          </button>
+          <button
+            className={`toggle-btn ${gameMode === 'daily' ? 'active' : ''}`}
+            onClick={() => handleGameModeChange('daily')}
+            disabled={isLoadingWord}
+          >
+            {t('mode.daily', { number: getDailyNumber() })}
+          </button>
+          <button
+            className={`toggle-btn ${gameMode === 'multi' ? 'active' : ''}`}
+            onClick={() => handleGameModeChange('multi')}
+            disabled={isLoadingWord}
+          >
+            {t('mode.multi', { count: boardCount })}
+          </button>
+          <button
+            className={`toggle-btn ${gameMode === 'evil' ? 'active' : ''}`}
+            onClick={() => handleGameModeChange('evil')}
+            disabled={isLoadingWord}
+          >
+            {t('mode.evil')}
+          </button>
+          <button
+            className={`toggle-btn ${gameMode === 'quiz' ? 'active' : ''}`}
+            onClick={() => handleGameModeChange('quiz')}
+            disabled={isLoadingWord}
+          >
+            {t('mode.quiz')}
+          </button>
+        </div>
       </div>
 
+      {gameMode === 'evil' && (
+        <p className="evil-remaining">
+          {t('evil.remaining', { count: evilRemaining })}
+        </p>
+      )}
+
+      {gameMode === 'quiz' && (
+        <div className="quiz-clue">
+          {!quizClue || quizClue.loading ? (
+            <p className="assistant-loading">
+              <span className="spinner-small"></span>
+              {t('learn.loadingDefinition')}
+            </p>
+          ) : quizClue.error || quizClue.clues.length === 0 ? (
+            <p>{t('quiz.noClue')}</p>
+          ) : (
+            <>
+              <p>
+                <em>{quizClue.clues[0].label}</em> {maskWord(quizClue.clues[0].text, targetWord)}
+                {listenFirst !== 'off' && (
+                  <button
+                    className="pronunciation-btn"
+                    onClick={() => speakClue(targetWord, quizClue, listenFirst)}
+                    title={t('quiz.listenAgain')}
+                  >
+                    🔊
+                  </button>
+                )}
+              </p>
+              {quizClue.example && (
+                <p className="quiz-example">"{maskWord(quizClue.example, targetWord)}"</p>
+              )}
+            </>
+          )}
+          <div className="quiz-hint-letters" title={t('quiz.hintTitle')}>
+            {quizHintLetters.map((letter, index) => (
+              <span key={index} className={`quiz-hint-letter ${letter ? 'revealed' : ''}`}>
+                {letter || '_'}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isDailyLocked && (
+        <div className="daily-locked">
+          <p>{t('daily.locked')}</p>
+          <p>{t('daily.comeBack')}</p>
+        </div>
+      )}
+
       {errorMessage && (
         <div className="error-message">
           {errorMessage}
         </div>
       )}
 
-      <div className="game-board">
-        {guesses.map((guess, rowIndex) => (
-          <div key={rowIndex} className="guess-row">
-            {Array(WORD_LENGTH).fill('').map((_, colIndex) => {
-              const isCurrentRow = rowIndex === currentRow
-              const letter = isCurrentRow
-                ? currentGuess[colIndex] || ''
-                : guess[colIndex] || ''
-              const status = getLetterStatus(letter, colIndex, rowIndex)
+      {gameMode === 'multi' ? (
+        <div className={`multi-boards boards-${targetWords.length}`}>
+          {targetWords.map((word, boardIndex) => {
+            const solvedRow = guesses.indexOf(word)
 
-              return (
-                <div
-                  key={colIndex}
-                  className={`letter-box ${status}`}
-                >
-                  {letter}
+            return (
+              <div key={boardIndex} className="multi-board">
+                <div className={`game-board ${solvedRow >= 0 ? 'solved' : ''}`}>
+                  {renderGuessRows(word, solvedRow)}
                 </div>
-              )
-            })}
+                {gameStatus !== 'playing' && (
+                  <button
+                    className={`board-answer ${solvedRow >= 0 ? 'solved' : 'unsolved'}`}
+                    onClick={() => handleBoardLearnClick(word)}
+                    title={t('board.learnWord', { word })}
+                  >
+                    📖 {word}
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      ) : (
+        <div className={`game-board length-${boardLength}`}>
+          {renderGuessRows(targetWord, -1, candidateCounts)}
+        </div>
+      )}
+
+      {/* Guess Assistant */}
+      {isAssistantAvailable && gameStatus === 'playing' && (
+        <button
+          className={`assistant-button ${showAssistant ? 'active' : ''}`}
+          onClick={handleShowAssistant}
+          title={t('assistant.buttonTitle')}
+        >
+          💡 {showAssistant ? t('assistant.hide') : t('assistant.show')}
+        </button>
+      )}
+
+      {isAssistantAvailable && gameStatus === 'playing' && showAssistant && (
+        <div className="assistant-panel">
+          <div className="assistant-header">
+            <h3>{t('assistant.title')}</h3>
+            <span className="assistant-remaining">
+              {t('assistant.possible', { count: remainingWords.length })}
+            </span>
           </div>
-        ))}
-      </div>
+          {assistantSuggestions === null ? (
+            <p className="assistant-loading">
+              <span className="spinner-small"></span>
+              {t('assistant.calculating')}
+            </p>
+          ) : (
+            <table className="assistant-table">
+              <thead>
+                <tr>
+                  <th>{t('assistant.guess')}</th>
+                  <th>{t('assistant.information')}</th>
+                  <th>{t('assistant.wordsLeft')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {assistantSuggestions.map(suggestion => (
+                  <tr key={suggestion.word}>
+                    <td>
+                      <button
+                        className="assistant-word"
+                        onClick={() => setCurrentGuess(suggestion.word)}
+                        title={t('assistant.useGuess')}
+                      >
+                        {suggestion.word}
+                      </button>
+                      {suggestion.isCandidate && (
+                        <span className="assistant-candidate" title={t('assistant.couldBeAnswer')}>●</span>
+                      )}
+                    </td>
+                    <td>{t('assistant.bits', { bits: formatDecimal(suggestion.entropy, 2) })}</td>
+                    <td>~{formatDecimal(suggestion.expectedRemaining, 1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="assistant-note">{t('assistant.note')}</p>
+        </div>
+      )}
 
       {/* Action Buttons (shown after game ends) */}
-      {gameStatus !== 'playing' && (
+      {gameStatus !== 'playing' && gameMode === 'daily' && (
+        <div className="game-over-actions">
+          <button className="learn-button" onClick={handleLearnClick}>
+            {t('gameOver.learn')}
+          </button>
+          <button className="review-button" onClick={handleReviewClick}>
+            {t('gameOver.review')}
+          </button>
+          <button className="play-again-button" onClick={handlePlayEndless}>
+            {t('gameOver.playEndless')}
+          </button>
+        </div>
+      )}
+      {gameStatus !== 'playing' && gameMode === 'daily' && (
+        <p className="daily-next">{t('daily.next')}</p>
+      )}
+
+      {gameStatus !== 'playing' && gameMode === 'multi' && (
+        <div className="game-over-actions">
+          <button className="play-again-button" onClick={() => startFreshGame()}>
+            {t('gameOver.newBoards')}
+          </button>
+        </div>
+      )}
+
+      {gameStatus !== 'playing' && gameMode === 'evil' && (
+        <div className="game-over-actions">
+          <button className="learn-button" onClick={handleLearnClick}>
+            {t('gameOver.learn')}
+          </button>
+          <button className="review-button" onClick={handleReviewClick}>
+            {t('gameOver.review')}
+          </button>
+          <button className="play-again-button" onClick={() => startFreshGame()}>
+            {t('gameOver.evilPlayAgain')}
+          </button>
+        </div>
+      )}
+
+      {gameStatus !== 'playing' && gameMode === 'quiz' && (
+        <div className="game-over-actions">
+          <button className="learn-button" onClick={handleLearnClick}>
+            {t('gameOver.learn')}
+          </button>
+          <button className="review-button" onClick={handleReviewClick}>
+            {t('gameOver.review')}
+          </button>
+          <button className="play-again-button" onClick={() => startFreshGame()}>
+            {t('gameOver.nextQuiz')}
+          </button>
+        </div>
+      )}
+
+      {gameStatus !== 'playing' && gameMode === 'endless' && (
         <div className="game-over-actions">
           <button className="learn-button" onClick={handleLearnClick} disabled={isLoadingWord}>
-            📖 Learn
+            {t('gameOver.learn')}
+          </button>
+          <button className="review-button" onClick={handleReviewClick} disabled={isLoadingWord}>
+            {t('gameOver.review')}
           </button>
           <button className="play-again-button" onClick={resetGame} disabled={isLoadingWord}>
             {isLoadingWord ? (
               <>
                 <span className="spinner-small"></span>
-                Loading...
+                {t('gameOver.loading')}
               </>
             ) : (
-              <>🔄 Play Again</>
+              t('gameOver.playAgain')
             )}
           </button>
         </div>
       )}
 
-      <div className="keyboard">
-        {KEYBOARD_ROWS.map((row, rowIndex) => (
+      <div className={`keyboard ${keyboardRows.some(row => row.length > 10) ? 'keyboard-wide' : ''}`}>
+        {keyboardRows.map((row, rowIndex) => (
           <div key={rowIndex} className="keyboard-row">
             {row.map((key) => {
               const keyClass = key === 'ENTER' || key === 'BACKSPACE' ? 'key-wide' : ''
-              const colorClass = keyColors[key] || ''
+              const isSplit = boardKeyStatuses && key.length === 1
+              const colorClass = isSplit ? 'key-split' : keyColors[key] || ''
 
               return (
                 <button
                   key={key}
                   className={`key ${keyClass} ${colorClass}`}
                   onClick={() => handleKeyClick(key)}
-                  disabled={gameStatus !== 'playing'}
+                  disabled={gameStatus !== 'playing' || isDailyLocked}
                 >
+                  {isSplit && (
+                    <span className={`key-parts parts-${boardKeyStatuses.length}`}>
+                      {boardKeyStatuses.map((keyStatuses, boardIndex) => (
+                        <span key={boardIndex} className={`key-part ${keyStatuses[key] || ''}`} />
+                      ))}
+                    </span>
+                  )}
                   {key === 'BACKSPACE' ? '⌫' : key}
                 </button>
               )
@@ -2018,120 +4170,445 @@ function WordWise() {
         <div className="modal-overlay" onClick={() => setShowStatsModal(false)}>
           <div className="modal stats-modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>Statistics</h2>
+              <h2>{t('stats.title')}</h2>
               <button className="close-button" onClick={() => setShowStatsModal(false)}>
                 ✕
               </button>
             </div>
 
-            <div className="stats-grid">
-              <div className="stat-item">
-                <div className="stat-value">{stats.played}</div>
-                <div className="stat-label">Played</div>
-              </div>
-              <div className="stat-item">
-                <div className="stat-value">{winPercentage}</div>
-                <div className="stat-label">Win %</div>
-              </div>
-              <div className="stat-item">
-                <div className="stat-value">{stats.currentStreak}</div>
-                <div className="stat-label">Current Streak</div>
-              </div>
-              <div className="stat-item">
-                <div className="stat-value">{stats.maxStreak}</div>
-                <div className="stat-label">Max Streak</div>
-              </div>
+            {/* Tab Navigation */}
+            <div className="learn-tabs">
+              <button
+                className={`learn-tab ${statsTab === 'endless' ? 'active' : ''}`}
+                onClick={() => setStatsTab('endless')}
+              >
+                {t('stats.endless')}
+              </button>
+              <button
+                className={`learn-tab ${statsTab === 'daily' ? 'active' : ''}`}
+                onClick={() => setStatsTab('daily')}
+              >
+                {t('stats.daily')}
+              </button>
+              <button
+                className={`learn-tab ${statsTab === 'evil' ? 'active' : ''}`}
+                onClick={() => setStatsTab('evil')}
+              >
+                {t('stats.evil')}
+              </button>
+              <button
+                className={`learn-tab ${statsTab === 'progress' ? 'active' : ''}`}
+                onClick={() => setStatsTab('progress')}
+              >
+                {t('stats.progress')}
+              </button>
+              <button
+                className={`learn-tab ${statsTab === 'letters' ? 'active' : ''}`}
+                onClick={() => setStatsTab('letters')}
+              >
+                {t('stats.letters')}
+              </button>
             </div>
 
-            {/* Word Sources */}
-            {(stats.aiWords > 0 || stats.listWords > 0) && (
-              <div className="word-sources">
-                <h3>WORD SOURCES</h3>
-                <div className="source-item">
-                  {stats.aiWords || 0} AI-selected ({stats.played > 0 ? Math.round(((stats.aiWords || 0) / stats.played) * 100) : 0}%)
-                </div>
-                <div className="source-item">
-                  {stats.listWords || 0} Random ({stats.played > 0 ? Math.round(((stats.listWords || 0) / stats.played) * 100) : 0}%)
-                </div>
-              </div>
+            {statsTab === 'endless' && (
+              <>
+                <p className="stats-word-length">
+                  {language !== DEFAULT_LANGUAGE
+                    ? t('stats.wordLengthLanguage', { length: wordLength, language: t(`languages.${language}`) })
+                    : t('stats.wordLength', { length: wordLength })}
+                </p>
+                {renderStatsGrid(stats, stats.currentStreak)}
+
+                {/* Word Sources */}
+                {(stats.aiWords > 0 || stats.listWords > 0) && (
+                  <div className="word-sources">
+                    <h3>{t('stats.sources')}</h3>
+                    <div className="source-item">
+                      {t('stats.aiSelected', { count: stats.aiWords || 0, percent: formatPercent(stats.aiWords || 0, stats.played) })}
+                    </div>
+                    <div className="source-item">
+                      {t('stats.random', { count: stats.listWords || 0, percent: formatPercent(stats.listWords || 0, stats.played) })}
+                    </div>
+                  </div>
+                )}
+
+                {/* Hard Mode Wins */}
+                {stats.hardWins > 0 && (
+                  <div className="word-sources">
+                    <h3>{t('stats.hardMode')}</h3>
+                    <div className="source-item">
+                      {t('stats.hardWins', { count: stats.hardWins, percent: formatPercent(stats.hardWins, stats.wins) })}
+                    </div>
+                  </div>
+                )}
+
+                {renderGuessDistribution(stats, 'endless')}
+              </>
+            )}
+
+            {statsTab === 'daily' && (
+              <>
+                {renderStatsGrid(dailyStats, getDailyCurrentStreak(dailyStats, getDateKey()))}
+                {renderGuessDistribution(dailyStats, 'daily')}
+              </>
+            )}
+
+            {statsTab === 'evil' && (
+              <>
+                <p className="stats-word-length">{t('stats.evilDescription')}</p>
+                {renderStatsGrid(evilStats, evilStats.currentStreak)}
+                {renderGuessDistribution(evilStats, 'evil')}
+              </>
             )}
 
-            <div className="guess-distribution">
-              <h3>GUESS DISTRIBUTION</h3>
-              <div className="distribution-chart">
-                {stats.guessDistribution.map((count, index) => {
-                  const percentage = maxDistribution > 0 ? (count / maxDistribution) * 100 : 0
-                  const isLastWin = lastWinRow === index && gameStatus === 'won'
+            {statsTab === 'progress' && historyGames && renderProgress(historyGames)}
+
+            {statsTab === 'letters' && historyGames && renderLetters(historyGames)}
+          </div>
+        </div>
+      )}
+
+      {/* Settings Modal */}
+      {showSettingsModal && (
+        <div className="modal-overlay" onClick={() => setShowSettingsModal(false)}>
+          <div className="modal settings-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{t('settings.title')}</h2>
+              <button className="close-button" onClick={() => setShowSettingsModal(false)}>
+                ✕
+              </button>
+            </div>
+
+            {/* Tab Navigation */}
+            <div className="learn-tabs">
+              <button
+                className={`learn-tab ${settingsTab === 'game' ? 'active' : ''}`}
+                onClick={() => setSettingsTab('game')}
+              >
+                {t('settings.tabGame')}
+              </button>
+              <button
+                className={`learn-tab ${settingsTab === 'ai' ? 'active' : ''}`}
+                onClick={() => setSettingsTab('ai')}
+              >
+                {t('settings.tabAI')}
+              </button>
+              <button
+                className={`learn-tab ${settingsTab === 'sync' ? 'active' : ''}`}
+                onClick={() => setSettingsTab('sync')}
+              >
+                {t('settings.tabSync')}
+              </button>
+            </div>
+
+            <div className="settings-content">
+              {/* Game Settings Tab */}
+              {settingsTab === 'game' && (
+                <>
+                  {/* App Language */}
+                  <div className="settings-section">
+                    <h3>{t('settings.uiLanguage')}</h3>
+                    <p className="settings-description">{t('settings.uiLanguageDescription')}</p>
+                    <div className="ai-toggle">
+                      {Object.entries(UI_LANGUAGE_NAMES).map(([code, name]) => (
+                        <button
+                          key={code}
+                          className={`toggle-btn ${uiLanguage === code ? 'active' : ''}`}
+                          onClick={() => onUILanguageChange(code)}
+                          lang={code}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Word Language */}
+                  <div className="settings-section">
+                    <h3>{t('settings.wordLanguage')}</h3>
+                    <p className="settings-description">{t('settings.wordLanguageDescription')}</p>
+                    <div className="ai-toggle">
+                      {Object.keys(LANGUAGE_NAMES).map(code => (
+                        <button
+                          key={code}
+                          className={`toggle-btn ${language === code ? 'active' : ''}`}
+                          onClick={() => handleLanguageChange(code)}
+                          disabled={isLoadingWord}
+                        >
+                          {t(`languages.${code}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Word Length */}
+                  <div className="settings-section">
+                    <h3>{t('settings.wordLength')}</h3>
+                    <p className="settings-description">{t('settings.wordLengthDescription')}</p>
+                    <div className="ai-toggle">
+                      {WORD_LENGTHS.map(length => (
+                        <button
+                          key={length}
+                          className={`toggle-btn ${wordLength === length ? 'active' : ''}`}
+                          onClick={() => handleWordLengthChange(length)}
+                          disabled={isLoadingWord || !WORD_LISTS[language][length]}
+                        >
+                          {length}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Word Packs */}
+                  {language === DEFAULT_LANGUAGE && (
+                    <div className="settings-section">
+                      <h3>{t('packs.title')}</h3>
+                      <p className="settings-description">{t('packs.description', { length: wordLength })}</p>
+                      <div className="word-pack-list">
+                        <button
+                          className={`word-pack-option ${!activePack ? 'active' : ''}`}
+                          onClick={() => handleActivePackChange(null)}
+                        >
+                          {t('packs.standard')}
+                          <span className="word-pack-count">{t('packs.words', { count: WORD_LISTS[DEFAULT_LANGUAGE][wordLength].answers.length })}</span>
+                        </button>
+                        {wordPacks.filter(pack => pack.length === wordLength).map(pack => (
+                          <div key={pack.id} className="word-pack-row">
+                            <button
+                              className={`word-pack-option ${activePack?.id === pack.id ? 'active' : ''}`}
+                              onClick={() => handleActivePackChange(pack.id)}
+                            >
+                              {pack.name}
+                              <span className="word-pack-count">
+                                {activePack?.id === pack.id
+                                  ? t('packs.wordsPlayed', { count: pack.words.length, played: usedWords.size })
+                                  : t('packs.words', { count: pack.words.length })}
+                              </span>
+                            </button>
+                            <button
+                              className="word-pack-delete"
+                              onClick={() => handleDeletePack(pack)}
+                              disabled={gamePackId === pack.id && isGameInProgress}
+                              title={gamePackId === pack.id && isGameInProgress ? t('packs.inUse') : t('packs.delete')}
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+
+                      <h4 className="word-pack-import-title">{t('packs.importTitle')}</h4>
+                      <p className="settings-description">{t('packs.importHelp')}</p>
+                      <input
+                        type="text"
+                        className="word-pack-name"
+                        placeholder={t('packs.namePlaceholder')}
+                        value={packName}
+                        onChange={(e) => setPackName(e.target.value)}
+                      />
+                      <textarea
+                        className="share-textarea word-pack-text"
+                        placeholder={'# Animals\nTIGER: a large striped cat\nHORSE'}
+                        rows={5}
+                        value={packText}
+                        onChange={(e) => setPackText(e.target.value)}
+                      />
+                      <div className="word-pack-actions">
+                        <input
+                          type="file"
+                          accept=".txt,.json,text/plain,application/json"
+                          onChange={handlePackFileChange}
+                        />
+                        <button
+                          className="add-api-key-btn"
+                          onClick={handleImportPack}
+                          disabled={!packText.trim()}
+                        >
+                          {t('packs.import')}
+                        </button>
+                      </div>
+                      {packImportResult?.error && (
+                        <p className="challenge-error">{packImportResult.error}</p>
+                      )}
+                      {packImportResult?.message && (
+                        <p className="ai-toggle-hint">{packImportResult.message}</p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Multi-Board */}
+                  <div className="settings-section">
+                    <h3>{t('settings.multiBoard')}</h3>
+                    <p className="settings-description">{t('settings.multiBoardDescription')}</p>
+                    <div className="ai-toggle">
+                      {BOARD_COUNTS.map(count => (
+                        <button
+                          key={count}
+                          className={`toggle-btn ${boardCount === count ? 'active' : ''}`}
+                          onClick={() => handleBoardCountChange(count)}
+                          disabled={gameMode === 'multi' && isGameInProgress}
+                        >
+                          {t('settings.boardOption', { count, guesses: getMultiBoardAttempts(count) })}
+                        </button>
+                      ))}
+                    </div>
+                    {gameMode === 'multi' && isGameInProgress && (
+                      <p className="ai-toggle-hint">{t('settings.boardCountLocked')}</p>
+                    )}
+                  </div>
+
+                  {/* Guess Assistant Toggle */}
+                  <div className="settings-section">
+                    <h3>{t('settings.assistant')}</h3>
+                    <p className="settings-description">{t('settings.assistantDescription')}</p>
+                    <div className="ai-toggle">
+                      <button
+                        className={`toggle-btn ${assistantEnabled ? 'active' : ''}`}
+                        onClick={() => handleAssistantToggle(true)}
+                      >
+                        {t('common.on')}
+                      </button>
+                      <button
+                        className={`toggle-btn ${!assistantEnabled ? 'active' : ''}`}
+                        onClick={() => handleAssistantToggle(false)}
+                      >
+                        {t('common.off')}
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Listen First */}
+                  {SPEECH_AVAILABLE && (
+                    <div className="settings-section">
+                      <h3>{t('settings.listenFirst')}</h3>
+                      <p className="settings-description">{t('settings.listenFirstDescription')}</p>
+                      <div className="ai-toggle">
+                        {LISTEN_FIRST_OPTIONS.map(option => (
+                          <button
+                            key={option}
+                            className={`toggle-btn ${listenFirst === option ? 'active' : ''}`}
+                            onClick={() => handleListenFirstChange(option)}
+                          >
+                            {t(`settings.listenFirst.${option}`)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Challenge a Friend */}
+                  <div className="settings-section">
+                    <h3>{t('challenge.title')}</h3>
+                    <p className="settings-description">{t('challenge.description')}</p>
+                    <div className="sync-code-input-wrapper">
+                      <input
+                        type="text"
+                        placeholder={t('challenge.placeholder')}
+                        value={challengeWordInput}
+                        onChange={(e) => setChallengeWordInput(e.target.value.toUpperCase().replace(/[^A-Z]/g, ''))}
+                        maxLength={WORD_LENGTHS[WORD_LENGTHS.length - 1]}
+                        className="sync-code-input"
+                      />
+                      <button
+                        className="add-api-key-btn"
+                        onClick={handleCreateChallenge}
+                        disabled={!challengeWordInput}
+                      >
+                        {t('challenge.create')}
+                      </button>
+                    </div>
+                    {challengeError && (
+                      <p className="challenge-error">{challengeError}</p>
+                    )}
+                    {challengeLink && (
+                      <>
+                        <input
+                          type="text"
+                          className="challenge-link"
+                          value={challengeLink}
+                          readOnly
+                          onFocus={(e) => e.target.select()}
+                        />
+                        <p className="ai-toggle-hint">
+                          {challengeLinkCopied ? t('challenge.linkCopied') : t('challenge.copyHint')}
+                        </p>
+                      </>
+                    )}
+                  </div>
+
+                  {/* Hard Mode Toggle */}
+                  <div className="settings-section">
+                    <h3>{t('settings.hardMode')}</h3>
+                    <p className="settings-description">{t('settings.hardModeDescription')}</p>
+                    <div className="ai-toggle">
+                      <button
+                        className={`toggle-btn ${hardMode ? 'active' : ''}`}
+                        onClick={() => handleHardModeToggle(true)}
+                        disabled={isGameInProgress}
+                      >
+                        {t('common.on')}
+                      </button>
+                      <button
+                        className={`toggle-btn ${!hardMode ? 'active' : ''}`}
+                        onClick={() => handleHardModeToggle(false)}
+                        disabled={isGameInProgress}
+                      >
+                        {t('common.off')}
+                      </button>
+                    </div>
+                    {isGameInProgress && (
+                      <p className="ai-toggle-hint">{t('settings.hardModeLocked')}</p>
+                    )}
+                  </div>
 
-                  return (
-                    <div key={index} className="distribution-row">
-                      <div className="distribution-label">{index + 1}</div>
-                      <div className="distribution-bar-container">
-                        <div
-                          className={`distribution-bar ${isLastWin ? 'highlight' : ''}`}
-                          style={{ width: `${Math.max(percentage, count > 0 ? 7 : 0)}%` }}
-                        >
-                          <span className="distribution-count">{count}</span>
+                  {/* Offline Cache */}
+                  <div className="settings-section">
+                    <h3>{t('settings.offlineCache')}</h3>
+                    <p className="settings-description">{t('settings.offlineCacheDescription')}</p>
+                    {wordCacheStats && (
+                      <div className="api-key-display">
+                        <div className="api-key-row">
+                          <span className="masked-key">
+                            {t('settings.offlineCacheSize', {
+                              count: wordCacheStats.count,
+                              size: formatNumber(wordCacheStats.bytes / 1024, { style: 'unit', unit: 'kilobyte', maximumFractionDigits: 1 })
+                            })}
+                          </span>
+                          <button
+                            className="api-key-btn clear"
+                            onClick={handleClearWordCache}
+                            disabled={wordCacheStats.count === 0}
+                          >
+                            {t('common.clear')}
+                          </button>
                         </div>
                       </div>
-                    </div>
-                  )
-                })}
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Settings Modal */}
-      {showSettingsModal && (
-        <div className="modal-overlay" onClick={() => setShowSettingsModal(false)}>
-          <div className="modal settings-modal" onClick={(e) => e.stopPropagation()}>
-            <div className="modal-header">
-              <h2>Settings</h2>
-              <button className="close-button" onClick={() => setShowSettingsModal(false)}>
-                ✕
-              </button>
-            </div>
-
-            {/* Tab Navigation */}
-            <div className="learn-tabs">
-              <button
-                className={`learn-tab ${settingsTab === 'ai' ? 'active' : ''}`}
-                onClick={() => setSettingsTab('ai')}
-              >
-                AI Settings
-              </button>
-              <button
-                className={`learn-tab ${settingsTab === 'sync' ? 'active' : ''}`}
-                onClick={() => setSettingsTab('sync')}
-              >
-                Cloud Sync
-              </button>
-            </div>
+                    )}
+                  </div>
+                </>
+              )}
 
-            <div className="settings-content">
               {/* AI Settings Tab */}
               {settingsTab === 'ai' && (
                 <>
                   {/* Enable AI Toggle */}
                   <div className="settings-section">
-                    <h3>Enable AI</h3>
-                    <p className="settings-description">Use AI to select words based on your skill level</p>
+                    <h3>{t('settings.enableAI')}</h3>
+                    <p className="settings-description">{t('settings.enableAIDescription')}</p>
                     <div className="ai-toggle">
                       <button
                         className={`toggle-btn ${aiEnabled ? 'active' : ''}`}
                         onClick={() => handleAIToggle(true)}
                         disabled={!apiKey}
-                        title={!apiKey ? 'Add an API key to enable AI' : ''}
+                        title={!apiKey ? t('settings.addKeyToEnable') : ''}
                       >
-                        ON
+                        {t('common.on')}
                       </button>
                       <button
                         className={`toggle-btn ${!aiEnabled ? 'active' : ''}`}
                         onClick={() => handleAIToggle(false)}
                       >
-                        OFF
+                        {t('common.off')}
                       </button>
                     </div>
                   </div>
@@ -2141,51 +4618,67 @@ function WordWise() {
                     <>
                       {/* Tier II Vocabulary Focus */}
                       <div className="settings-section">
-                        <h3>Tier II Vocabulary Focus</h3>
-                        <p className="settings-description">Prioritize academic vocabulary</p>
+                        <h3>{t('settings.tier2')}</h3>
+                        <p className="settings-description">{t('settings.tier2Description')}</p>
                         <div className="ai-toggle">
                           <button
                             className={`toggle-btn ${tier2Focus ? 'active' : ''}`}
                             onClick={() => handleTier2Toggle(true)}
                           >
-                            ON
+                            {t('common.on')}
                           </button>
                           <button
                             className={`toggle-btn ${!tier2Focus ? 'active' : ''}`}
                             onClick={() => handleTier2Toggle(false)}
                           >
-                            OFF
+                            {t('common.off')}
                           </button>
                         </div>
                       </div>
 
                       {/* Extended Word Information */}
                       <div className="settings-section">
-                        <h3>Extended Word Information</h3>
-                        <p className="settings-description">Enable etymology and translations</p>
+                        <h3>{t('settings.extendedInfo')}</h3>
+                        <p className="settings-description">{t('settings.extendedInfoDescription')}</p>
                         <div className="ai-toggle">
                           <button
                             className={`toggle-btn ${extendedInfo ? 'active' : ''}`}
                             onClick={() => handleExtendedInfoToggle(true)}
                           >
-                            ON
+                            {t('common.on')}
                           </button>
                           <button
                             className={`toggle-btn ${!extendedInfo ? 'active' : ''}`}
                             onClick={() => handleExtendedInfoToggle(false)}
                           >
-                            OFF
+                            {t('common.off')}
                           </button>
                         </div>
+                        {extendedInfo && (
+                          <>
+                            <p className="settings-description">{t('settings.translationLanguages')}</p>
+                            <div className="translation-language-picker">
+                              {TRANSLATION_LANGUAGES.map(code => (
+                                <button
+                                  key={code}
+                                  className={`toggle-btn ${translationLanguages.includes(code) ? 'active' : ''}`}
+                                  onClick={() => handleTranslationLanguageToggle(code)}
+                                >
+                                  {formatLanguageName(code)}
+                                </button>
+                              ))}
+                            </div>
+                          </>
+                        )}
                       </div>
 
                       {/* API Configuration */}
                       <div className="settings-section">
-                        <h3>API Configuration</h3>
+                        <h3>{t('settings.apiConfig')}</h3>
 
                         {!apiKey && (
                           <div className="api-key-warning">
-                            ℹ️ AI requires an Anthropic API key
+                            {t('settings.apiKeyRequired')}
                           </div>
                         )}
 
@@ -2193,28 +4686,28 @@ function WordWise() {
                           {apiKey ? (
                             <div className="api-key-display">
                               <div className="api-key-row">
-                                <span className="api-key-label">API Key:</span>
+                                <span className="api-key-label">{t('settings.apiKeyLabel')}</span>
                                 <span className="masked-key">{maskAPIKey(apiKey)}</span>
                               </div>
                               <div className="api-key-actions">
                                 <button className="api-key-btn edit" onClick={handleAddAPIKey}>
-                                  Edit
+                                  {t('common.edit')}
                                 </button>
                                 <button className="api-key-btn clear" onClick={handleClearAPIKey}>
-                                  Clear
+                                  {t('common.clear')}
                                 </button>
                               </div>
                             </div>
                           ) : (
                             <button className="add-api-key-btn" onClick={handleAddAPIKey}>
-                              Add API Key
+                              {t('settings.addApiKey')}
                             </button>
                           )}
                         </div>
 
                         {apiKey && (
                           <div className="api-key-warning">
-                            ℹ️ Your API key is stored locally in your browser. Only add your key on devices you trust.
+                            {t('settings.apiKeyStored')}
                           </div>
                         )}
                       </div>
@@ -2230,20 +4723,20 @@ function WordWise() {
                     <>
                       {/* No sync code - show options to generate or enter */}
                       <div className="settings-section">
-                        <h3>New Device</h3>
-                        <p className="settings-description">Generate a sync code to use on other devices</p>
+                        <h3>{t('sync.newDevice')}</h3>
+                        <p className="settings-description">{t('sync.newDeviceDescription')}</p>
                         <button
                           className="add-api-key-btn"
                           onClick={handleGenerateSyncCode}
                           disabled={syncStatus === 'syncing'}
                         >
-                          {syncStatus === 'syncing' ? 'Generating...' : 'Generate Sync Code'}
+                          {syncStatus === 'syncing' ? t('sync.generating') : t('sync.generate')}
                         </button>
                       </div>
 
                       <div className="settings-section">
-                        <h3>Have a Code?</h3>
-                        <p className="settings-description">Enter your sync code from another device</p>
+                        <h3>{t('sync.haveCode')}</h3>
+                        <p className="settings-description">{t('sync.haveCodeDescription')}</p>
                         <div className="sync-code-input-wrapper">
                           <input
                             type="text"
@@ -2258,7 +4751,7 @@ function WordWise() {
                             onClick={handleEnterSyncCode}
                             disabled={syncStatus === 'syncing' || !syncCodeInput.trim()}
                           >
-                            {syncStatus === 'syncing' ? 'Syncing...' : 'Use Code'}
+                            {syncStatus === 'syncing' ? t('sync.syncing') : t('sync.useCode')}
                           </button>
                         </div>
                       </div>
@@ -2267,7 +4760,7 @@ function WordWise() {
                     <>
                       {/* Has sync code - show code and sync controls */}
                       <div className="settings-section">
-                        <h3>Sync Code</h3>
+                        <h3>{t('sync.code')}</h3>
                         <div className="api-key-section">
                           <div className="api-key-display">
                             <div className="api-key-row">
@@ -2282,34 +4775,34 @@ function WordWise() {
                                   setTimeout(() => setSyncStatus(null), 2000)
                                 }}
                               >
-                                Copy
+                                {t('common.copy')}
                               </button>
                               <button
                                 className="api-key-btn clear"
                                 onClick={handleDisableSync}
                                 disabled={syncStatus === 'syncing'}
                               >
-                                Disable
+                                {t('sync.disable')}
                               </button>
                             </div>
                           </div>
                         </div>
                         <div className="cloud-info">
-                          ℹ️ Use this code on other devices to sync your progress. Data is synced automatically after each game.
+                          {t('sync.info')}
                         </div>
                       </div>
 
                       <div className="settings-section">
-                        <h3>Sync Control</h3>
+                        <h3>{t('sync.control')}</h3>
                         <button
                           className="add-api-key-btn"
                           onClick={handleSyncNow}
                           disabled={syncStatus === 'syncing'}
                         >
-                          {syncStatus === 'syncing' ? 'Syncing...' : 'Sync Now'}
+                          {syncStatus === 'syncing' ? t('sync.syncing') : t('sync.syncNow')}
                         </button>
                         <div className="cloud-info" style={{ marginTop: '0.75rem' }}>
-                          ℹ️ Your API key is NOT synced for security. You'll need to add it on each device.
+                          {t('sync.apiKeyNotSynced')}
                         </div>
                       </div>
                     </>
@@ -2318,7 +4811,7 @@ function WordWise() {
                   {/* Sync status messages */}
                   {syncStatus === 'success' && (
                     <div className="sync-message success">
-                      ✓ {syncCode ? 'Synced successfully!' : 'Code copied!'}
+                      ✓ {syncCode ? t('sync.success') : t('sync.codeCopied')}
                     </div>
                   )}
                   {syncStatus === 'error' && syncError && (
@@ -2331,7 +4824,7 @@ function WordWise() {
 
               {/* Close Button */}
               <button className="settings-close-btn" onClick={() => setShowSettingsModal(false)}>
-                Close
+                {t('common.close')}
               </button>
             </div>
           </div>
@@ -2355,19 +4848,19 @@ function WordWise() {
                 className={`learn-tab ${learnTab === 'definition' ? 'active' : ''}`}
                 onClick={() => handleLearnTabChange('definition')}
               >
-                Definition
+                {t('learn.definition')}
               </button>
               <button
                 className={`learn-tab ${learnTab === 'etymology' ? 'active' : ''}`}
                 onClick={() => handleLearnTabChange('etymology')}
               >
-                Etymology
+                {t('learn.etymology')}
               </button>
               <button
                 className={`learn-tab ${learnTab === 'translations' ? 'active' : ''}`}
                 onClick={() => handleLearnTabChange('translations')}
               >
-                Translations
+                {t('learn.translations')}
               </button>
             </div>
 
@@ -2378,23 +4871,55 @@ function WordWise() {
                   {definitionLoading && (
                     <div className="loading-state">
                       <div className="spinner"></div>
-                      <p>Loading definition...</p>
+                      <p>{t('learn.loadingDefinition')}</p>
+                    </div>
+                  )}
+
+                  {packDefinition && !definitionLoading && (
+                    <div className="pack-definition">
+                      <strong>{packDefinition.packName}:</strong> {packDefinition.text}
                     </div>
                   )}
 
-                  {definitionError && (
+                  {definitionError && !packDefinition && (
                     <div className="error-state">
                       <p>{definitionError}</p>
-                      <p className="error-hint">Try searching for this word on a dictionary website.</p>
+                      <p className="error-hint">{t('learn.dictionaryHint')}</p>
                     </div>
                   )}
 
                   {definitionData && !definitionLoading && (
                     <>
-                      {/* Pronunciation */}
-                      {definitionData[0]?.phonetic && (
+                      {/* Pronunciation: a play button per recorded accent, else the browser's voice */}
+                      {(definitionData[0]?.phonetic || pronunciations.length > 0 || SPEECH_AVAILABLE) && (
                         <div className="pronunciation">
-                          <strong>Pronunciation:</strong> {definitionData[0].phonetic}
+                          {definitionData[0]?.phonetic && (
+                            <>
+                              <strong>{t('learn.pronunciation')}</strong> {definitionData[0].phonetic}
+                            </>
+                          )}
+                          <span className="pronunciation-buttons">
+                            {pronunciations.length > 0 ? (
+                              pronunciations.map((pronunciation, index) => (
+                                <button
+                                  key={pronunciation.audio}
+                                  className="pronunciation-btn"
+                                  onClick={() => playPronunciation(pronunciation.audio, currentLearnWord)}
+                                  title={t('learn.listen')}
+                                >
+                                  🔊 {pronunciation.accent || index + 1}
+                                </button>
+                              ))
+                            ) : SPEECH_AVAILABLE && (
+                              <button
+                                className="pronunciation-btn"
+                                onClick={() => speakText(currentLearnWord.toLowerCase())}
+                                title={t('learn.listenSpeech')}
+                              >
+                                🔊
+                              </button>
+                            )}
+                          </span>
                         </div>
                       )}
 
@@ -2405,14 +4930,14 @@ function WordWise() {
 
                           {/* Definitions */}
                           <div className="definitions">
-                            <strong>Definitions:</strong>
+                            <strong>{t('learn.definitions')}</strong>
                             <ol>
                               {meaning.definitions.slice(0, 3).map((def, defIndex) => (
                                 <li key={defIndex}>
                                   {def.definition}
                                   {def.example && (
                                     <div className="example">
-                                      <em>Example: "{def.example}"</em>
+                                      <em>{t('learn.example', { example: def.example })}</em>
                                     </div>
                                   )}
                                 </li>
@@ -2424,14 +4949,18 @@ function WordWise() {
 
                       {/* API Attribution */}
                       <div className="api-attribution">
-                        Definitions provided by{' '}
-                        <a
-                          href="https://dictionaryapi.dev"
-                          target="_blank"
-                          rel="noopener noreferrer"
-                        >
-                          Free Dictionary API
-                        </a>
+                        {t('learn.providedBy')}{' '}
+                        {definitionProvider === 'dictionary' ? (
+                          <a
+                            href="https://dictionaryapi.dev"
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            Free Dictionary API
+                          </a>
+                        ) : (
+                          t(`learn.provider.${definitionProvider}`)
+                        )}
                       </div>
                     </>
                   )}
@@ -2443,35 +4972,35 @@ function WordWise() {
                 <>
                   {!extendedInfo ? (
                     <div className="extended-info-disabled">
-                      <h3>Etymology & Word Family</h3>
-                      <p>Extended word information is currently disabled.</p>
+                      <h3>{t('learn.etymologyTitle')}</h3>
+                      <p>{t('learn.extendedDisabled')}</p>
                       <button className="enable-extended-btn" onClick={handleEnableExtendedInfo}>
-                        Enable Extended Info in Settings
+                        {t('learn.enableExtended')}
                       </button>
                     </div>
                   ) : extendedInfoLoading ? (
                     <div className="loading-state">
                       <div className="spinner"></div>
-                      <p>Loading etymology...</p>
+                      <p>{t('learn.loadingEtymology')}</p>
                     </div>
                   ) : extendedInfoError ? (
                     <div className="error-state">
-                      <p>Failed to load extended information.</p>
+                      <p>{t('learn.extendedFailed')}</p>
                       <button className="retry-btn" onClick={() => fetchExtendedInfo(currentLearnWord)}>
-                        Retry
+                        {t('common.retry')}
                       </button>
                     </div>
                   ) : extendedInfoData[currentLearnWord] ? (
                     <div className="etymology-content">
-                      <h3>Etymology & Word Family</h3>
+                      <h3>{t('learn.etymologyTitle')}</h3>
 
                       <div className="etymology-section">
-                        <h4>Etymology:</h4>
+                        <h4>{t('learn.etymologyLabel')}</h4>
                         <p>{extendedInfoData[currentLearnWord].e}</p>
                       </div>
 
                       <div className="word-family-section">
-                        <h4>Word Family:</h4>
+                        <h4>{t('learn.wordFamily')}</h4>
                         <ul>
                           {extendedInfoData[currentLearnWord].f.map((item, idx) => (
                             <li key={idx}>{item}</li>
@@ -2488,55 +5017,46 @@ function WordWise() {
                 <>
                   {!extendedInfo ? (
                     <div className="extended-info-disabled">
-                      <h3>Translations</h3>
-                      <p>Extended word information is currently disabled.</p>
+                      <h3>{t('learn.translations')}</h3>
+                      <p>{t('learn.extendedDisabled')}</p>
                       <button className="enable-extended-btn" onClick={handleEnableExtendedInfo}>
-                        Enable Extended Info in Settings
+                        {t('learn.enableExtended')}
                       </button>
                     </div>
                   ) : extendedInfoLoading ? (
                     <div className="loading-state">
                       <div className="spinner"></div>
-                      <p>Loading translations...</p>
+                      <p>{t('learn.loadingTranslations')}</p>
                     </div>
                   ) : extendedInfoError ? (
                     <div className="error-state">
-                      <p>Failed to load extended information.</p>
+                      <p>{t('learn.extendedFailed')}</p>
                       <button className="retry-btn" onClick={() => fetchExtendedInfo(currentLearnWord)}>
-                        Retry
+                        {t('common.retry')}
                       </button>
                     </div>
                   ) : extendedInfoData[currentLearnWord] ? (
                     <div className="translations-content">
-                      <div className="translation-section">
-                        <h3>German Translation</h3>
-                        <h4>{extendedInfoData[currentLearnWord].de.w}</h4>
-                        <p>{extendedInfoData[currentLearnWord].de.d}</p>
-                        <div className="translation-examples">
-                          <strong>Examples:</strong>
-                          <ul>
-                            {extendedInfoData[currentLearnWord].de.ex.map((ex, idx) => (
-                              <li key={idx}>{ex}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      </div>
-
-                      <div className="translation-divider"></div>
-
-                      <div className="translation-section">
-                        <h3>Croatian Translation</h3>
-                        <h4>{extendedInfoData[currentLearnWord].hr.w}</h4>
-                        <p>{extendedInfoData[currentLearnWord].hr.d}</p>
-                        <div className="translation-examples">
-                          <strong>Examples:</strong>
-                          <ul>
-                            {extendedInfoData[currentLearnWord].hr.ex.map((ex, idx) => (
-                              <li key={idx}>{ex}</li>
-                            ))}
-                          </ul>
+                      {getTranslations(extendedInfoData[currentLearnWord], translationLanguages).map((translation, index) => (
+                        <div key={translation.language}>
+                          {index > 0 && <div className="translation-divider"></div>}
+                          <div className="translation-section">
+                            <h3>{t('learn.translationTitle', { language: formatLanguageName(translation.language) })}</h3>
+                            <h4>{translation.w}</h4>
+                            <p>{translation.d}</p>
+                            {translation.ex.length > 0 && (
+                              <div className="translation-examples">
+                                <strong>{t('learn.examples')}</strong>
+                                <ul>
+                                  {translation.ex.map((ex, idx) => (
+                                    <li key={idx}>{ex}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+                          </div>
                         </div>
-                      </div>
+                      ))}
                     </div>
                   ) : null}
                 </>
@@ -2545,7 +5065,7 @@ function WordWise() {
               {/* Understanding Rating Section */}
               <div className="understanding-rating-section">
                 <div className="rating-separator"></div>
-                <h3>How well did you know this word's meaning?</h3>
+                <h3>{t('learn.ratingQuestion')}</h3>
                 <div className="rating-buttons-compact">
                   {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(rating => (
                     <button
@@ -2557,7 +5077,7 @@ function WordWise() {
                     </button>
                   ))}
                 </div>
-                <p className="rating-note">(You can change your rating anytime)</p>
+                <p className="rating-note">{t('learn.ratingNote')}</p>
               </div>
             </div>
           </div>
@@ -2569,70 +5089,116 @@ function WordWise() {
         <div className="modal-overlay" onClick={() => setShowHistoryModal(false)}>
           <div className="modal history-modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>Word History</h2>
+              <h2>{t('history.title')}</h2>
               <button className="close-button" onClick={() => setShowHistoryModal(false)}>
                 ✕
               </button>
             </div>
 
             <div className="history-content">
-              {gameHistory.length === 0 ? (
+              {replayEntry ? (
+                <div className="history-replay">
+                  <p className="replay-title">
+                    <strong>{replayEntry.w}</strong> - {formatDate(replayEntry.t)}
+                  </p>
+                  <div className="replay-board">
+                    {replayEntry.g.map((guess, rowIndex) => (
+                      <div key={rowIndex} className="replay-row">
+                        <div className="replay-guess">
+                          {guess.split('').map((letter, i) => (
+                            <div
+                              key={i}
+                              className={`letter-box ${rowIndex < replayStep ? getLetterStatuses(guess, replayEntry.w)[i] : ''}`}
+                            >
+                              {rowIndex < replayStep ? letter : ''}
+                            </div>
+                          ))}
+                        </div>
+                        {/* Times count from the first guess, the game's start isn't recorded */}
+                        {replayEntry.gt && rowIndex > 0 && rowIndex < replayStep && (
+                          <span className="replay-time">{formatElapsed(replayEntry.gt[rowIndex] - replayEntry.gt[0])}</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="replay-actions">
+                    <button className="pagination-btn" onClick={() => setReplayEntry(null)}>
+                      {t('history.back')}
+                    </button>
+                    <button
+                      className="pagination-btn"
+                      onClick={() => setReplayStep(0)}
+                      disabled={replayStep < replayEntry.g.length}
+                    >
+                      {t('history.replayAgain')}
+                    </button>
+                  </div>
+                </div>
+              ) : historyPageData.total === 0 ? (
                 <div className="empty-history">
-                  <p>No word history yet. Play some games to build your history!</p>
+                  <p>{t('history.empty')}</p>
                 </div>
               ) : (
                 <>
                   <div className="history-list">
-                    {gameHistory
-                      .slice()
-                      .reverse()
-                      .slice(historyPage * 10, (historyPage + 1) * 10)
-                      .map((entry, index) => (
-                        <div key={index} className="history-item">
-                          <div className="history-word">{entry.w}</div>
-                          <div className="history-result">
-                            {entry.r > 0 ? (
-                              <span className="history-won">✓ Won in {entry.r} {entry.r === 1 ? 'try' : 'tries'}</span>
-                            ) : (
-                              <span className="history-lost">✗ Lost</span>
-                            )}
-                          </div>
+                    {historyPageData.games.map((entry, index) => (
+                      <div key={index} className="history-item">
+                        <div className="history-word">{entry.w}</div>
+                        <div className="history-result">
+                          {entry.r > 0 ? (
+                            <span className="history-won">{t('history.wonIn', { count: entry.r })}</span>
+                          ) : (
+                            <span className="history-lost">{t('history.lost')}</span>
+                          )}
+                          {entry.a === 1 && (
+                            <span className="history-assisted" title={t('history.assistedTitle')}>{t('history.assisted')}</span>
+                          )}
+                        </div>
+                        {entry.g && (
                           <button
-                            className="history-learn-btn"
-                            onClick={() => handleHistoryLearnClick(entry.w)}
+                            className="history-replay-btn"
+                            onClick={() => handleReplayClick(entry)}
+                            title={t('history.replay')}
                           >
-                            Learn
+                            ▶
                           </button>
-                        </div>
-                      ))}
+                        )}
+                        <button
+                          className="history-learn-btn"
+                          onClick={() => handleHistoryLearnClick(entry.w)}
+                        >
+                          {t('common.learn')}
+                        </button>
+                      </div>
+                    ))}
                   </div>
 
-                  {gameHistory.length > 10 && (
+                  {historyPageData.total > HISTORY_PAGE_SIZE && (
                     <div className="history-pagination">
                       <div className="pagination-info">
-                        Showing {historyPage * 10 + 1}-{Math.min((historyPage + 1) * 10, gameHistory.length)} of {gameHistory.length}
+                        {t('common.showing', { from: historyPage * HISTORY_PAGE_SIZE + 1, to: Math.min((historyPage + 1) * HISTORY_PAGE_SIZE, historyPageData.total), total: historyPageData.total })}
                       </div>
                       <div className="pagination-controls">
                         <button
                           className="pagination-btn"
-                          onClick={() => setHistoryPage(prev => Math.max(0, prev - 1))}
+                          onClick={() => showHistoryPage(historyPage - 1)}
                           disabled={historyPage === 0}
                         >
-                          &lt; Previous
+                          {t('common.previous')}
                         </button>
                         <button
                           className="pagination-btn"
-                          onClick={() => setHistoryPage(prev => prev + 1)}
-                          disabled={(historyPage + 1) * 10 >= gameHistory.length}
+                          onClick={() => showHistoryPage(historyPage + 1)}
+                          disabled={(historyPage + 1) * HISTORY_PAGE_SIZE >= historyPageData.total}
                         >
-                          Next &gt;
+                          {t('common.next')}
                         </button>
                       </div>
                     </div>
                   )}
 
                   <button className="history-close-btn" onClick={() => setShowHistoryModal(false)}>
-                    Close
+                    {t('common.close')}
                   </button>
                 </>
               )}
@@ -2641,6 +5207,109 @@ function WordWise() {
         </div>
       )}
 
+      {/* Vocabulary Notebook Modal */}
+      {showNotebookModal && (
+        <div className="modal-overlay" onClick={() => setShowNotebookModal(false)}>
+          <div className="modal notebook-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{t('notebook.title')}</h2>
+              <button className="close-button" onClick={() => setShowNotebookModal(false)}>
+                ✕
+              </button>
+            </div>
+
+            <div className="modal-content">
+              <div className="notebook-filters">
+                <input
+                  type="search"
+                  className="notebook-search"
+                  value={notebookQuery}
+                  onChange={(e) => setNotebookQuery(e.target.value)}
+                  placeholder={t('notebook.search')}
+                />
+                <select
+                  className="notebook-rating-filter"
+                  value={notebookRating}
+                  onChange={(e) => setNotebookRating(e.target.value)}
+                >
+                  {['all', 'unrated', 'low', 'medium', 'high'].map(rating => (
+                    <option key={rating} value={rating}>{t(`notebook.rating.${rating}`)}</option>
+                  ))}
+                </select>
+                <button
+                  className={`toggle-btn ${notebookStarred ? 'active' : ''}`}
+                  onClick={() => setNotebookStarred(!notebookStarred)}
+                >
+                  {t('notebook.starredOnly')}
+                </button>
+              </div>
+
+              <p className="notebook-count">{t('notebook.count', { count: visibleNotebookRows.length })}</p>
+
+              {visibleNotebookRows.length === 0 ? (
+                <div className="empty-history">
+                  <p>{notebookRows.length === 0 ? t('notebook.empty') : t('notebook.noMatches')}</p>
+                </div>
+              ) : (
+                <div className="notebook-list">
+                  {visibleNotebookRows.map(row => (
+                    <div key={row.word} className="notebook-item">
+                      <button
+                        className={`notebook-star ${row.starred ? 'starred' : ''}`}
+                        onClick={() => handleNotebookStar(row.word)}
+                        title={row.starred ? t('notebook.unstar') : t('notebook.star')}
+                      >
+                        {row.starred ? '★' : '☆'}
+                      </button>
+                      <div className="notebook-details">
+                        <div className="notebook-word-line">
+                          <strong>{row.word}</strong>
+                          {row.language !== DEFAULT_LANGUAGE && (
+                            <span className="notebook-tag">{t(`languages.${row.language}`)}</span>
+                          )}
+                          {row.source && (
+                            <span className="notebook-tag">{getNotebookSourceLabel(row.source)}</span>
+                          )}
+                          {row.rating !== null && (
+                            <span className="notebook-tag">{t('notebook.understanding', { rating: row.rating })}</span>
+                          )}
+                        </div>
+                        {row.definition && <p className="notebook-definition">{row.definition}</p>}
+                        {row.lastSeen !== null && (
+                          <p className="notebook-seen">
+                            {t('notebook.seen', { first: formatDate(row.firstSeen), last: formatDate(row.lastSeen) })}
+                          </p>
+                        )}
+                      </div>
+                      <button className="history-learn-btn" onClick={() => handleNotebookLearnClick(row)}>
+                        {t('common.learn')}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="replay-actions notebook-export">
+                <button
+                  className="pagination-btn"
+                  onClick={() => handleNotebookExport('csv')}
+                  disabled={visibleNotebookRows.length === 0}
+                >
+                  {t('notebook.exportCSV')}
+                </button>
+                <button
+                  className="pagination-btn"
+                  onClick={() => handleNotebookExport('anki')}
+                  disabled={visibleNotebookRows.length === 0}
+                >
+                  {t('notebook.exportAnki')}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* AI Usage Panel (Dev Only) */}
       {showAIPanel && import.meta.env.DEV && (
         <div className="modal-overlay" onClick={() => setShowAIPanel(false)}>
@@ -2681,6 +5350,10 @@ function WordWise() {
                     acc.input += entry.extendedInfo.input
                     acc.output += entry.extendedInfo.output
                   }
+                  if (entry.definition) {
+                    acc.input += entry.definition.input
+                    acc.output += entry.definition.output
+                  }
                   return acc
                 }, { input: 0, output: 0 })
 
@@ -2691,10 +5364,12 @@ function WordWise() {
                         const entryTotal = {
                           input: (entry.wordSelection?.input || 0) +
                                 (entry.reasoning?.usage.input || 0) +
-                                (entry.extendedInfo?.input || 0),
+                                (entry.extendedInfo?.input || 0) +
+                                (entry.definition?.input || 0),
                           output: (entry.wordSelection?.output || 0) +
                                  (entry.reasoning?.usage.output || 0) +
-                                 (entry.extendedInfo?.output || 0)
+                                 (entry.extendedInfo?.output || 0) +
+                                 (entry.definition?.output || 0)
                         }
 
                         return (
@@ -2711,6 +5386,11 @@ function WordWise() {
                                   • Extended info: {entry.extendedInfo.input} → {entry.extendedInfo.output}
                                 </div>
                               )}
+                              {entry.definition && (
+                                <div className="usage-item">
+                                  • Definition: {entry.definition.input} → {entry.definition.output}
+                                </div>
+                              )}
                               {entry.reasoning && (
                                 <div className="usage-item">
                                   • Reasoning ({entry.reasoning.usage.input} → {entry.reasoning.usage.output}): "{entry.reasoning.text}"
@@ -2759,7 +5439,7 @@ function WordWise() {
 
                     <div className="usage-actions">
                       <button className="clear-usage-btn" onClick={() => {
-                        if (window.confirm('Clear all AI usage data?')) {
+                        if (window.confirm(t('ai.confirmClearUsage'))) {
                           clearTokenUsage()
                           setShowAIPanel(false)
                         }
@@ -2783,29 +5463,329 @@ function WordWise() {
         <div className="modal-overlay">
           <div className="modal feedback-modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-content">
-              {gameStatus === 'won' ? (
+              {gameMode === 'multi' ? (
+                <>
+                  <div className="modal-emoji">{gameStatus === 'won' ? '🎉' : '😔'}</div>
+                  <h2>{gameStatus === 'won' ? t('result.allSolved') : t('result.gameOver')}</h2>
+                  <ul className="board-results">
+                    {targetWords.map((word, index) => {
+                      const result = multiBoardResults[index]
+                      return (
+                        <li key={word}>
+                          <strong>{word}</strong> - {result > 0 ? t('result.solvedIn', { count: result }) : t('result.notSolved')}
+                        </li>
+                      )
+                    })}
+                  </ul>
+                </>
+              ) : gameMode === 'evil' ? (
+                <>
+                  <div className="modal-emoji">{gameStatus === 'won' ? '🎉' : '😈'}</div>
+                  <h2>{gameStatus === 'won' ? t('result.evilWon') : t('result.evilLost')}</h2>
+                  <p>{gameStatus === 'won' ? t('result.cornered') : t('result.couldHaveBeen')}: <strong>{targetWord}</strong></p>
+                  {gameStatus === 'won' ? (
+                    <p>{t('result.guessedIn', { count: currentRow + 1 })}</p>
+                  ) : (
+                    <p>{t('result.stillPossible', { count: evilRemaining })}</p>
+                  )}
+                  {gameStatus === 'won' && playedHardMode && <p className="hard-mode-badge">{t('result.hardMode')}</p>}
+                </>
+              ) : gameStatus === 'won' ? (
                 <>
                   <div className="modal-emoji">🎉</div>
-                  <h2>You won!</h2>
-                  <p>The word was: <strong>{targetWord}</strong></p>
-                  <p>Guessed in {currentRow + 1} {currentRow + 1 === 1 ? 'try' : 'tries'}</p>
+                  <h2>{t('result.won')}</h2>
+                  <p>{t('result.wordWas')} <strong>{targetWord}</strong></p>
+                  <p>{t('result.guessedIn', { count: currentRow + 1 })}</p>
+                  {playedHardMode && <p className="hard-mode-badge">{t('result.hardMode')}</p>}
                 </>
               ) : (
                 <>
                   <div className="modal-emoji">😔</div>
-                  <h2>Game Over</h2>
-                  <p>The word was: <strong>{targetWord}</strong></p>
+                  <h2>{t('result.gameOver')}</h2>
+                  <p>{t('result.wordWas')} <strong>{targetWord}</strong></p>
                 </>
               )}
 
-              <p className="word-source">
-                Word source: {wordSource === 'ai' ? 'AI-selected for your level' : 'Random from list'}
-              </p>
+              {gameMode === 'daily' ? (
+                <p className="word-source">
+                  {t('result.dailySource', { number: dailyNumber })}
+                </p>
+              ) : gameMode === 'multi' ? (
+                <p className="word-source">
+                  {t('result.multiSource', { count: targetWords.length })}
+                </p>
+              ) : gameMode === 'evil' ? (
+                <p className="word-source">
+                  {t('result.evilSource')}
+                </p>
+              ) : gameMode === 'quiz' ? (
+                <p className="word-source">
+                  {t('result.quizSource', { rating: getQuizUnderstanding(gameStatus === 'won' ? currentRow + 1 : -1) })}
+                </p>
+              ) : wordSource === 'challenge' ? (
+                <p className="word-source">
+                  {t('result.challengeSource')}
+                </p>
+              ) : (
+                <p className="word-source">
+                  {t('result.wordSource', {
+                    source: wordSource === 'ai'
+                      ? t('result.sourceAI')
+                      : gamePack ? t('result.sourcePack', { name: gamePack.name }) : t('result.sourceList')
+                  })}
+                </p>
+              )}
+
+              {assisted && (
+                <p className="assisted-badge">{t('result.assisted')}</p>
+              )}
+
+              <button className="share-button" onClick={handleShareClick}>
+                {shareCopied ? t('result.shareCopied') : t('result.share')}
+              </button>
+              {shareFallbackText && (
+                <>
+                  <p className="share-hint">{t('result.copyResult')}</p>
+                  <textarea
+                    className="share-textarea"
+                    value={shareFallbackText}
+                    readOnly
+                    rows={shareFallbackText.split('\n').length}
+                    onFocus={(e) => e.target.select()}
+                  />
+                </>
+              )}
+
+              {gameMode !== 'multi' && (
+                <button className="review-button review-result-button" onClick={handleReviewClick}>
+                  {t('result.review')}
+                </button>
+              )}
 
               <button className="close-result-button" onClick={handleCloseFeedback}>
-                Close
+                {t('common.close')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Challenge Dialog (opened from a challenge link) */}
+      {pendingChallenge && (
+        <div className="modal-overlay">
+          <div className="modal challenge-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-content">
+              {pendingChallenge.word ? (
+                <>
+                  <div className="modal-emoji">🎯</div>
+                  <h2>{t('challenge.received')}</h2>
+                  <p>{t('challenge.receivedDescription', { length: pendingChallenge.word.length })}</p>
+                  {isGameInProgress && gameMode === 'endless' && wordLength === pendingChallenge.word.length && (
+                    <p className="challenge-warning">{t('challenge.replacesGame')}</p>
+                  )}
+                  <div className="modal-buttons">
+                    <button className="secondary-button" onClick={closeChallengeDialog}>
+                      {t('challenge.notNow')}
+                    </button>
+                    <button className="play-again-button" onClick={handleAcceptChallenge}>
+                      {t('challenge.play')}
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="modal-emoji">🤔</div>
+                  <h2>{t('challenge.invalid')}</h2>
+                  <p>{t('challenge.invalidDescription')}</p>
+                  <button className="close-result-button" onClick={closeChallengeDialog}>
+                    {t('common.close')}
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Game Review Modal */}
+      {reviewSession && (
+        <div className="modal-overlay" onClick={handleCloseReviewSession}>
+          <div className="modal review-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{t('wordReview.title')}</h2>
+              <button className="close-button" onClick={handleCloseReviewSession}>
+                ✕
+              </button>
+            </div>
+
+            <div className="modal-content">
+              {reviewSession.words.length === 0 ? (
+                <p className="word-review-empty">
+                  {Object.keys(reviewSchedule).length > 0 ? t('wordReview.nothingDue') : t('wordReview.noWords')}
+                </p>
+              ) : !reviewWord ? (
+                <div className="word-review-done">
+                  <p>{t('wordReview.summary', { correct: reviewSession.correct, count: reviewSession.words.length })}</p>
+                  <button className="add-api-key-btn" onClick={handleCloseReviewSession}>
+                    {t('common.close')}
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <p className="word-review-progress">
+                    {t('wordReview.progress', { current: reviewSession.index + 1, total: reviewSession.words.length })}
+                  </p>
+
+                  <div className="word-review-clues">
+                    {!reviewDefinition || reviewDefinition.loading ? (
+                      <p className="assistant-loading">
+                        <span className="spinner-small"></span>
+                        {t('learn.loadingDefinition')}
+                      </p>
+                    ) : reviewDefinition.error ? (
+                      <p>{t('wordReview.noClue')}</p>
+                    ) : (
+                      <>
+                        {reviewDefinition.clues.map((clue, index) => (
+                          <div key={index} className="pack-definition">
+                            <strong>{clue.label}:</strong> {maskWord(clue.text, reviewWord)}
+                          </div>
+                        ))}
+                        {listenFirst !== 'off' && (
+                          <button
+                            className="pronunciation-btn"
+                            onClick={() => speakClue(reviewWord, reviewDefinition, listenFirst)}
+                            title={t('quiz.listenAgain')}
+                          >
+                            🔊 {t('quiz.listenAgain')}
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+
+                  <p className="word-review-letters">
+                    {t('wordReview.letters', { count: reviewWord.length })}
+                    {reviewHintShown && ` · ${t('wordReview.startsWith', { letter: reviewWord[0] })}`}
+                  </p>
+
+                  {reviewAnswer ? (
+                    <div className={`word-review-answer ${reviewAnswer.correct ? 'correct' : 'wrong'}`}>
+                      <p>
+                        {reviewAnswer.correct ? t('wordReview.correct') : t('wordReview.answer', { word: reviewWord })}
+                      </p>
+                      <p className="word-review-next">{t('wordReview.nextReview', { count: reviewAnswer.interval })}</p>
+                      <button className="add-api-key-btn" onClick={handleReviewNext}>
+                        {reviewSession.index + 1 < reviewSession.words.length ? t('wordReview.next') : t('wordReview.finish')}
+                      </button>
+                    </div>
+                  ) : (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault()
+                        handleReviewAnswer()
+                      }}
+                    >
+                      <div className="sync-code-input-wrapper">
+                        <input
+                          type="text"
+                          className="sync-code-input"
+                          value={reviewInput}
+                          onChange={(e) => setReviewInput(e.target.value)}
+                          maxLength={reviewWord.length}
+                          placeholder={t('wordReview.placeholder')}
+                          autoFocus
+                        />
+                      </div>
+                      <div className="replay-actions word-review-actions">
+                        <button
+                          type="button"
+                          className="pagination-btn"
+                          onClick={() => setReviewHintShown(true)}
+                          disabled={reviewHintShown}
+                        >
+                          {t('wordReview.hint')}
+                        </button>
+                        <button type="button" className="pagination-btn" onClick={() => handleReviewAnswer(true)}>
+                          {t('wordReview.showAnswer')}
+                        </button>
+                        <button type="submit" className="pagination-btn" disabled={!reviewInput.trim()}>
+                          {t('wordReview.check')}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showReviewModal && (
+        <div className="modal-overlay" onClick={() => setShowReviewModal(false)}>
+          <div className="modal review-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{t('review.title')}</h2>
+              <button className="close-button" onClick={() => setShowReviewModal(false)}>
+                ✕
               </button>
             </div>
+
+            <div className="modal-content">
+              {!isReviewPending && (
+                <>
+                  <div className="review-summary">
+                    <div className="stat-item">
+                      <div className="stat-value">
+                        {Math.round(reviewRows.reduce((sum, row) => sum + row.skill, 0) / reviewRows.length)}
+                      </div>
+                      <div className="stat-label">{t('review.skill')}</div>
+                    </div>
+                    <div className="stat-item">
+                      <div className="stat-value">
+                        {Math.round(reviewRows.reduce((sum, row) => sum + row.luck, 0) / reviewRows.length)}
+                      </div>
+                      <div className="stat-label">{t('review.luck')}</div>
+                    </div>
+                  </div>
+                  <p className="settings-description">{t('review.explanation')}</p>
+                </>
+              )}
+
+              {reviewRows?.length > 0 && (
+                <ol className="review-rows">
+                  {reviewRows.map((row, index) => (
+                    <li key={index} className="review-row">
+                      <div className="review-guess">
+                        {getLetterStatuses(row.guess, targetWord).map((status, i) => (
+                          <div key={i} className={`letter-box ${status}`}>{row.guess[i]}</div>
+                        ))}
+                      </div>
+                      <div className="review-details">
+                        <div>
+                          {t('review.possible', { count: row.before })} {row.solved ? t('review.solved') : t('review.left', { count: row.after })}
+                        </div>
+                        <div className="review-best">
+                          {t('review.bestGuess')} <strong>{row.bestGuess}</strong> {t('review.expected', { best: formatDecimal(row.bestExpected, 1), yours: formatDecimal(row.expected, 1) })}
+                        </div>
+                        <div className="review-scores">
+                          <span>{t('review.skillScore', { score: row.skill })}</span>
+                          <span>{t('review.luckScore', { score: row.luck })}</span>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              {isReviewPending && (
+                <p className="assistant-loading">
+                  <span className="spinner-small"></span>
+                  {t('review.analyzing')}
+                </p>
+              )}
+            </div>
           </div>
         </div>
       )}
@@ -2815,14 +5795,14 @@ function WordWise() {
         <div className="modal-overlay" onClick={() => setShowAPIKeyDialog(false)}>
           <div className="modal api-key-dialog" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>Anthropic API Key</h2>
+              <h2>{t('apiKey.title')}</h2>
               <button className="close-button" onClick={() => setShowAPIKeyDialog(false)}>
                 ✕
               </button>
             </div>
 
             <div className="modal-content">
-              <p>Enter your Anthropic API key to enable AI word selection:</p>
+              <p>{t('apiKey.prompt')}</p>
 
               <input
                 type="password"
@@ -2834,11 +5814,11 @@ function WordWise() {
               />
 
               <div className="api-key-warning">
-                ⚠️ Your API key will be stored in your browser's localStorage. Only add your key on devices you trust.
+                {t('apiKey.warning')}
               </div>
 
               <div className="api-key-info">
-                <p>Don't have an API key? Get one from:</p>
+                <p>{t('apiKey.noKey')}</p>
                 <a href="https://console.anthropic.com/" target="_blank" rel="noopener noreferrer">
                   https://console.anthropic.com/
                 </a>
@@ -2846,10 +5826,10 @@ function WordWise() {
 
               <div className="api-dialog-actions">
                 <button className="cancel-btn" onClick={() => setShowAPIKeyDialog(false)}>
-                  Cancel
+                  {t('common.cancel')}
                 </button>
                 <button className="save-btn" onClick={handleSaveAPIKey} disabled={!apiKeyInput.trim()}>
-                  Save
+                  {t('common.save')}
                 </button>
               </div>
             </div>
@@ -2863,28 +5843,34 @@ function WordWise() {
           <div className="modal victory-dialog" onClick={(e) => e.stopPropagation()}>
             <div className="modal-content">
               <div className="modal-emoji">🎉</div>
-              <h2>INCREDIBLE ACHIEVEMENT!</h2>
-              <p>You've played EVERY possible word!</p>
-
-              <div className="victory-stats">
-                <h3>📊 Final Statistics:</h3>
-                <ul>
-                  <li>{stats.listWords || 0} words from the standard list</li>
-                  <li>{stats.aiWords || 0} AI-selected words</li>
-                  <li>{usedWords.size} total unique words</li>
-                  <li>{stats.wins} wins ({winPercentage}%)</li>
-                  <li>Max streak: {stats.maxStreak}</li>
-                </ul>
-              </div>
+              <h2>{t('victory.title')}</h2>
+              {activePack ? (
+                <p>{t('victory.packDone', { name: activePack.name })}</p>
+              ) : (
+                <p>{t('victory.allDone')}</p>
+              )}
+
+              {!activePack && (
+                <div className="victory-stats">
+                  <h3>{t('victory.finalStats')}</h3>
+                  <ul>
+                    <li>{t('victory.listWords', { count: stats.listWords || 0 })}</li>
+                    <li>{t('victory.aiWords', { count: stats.aiWords || 0 })}</li>
+                    <li>{t('victory.uniqueWords', { count: usedWords.size })}</li>
+                    <li>{t('victory.wins', { count: stats.wins, percent: formatPercent(stats.wins, stats.played) })}</li>
+                    <li>{t('victory.maxStreak', { count: stats.maxStreak })}</li>
+                  </ul>
+                </div>
+              )}
 
-              <p className="victory-message">You've truly mastered WordWise!</p>
+              <p className="victory-message">{t('victory.mastered')}</p>
 
               <div className="victory-actions">
                 <button className="start-fresh-btn" onClick={handleVictoryStartFresh}>
-                  Start Fresh
+                  {t('victory.startFresh')}
                 </button>
                 <button className="close-btn" onClick={() => setShowVictoryDialog(false)}>
-                  Close
+                  {t('common.close')}
                 </button>
               </div>
             </div>
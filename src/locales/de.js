@@ -0,0 +1,465 @@
+/**
+ * German UI messages
+ */
+
+export default {
+  // Home page
+  'app.back': '← Zurück zu den Spielen',
+  'app.title': '🎮 Better Games',
+  'app.tagline': 'Bessere Spiele für deine Fähigkeiten im Alltag',
+  'app.wordwiseDescription': 'Lehrreiches Worträtsel',
+  'app.footer': 'Erstellt mit React + Vite',
+  'app.playNow': 'Jetzt spielen',
+
+  // Shared buttons
+  'common.close': 'Schließen',
+  'common.on': 'AN',
+  'common.off': 'AUS',
+  'common.cancel': 'Abbrechen',
+  'common.save': 'Speichern',
+  'common.edit': 'Bearbeiten',
+  'common.clear': 'Entfernen',
+  'common.copy': 'Kopieren',
+  'common.retry': 'Erneut versuchen',
+  'common.learn': 'Lernen',
+  'common.previous': '< Zurück',
+  'common.next': 'Weiter >',
+  'common.showing': '{from}-{to} von {total}',
+
+  // Word languages
+  'languages.en': 'Englisch',
+  'languages.de': 'Deutsch',
+  'languages.hr': 'Kroatisch',
+
+  // Header and board
+  'nav.statistics': 'Statistik',
+  'nav.history': 'Wortverlauf',
+  'nav.settings': 'Einstellungen',
+  'nav.wordReview': 'Wörter wiederholen',
+  'nav.notebook': 'Vokabelheft',
+  'mode.endless': 'Endlos',
+  'mode.daily': 'Täglich #{number}',
+  'mode.multi': 'Multi ×{count}',
+  'mode.evil': 'Fies 😈',
+  'mode.quiz': 'Quiz 📖',
+  'evil.remaining': {
+    one: '😈 {count} mögliches Wort übrig',
+    other: '😈 {count} mögliche Wörter übrig'
+  },
+  'quiz.noWords': 'Spiele zuerst ein paar englische Runden, das Quiz fragt nach Wörtern, die du gespielt hast.',
+  'quiz.noClue': 'Keine Definition verfügbar - rate anhand der Buchstaben.',
+  'quiz.hintTitle': 'Nach jedem falschen Versuch wird ein Buchstabe aufgedeckt',
+  'quiz.listenAgain': 'Noch einmal anhören',
+  'daily.locked': 'Du hast das heutige Tageswort schon gespielt.',
+  'daily.comeBack': 'Komm morgen für ein neues wieder!',
+  'daily.next': 'Das nächste Tageswort gibt es morgen',
+  'board.learnWord': '{word} lernen',
+  'board.wordsPossible': 'Noch mögliche Wörter',
+
+  // Game messages
+  'game.notInList': 'Nicht in der Wortliste',
+  'game.allLengthPlayed': 'Du hast alle Wörter mit {length} Buchstaben gespielt!',
+  'game.allLanguagePlayed': 'Du hast alle Wörter auf {language} gespielt!',
+  'hardMode.mustBeAt': 'Der {position} Buchstabe muss {letter} sein',
+  'hardMode.mustContain': {
+    one: 'Der Versuch muss {letter} enthalten',
+    other: 'Der Versuch muss {count}-mal {letter} enthalten'
+  },
+
+  // Game over buttons
+  'gameOver.learn': '📖 Lernen',
+  'gameOver.review': '🔍 Analyse',
+  'gameOver.playEndless': '♾️ Endlos spielen',
+  'gameOver.newBoards': '🔄 Neue Felder',
+  'gameOver.evilPlayAgain': '😈 Nochmal spielen',
+  'gameOver.nextQuiz': '📖 Nächstes Wort',
+  'gameOver.playAgain': '🔄 Nochmal spielen',
+  'gameOver.loading': 'Wird geladen...',
+
+  // Guess assistant
+  'assistant.buttonTitle': 'Den aufschlussreichsten nächsten Versuch vorschlagen',
+  'assistant.show': 'Assistent',
+  'assistant.hide': 'Assistent ausblenden',
+  'assistant.title': 'Beste nächste Versuche',
+  'assistant.possible': {
+    one: '{count} mögliches Wort',
+    other: '{count} mögliche Wörter'
+  },
+  'assistant.calculating': 'Wird berechnet...',
+  'assistant.guess': 'Versuch',
+  'assistant.information': 'Information',
+  'assistant.wordsLeft': 'Wörter übrig',
+  'assistant.useGuess': 'Diesen Versuch verwenden',
+  'assistant.couldBeAnswer': 'Könnte die Lösung sein',
+  'assistant.bits': '{bits} Bit',
+  'assistant.note': 'Dieses Spiel gilt als unterstützt und zählt nicht für deine Statistik.',
+
+  // Statistics
+  'stats.title': 'Statistik',
+  'stats.endless': 'Endlos',
+  'stats.daily': 'Täglich',
+  'stats.evil': 'Fies',
+  'stats.played': 'Gespielt',
+  'stats.winPercent': 'Siege %',
+  'stats.currentStreak': 'Aktuelle Serie',
+  'stats.maxStreak': 'Längste Serie',
+  'stats.distribution': 'VERTEILUNG DER VERSUCHE',
+  'stats.wordLength': 'Wörter mit {length} Buchstaben',
+  'stats.wordLengthLanguage': 'Wörter mit {length} Buchstaben ({language})',
+  'stats.sources': 'HERKUNFT DER WÖRTER',
+  'stats.aiSelected': '{count} von der KI gewählt ({percent})',
+  'stats.random': '{count} zufällig ({percent})',
+  'stats.hardMode': 'SCHWERER MODUS',
+  'stats.hardWins': {
+    one: '{count} Sieg im schweren Modus ({percent} der Siege)',
+    other: '{count} Siege im schweren Modus ({percent} der Siege)'
+  },
+  'stats.evilDescription': 'Das Wort ändert sich, um deinen Versuchen auszuweichen',
+  'stats.progress': 'Fortschritt',
+  'stats.progressEmpty': 'Spiel ein paar Runden, um hier deinen Fortschritt zu sehen.',
+  'stats.weeklyWinRate': 'SIEGQUOTE PRO WOCHE',
+  'stats.weeklyGuesses': 'DURCHSCHNITTLICHE VERSUCHE PRO WOCHE',
+  'stats.weekOf': 'Woche vom {date}',
+  'stats.understanding': 'VERSTÄNDNIS',
+  'stats.sourceComparison': 'KI- GEGEN ZUFALLSWÖRTER',
+  'stats.sourceGames': 'Endlos-Spiele: {ai} von der KI gewählt, {list} zufällig',
+  'stats.winRate': 'Siegquote',
+  'stats.avgGuesses': 'Versuche im Schnitt',
+  'stats.aiLabel': 'KI',
+  'stats.randomLabel': 'Zufällig',
+  'stats.gamesPerDay': 'SPIELE PRO TAG',
+  'stats.dayStreak': 'TAGESSERIE',
+  'stats.currentDays': 'Tage am Stück',
+  'stats.bestDays': 'Rekord',
+  'stats.freezes': 'Serienschutz',
+  'stats.daysPlayed': 'Spieltage',
+  'stats.keepStreak': 'Spiel heute eine Runde, damit deine Serie weiterläuft.',
+  'stats.frozenDay': 'vom Serienschutz abgedeckt',
+  'stats.gamesOnDay': {
+    one: '{count} Spiel',
+    other: '{count} Spiele'
+  },
+  'stats.freezeNote': 'Alle {days} Tage am Stück bekommst du einen Serienschutz (bis zu {max}), er deckt einen verpassten Tag für dich ab.',
+  'stats.letters': 'Buchstaben',
+  'stats.lettersEmpty': 'Spiel ein paar Runden, um zu sehen, welche Buchstaben du übersiehst.',
+  'stats.missedLetters': 'AM HÄUFIGSTEN ÜBERSEHEN',
+  'stats.missedLettersDescription': 'Buchstaben des Wortes, die du vor deinem letzten Versuch nicht gefunden hattest',
+  'stats.missedOf': '{percent} ({missed} von {games})',
+  'stats.missedPositions': 'VERFEHLTE POSITIONEN',
+  'stats.missedPositionsDescription': 'Wie oft ein Versuch an dieser Stelle nicht den richtigen Buchstaben hatte',
+  'stats.openers': 'STARTWÖRTER',
+  'stats.opener': 'Wort',
+  'stats.openerGames': 'Spiele',
+  'stats.openerFound': 'Gefundene Buchstaben',
+  'stats.letterUsage': 'BUCHSTABENNUTZUNG',
+  'stats.confirmReset': 'Möchtest du wirklich die gesamte Statistik zurücksetzen? Das kann nicht rückgängig gemacht werden.',
+  'stats.confirmClearUsed': 'Möchtest du wirklich alle gespielten Wörter löschen? Dann können alle Wörter wieder vorkommen.',
+  'stats.totalUsed': 'Insgesamt gespielt:',
+  'stats.usedBySource': '{total} ({ai} KI, {list} Liste)',
+
+  // Settings
+  'settings.title': 'Einstellungen',
+  'settings.tabGame': 'Spiel',
+  'settings.tabAI': 'KI-Einstellungen',
+  'settings.tabSync': 'Cloud-Sync',
+  'settings.uiLanguage': 'App-Sprache',
+  'settings.uiLanguageDescription': 'Sprache der Menüs, Meldungen, Zahlen und Daten. Wird mit deinen anderen Geräten synchronisiert.',
+  'settings.wordLanguage': 'Sprache der Wörter',
+  'settings.wordLanguageDescription': 'Sprache der Wörter in Endlos-Spielen. Jede Sprache hat eigene Wortliste, Tastatur, Statistik, Verlauf und gespielte Wörter. Deutsch und Kroatisch werden mit 5 Buchstaben gespielt; die anderen Modi, Wortpakete und Herausforderungen sind auf Englisch.',
+  'settings.wordLength': 'Wortlänge',
+  'settings.wordLengthDescription': 'Buchstaben pro Wort in Endlos-Spielen. Jede Länge hat eigene Wortliste, Statistik und gespielte Wörter. Das Tageswort hat immer 5 Buchstaben.',
+  'settings.multiBoard': 'Mehrere Felder',
+  'settings.multiBoardDescription': 'Anzahl der Wörter, die im Mehrfeld-Modus gleichzeitig gelöst werden. Jeder Versuch wird auf allen Feldern gespielt.',
+  'settings.boardOption': {
+    one: '{count} Feld ({guesses} Versuche)',
+    other: '{count} Felder ({guesses} Versuche)'
+  },
+  'settings.boardCountLocked': 'Die Anzahl der Felder kann nur zwischen Spielen geändert werden',
+  'settings.assistant': 'Rate-Assistent',
+  'settings.assistantDescription': 'Zeigt einen 💡-Knopf, der Versuche danach ordnet, wie stark sie die möglichen Wörter eingrenzen. Spiele, in denen du ihn öffnest, gelten als unterstützt und zählen nicht für deine Statistik. Nicht verfügbar für das Tageswort und Spiele mit mehreren Feldern.',
+  'settings.listenFirst': 'Zuerst anhören',
+  'settings.listenFirstDescription': 'Im Definitionsquiz und bei der Wortwiederholung wird die Definition vorgelesen oder das Wort ausgesprochen, sobald es erscheint.',
+  'settings.listenFirst.off': 'Aus',
+  'settings.listenFirst.definition': 'Definition',
+  'settings.listenFirst.word': 'Wort',
+  'settings.hardMode': 'Schwerer Modus',
+  'settings.hardModeDescription': 'Aufgedeckte Hinweise müssen in allen weiteren Versuchen verwendet werden (Spiele mit einem Feld)',
+  'settings.hardModeLocked': 'Der schwere Modus kann nur zwischen Spielen geändert werden',
+  'settings.offlineCache': 'Offline-Speicher',
+  'settings.offlineCacheDescription': 'Nachgeschlagene Definitionen, Aussprachen und Wortinformationen werden auf diesem Gerät gespeichert, damit Lernen auch offline funktioniert. Ab 20 MB werden die ältesten Einträge entfernt.',
+  'settings.offlineCacheSize': {
+    one: '{count} gespeicherter Eintrag · {size}',
+    other: '{count} gespeicherte Einträge · {size}'
+  },
+  'settings.enableAI': 'KI aktivieren',
+  'settings.enableAIDescription': 'Die KI wählt Wörter passend zu deinem Können',
+  'settings.addKeyToEnable': 'Füge einen API-Schlüssel hinzu, um die KI zu aktivieren',
+  'settings.tier2': 'Schwerpunkt Bildungswortschatz (Tier II)',
+  'settings.tier2Description': 'Akademischen Wortschatz bevorzugen',
+  'settings.extendedInfo': 'Erweiterte Wortinformationen',
+  'settings.extendedInfoDescription': 'Etymologie und Übersetzungen aktivieren',
+  'settings.translationLanguages': 'Übersetzen in:',
+  'settings.apiConfig': 'API-Konfiguration',
+  'settings.apiKeyRequired': 'ℹ️ Die KI benötigt einen Anthropic-API-Schlüssel',
+  'settings.apiKeyLabel': 'API-Schlüssel:',
+  'settings.addApiKey': 'API-Schlüssel hinzufügen',
+  'settings.apiKeyStored': 'ℹ️ Dein API-Schlüssel wird lokal in deinem Browser gespeichert. Füge ihn nur auf Geräten hinzu, denen du vertraust.',
+
+  // Word packs
+  'packs.title': 'Wortpaket',
+  'packs.description': 'Endlos-Spiele können Wörter aus deinen eigenen Listen ziehen. Jedes Paket merkt sich seine gespielten Wörter; ein neues Paket gilt ab dem nächsten Endlos-Spiel. Angezeigt werden Pakete mit {length} Buchstaben.',
+  'packs.standard': 'Standardliste',
+  'packs.words': {
+    one: '{count} Wort',
+    other: '{count} Wörter'
+  },
+  'packs.wordsPlayed': {
+    one: '{count} Wort, {played} gespielt',
+    other: '{count} Wörter, {played} gespielt'
+  },
+  'packs.inUse': 'Wird vom aktuellen Spiel verwendet',
+  'packs.delete': 'Paket löschen',
+  'packs.importTitle': 'Paket importieren',
+  'packs.importHelp': 'Füge eine Textdatei mit einem Wort pro Zeile ein oder lade sie hoch (optional mit einer Definition nach ":", "+WORT" fügt einen erlaubten Versuch hinzu, "# Name" benennt das Paket), oder JSON mit name, words, definitions und allowed.',
+  'packs.namePlaceholder': 'Name des Pakets',
+  'packs.import': 'Paket importieren',
+  'packs.imported': {
+    one: '"{name}" mit {count} Wort importiert',
+    other: '"{name}" mit {count} Wörtern importiert'
+  },
+  'packs.skipped': ' ({count} ungültige übersprungen: {words})',
+  'packs.confirmDelete': 'Das Wortpaket "{name}" löschen?',
+  'packs.invalidJson': 'Ungültiges JSON',
+  'packs.missingName': 'Gib dem Paket einen Namen',
+  'packs.noWords': 'Keine gültigen Wörter mit {length} Buchstaben gefunden',
+
+  // Challenges
+  'challenge.title': 'Fordere einen Freund heraus',
+  'challenge.description': 'Wähle ein Wort und schicke den Link. Das Wort ist im Link verschlüsselt, damit man es nicht auf einen Blick lesen kann.',
+  'challenge.placeholder': 'WORT',
+  'challenge.create': 'Link erstellen',
+  'challenge.linkCopied': '✓ Link in die Zwischenablage kopiert',
+  'challenge.copyHint': 'Kopiere den Link und schicke ihn einem Freund',
+  'challenge.lengthError': 'Wörter müssen {min} bis {max} Buchstaben lang sein',
+  'challenge.received': 'Du wurdest herausgefordert!',
+  'challenge.receivedDescription': 'Ein Freund hat ein Wort mit {length} Buchstaben für dich ausgesucht.',
+  'challenge.replacesGame': 'Das ersetzt dein aktuelles Spiel.',
+  'challenge.notNow': 'Nicht jetzt',
+  'challenge.play': 'Herausforderung spielen',
+  'challenge.invalid': 'Ungültige Herausforderung',
+  'challenge.invalidDescription': 'Dieser Link ist beschädigt oder enthält ein Wort, das nicht in der Wortliste steht.',
+
+  // Cloud sync
+  'sync.newDevice': 'Neues Gerät',
+  'sync.newDeviceDescription': 'Erstelle einen Sync-Code für deine anderen Geräte',
+  'sync.generating': 'Wird erstellt...',
+  'sync.generate': 'Sync-Code erstellen',
+  'sync.haveCode': 'Hast du einen Code?',
+  'sync.haveCodeDescription': 'Gib den Sync-Code von einem anderen Gerät ein',
+  'sync.syncing': 'Wird synchronisiert...',
+  'sync.useCode': 'Code verwenden',
+  'sync.code': 'Sync-Code',
+  'sync.disable': 'Deaktivieren',
+  'sync.info': 'ℹ️ Verwende diesen Code auf anderen Geräten, um deinen Fortschritt zu synchronisieren. Die Daten werden nach jedem Spiel automatisch synchronisiert.',
+  'sync.control': 'Synchronisierung',
+  'sync.syncNow': 'Jetzt synchronisieren',
+  'sync.apiKeyNotSynced': 'ℹ️ Dein API-Schlüssel wird aus Sicherheitsgründen NICHT synchronisiert. Du musst ihn auf jedem Gerät hinzufügen.',
+  'sync.success': 'Erfolgreich synchronisiert!',
+  'sync.codeCopied': 'Code kopiert!',
+  'sync.invalidFormat': 'Ungültiger Sync-Code. Verwende das Format XXXX-YYYY.',
+  'sync.confirmDisable': 'Cloud-Sync deaktivieren? Dein Sync-Code wird von diesem Gerät entfernt, die Daten in der Cloud bleiben erhalten.',
+  'sync.generateFailed': 'Sync-Code konnte nicht erstellt werden',
+  'sync.fetchFailed': 'Sync-Daten konnten nicht geladen werden',
+  'sync.updateFailed': 'Sync-Daten konnten nicht aktualisiert werden',
+
+  // AI word selection
+  'ai.invalidKey': 'Ungültiger API-Schlüssel. Bitte prüfe deinen Schlüssel im Debug-Bereich.',
+  'ai.rateLimit': 'API-Limit überschritten. Bitte versuche es gleich noch einmal.',
+  'ai.unavailable': 'Die Claude-API ist vorübergehend nicht erreichbar.',
+  'ai.requestFailed': 'API-Anfrage fehlgeschlagen',
+  'ai.networkError': 'Netzwerkfehler. {hint}',
+  'ai.workerHint': 'Prüfe, ob dein Cloudflare Worker läuft und erreichbar ist.',
+  'ai.corsHint': 'Netzwerkfehler. Richte einen Cloudflare Worker ein, um CORS-Beschränkungen zu umgehen.',
+  'ai.noKey': 'Bitte füge im Debug-Bereich deinen Anthropic-API-Schlüssel hinzu, um die KI-Wortwahl zu nutzen.',
+  'ai.selectionFailed': 'KI-Wortwahl fehlgeschlagen: {error}\nEs wird ein zufälliges Wort gewählt.',
+  'ai.invalidWord': 'Ungültiges Wortformat von der API',
+  'ai.usedWord': 'Die API hat ein bereits gespieltes Wort geliefert',
+  'ai.confirmClearUsage': 'Alle KI-Nutzungsdaten löschen?',
+
+  // API key dialog
+  'apiKey.title': 'Anthropic-API-Schlüssel',
+  'apiKey.prompt': 'Gib deinen Anthropic-API-Schlüssel ein, um die KI-Wortwahl zu aktivieren:',
+  'apiKey.warning': '⚠️ Dein API-Schlüssel wird im localStorage deines Browsers gespeichert. Füge ihn nur auf Geräten hinzu, denen du vertraust.',
+  'apiKey.noKey': 'Du hast keinen API-Schlüssel? Hier bekommst du einen:',
+  'apiKey.confirmRemove': 'API-Schlüssel von diesem Gerät entfernen?',
+
+  // Learn modal
+  'learn.definition': 'Definition',
+  'learn.etymology': 'Etymologie',
+  'learn.translations': 'Übersetzungen',
+  'learn.loadingDefinition': 'Definition wird geladen...',
+  'learn.loadingEtymology': 'Etymologie wird geladen...',
+  'learn.loadingTranslations': 'Übersetzungen werden geladen...',
+  'learn.definitionUnavailable': 'Keine Definition verfügbar',
+  'learn.languageUnavailable': 'Für Wörter auf {language} gibt es noch keine Definitionen',
+  'learn.dictionaryHint': 'Schlag das Wort am besten in einem Online-Wörterbuch nach.',
+  'learn.pronunciation': 'Aussprache:',
+  'learn.listen': 'Aussprache abspielen',
+  'learn.listenSpeech': 'Mit der Stimme des Browsers vorlesen',
+  'learn.definitions': 'Definitionen:',
+  'learn.example': 'Beispiel: „{example}“',
+  'learn.providedBy': 'Definitionen von',
+  'learn.provider.ai': 'KI (kann Fehler enthalten)',
+  'learn.provider.offline': 'dem WordWise-Offline-Wörterbuch',
+  'learn.etymologyTitle': 'Etymologie & Wortfamilie',
+  'learn.extendedDisabled': 'Erweiterte Wortinformationen sind derzeit deaktiviert.',
+  'learn.enableExtended': 'In den Einstellungen aktivieren',
+  'learn.extendedFailed': 'Erweiterte Informationen konnten nicht geladen werden.',
+  'learn.etymologyLabel': 'Etymologie:',
+  'learn.wordFamily': 'Wortfamilie:',
+  'learn.translationTitle': 'Übersetzung ({language})',
+  'learn.examples': 'Beispiele:',
+  'learn.ratingQuestion': 'Wie gut kanntest du die Bedeutung dieses Wortes?',
+  'learn.ratingNote': '(Du kannst deine Bewertung jederzeit ändern)',
+
+  // Word history
+  'history.title': 'Wortverlauf',
+  'history.back': '< Zurück',
+  'history.replayAgain': '↻ Nochmal abspielen',
+  'history.empty': 'Noch kein Wortverlauf. Spiel ein paar Runden, um deinen Verlauf aufzubauen!',
+  'history.wonIn': {
+    one: '✓ Gewonnen mit {count} Versuch',
+    other: '✓ Gewonnen mit {count} Versuchen'
+  },
+  'history.lost': '✗ Verloren',
+  'history.assisted': '💡 Unterstützt',
+  'history.assistedTitle': 'Der Rate-Assistent wurde verwendet',
+  'history.replay': 'Dieses Spiel abspielen',
+
+  // Result dialog
+  'result.allSolved': 'Alle Felder gelöst!',
+  'result.gameOver': 'Spiel vorbei',
+  'result.solvedIn': {
+    one: 'gelöst mit {count} Versuch',
+    other: 'gelöst mit {count} Versuchen'
+  },
+  'result.notSolved': 'nicht gelöst',
+  'result.evilWon': 'Du hast den Gegner besiegt!',
+  'result.evilLost': 'Der Gegner gewinnt',
+  'result.cornered': 'Das Wort in die Enge getrieben',
+  'result.couldHaveBeen': 'Ein Wort, das es hätte sein können',
+  'result.guessedIn': {
+    one: 'Erraten mit {count} Versuch',
+    other: 'Erraten mit {count} Versuchen'
+  },
+  'result.stillPossible': {
+    one: '{count} Wort war noch möglich',
+    other: '{count} Wörter waren noch möglich'
+  },
+  'result.hardMode': '🔥 Schwerer Modus',
+  'result.won': 'Gewonnen!',
+  'result.wordWas': 'Das Wort war:',
+  'result.dailySource': 'Tageswort #{number} - morgen gibt es ein neues Wort',
+  'result.multiSource': 'Spiel mit mehreren Feldern - {count} zufällige Wörter aus der Liste',
+  'result.evilSource': 'Fieser Modus - das Wort hat sich ständig geändert, um deinen Versuchen auszuweichen',
+  'result.quizSource': 'Definitionsquiz - Wortverständnis auf {rating}/10 gesetzt',
+  'result.challengeSource': 'Herausforderung von einem Freund - verbraucht keine deiner Endlos-Wörter',
+  'result.wordSource': 'Herkunft des Wortes: {source}',
+  'result.sourceAI': 'Von der KI für dein Niveau gewählt',
+  'result.sourcePack': 'Zufällig aus dem Paket "{name}"',
+  'result.sourceList': 'Zufällig aus der Liste',
+  'result.assisted': '💡 Unterstützt - zählt nicht für deine Statistik',
+  'result.share': '📤 Teilen',
+  'result.shareCopied': '✓ In die Zwischenablage kopiert',
+  'result.copyResult': 'Kopiere dein Ergebnis:',
+  'result.review': '🔍 Versuche analysieren',
+
+  // Game review
+  'review.title': 'Spielanalyse',
+  'review.analyzing': 'Deine Versuche werden analysiert...',
+  'review.skill': 'Können',
+  'review.luck': 'Glück',
+  'review.explanation': 'Können vergleicht jeden Versuch mit dem aufschlussreichsten Versuch, der zu diesem Zeitpunkt möglich war. Glück vergleicht deine Farben mit allen anderen möglichen Ergebnissen dieses Versuchs (50 ist der Durchschnitt).',
+  'review.possible': {
+    one: '{count} Wort möglich →',
+    other: '{count} Wörter möglich →'
+  },
+  'review.solved': 'gelöst!',
+  'review.left': '{count} übrig',
+  'review.bestGuess': 'Bester Versuch:',
+  'review.expected': '(~{best} übrig, deiner ~{yours})',
+  'review.skillScore': 'Können {score}',
+  'review.luckScore': 'Glück {score}',
+
+  // Word review
+  'wordReview.title': 'Wörter wiederholen',
+  'wordReview.noWords': 'Spiele zuerst ein paar englische Runden, ihre Wörter kommen hier zur Wiederholung zurück.',
+  'wordReview.nothingDue': 'Gerade sind keine Wörter fällig. Schau später wieder vorbei!',
+  'wordReview.progress': 'Wort {current} von {total}',
+  'wordReview.noClue': 'Für dieses Wort gibt es keine Definition.',
+  'wordReview.letters': {
+    one: '{count} Buchstabe',
+    other: '{count} Buchstaben'
+  },
+  'wordReview.startsWith': 'beginnt mit {letter}',
+  'wordReview.placeholder': 'Welches Wort ist es?',
+  'wordReview.hint': 'Erster Buchstabe',
+  'wordReview.showAnswer': 'Lösung zeigen',
+  'wordReview.check': 'Prüfen',
+  'wordReview.correct': '✓ Richtig!',
+  'wordReview.answer': 'Das Wort war {word}',
+  'wordReview.nextReview': {
+    one: 'Nächste Wiederholung in {count} Tag',
+    other: 'Nächste Wiederholung in {count} Tagen'
+  },
+  'wordReview.next': 'Nächstes Wort',
+  'wordReview.finish': 'Fertig',
+  'wordReview.summary': {
+    one: 'Du hast {correct} von {count} Wort gewusst.',
+    other: 'Du hast {correct} von {count} Wörtern gewusst.'
+  },
+
+  // Vocabulary notebook
+  'notebook.title': 'Vokabelheft',
+  'notebook.search': 'Wörter und Definitionen durchsuchen',
+  'notebook.starredOnly': '★ Markiert',
+  'notebook.count': {
+    one: '{count} Wort',
+    other: '{count} Wörter'
+  },
+  'notebook.empty': 'Noch keine Wörter. Jedes Wort, das du spielst, landet hier.',
+  'notebook.noMatches': 'Keine Wörter passen zu deinen Filtern.',
+  'notebook.star': 'Wort markieren',
+  'notebook.unstar': 'Markierung entfernen',
+  'notebook.understanding': 'Verständnis {rating}/10',
+  'notebook.seen': 'Zuerst gesehen {first} · zuletzt gesehen {last}',
+  'notebook.exportCSV': '⬇ CSV',
+  'notebook.exportAnki': '⬇ Anki',
+  'notebook.rating.all': 'Alle Bewertungen',
+  'notebook.rating.unrated': 'Nicht bewertet',
+  'notebook.rating.low': 'Niedrig (1-3)',
+  'notebook.rating.medium': 'Mittel (4-7)',
+  'notebook.rating.high': 'Hoch (8-10)',
+  'notebook.source.list': 'Wortliste',
+  'notebook.source.ai': 'KI-Auswahl',
+  'notebook.source.challenge': 'Herausforderung',
+  'notebook.source.daily': 'Tageswort',
+  'notebook.source.multi': 'Mehrere Felder',
+  'notebook.source.evil': 'Fieser Modus',
+  'notebook.source.quiz': 'Quiz',
+
+  // Victory dialog
+  'victory.title': 'UNGLAUBLICHE LEISTUNG!',
+  'victory.packDone': 'Du hast jedes Wort im Paket "{name}" gespielt!',
+  'victory.allDone': 'Du hast JEDES mögliche Wort gespielt!',
+  'victory.finalStats': '📊 Endstatistik:',
+  'victory.listWords': '{count} Wörter aus der Standardliste',
+  'victory.aiWords': '{count} von der KI gewählte Wörter',
+  'victory.uniqueWords': '{count} verschiedene Wörter insgesamt',
+  'victory.wins': '{count} Siege ({percent})',
+  'victory.maxStreak': 'Längste Serie: {count}',
+  'victory.mastered': 'Du beherrschst WordWise wirklich!',
+  'victory.startFresh': 'Neu anfangen',
+  'victory.confirmPackRestart': 'Das Paket "{name}" neu beginnen? Seine gespielten Wörter werden gelöscht.',
+  'victory.confirmStartFresh': 'Möchtest du wirklich neu anfangen? Gespielte Wörter und Statistik dieser Wortlänge werden gelöscht. Dein Spielverlauf bleibt erhalten.'
+}
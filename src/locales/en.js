@@ -0,0 +1,468 @@
+/**
+ * English UI messages
+ * This is the reference catalog: every key used by the app is defined here and
+ * the other languages fall back to it for missing keys. Plural messages are
+ * objects keyed by Intl.PluralRules category.
+ */
+
+export default {
+  // Home page
+  'app.back': '← Back to Games',
+  'app.title': '🎮 Better Games',
+  'app.tagline': 'Better games to boost your everyday skills',
+  'app.wordwiseDescription': 'Educational word guessing game',
+  'app.footer': 'Made with React + Vite',
+  'app.playNow': 'Play Now',
+
+  // Shared buttons
+  'common.close': 'Close',
+  'common.on': 'ON',
+  'common.off': 'OFF',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.edit': 'Edit',
+  'common.clear': 'Clear',
+  'common.copy': 'Copy',
+  'common.retry': 'Retry',
+  'common.learn': 'Learn',
+  'common.previous': '< Previous',
+  'common.next': 'Next >',
+  'common.showing': 'Showing {from}-{to} of {total}',
+
+  // Word languages
+  'languages.en': 'English',
+  'languages.de': 'German',
+  'languages.hr': 'Croatian',
+
+  // Header and board
+  'nav.statistics': 'Statistics',
+  'nav.history': 'Word History',
+  'nav.settings': 'Settings',
+  'nav.wordReview': 'Word Review',
+  'nav.notebook': 'Vocabulary Notebook',
+  'mode.endless': 'Endless',
+  'mode.daily': 'Daily #{number}',
+  'mode.multi': 'Multi ×{count}',
+  'mode.evil': 'Evil 😈',
+  'mode.quiz': 'Quiz 📖',
+  'evil.remaining': {
+    one: '😈 {count} possible word left',
+    other: '😈 {count} possible words left'
+  },
+  'quiz.noWords': 'Play a few English games first, the quiz asks for words you\'ve played.',
+  'quiz.noClue': 'No definition available - guess from the letters.',
+  'quiz.hintTitle': 'A letter is revealed after each wrong guess',
+  'quiz.listenAgain': 'Listen again',
+  'daily.locked': 'You\'ve already played today\'s daily word.',
+  'daily.comeBack': 'Come back tomorrow for a new one!',
+  'daily.next': 'Next daily word tomorrow',
+  'board.learnWord': 'Learn {word}',
+  'board.wordsPossible': 'Words still possible',
+
+  // Game messages
+  'game.notInList': 'Not in word list',
+  'game.allLengthPlayed': 'You\'ve played every {length}-letter word!',
+  'game.allLanguagePlayed': 'You\'ve played every {language} word!',
+  'hardMode.mustBeAt': '{position} letter must be {letter}',
+  'hardMode.mustContain': {
+    one: 'Guess must contain {letter}',
+    other: 'Guess must contain {letter} {count} times'
+  },
+
+  // Game over buttons
+  'gameOver.learn': '📖 Learn',
+  'gameOver.review': '🔍 Review',
+  'gameOver.playEndless': '♾️ Play Endless',
+  'gameOver.newBoards': '🔄 New Boards',
+  'gameOver.evilPlayAgain': '😈 Play Again',
+  'gameOver.nextQuiz': '📖 Next Word',
+  'gameOver.playAgain': '🔄 Play Again',
+  'gameOver.loading': 'Loading...',
+
+  // Guess assistant
+  'assistant.buttonTitle': 'Suggest the most informative next guess',
+  'assistant.show': 'Assistant',
+  'assistant.hide': 'Hide Assistant',
+  'assistant.title': 'Best Next Guesses',
+  'assistant.possible': {
+    one: '{count} possible word',
+    other: '{count} possible words'
+  },
+  'assistant.calculating': 'Calculating...',
+  'assistant.guess': 'Guess',
+  'assistant.information': 'Information',
+  'assistant.wordsLeft': 'Words left',
+  'assistant.useGuess': 'Use this guess',
+  'assistant.couldBeAnswer': 'Could be the answer',
+  'assistant.bits': '{bits} bits',
+  'assistant.note': 'This game is marked as assisted and won\'t count toward your stats.',
+
+  // Statistics
+  'stats.title': 'Statistics',
+  'stats.endless': 'Endless',
+  'stats.daily': 'Daily',
+  'stats.evil': 'Evil',
+  'stats.played': 'Played',
+  'stats.winPercent': 'Win %',
+  'stats.currentStreak': 'Current Streak',
+  'stats.maxStreak': 'Max Streak',
+  'stats.distribution': 'GUESS DISTRIBUTION',
+  'stats.wordLength': '{length}-letter words',
+  'stats.wordLengthLanguage': '{length}-letter words ({language})',
+  'stats.sources': 'WORD SOURCES',
+  'stats.aiSelected': '{count} AI-selected ({percent})',
+  'stats.random': '{count} Random ({percent})',
+  'stats.hardMode': 'HARD MODE',
+  'stats.hardWins': {
+    one: '{count} win in hard mode ({percent} of wins)',
+    other: '{count} wins in hard mode ({percent} of wins)'
+  },
+  'stats.evilDescription': 'The word changes to dodge your guesses',
+  'stats.progress': 'Progress',
+  'stats.progressEmpty': 'Play a few games to see your progress over time.',
+  'stats.weeklyWinRate': 'WIN RATE PER WEEK',
+  'stats.weeklyGuesses': 'AVERAGE GUESSES PER WEEK',
+  'stats.weekOf': 'Week of {date}',
+  'stats.understanding': 'UNDERSTANDING RATING',
+  'stats.sourceComparison': 'AI VS. RANDOM WORDS',
+  'stats.sourceGames': 'Endless games: {ai} AI-selected, {list} random',
+  'stats.winRate': 'Win rate',
+  'stats.avgGuesses': 'Average guesses',
+  'stats.aiLabel': 'AI',
+  'stats.randomLabel': 'Random',
+  'stats.gamesPerDay': 'GAMES PER DAY',
+  'stats.dayStreak': 'DAY STREAK',
+  'stats.currentDays': 'Days in a Row',
+  'stats.bestDays': 'Best',
+  'stats.freezes': 'Freezes',
+  'stats.daysPlayed': 'Days Played',
+  'stats.keepStreak': 'Play a game today to keep your streak going.',
+  'stats.frozenDay': 'covered by a streak freeze',
+  'stats.gamesOnDay': {
+    one: '{count} game',
+    other: '{count} games'
+  },
+  'stats.freezeNote': 'Every {days} days in a row earn a streak freeze (up to {max}), it covers a missed day for you.',
+  'stats.letters': 'Letters',
+  'stats.lettersEmpty': 'Finish a few games to see which letters you miss.',
+  'stats.missedLetters': 'MOST MISSED LETTERS',
+  'stats.missedLettersDescription': 'Letters of the word you hadn\'t found before your last guess',
+  'stats.missedOf': '{percent} ({missed} of {games})',
+  'stats.missedPositions': 'MISSED POSITIONS',
+  'stats.missedPositionsDescription': 'How often a guess didn\'t have the right letter in each spot',
+  'stats.openers': 'OPENING WORDS',
+  'stats.opener': 'Word',
+  'stats.openerGames': 'Games',
+  'stats.openerFound': 'Letters found',
+  'stats.letterUsage': 'LETTER USAGE',
+  'stats.confirmReset': 'Are you sure you want to reset all statistics? This cannot be undone.',
+  'stats.confirmClearUsed': 'Are you sure you want to clear all used words? This will allow all words to appear again.',
+  'stats.totalUsed': 'Total used:',
+  'stats.usedBySource': '{total} ({ai} AI, {list} list)',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.tabGame': 'Game',
+  'settings.tabAI': 'AI Settings',
+  'settings.tabSync': 'Cloud Sync',
+  'settings.uiLanguage': 'App Language',
+  'settings.uiLanguageDescription': 'Language of the menus, messages, numbers and dates. Syncs to your other devices.',
+  'settings.wordLanguage': 'Word Language',
+  'settings.wordLanguageDescription': 'Language of the words in endless games. Each language has its own word list, keyboard, stats, history and used words. German and Croatian are played with 5 letters; the other modes, word packs and challenges are in English.',
+  'settings.wordLength': 'Word Length',
+  'settings.wordLengthDescription': 'Letters per word in endless games. Each length has its own word list, stats and used words. The daily challenge always uses 5 letters.',
+  'settings.multiBoard': 'Multi-Board',
+  'settings.multiBoardDescription': 'Number of words solved at once in multi-board mode. Every guess is played on all boards.',
+  'settings.boardOption': {
+    one: '{count} board ({guesses} guesses)',
+    other: '{count} boards ({guesses} guesses)'
+  },
+  'settings.boardCountLocked': 'Board count can only be changed between games',
+  'settings.assistant': 'Guess Assistant',
+  'settings.assistantDescription': 'Show a 💡 button that ranks guesses by how much they narrow down the possible words. Games where you open it are marked as assisted and don\'t count toward your stats. Not available for the daily challenge or multi-board games.',
+  'settings.listenFirst': 'Listen First',
+  'settings.listenFirstDescription': 'In the definition quiz and word review, read the definition or say the word aloud as soon as it appears.',
+  'settings.listenFirst.off': 'Off',
+  'settings.listenFirst.definition': 'Definition',
+  'settings.listenFirst.word': 'Word',
+  'settings.hardMode': 'Hard Mode',
+  'settings.hardModeDescription': 'Any revealed hints must be used in subsequent guesses (single-board games)',
+  'settings.hardModeLocked': 'Hard mode can only be changed between games',
+  'settings.offlineCache': 'Offline Cache',
+  'settings.offlineCacheDescription': 'Definitions, pronunciations and word information you look up are saved on this device, so Learn works offline. The oldest lookups are removed once the cache reaches 20 MB.',
+  'settings.offlineCacheSize': {
+    one: '{count} saved lookup · {size}',
+    other: '{count} saved lookups · {size}'
+  },
+  'settings.enableAI': 'Enable AI',
+  'settings.enableAIDescription': 'Use AI to select words based on your skill level',
+  'settings.addKeyToEnable': 'Add an API key to enable AI',
+  'settings.tier2': 'Tier II Vocabulary Focus',
+  'settings.tier2Description': 'Prioritize academic vocabulary',
+  'settings.extendedInfo': 'Extended Word Information',
+  'settings.extendedInfoDescription': 'Enable etymology and translations',
+  'settings.translationLanguages': 'Translate into:',
+  'settings.apiConfig': 'API Configuration',
+  'settings.apiKeyRequired': 'ℹ️ AI requires an Anthropic API key',
+  'settings.apiKeyLabel': 'API Key:',
+  'settings.addApiKey': 'Add API Key',
+  'settings.apiKeyStored': 'ℹ️ Your API key is stored locally in your browser. Only add your key on devices you trust.',
+
+  // Word packs
+  'packs.title': 'Word Pack',
+  'packs.description': 'Endless games can draw from your own word lists. Each pack tracks its own used words; a new pack is used from the next endless game. Showing {length}-letter packs.',
+  'packs.standard': 'Standard list',
+  'packs.words': {
+    one: '{count} word',
+    other: '{count} words'
+  },
+  'packs.wordsPlayed': {
+    one: '{count} word, {played} played',
+    other: '{count} words, {played} played'
+  },
+  'packs.inUse': 'In use by the current game',
+  'packs.delete': 'Delete pack',
+  'packs.importTitle': 'Import a pack',
+  'packs.importHelp': 'Paste or upload a text file with one word per line (add a definition after ":" if you like, "+WORD" adds an allowed guess, "# Name" names the pack), or JSON with name, words, definitions and allowed.',
+  'packs.namePlaceholder': 'Pack name',
+  'packs.import': 'Import Pack',
+  'packs.imported': {
+    one: 'Imported "{name}" with {count} word',
+    other: 'Imported "{name}" with {count} words'
+  },
+  'packs.skipped': ' (skipped {count} invalid: {words})',
+  'packs.confirmDelete': 'Delete the "{name}" word pack?',
+  'packs.invalidJson': 'Invalid JSON',
+  'packs.missingName': 'Give the pack a name',
+  'packs.noWords': 'No valid {length}-letter words found',
+
+  // Challenges
+  'challenge.title': 'Challenge a Friend',
+  'challenge.description': 'Pick a word and send the link. The word is scrambled in the link so it can\'t be read at a glance.',
+  'challenge.placeholder': 'WORD',
+  'challenge.create': 'Create Link',
+  'challenge.linkCopied': '✓ Link copied to clipboard',
+  'challenge.copyHint': 'Copy the link and send it to a friend',
+  'challenge.lengthError': 'Words must be {min} to {max} letters long',
+  'challenge.received': 'You\'ve been challenged!',
+  'challenge.receivedDescription': 'A friend picked a {length}-letter word for you to guess.',
+  'challenge.replacesGame': 'This replaces your current game.',
+  'challenge.notNow': 'Not Now',
+  'challenge.play': 'Play Challenge',
+  'challenge.invalid': 'Invalid challenge',
+  'challenge.invalidDescription': 'This challenge link is broken or uses a word that isn\'t in the word list.',
+
+  // Cloud sync
+  'sync.newDevice': 'New Device',
+  'sync.newDeviceDescription': 'Generate a sync code to use on other devices',
+  'sync.generating': 'Generating...',
+  'sync.generate': 'Generate Sync Code',
+  'sync.haveCode': 'Have a Code?',
+  'sync.haveCodeDescription': 'Enter your sync code from another device',
+  'sync.syncing': 'Syncing...',
+  'sync.useCode': 'Use Code',
+  'sync.code': 'Sync Code',
+  'sync.disable': 'Disable',
+  'sync.info': 'ℹ️ Use this code on other devices to sync your progress. Data is synced automatically after each game.',
+  'sync.control': 'Sync Control',
+  'sync.syncNow': 'Sync Now',
+  'sync.apiKeyNotSynced': 'ℹ️ Your API key is NOT synced for security. You\'ll need to add it on each device.',
+  'sync.success': 'Synced successfully!',
+  'sync.codeCopied': 'Code copied!',
+  'sync.invalidFormat': 'Invalid sync code format. Use XXXX-YYYY format.',
+  'sync.confirmDisable': 'Disable cloud sync? Your sync code will be removed from this device but data in the cloud will remain.',
+  'sync.generateFailed': 'Failed to generate sync code',
+  'sync.fetchFailed': 'Failed to fetch sync data',
+  'sync.updateFailed': 'Failed to update sync data',
+
+  // AI word selection
+  'ai.invalidKey': 'Invalid API key. Please check your key in the debug panel.',
+  'ai.rateLimit': 'API rate limit exceeded. Please try again in a moment.',
+  'ai.unavailable': 'Claude API is temporarily unavailable.',
+  'ai.requestFailed': 'API request failed',
+  'ai.networkError': 'Network error. {hint}',
+  'ai.workerHint': 'Check your Cloudflare Worker is running and accessible.',
+  'ai.corsHint': 'Network error. Try deploying a Cloudflare Worker to bypass CORS restrictions.',
+  'ai.noKey': 'Please add your Anthropic API key in the debug panel to use AI word selection.',
+  'ai.selectionFailed': 'AI word selection failed: {error}\nFalling back to random selection.',
+  'ai.invalidWord': 'Invalid word format from API',
+  'ai.usedWord': 'API returned already-used word',
+  'ai.confirmClearUsage': 'Clear all AI usage data?',
+
+  // API key dialog
+  'apiKey.title': 'Anthropic API Key',
+  'apiKey.prompt': 'Enter your Anthropic API key to enable AI word selection:',
+  'apiKey.warning': '⚠️ Your API key will be stored in your browser\'s localStorage. Only add your key on devices you trust.',
+  'apiKey.noKey': 'Don\'t have an API key? Get one from:',
+  'apiKey.confirmRemove': 'Remove your API key from this device?',
+
+  // Learn modal
+  'learn.definition': 'Definition',
+  'learn.etymology': 'Etymology',
+  'learn.translations': 'Translations',
+  'learn.loadingDefinition': 'Loading definition...',
+  'learn.loadingEtymology': 'Loading etymology...',
+  'learn.loadingTranslations': 'Loading translations...',
+  'learn.definitionUnavailable': 'Definition not available',
+  'learn.languageUnavailable': 'Definitions are not available for {language} words yet',
+  'learn.dictionaryHint': 'Try searching for this word on a dictionary website.',
+  'learn.pronunciation': 'Pronunciation:',
+  'learn.listen': 'Play pronunciation',
+  'learn.listenSpeech': 'Read aloud with the browser\'s voice',
+  'learn.definitions': 'Definitions:',
+  'learn.example': 'Example: "{example}"',
+  'learn.providedBy': 'Definitions provided by',
+  'learn.provider.ai': 'AI (may contain mistakes)',
+  'learn.provider.offline': 'the WordWise offline dictionary',
+  'learn.etymologyTitle': 'Etymology & Word Family',
+  'learn.extendedDisabled': 'Extended word information is currently disabled.',
+  'learn.enableExtended': 'Enable Extended Info in Settings',
+  'learn.extendedFailed': 'Failed to load extended information.',
+  'learn.etymologyLabel': 'Etymology:',
+  'learn.wordFamily': 'Word Family:',
+  'learn.translationTitle': '{language} Translation',
+  'learn.examples': 'Examples:',
+  'learn.ratingQuestion': 'How well did you know this word\'s meaning?',
+  'learn.ratingNote': '(You can change your rating anytime)',
+
+  // Word history
+  'history.title': 'Word History',
+  'history.back': '< Back',
+  'history.replayAgain': '↻ Replay again',
+  'history.empty': 'No word history yet. Play some games to build your history!',
+  'history.wonIn': {
+    one: '✓ Won in {count} try',
+    other: '✓ Won in {count} tries'
+  },
+  'history.lost': '✗ Lost',
+  'history.assisted': '💡 Assisted',
+  'history.assistedTitle': 'Guess assistant was used',
+  'history.replay': 'Replay this game',
+
+  // Result dialog
+  'result.allSolved': 'All boards solved!',
+  'result.gameOver': 'Game Over',
+  'result.solvedIn': {
+    one: 'solved in {count} try',
+    other: 'solved in {count} tries'
+  },
+  'result.notSolved': 'not solved',
+  'result.evilWon': 'You beat the adversary!',
+  'result.evilLost': 'The adversary wins',
+  'result.cornered': 'Cornered the word',
+  'result.couldHaveBeen': 'One word it could have been',
+  'result.guessedIn': {
+    one: 'Guessed in {count} try',
+    other: 'Guessed in {count} tries'
+  },
+  'result.stillPossible': {
+    one: '{count} word was still possible',
+    other: '{count} words were still possible'
+  },
+  'result.hardMode': '🔥 Hard mode',
+  'result.won': 'You won!',
+  'result.wordWas': 'The word was:',
+  'result.dailySource': 'Daily challenge #{number} - come back tomorrow for a new word',
+  'result.multiSource': 'Multi-board game - {count} random words from the list',
+  'result.evilSource': 'Evil mode - the word kept changing to dodge your guesses',
+  'result.quizSource': 'Definition quiz - word understanding set to {rating}/10',
+  'result.challengeSource': 'Challenge from a friend - doesn\'t use up your endless words',
+  'result.wordSource': 'Word source: {source}',
+  'result.sourceAI': 'AI-selected for your level',
+  'result.sourcePack': 'Random from the "{name}" pack',
+  'result.sourceList': 'Random from list',
+  'result.assisted': '💡 Assisted - not counted in your stats',
+  'result.share': '📤 Share',
+  'result.shareCopied': '✓ Copied to clipboard',
+  'result.copyResult': 'Copy your result:',
+  'result.review': '🔍 Review your guesses',
+
+  // Game review
+  'review.title': 'Game Review',
+  'review.analyzing': 'Analyzing your guesses...',
+  'review.skill': 'Skill',
+  'review.luck': 'Luck',
+  'review.explanation': 'Skill compares each guess with the most informative guess available at that point. Luck compares the colors you got with every other outcome of that guess (50 is average).',
+  'review.possible': {
+    one: '{count} word possible →',
+    other: '{count} words possible →'
+  },
+  'review.solved': 'solved!',
+  'review.left': '{count} left',
+  'review.bestGuess': 'Best guess:',
+  'review.expected': '(~{best} left, yours ~{yours})',
+  'review.skillScore': 'Skill {score}',
+  'review.luckScore': 'Luck {score}',
+
+  // Word review
+  'wordReview.title': 'Word Review',
+  'wordReview.noWords': 'Play some English games first, their words come back here for review.',
+  'wordReview.nothingDue': 'No words are due for review. Come back later!',
+  'wordReview.progress': 'Word {current} of {total}',
+  'wordReview.noClue': 'No definition available for this word.',
+  'wordReview.letters': {
+    one: '{count} letter',
+    other: '{count} letters'
+  },
+  'wordReview.startsWith': 'starts with {letter}',
+  'wordReview.placeholder': 'Which word is it?',
+  'wordReview.hint': 'First Letter',
+  'wordReview.showAnswer': 'Show Answer',
+  'wordReview.check': 'Check',
+  'wordReview.correct': '✓ Correct!',
+  'wordReview.answer': 'The word was {word}',
+  'wordReview.nextReview': {
+    one: 'Next review in {count} day',
+    other: 'Next review in {count} days'
+  },
+  'wordReview.next': 'Next Word',
+  'wordReview.finish': 'Finish',
+  'wordReview.summary': {
+    one: 'You recalled {correct} of {count} word.',
+    other: 'You recalled {correct} of {count} words.'
+  },
+
+  // Vocabulary notebook
+  'notebook.title': 'Vocabulary Notebook',
+  'notebook.search': 'Search words and definitions',
+  'notebook.starredOnly': '★ Starred',
+  'notebook.count': {
+    one: '{count} word',
+    other: '{count} words'
+  },
+  'notebook.empty': 'No words yet. Every word you play is added here.',
+  'notebook.noMatches': 'No words match your filters.',
+  'notebook.star': 'Star this word',
+  'notebook.unstar': 'Remove star',
+  'notebook.understanding': 'Understanding {rating}/10',
+  'notebook.seen': 'First seen {first} · last seen {last}',
+  'notebook.exportCSV': '⬇ CSV',
+  'notebook.exportAnki': '⬇ Anki',
+  'notebook.rating.all': 'All ratings',
+  'notebook.rating.unrated': 'Not rated',
+  'notebook.rating.low': 'Low (1-3)',
+  'notebook.rating.medium': 'Medium (4-7)',
+  'notebook.rating.high': 'High (8-10)',
+  'notebook.source.list': 'Word list',
+  'notebook.source.ai': 'AI pick',
+  'notebook.source.challenge': 'Challenge',
+  'notebook.source.daily': 'Daily',
+  'notebook.source.multi': 'Multi-board',
+  'notebook.source.evil': 'Evil mode',
+  'notebook.source.quiz': 'Quiz',
+
+  // Victory dialog
+  'victory.title': 'INCREDIBLE ACHIEVEMENT!',
+  'victory.packDone': 'You\'ve played every word in the "{name}" pack!',
+  'victory.allDone': 'You\'ve played EVERY possible word!',
+  'victory.finalStats': '📊 Final Statistics:',
+  'victory.listWords': '{count} words from the standard list',
+  'victory.aiWords': '{count} AI-selected words',
+  'victory.uniqueWords': '{count} total unique words',
+  'victory.wins': '{count} wins ({percent})',
+  'victory.maxStreak': 'Max streak: {count}',
+  'victory.mastered': 'You\'ve truly mastered WordWise!',
+  'victory.startFresh': 'Start Fresh',
+  'victory.confirmPackRestart': 'Start the "{name}" pack over? Its used words will be cleared.',
+  'victory.confirmStartFresh': 'Are you sure you want to start fresh? This will clear the used words and stats of this word length. Your game history is kept.'
+}
@@ -0,0 +1,481 @@
+/**
+ * Croatian UI messages
+ * Croatian plurals have three forms: one (1, 21, 31...), few (2-4, 22-24...) and other.
+ */
+
+export default {
+  // Home page
+  'app.back': '← Natrag na igre',
+  'app.title': '🎮 Better Games',
+  'app.tagline': 'Bolje igre za svakodnevne vještine',
+  'app.wordwiseDescription': 'Edukativna igra pogađanja riječi',
+  'app.footer': 'Izrađeno s React + Vite',
+  'app.playNow': 'Igraj',
+
+  // Shared buttons
+  'common.close': 'Zatvori',
+  'common.on': 'UKLJ.',
+  'common.off': 'ISKLJ.',
+  'common.cancel': 'Odustani',
+  'common.save': 'Spremi',
+  'common.edit': 'Uredi',
+  'common.clear': 'Ukloni',
+  'common.copy': 'Kopiraj',
+  'common.retry': 'Pokušaj ponovno',
+  'common.learn': 'Nauči',
+  'common.previous': '< Prethodno',
+  'common.next': 'Sljedeće >',
+  'common.showing': '{from}-{to} od {total}',
+
+  // Word languages
+  'languages.en': 'engleski',
+  'languages.de': 'njemački',
+  'languages.hr': 'hrvatski',
+
+  // Header and board
+  'nav.statistics': 'Statistika',
+  'nav.history': 'Povijest riječi',
+  'nav.settings': 'Postavke',
+  'nav.wordReview': 'Ponavljanje riječi',
+  'nav.notebook': 'Bilježnica riječi',
+  'mode.endless': 'Beskonačno',
+  'mode.daily': 'Dnevna #{number}',
+  'mode.multi': 'Multi ×{count}',
+  'mode.evil': 'Zločesto 😈',
+  'mode.quiz': 'Kviz 📖',
+  'evil.remaining': {
+    one: '😈 preostala je {count} moguća riječ',
+    few: '😈 preostale su {count} moguće riječi',
+    other: '😈 preostalo je {count} mogućih riječi'
+  },
+  'quiz.noWords': 'Najprije odigraj nekoliko igara na engleskom, kviz pita za riječi koje si igrao.',
+  'quiz.noClue': 'Definicija nije dostupna - pogađaj prema slovima.',
+  'quiz.hintTitle': 'Nakon svakog pogrešnog pokušaja otkriva se jedno slovo',
+  'quiz.listenAgain': 'Poslušaj ponovno',
+  'daily.locked': 'Današnju dnevnu riječ već si odigrao.',
+  'daily.comeBack': 'Vrati se sutra po novu!',
+  'daily.next': 'Sljedeća dnevna riječ stiže sutra',
+  'board.learnWord': 'Nauči {word}',
+  'board.wordsPossible': 'Još moguće riječi',
+
+  // Game messages
+  'game.notInList': 'Nije na popisu riječi',
+  'game.allLengthPlayed': 'Odigrao si sve riječi od {length} slova!',
+  'game.allLanguagePlayed': 'Odigrao si sve riječi na jeziku: {language}!',
+  'hardMode.mustBeAt': '{position} slovo mora biti {letter}',
+  'hardMode.mustContain': {
+    one: 'Pokušaj mora sadržavati {letter}',
+    few: 'Pokušaj mora sadržavati {letter} {count} puta',
+    other: 'Pokušaj mora sadržavati {letter} {count} puta'
+  },
+
+  // Game over buttons
+  'gameOver.learn': '📖 Nauči',
+  'gameOver.review': '🔍 Analiza',
+  'gameOver.playEndless': '♾️ Igraj beskonačno',
+  'gameOver.newBoards': '🔄 Nove ploče',
+  'gameOver.evilPlayAgain': '😈 Igraj ponovno',
+  'gameOver.nextQuiz': '📖 Sljedeća riječ',
+  'gameOver.playAgain': '🔄 Igraj ponovno',
+  'gameOver.loading': 'Učitavanje...',
+
+  // Guess assistant
+  'assistant.buttonTitle': 'Predloži najinformativniji sljedeći pokušaj',
+  'assistant.show': 'Pomoćnik',
+  'assistant.hide': 'Sakrij pomoćnika',
+  'assistant.title': 'Najbolji sljedeći pokušaji',
+  'assistant.possible': {
+    one: '{count} moguća riječ',
+    few: '{count} moguće riječi',
+    other: '{count} mogućih riječi'
+  },
+  'assistant.calculating': 'Računanje...',
+  'assistant.guess': 'Pokušaj',
+  'assistant.information': 'Informacija',
+  'assistant.wordsLeft': 'Preostalo riječi',
+  'assistant.useGuess': 'Upotrijebi ovaj pokušaj',
+  'assistant.couldBeAnswer': 'Moglo bi biti rješenje',
+  'assistant.bits': '{bits} bita',
+  'assistant.note': 'Ova igra označena je kao igra s pomoći i ne ulazi u tvoju statistiku.',
+
+  // Statistics
+  'stats.title': 'Statistika',
+  'stats.endless': 'Beskonačno',
+  'stats.daily': 'Dnevna',
+  'stats.evil': 'Zločesto',
+  'stats.played': 'Odigrano',
+  'stats.winPercent': 'Pobjede %',
+  'stats.currentStreak': 'Trenutni niz',
+  'stats.maxStreak': 'Najdulji niz',
+  'stats.distribution': 'RASPODJELA POKUŠAJA',
+  'stats.wordLength': 'Riječi od {length} slova',
+  'stats.wordLengthLanguage': 'Riječi od {length} slova ({language})',
+  'stats.sources': 'IZVORI RIJEČI',
+  'stats.aiSelected': '{count} odabrao AI ({percent})',
+  'stats.random': '{count} nasumično ({percent})',
+  'stats.hardMode': 'TEŠKI NAČIN',
+  'stats.hardWins': {
+    one: '{count} pobjeda u teškom načinu ({percent} pobjeda)',
+    few: '{count} pobjede u teškom načinu ({percent} pobjeda)',
+    other: '{count} pobjeda u teškom načinu ({percent} pobjeda)'
+  },
+  'stats.evilDescription': 'Riječ se mijenja kako bi izbjegla tvoje pokušaje',
+  'stats.progress': 'Napredak',
+  'stats.progressEmpty': 'Odigraj nekoliko igara da ovdje vidiš svoj napredak.',
+  'stats.weeklyWinRate': 'POSTOTAK POBJEDA PO TJEDNU',
+  'stats.weeklyGuesses': 'PROSJEČAN BROJ POKUŠAJA PO TJEDNU',
+  'stats.weekOf': 'Tjedan od {date}',
+  'stats.understanding': 'RAZUMIJEVANJE',
+  'stats.sourceComparison': 'AI NASPRAM NASUMIČNIH RIJEČI',
+  'stats.sourceGames': 'Beskonačne igre: {ai} odabrao AI, {list} nasumično',
+  'stats.winRate': 'Postotak pobjeda',
+  'stats.avgGuesses': 'Prosječno pokušaja',
+  'stats.aiLabel': 'AI',
+  'stats.randomLabel': 'Nasumično',
+  'stats.gamesPerDay': 'IGRE PO DANU',
+  'stats.dayStreak': 'NIZ DANA',
+  'stats.currentDays': 'Dana zaredom',
+  'stats.bestDays': 'Najbolje',
+  'stats.freezes': 'Zaštite niza',
+  'stats.daysPlayed': 'Dana igranja',
+  'stats.keepStreak': 'Odigraj igru danas da tvoj niz ne prestane.',
+  'stats.frozenDay': 'pokriveno zaštitom niza',
+  'stats.gamesOnDay': {
+    one: '{count} igra',
+    few: '{count} igre',
+    other: '{count} igara'
+  },
+  'stats.freezeNote': 'Svakih {days} dana zaredom donosi zaštitu niza (najviše {max}), ona umjesto tebe pokriva propušteni dan.',
+  'stats.letters': 'Slova',
+  'stats.lettersEmpty': 'Odigraj nekoliko igara da vidiš koja slova propuštaš.',
+  'stats.missedLetters': 'NAJČEŠĆE PROPUŠTENA SLOVA',
+  'stats.missedLettersDescription': 'Slova riječi koja nisi pronašao prije zadnjeg pokušaja',
+  'stats.missedOf': '{percent} ({missed} od {games})',
+  'stats.missedPositions': 'PROPUŠTENE POZICIJE',
+  'stats.missedPositionsDescription': 'Koliko često pokušaj nije imao pravo slovo na tom mjestu',
+  'stats.openers': 'POČETNE RIJEČI',
+  'stats.opener': 'Riječ',
+  'stats.openerGames': 'Igre',
+  'stats.openerFound': 'Pronađena slova',
+  'stats.letterUsage': 'KORIŠTENJE SLOVA',
+  'stats.confirmReset': 'Želiš li zaista poništiti svu statistiku? To se ne može vratiti.',
+  'stats.confirmClearUsed': 'Želiš li zaista obrisati sve odigrane riječi? Tada se sve riječi mogu ponovno pojaviti.',
+  'stats.totalUsed': 'Ukupno odigrano:',
+  'stats.usedBySource': '{total} ({ai} AI, {list} s popisa)',
+
+  // Settings
+  'settings.title': 'Postavke',
+  'settings.tabGame': 'Igra',
+  'settings.tabAI': 'AI postavke',
+  'settings.tabSync': 'Sinkronizacija',
+  'settings.uiLanguage': 'Jezik aplikacije',
+  'settings.uiLanguageDescription': 'Jezik izbornika, poruka, brojeva i datuma. Sinkronizira se s tvojim drugim uređajima.',
+  'settings.wordLanguage': 'Jezik riječi',
+  'settings.wordLanguageDescription': 'Jezik riječi u beskonačnim igrama. Svaki jezik ima vlastiti popis riječi, tipkovnicu, statistiku, povijest i odigrane riječi. Njemački i hrvatski igraju se s 5 slova; ostali načini, paketi riječi i izazovi su na engleskom.',
+  'settings.wordLength': 'Duljina riječi',
+  'settings.wordLengthDescription': 'Broj slova po riječi u beskonačnim igrama. Svaka duljina ima vlastiti popis riječi, statistiku i odigrane riječi. Dnevna riječ uvijek ima 5 slova.',
+  'settings.multiBoard': 'Više ploča',
+  'settings.multiBoardDescription': 'Broj riječi koje se istovremeno rješavaju u načinu s više ploča. Svaki pokušaj igra se na svim pločama.',
+  'settings.boardOption': {
+    one: '{count} ploča ({guesses} pokušaja)',
+    few: '{count} ploče ({guesses} pokušaja)',
+    other: '{count} ploča ({guesses} pokušaja)'
+  },
+  'settings.boardCountLocked': 'Broj ploča može se mijenjati samo između igara',
+  'settings.assistant': 'Pomoćnik za pogađanje',
+  'settings.assistantDescription': 'Prikazuje gumb 💡 koji rangira pokušaje prema tome koliko sužavaju moguće riječi. Igre u kojima ga otvoriš označavaju se kao igre s pomoći i ne ulaze u statistiku. Nije dostupno za dnevnu riječ ni za igre s više ploča.',
+  'settings.listenFirst': 'Prvo poslušaj',
+  'settings.listenFirstDescription': 'U kvizu definicija i ponavljanju riječi definicija se čita naglas ili se riječ izgovori čim se pojavi.',
+  'settings.listenFirst.off': 'Isključeno',
+  'settings.listenFirst.definition': 'Definicija',
+  'settings.listenFirst.word': 'Riječ',
+  'settings.hardMode': 'Teški način',
+  'settings.hardModeDescription': 'Otkriveni tragovi moraju se koristiti u svim sljedećim pokušajima (igre s jednom pločom)',
+  'settings.hardModeLocked': 'Teški način može se mijenjati samo između igara',
+  'settings.offlineCache': 'Izvanmrežna pohrana',
+  'settings.offlineCacheDescription': 'Definicije, izgovori i informacije o riječima koje pogledaš spremaju se na ovom uređaju, pa Učenje radi i bez interneta. Kad pohrana dosegne 20 MB, najstariji unosi se uklanjaju.',
+  'settings.offlineCacheSize': {
+    one: '{count} spremljeni unos · {size}',
+    few: '{count} spremljena unosa · {size}',
+    other: '{count} spremljenih unosa · {size}'
+  },
+  'settings.enableAI': 'Uključi AI',
+  'settings.enableAIDescription': 'AI bira riječi prema tvojoj razini znanja',
+  'settings.addKeyToEnable': 'Dodaj API ključ kako bi uključio AI',
+  'settings.tier2': 'Naglasak na akademskom rječniku (Tier II)',
+  'settings.tier2Description': 'Daj prednost akademskom rječniku',
+  'settings.extendedInfo': 'Proširene informacije o riječi',
+  'settings.extendedInfoDescription': 'Uključi etimologiju i prijevode',
+  'settings.translationLanguages': 'Prevedi na:',
+  'settings.apiConfig': 'API konfiguracija',
+  'settings.apiKeyRequired': 'ℹ️ Za AI je potreban Anthropic API ključ',
+  'settings.apiKeyLabel': 'API ključ:',
+  'settings.addApiKey': 'Dodaj API ključ',
+  'settings.apiKeyStored': 'ℹ️ Tvoj API ključ sprema se lokalno u pregledniku. Dodaj ga samo na uređajima kojima vjeruješ.',
+
+  // Word packs
+  'packs.title': 'Paket riječi',
+  'packs.description': 'Beskonačne igre mogu birati riječi s tvojih popisa. Svaki paket pamti svoje odigrane riječi; novi paket vrijedi od sljedeće beskonačne igre. Prikazani su paketi riječi od {length} slova.',
+  'packs.standard': 'Standardni popis',
+  'packs.words': {
+    one: '{count} riječ',
+    few: '{count} riječi',
+    other: '{count} riječi'
+  },
+  'packs.wordsPlayed': {
+    one: '{count} riječ, odigrano {played}',
+    few: '{count} riječi, odigrano {played}',
+    other: '{count} riječi, odigrano {played}'
+  },
+  'packs.inUse': 'Koristi ga trenutna igra',
+  'packs.delete': 'Obriši paket',
+  'packs.importTitle': 'Uvezi paket',
+  'packs.importHelp': 'Zalijepi ili učitaj tekstnu datoteku s jednom riječi po retku (po želji dodaj definiciju nakon ":", "+RIJEČ" dodaje dopušteni pokušaj, "# Naziv" imenuje paket) ili JSON s poljima name, words, definitions i allowed.',
+  'packs.namePlaceholder': 'Naziv paketa',
+  'packs.import': 'Uvezi paket',
+  'packs.imported': {
+    one: 'Uvezen "{name}" s {count} riječi',
+    few: 'Uvezen "{name}" s {count} riječi',
+    other: 'Uvezen "{name}" s {count} riječi'
+  },
+  'packs.skipped': ' (preskočeno nevaljanih: {count}: {words})',
+  'packs.confirmDelete': 'Obrisati paket riječi "{name}"?',
+  'packs.invalidJson': 'Nevaljan JSON',
+  'packs.missingName': 'Daj paketu naziv',
+  'packs.noWords': 'Nije pronađena nijedna valjana riječ od {length} slova',
+
+  // Challenges
+  'challenge.title': 'Izazovi prijatelja',
+  'challenge.description': 'Odaberi riječ i pošalji poveznicu. Riječ je u poveznici ispremiješana pa se ne može pročitati na prvi pogled.',
+  'challenge.placeholder': 'RIJEČ',
+  'challenge.create': 'Stvori poveznicu',
+  'challenge.linkCopied': '✓ Poveznica je kopirana u međuspremnik',
+  'challenge.copyHint': 'Kopiraj poveznicu i pošalji je prijatelju',
+  'challenge.lengthError': 'Riječi moraju imati od {min} do {max} slova',
+  'challenge.received': 'Izazvan si!',
+  'challenge.receivedDescription': 'Prijatelj ti je odabrao riječ od {length} slova za pogađanje.',
+  'challenge.replacesGame': 'Ovo zamjenjuje tvoju trenutnu igru.',
+  'challenge.notNow': 'Ne sada',
+  'challenge.play': 'Igraj izazov',
+  'challenge.invalid': 'Nevaljan izazov',
+  'challenge.invalidDescription': 'Ova poveznica je neispravna ili sadrži riječ koje nema na popisu riječi.',
+
+  // Cloud sync
+  'sync.newDevice': 'Novi uređaj',
+  'sync.newDeviceDescription': 'Stvori kod za sinkronizaciju za svoje druge uređaje',
+  'sync.generating': 'Stvaranje...',
+  'sync.generate': 'Stvori kod za sinkronizaciju',
+  'sync.haveCode': 'Imaš kod?',
+  'sync.haveCodeDescription': 'Unesi kod za sinkronizaciju s drugog uređaja',
+  'sync.syncing': 'Sinkronizacija...',
+  'sync.useCode': 'Upotrijebi kod',
+  'sync.code': 'Kod za sinkronizaciju',
+  'sync.disable': 'Isključi',
+  'sync.info': 'ℹ️ Upotrijebi ovaj kod na drugim uređajima za sinkronizaciju napretka. Podaci se automatski sinkroniziraju nakon svake igre.',
+  'sync.control': 'Upravljanje sinkronizacijom',
+  'sync.syncNow': 'Sinkroniziraj sada',
+  'sync.apiKeyNotSynced': 'ℹ️ Tvoj API ključ se iz sigurnosnih razloga NE sinkronizira. Moraš ga dodati na svakom uređaju.',
+  'sync.success': 'Sinkronizacija uspjela!',
+  'sync.codeCopied': 'Kod je kopiran!',
+  'sync.invalidFormat': 'Neispravan kod za sinkronizaciju. Koristi oblik XXXX-YYYY.',
+  'sync.confirmDisable': 'Isključiti sinkronizaciju? Kod će se ukloniti s ovog uređaja, ali podaci u oblaku ostaju.',
+  'sync.generateFailed': 'Stvaranje koda za sinkronizaciju nije uspjelo',
+  'sync.fetchFailed': 'Dohvaćanje podataka za sinkronizaciju nije uspjelo',
+  'sync.updateFailed': 'Ažuriranje podataka za sinkronizaciju nije uspjelo',
+
+  // AI word selection
+  'ai.invalidKey': 'Neispravan API ključ. Provjeri ključ u panelu za otklanjanje pogrešaka.',
+  'ai.rateLimit': 'Prekoračeno je ograničenje API-ja. Pokušaj ponovno za trenutak.',
+  'ai.unavailable': 'Claude API privremeno nije dostupan.',
+  'ai.requestFailed': 'API zahtjev nije uspio',
+  'ai.networkError': 'Mrežna pogreška. {hint}',
+  'ai.workerHint': 'Provjeri radi li tvoj Cloudflare Worker i je li dostupan.',
+  'ai.corsHint': 'Mrežna pogreška. Postavi Cloudflare Worker kako bi zaobišao CORS ograničenja.',
+  'ai.noKey': 'Dodaj svoj Anthropic API ključ u panelu za otklanjanje pogrešaka kako bi koristio AI odabir riječi.',
+  'ai.selectionFailed': 'AI odabir riječi nije uspio: {error}\nRiječ će se odabrati nasumično.',
+  'ai.invalidWord': 'API je vratio riječ u neispravnom obliku',
+  'ai.usedWord': 'API je vratio već odigranu riječ',
+  'ai.confirmClearUsage': 'Obrisati sve podatke o korištenju AI-ja?',
+
+  // API key dialog
+  'apiKey.title': 'Anthropic API ključ',
+  'apiKey.prompt': 'Unesi svoj Anthropic API ključ kako bi uključio AI odabir riječi:',
+  'apiKey.warning': '⚠️ Tvoj API ključ spremit će se u localStorage preglednika. Dodaj ga samo na uređajima kojima vjeruješ.',
+  'apiKey.noKey': 'Nemaš API ključ? Nabavi ga ovdje:',
+  'apiKey.confirmRemove': 'Ukloniti API ključ s ovog uređaja?',
+
+  // Learn modal
+  'learn.definition': 'Definicija',
+  'learn.etymology': 'Etimologija',
+  'learn.translations': 'Prijevodi',
+  'learn.loadingDefinition': 'Učitavanje definicije...',
+  'learn.loadingEtymology': 'Učitavanje etimologije...',
+  'learn.loadingTranslations': 'Učitavanje prijevoda...',
+  'learn.definitionUnavailable': 'Definicija nije dostupna',
+  'learn.languageUnavailable': 'Definicije još nisu dostupne za jezik: {language}',
+  'learn.dictionaryHint': 'Potraži ovu riječ u nekom mrežnom rječniku.',
+  'learn.pronunciation': 'Izgovor:',
+  'learn.listen': 'Reproduciraj izgovor',
+  'learn.listenSpeech': 'Pročitaj naglas glasom preglednika',
+  'learn.definitions': 'Definicije:',
+  'learn.example': 'Primjer: „{example}”',
+  'learn.providedBy': 'Definicije omogućuje',
+  'learn.provider.ai': 'AI (može sadržavati pogreške)',
+  'learn.provider.offline': 'izvanmrežni rječnik WordWise',
+  'learn.etymologyTitle': 'Etimologija i porodica riječi',
+  'learn.extendedDisabled': 'Proširene informacije o riječi trenutno su isključene.',
+  'learn.enableExtended': 'Uključi u postavkama',
+  'learn.extendedFailed': 'Učitavanje proširenih informacija nije uspjelo.',
+  'learn.etymologyLabel': 'Etimologija:',
+  'learn.wordFamily': 'Porodica riječi:',
+  'learn.translationTitle': 'Prijevod ({language})',
+  'learn.examples': 'Primjeri:',
+  'learn.ratingQuestion': 'Koliko si dobro znao značenje ove riječi?',
+  'learn.ratingNote': '(Ocjenu možeš promijeniti bilo kada)',
+
+  // Word history
+  'history.title': 'Povijest riječi',
+  'history.back': '< Natrag',
+  'history.replayAgain': '↻ Ponovi',
+  'history.empty': 'Još nema povijesti riječi. Odigraj nekoliko igara!',
+  'history.wonIn': {
+    one: '✓ Pobjeda u {count} pokušaju',
+    few: '✓ Pobjeda u {count} pokušaja',
+    other: '✓ Pobjeda u {count} pokušaja'
+  },
+  'history.lost': '✗ Poraz',
+  'history.assisted': '💡 S pomoći',
+  'history.assistedTitle': 'Korišten je pomoćnik za pogađanje',
+  'history.replay': 'Ponovi ovu igru',
+
+  // Result dialog
+  'result.allSolved': 'Sve ploče su riješene!',
+  'result.gameOver': 'Kraj igre',
+  'result.solvedIn': {
+    one: 'riješeno u {count} pokušaju',
+    few: 'riješeno u {count} pokušaja',
+    other: 'riješeno u {count} pokušaja'
+  },
+  'result.notSolved': 'nije riješeno',
+  'result.evilWon': 'Pobijedio si protivnika!',
+  'result.evilLost': 'Protivnik je pobijedio',
+  'result.cornered': 'Riječ je stjerana u kut',
+  'result.couldHaveBeen': 'Jedna riječ koja je mogla biti',
+  'result.guessedIn': {
+    one: 'Pogođeno u {count} pokušaju',
+    few: 'Pogođeno u {count} pokušaja',
+    other: 'Pogođeno u {count} pokušaja'
+  },
+  'result.stillPossible': {
+    one: 'Još je bila moguća {count} riječ',
+    few: 'Još su bile moguće {count} riječi',
+    other: 'Još je bilo moguće {count} riječi'
+  },
+  'result.hardMode': '🔥 Teški način',
+  'result.won': 'Pobijedio si!',
+  'result.wordWas': 'Riječ je bila:',
+  'result.dailySource': 'Dnevna riječ #{number} - vrati se sutra po novu riječ',
+  'result.multiSource': 'Igra s više ploča - nasumične riječi s popisa: {count}',
+  'result.evilSource': 'Zločesti način - riječ se stalno mijenjala kako bi izbjegla tvoje pokušaje',
+  'result.quizSource': 'Kviz definicija - razumijevanje riječi postavljeno na {rating}/10',
+  'result.challengeSource': 'Izazov od prijatelja - ne troši tvoje beskonačne riječi',
+  'result.wordSource': 'Izvor riječi: {source}',
+  'result.sourceAI': 'AI ju je odabrao za tvoju razinu',
+  'result.sourcePack': 'Nasumično iz paketa "{name}"',
+  'result.sourceList': 'Nasumično s popisa',
+  'result.assisted': '💡 S pomoći - ne ulazi u statistiku',
+  'result.share': '📤 Podijeli',
+  'result.shareCopied': '✓ Kopirano u međuspremnik',
+  'result.copyResult': 'Kopiraj svoj rezultat:',
+  'result.review': '🔍 Analiziraj pokušaje',
+
+  // Game review
+  'review.title': 'Analiza igre',
+  'review.analyzing': 'Analiziranje tvojih pokušaja...',
+  'review.skill': 'Vještina',
+  'review.luck': 'Sreća',
+  'review.explanation': 'Vještina uspoređuje svaki pokušaj s najinformativnijim pokušajem dostupnim u tom trenutku. Sreća uspoređuje boje koje si dobio sa svim drugim mogućim ishodima tog pokušaja (50 je prosjek).',
+  'review.possible': {
+    one: '{count} moguća riječ →',
+    few: '{count} moguće riječi →',
+    other: '{count} mogućih riječi →'
+  },
+  'review.solved': 'riješeno!',
+  'review.left': 'preostalo {count}',
+  'review.bestGuess': 'Najbolji pokušaj:',
+  'review.expected': '(~{best} preostalo, tvoj ~{yours})',
+  'review.skillScore': 'Vještina {score}',
+  'review.luckScore': 'Sreća {score}',
+
+  // Word review
+  'wordReview.title': 'Ponavljanje riječi',
+  'wordReview.noWords': 'Najprije odigraj nekoliko igara na engleskom, njihove riječi vraćaju se ovdje na ponavljanje.',
+  'wordReview.nothingDue': 'Trenutno nema riječi za ponavljanje. Vrati se kasnije!',
+  'wordReview.progress': 'Riječ {current} od {total}',
+  'wordReview.noClue': 'Za ovu riječ nema definicije.',
+  'wordReview.letters': {
+    one: '{count} slovo',
+    few: '{count} slova',
+    other: '{count} slova'
+  },
+  'wordReview.startsWith': 'počinje s {letter}',
+  'wordReview.placeholder': 'Koja je to riječ?',
+  'wordReview.hint': 'Prvo slovo',
+  'wordReview.showAnswer': 'Prikaži odgovor',
+  'wordReview.check': 'Provjeri',
+  'wordReview.correct': '✓ Točno!',
+  'wordReview.answer': 'Riječ je bila {word}',
+  'wordReview.nextReview': {
+    one: 'Sljedeće ponavljanje za {count} dan',
+    few: 'Sljedeće ponavljanje za {count} dana',
+    other: 'Sljedeće ponavljanje za {count} dana'
+  },
+  'wordReview.next': 'Sljedeća riječ',
+  'wordReview.finish': 'Završi',
+  'wordReview.summary': 'Prisjetio si se {correct} od {count} riječi.',
+
+  // Vocabulary notebook
+  'notebook.title': 'Bilježnica riječi',
+  'notebook.search': 'Pretraži riječi i definicije',
+  'notebook.starredOnly': '★ Označene',
+  'notebook.count': {
+    one: '{count} riječ',
+    few: '{count} riječi',
+    other: '{count} riječi'
+  },
+  'notebook.empty': 'Još nema riječi. Svaka riječ koju odigraš dodaje se ovdje.',
+  'notebook.noMatches': 'Nijedna riječ ne odgovara filterima.',
+  'notebook.star': 'Označi riječ',
+  'notebook.unstar': 'Ukloni oznaku',
+  'notebook.understanding': 'Razumijevanje {rating}/10',
+  'notebook.seen': 'Prvi put {first} · zadnji put {last}',
+  'notebook.exportCSV': '⬇ CSV',
+  'notebook.exportAnki': '⬇ Anki',
+  'notebook.rating.all': 'Sve ocjene',
+  'notebook.rating.unrated': 'Bez ocjene',
+  'notebook.rating.low': 'Niska (1-3)',
+  'notebook.rating.medium': 'Srednja (4-7)',
+  'notebook.rating.high': 'Visoka (8-10)',
+  'notebook.source.list': 'Popis riječi',
+  'notebook.source.ai': 'Odabir AI-ja',
+  'notebook.source.challenge': 'Izazov',
+  'notebook.source.daily': 'Dnevna riječ',
+  'notebook.source.multi': 'Više ploča',
+  'notebook.source.evil': 'Zločesti način',
+  'notebook.source.quiz': 'Kviz',
+
+  // Victory dialog
+  'victory.title': 'NEVJEROJATNO POSTIGNUĆE!',
+  'victory.packDone': 'Odigrao si svaku riječ iz paketa "{name}"!',
+  'victory.allDone': 'Odigrao si SVAKU moguću riječ!',
+  'victory.finalStats': '📊 Konačna statistika:',
+  'victory.listWords': 'Riječi sa standardnog popisa: {count}',
+  'victory.aiWords': 'Riječi koje je odabrao AI: {count}',
+  'victory.uniqueWords': 'Ukupno različitih riječi: {count}',
+  'victory.wins': 'Pobjede: {count} ({percent})',
+  'victory.maxStreak': 'Najdulji niz: {count}',
+  'victory.mastered': 'Zaista si svladao WordWise!',
+  'victory.startFresh': 'Počni ispočetka',
+  'victory.confirmPackRestart': 'Pokrenuti paket "{name}" ispočetka? Njegove odigrane riječi bit će obrisane.',
+  'victory.confirmStartFresh': 'Želiš li zaista početi ispočetka? Odigrane riječi i statistika ove duljine riječi bit će obrisane. Povijest igara ostaje sačuvana.'
+}
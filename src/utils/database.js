@@ -0,0 +1,167 @@
+/**
+ * WordWise IndexedDB database
+ * Holds what outgrows localStorage: the offline word cache and the full game
+ * history. Every helper fails soft: without IndexedDB (private browsing,
+ * tests) or on a failed request it resolves to null or false, and callers
+ * fall back to localStorage or the network.
+ */
+
+const DB_NAME = 'wordwise'
+const DB_VERSION = 3  // 1: word cache, 2: game history, 3: word cache size and access indexes
+export const WORD_CACHE_STORE = 'wordCache'
+export const HISTORY_STORE = 'history'
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null)
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      let blocked = false
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        // Create only the stores and indexes an older version didn't have, keeping their data
+        const db = request.result
+        const wordCache = db.objectStoreNames.contains(WORD_CACHE_STORE)
+          ? request.transaction.objectStore(WORD_CACHE_STORE)
+          : db.createObjectStore(WORD_CACHE_STORE, { keyPath: 'key' })
+        if (!wordCache.indexNames.contains('size')) {
+          wordCache.createIndex('size', 'size')
+          wordCache.createIndex('accessed', 'accessed')
+        }
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          db.createObjectStore(HISTORY_STORE, { keyPath: 'id' }).createIndex('t', 't')
+        }
+      }
+      // Another tab still has the old version open: go without the database and
+      // try again on the next use (a late connection isn't kept)
+      request.onblocked = () => {
+        console.error('Database upgrade blocked by another tab')
+        blocked = true
+        databasePromise = null
+        resolve(null)
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        if (blocked) {
+          db.close()
+          return
+        }
+        // Let a newer version in another tab upgrade, the next use reopens
+        db.onversionchange = () => {
+          db.close()
+          databasePromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        console.error('Error opening database:', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Run one request against a store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns the request
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+export async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase()
+  if (!db) {
+    return null
+  }
+
+  return new Promise((resolve) => {
+    try {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.error(`Error accessing ${storeName}:`, request.error)
+        resolve(null)
+      }
+    } catch (error) {
+      // Closed connection or missing store
+      console.error(`Error accessing ${storeName}:`, error)
+      resolve(null)
+    }
+  })
+}
+
+/**
+ * Run several writes in one transaction
+ * @param {string} storeName - Object store
+ * @param {Function} write - Called with the store to queue the writes
+ * @returns {Promise<boolean>} Whether the transaction completed
+ */
+export async function runTransaction(storeName, write) {
+  const db = await openDatabase()
+  if (!db) {
+    return false
+  }
+
+  return new Promise((resolve) => {
+    let transaction = null
+    try {
+      transaction = db.transaction(storeName, 'readwrite')
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => {
+        console.error(`Error writing ${storeName}:`, transaction.error)
+        resolve(false)
+      }
+      transaction.onabort = () => resolve(false)
+      write(transaction.objectStore(storeName))
+    } catch (error) {
+      // Closed connection, missing store or a write the store rejects: write nothing
+      console.error(`Error writing ${storeName}:`, error)
+      if (transaction) {
+        transaction.onerror = null  // The queued writes fail with the abort, already reported
+        transaction.abort()
+      }
+      resolve(false)
+    }
+  })
+}
+
+/**
+ * Walk a store or index with a cursor
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite' (to update or delete through the cursor)
+ * @param {Function} openCursor - Called with the store, returns the cursor request
+ * @param {Function} visit - Called with each cursor; returning false stops the walk
+ * @returns {Promise<boolean>} Whether the walk finished
+ */
+export async function walkCursor(storeName, mode, openCursor, visit) {
+  const db = await openDatabase()
+  if (!db) {
+    return false
+  }
+
+  return new Promise((resolve) => {
+    try {
+      const request = openCursor(db.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor && visit(cursor) !== false) {
+          cursor.continue()
+        } else {
+          resolve(true)
+        }
+      }
+      request.onerror = () => {
+        console.error(`Error reading ${storeName}:`, request.error)
+        resolve(false)
+      }
+    } catch (error) {
+      console.error(`Error reading ${storeName}:`, error)
+      resolve(false)
+    }
+  })
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+// Each test gets a new browser database and a fresh copy of the module (it keeps one connection)
+let factory
+const loadDatabase = () => import('./database')
+
+const openVersion = (version) => new Promise((resolve) => {
+  const request = factory.open('wordwise', version)
+  request.onsuccess = () => resolve(request.result)
+  request.onblocked = () => resolve('blocked')
+})
+
+describe('IndexedDB Database', () => {
+  beforeEach(() => {
+    factory = new IDBFactory()
+    vi.stubGlobal('indexedDB', factory)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.resetModules()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('should create the word cache and history stores', async () => {
+    const { runRequest, runTransaction, WORD_CACHE_STORE, HISTORY_STORE } = await loadDatabase()
+
+    expect(await runTransaction(HISTORY_STORE, store => store.put({ id: 'a', t: 1 }))).toBe(true)
+    expect(await runRequest(HISTORY_STORE, 'readonly', store => store.get('a'))).toEqual({ id: 'a', t: 1 })
+    expect(await runRequest(WORD_CACHE_STORE, 'readonly', store => store.count())).toBe(0)
+  })
+
+  it('should add the word cache indexes to an older database, keeping its entries', async () => {
+    // Version 2 had both stores, but the word cache without indexes
+    const oldTab = await new Promise((resolve) => {
+      const request = factory.open('wordwise', 2)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('wordCache', { keyPath: 'key' }).put({ key: 'definition:CRANE', data: [], size: 40, accessed: 1 })
+        request.result.createObjectStore('history', { keyPath: 'id' }).createIndex('t', 't')
+      }
+      request.onsuccess = () => resolve(request.result)
+    })
+    oldTab.close()
+    const { runRequest, WORD_CACHE_STORE } = await loadDatabase()
+
+    expect(await runRequest(WORD_CACHE_STORE, 'readonly', store => store.index('size').getAllKeys())).toEqual(['definition:CRANE'])
+    expect(await runRequest(WORD_CACHE_STORE, 'readonly', store => store.index('accessed').count())).toBe(1)
+  })
+
+  it('CRITICAL: should go without the database while another tab blocks the upgrade', async () => {
+    // A tab still on version 1 that doesn't give way
+    const oldTab = await openVersion(1)
+    const { runRequest, HISTORY_STORE } = await loadDatabase()
+
+    expect(await runRequest(HISTORY_STORE, 'readonly', store => store.count())).toBeNull()
+
+    // Once that tab is closed the next use opens the database
+    oldTab.close()
+    expect(await runRequest(HISTORY_STORE, 'readonly', store => store.count())).toBe(0)
+  })
+
+  it('should give way to a newer version opened in another tab', async () => {
+    const { runRequest, HISTORY_STORE } = await loadDatabase()
+    await runRequest(HISTORY_STORE, 'readonly', store => store.count())
+
+    const newTab = await openVersion(4)
+
+    expect(newTab).not.toBe('blocked')
+    newTab.close()
+  })
+
+  it('should fail soft instead of throwing for a missing store or a rejected write', async () => {
+    const { runRequest, runTransaction, walkCursor, HISTORY_STORE } = await loadDatabase()
+
+    expect(await runRequest('missing', 'readonly', store => store.count())).toBeNull()
+    expect(await walkCursor('missing', 'readonly', store => store.openCursor(), () => {})).toBe(false)
+    // The second put has no key, so neither is written
+    expect(await runTransaction(HISTORY_STORE, store => {
+      store.put({ id: 'a', t: 1 })
+      store.put({ t: 2 })
+    })).toBe(false)
+    expect(await runRequest(HISTORY_STORE, 'readonly', store => store.count())).toBe(0)
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getFeedbackCode,
+  getLetterStatuses,
+  rankGuesses,
+  createGameHistoryEntry
+} from './gameLogic'
+
+// Base 3 code from a list of statuses (same encoding as getFeedbackCode)
+const encode = (statuses) => statuses.reduce(
+  (code, status) => code * 3 + { absent: 0, present: 1, correct: 2 }[status],
+  0
+)
+
+describe('Guess Assistant Logic', () => {
+  describe('getFeedbackCode', () => {
+    it('CRITICAL: should match getLetterStatuses, including duplicate letters', () => {
+      const pairs = [
+        ['CRANE', 'CRANE'],
+        ['SLATE', 'CRANE'],
+        ['SPEED', 'ABIDE'],
+        ['HELLO', 'WORLD'],
+        ['EMCEE', 'EERIE'],
+        ['LLAMA', 'HELLO']
+      ]
+
+      pairs.forEach(([guess, target]) => {
+        expect(getFeedbackCode(guess, target)).toBe(encode(getLetterStatuses(guess, target)))
+      })
+    })
+
+    it('should give the all-green code for the answer', () => {
+      expect(getFeedbackCode('CRANE', 'CRANE')).toBe(3 ** 5 - 1)
+    })
+
+    it('should give 0 when no letters match', () => {
+      expect(getFeedbackCode('BUMPY', 'CRANE')).toBe(0)
+    })
+  })
+
+  describe('rankGuesses', () => {
+    const candidates = ['CATCH', 'HATCH', 'LATCH', 'MATCH', 'PATCH', 'WATCH']
+
+    it('should rank the guess that splits the candidates best first', () => {
+      // CHAMP separates C, H, M and P words at once; HATCH only tells H from the rest
+      const ranked = rankGuesses(['HATCH', 'CHAMP'], candidates)
+
+      expect(ranked[0].word).toBe('CHAMP')
+    })
+
+    it('should report the expected number of words left', () => {
+      // WHIRL singles out WATCH (W) and LATCH (L) but nothing else: groups of 1, 1 and 4
+      const [suggestion] = rankGuesses(['WHIRL'], candidates)
+
+      expect(suggestion.expectedRemaining).toBeCloseTo((1 + 1 + 16) / 6)
+    })
+
+    it('should measure information in bits', () => {
+      const [suggestion] = rankGuesses(['CATCH'], ['CATCH', 'BUMPY'])
+
+      expect(suggestion.entropy).toBeCloseTo(1)
+    })
+
+    it('should prefer a possible answer when information is equal', () => {
+      const ranked = rankGuesses(['ZZZZZ', 'CATCH'], ['CATCH'])
+
+      expect(ranked[0].word).toBe('CATCH')
+      expect(ranked[0].isCandidate).toBe(true)
+    })
+
+    it('should limit the number of suggestions', () => {
+      expect(rankGuesses(candidates, candidates, { limit: 3 })).toHaveLength(3)
+    })
+
+    it('should estimate large candidate sets from a sample', () => {
+      const many = Array.from({ length: 1000 }, (_, i) => `W${i}`)
+      const [suggestion] = rankGuesses(['ZZZZZ'], many, { sampleSize: 100 })
+
+      // Nothing matches, so every word is still left
+      expect(suggestion.entropy).toBe(0)
+      expect(suggestion.expectedRemaining).toBeCloseTo(1000)
+    })
+
+    it('should score every possible answer but only a sample of the other guesses', () => {
+      const others = Array.from({ length: 100 }, (_, i) => `X${i}`)
+      const ranked = rankGuesses([...others, ...candidates], candidates, { limit: Infinity, guessSampleSize: 10 })
+
+      expect(ranked).toHaveLength(16)
+      expect(ranked.filter(suggestion => suggestion.isCandidate)).toHaveLength(6)
+    })
+
+    it('should rank a board state once for the same guess list', () => {
+      const guessWords = ['HATCH', 'CHAMP']
+      const ranked = rankGuesses(guessWords, candidates)
+
+      // Changing the list in place shows the cached ranking is used
+      guessWords.push('WHIRL')
+      expect(rankGuesses(guessWords, candidates)).toEqual(ranked)
+      expect(rankGuesses([...guessWords], candidates)).toHaveLength(3)
+    })
+
+    it('should return no suggestions when nothing is left', () => {
+      expect(rankGuesses(['CRANE'], [])).toEqual([])
+    })
+  })
+
+  describe('Assisted games', () => {
+    it('should mark assisted games in the history entry', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list', 'endless', false, true)
+
+      expect(entry.a).toBe(1)
+    })
+
+    it('should not mark unassisted games', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list')
+
+      expect(entry).not.toHaveProperty('a')
+    })
+  })
+})
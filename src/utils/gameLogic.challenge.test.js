@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import {
+  encodeChallengeWord,
+  decodeChallengeWord,
+  createGameHistoryEntry,
+  buildShareText
+} from './gameLogic'
+
+describe('Challenge Link Logic', () => {
+  describe('encodeChallengeWord', () => {
+    it('CRITICAL: should round-trip every supported word length', () => {
+      ['LAMP', 'CRANE', 'PLANET', 'MORNING'].forEach(word => {
+        expect(decodeChallengeWord(encodeChallengeWord(word))).toBe(word)
+      })
+    })
+
+    it('should not contain the word in readable form', () => {
+      const token = encodeChallengeWord('CRANE')
+
+      expect(token.toUpperCase()).not.toContain('CRANE')
+      expect(token).not.toBe(btoa('CRANE').replace(/=+$/, ''))
+    })
+
+    it('should be safe to put in a URL', () => {
+      ['CRANE', 'ZZZZZ', 'QUEUE', 'JAZZY'].forEach(word => {
+        expect(encodeChallengeWord(word)).toMatch(/^[A-Za-z0-9_-]+$/)
+      })
+    })
+
+    it('should accept lowercase words', () => {
+      expect(decodeChallengeWord(encodeChallengeWord('crane'))).toBe('CRANE')
+    })
+  })
+
+  describe('decodeChallengeWord', () => {
+    it('should reject tokens that are not base64', () => {
+      expect(decodeChallengeWord('not a token!')).toBeNull()
+    })
+
+    it('should reject tokens that do not decode to letters', () => {
+      expect(decodeChallengeWord('AAAAAA')).toBeNull()
+    })
+
+    it('should reject an empty token', () => {
+      expect(decodeChallengeWord('')).toBeNull()
+    })
+  })
+
+  describe('Challenge games', () => {
+    it('should record the challenge source in history', () => {
+      const entry = createGameHistoryEntry('CRANE', 4, null, 'challenge')
+
+      expect(entry.src).toBe('challenge')
+    })
+
+    it('should label shared results as a challenge', () => {
+      const text = buildShareText(['PLANET'], ['PLANET'], { mode: 'challenge' })
+
+      expect(text.split('\n')[0]).toBe('WordWise Challenge 🎯 1/6')
+    })
+  })
+})
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getInitialDailyStats,
+  getDateKey,
+  getPreviousDateKey,
+  getDailyNumber,
+  getDailyWord,
+  updateDailyStatistics,
+  getDailyCurrentStreak,
+  mergeDailyStats,
+  intelligentMerge,
+  getInitialStats
+} from './gameLogic'
+
+const WORDS = ['APPLE', 'BRAVE', 'CRANE', 'DRIVE', 'EAGLE', 'FLAME', 'GRAPE', 'HOUSE']
+
+describe('Daily Challenge Logic', () => {
+  describe('Date helpers', () => {
+    it('should format date keys as YYYY-MM-DD in local time', () => {
+      expect(getDateKey(new Date(2025, 2, 7, 23, 59))).toBe('2025-03-07')
+    })
+
+    it('should get previous date key across month boundaries', () => {
+      expect(getPreviousDateKey('2025-03-01')).toBe('2025-02-28')
+    })
+
+    it('should get previous date key across year boundaries', () => {
+      expect(getPreviousDateKey('2026-01-01')).toBe('2025-12-31')
+    })
+
+    it('should number the epoch date as daily #1', () => {
+      expect(getDailyNumber(new Date(2025, 0, 1, 8, 0))).toBe(1)
+    })
+
+    it('should increment daily number once per calendar day', () => {
+      expect(getDailyNumber(new Date(2025, 0, 31, 23, 0))).toBe(31)
+      expect(getDailyNumber(new Date(2025, 1, 1, 0, 30))).toBe(32)
+    })
+  })
+
+  describe('getDailyWord', () => {
+    it('CRITICAL: should return the same word for the same date', () => {
+      const morning = getDailyWord(WORDS, new Date(2025, 5, 10, 7, 0))
+      const evening = getDailyWord(WORDS, new Date(2025, 5, 10, 22, 0))
+
+      expect(morning).toBe(evening)
+    })
+
+    it('should not depend on the order of the answer list', () => {
+      const date = new Date(2025, 5, 10)
+      const reversed = [...WORDS].reverse()
+
+      expect(getDailyWord(reversed, date)).toBe(getDailyWord(WORDS, date))
+    })
+
+    it('should not repeat a word until the whole list has been used', () => {
+      const seen = new Set()
+      for (let day = 1; day <= WORDS.length; day++) {
+        seen.add(getDailyWord(WORDS, new Date(2025, 0, day)))
+      }
+
+      expect(seen.size).toBe(WORDS.length)
+    })
+
+    it('should always return a word from the list', () => {
+      const word = getDailyWord(WORDS, new Date(2030, 11, 24))
+
+      expect(WORDS).toContain(word)
+    })
+
+    it('should return null for an empty list', () => {
+      expect(getDailyWord([], new Date(2025, 0, 1))).toBeNull()
+    })
+  })
+
+  describe('updateDailyStatistics', () => {
+    it('should count a won daily game', () => {
+      const result = updateDailyStatistics(getInitialDailyStats(), 'won', 3, '2025-04-10')
+
+      expect(result.played).toBe(1)
+      expect(result.wins).toBe(1)
+      expect(result.guessDistribution[2]).toBe(1)
+      expect(result.lastPlayedDate).toBe('2025-04-10')
+    })
+
+    it('should continue the streak when yesterday was won', () => {
+      const stats = { ...getInitialDailyStats(), currentStreak: 4, maxStreak: 4, lastWonDate: '2025-04-09', lastPlayedDate: '2025-04-09' }
+      const result = updateDailyStatistics(stats, 'won', 2, '2025-04-10')
+
+      expect(result.currentStreak).toBe(5)
+      expect(result.maxStreak).toBe(5)
+    })
+
+    it('should restart the streak after a skipped day', () => {
+      const stats = { ...getInitialDailyStats(), currentStreak: 4, maxStreak: 4, lastWonDate: '2025-04-08', lastPlayedDate: '2025-04-08' }
+      const result = updateDailyStatistics(stats, 'won', 2, '2025-04-10')
+
+      expect(result.currentStreak).toBe(1)
+      expect(result.maxStreak).toBe(4)
+    })
+
+    it('CRITICAL: should reset the streak on a lost daily game', () => {
+      const stats = { ...getInitialDailyStats(), currentStreak: 4, lastWonDate: '2025-04-09' }
+      const result = updateDailyStatistics(stats, 'lost', 6, '2025-04-10')
+
+      expect(result.currentStreak).toBe(0)
+      expect(result.guessDistribution).toEqual([0, 0, 0, 0, 0, 0])
+    })
+
+    it('CRITICAL: should only count the same daily game once', () => {
+      const once = updateDailyStatistics(getInitialDailyStats(), 'won', 3, '2025-04-10')
+      const twice = updateDailyStatistics(once, 'won', 3, '2025-04-10')
+
+      expect(twice.played).toBe(1)
+      expect(twice.wins).toBe(1)
+    })
+
+    it('should not mutate the input stats', () => {
+      const stats = getInitialDailyStats()
+      updateDailyStatistics(stats, 'won', 1, '2025-04-10')
+
+      expect(stats.played).toBe(0)
+      expect(stats.guessDistribution[0]).toBe(0)
+    })
+  })
+
+  describe('getDailyCurrentStreak', () => {
+    const stats = { ...getInitialDailyStats(), currentStreak: 3, lastWonDate: '2025-04-10' }
+
+    it('should keep the streak on the day it was extended', () => {
+      expect(getDailyCurrentStreak(stats, '2025-04-10')).toBe(3)
+    })
+
+    it('should keep the streak the day after (today not played yet)', () => {
+      expect(getDailyCurrentStreak(stats, '2025-04-11')).toBe(3)
+    })
+
+    it('should drop the streak once a full day is missed', () => {
+      expect(getDailyCurrentStreak(stats, '2025-04-12')).toBe(0)
+    })
+  })
+
+  describe('mergeDailyStats', () => {
+    it('should take the streak from the device with the most recent daily game', () => {
+      const local = { ...getInitialDailyStats(), played: 5, currentStreak: 5, lastPlayedDate: '2025-04-09', lastWonDate: '2025-04-09' }
+      const remote = { ...getInitialDailyStats(), played: 6, currentStreak: 0, lastPlayedDate: '2025-04-10', lastWonDate: '2025-04-09' }
+      const merged = mergeDailyStats(local, remote)
+
+      expect(merged.currentStreak).toBe(0)
+      expect(merged.lastPlayedDate).toBe('2025-04-10')
+      expect(merged.played).toBe(6)
+    })
+
+    it('should handle missing daily stats on one device', () => {
+      const local = { ...getInitialDailyStats(), played: 2, wins: 2, lastPlayedDate: '2025-04-10' }
+      const merged = mergeDailyStats(local, undefined)
+
+      expect(merged.played).toBe(2)
+      expect(merged.wins).toBe(2)
+      expect(merged.lastPlayedDate).toBe('2025-04-10')
+    })
+
+    it('should be included in intelligentMerge', () => {
+      const localData = { stats: getInitialStats(), dailyStats: { ...getInitialDailyStats(), played: 3 }, gameHistory: [], usedWords: [], settings: {} }
+      const remoteData = { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+      const merged = intelligentMerge(localData, remoteData)
+
+      expect(merged.dailyStats.played).toBe(3)
+    })
+  })
+})
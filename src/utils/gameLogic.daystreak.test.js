@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { getDayStreak, getPlayCalendar } from './gameLogic'
+
+// Games at noon local time on days of October 2025
+const gameOn = (day, hour = 12) => ({ w: 'CRANE', r: 3, src: 'list', t: new Date(2025, 9, day, hour).getTime() })
+const gamesOn = (first, last) => Array.from({ length: last - first + 1 }, (_, index) => gameOn(first + index))
+
+describe('Day Streak Logic', () => {
+  describe('getDayStreak', () => {
+    it('should count days in a row with a game, each day once', () => {
+      const history = [gameOn(13), gameOn(14, 23), gameOn(15, 0), gameOn(15, 18)]
+
+      expect(getDayStreak(history, '2025-10-15')).toEqual({
+        current: 3, best: 3, freezes: 0, daysPlayed: 3, frozenDays: [], playedToday: true
+      })
+    })
+
+    it('should keep the streak until today is over', () => {
+      expect(getDayStreak([gameOn(13), gameOn(14)], '2025-10-15')).toMatchObject({ current: 2, playedToday: false })
+      expect(getDayStreak([gameOn(13)], '2025-10-15')).toMatchObject({ current: 0, best: 1 })
+    })
+
+    it('CRITICAL: should earn a freeze for 7 days in a row and spend it on a missed day', () => {
+      const history = [...gamesOn(1, 7), ...gamesOn(9, 10)]
+
+      expect(getDayStreak(history, '2025-10-10')).toMatchObject({ current: 9, freezes: 0, frozenDays: ['2025-10-08'] })
+      expect(getDayStreak(gamesOn(1, 7), '2025-10-09')).toMatchObject({ current: 7, freezes: 0, frozenDays: ['2025-10-08'] })
+    })
+
+    it('should end the streak when more days are missed than freezes are saved, keeping the freezes', () => {
+      const history = [...gamesOn(1, 7), gameOn(10)]
+
+      expect(getDayStreak(history, '2025-10-10')).toMatchObject({ current: 1, best: 7, freezes: 1, frozenDays: [] })
+    })
+
+    it('should save up no more than two freezes', () => {
+      const history = [...gamesOn(1, 21), gameOn(24)]
+
+      expect(getDayStreak(gamesOn(1, 21), '2025-10-21').freezes).toBe(2)
+      expect(getDayStreak(history, '2025-10-24')).toMatchObject({ current: 22, freezes: 0 })
+    })
+  })
+
+  describe('getPlayCalendar', () => {
+    it('should lay out the games per day in weeks from Monday, ending today', () => {
+      const calendar = getPlayCalendar([gameOn(6), gameOn(15), gameOn(15)], 2, new Date(2025, 9, 15, 12))
+
+      expect(calendar.map(week => week.length)).toEqual([7, 3])
+      expect(calendar[0][0]).toEqual({ date: '2025-10-06', count: 1 })
+      expect(calendar[1][2]).toEqual({ date: '2025-10-15', count: 2 })
+    })
+  })
+})
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import miniDictionaryText from '../data/mini-dictionary-en.txt?raw'
+import {
+  normalizeAIDefinition,
+  parseMiniDictionary,
+  lookupDefinition,
+  getPronunciations,
+  getDictionaryClues
+} from './gameLogic'
+
+const CRANE_ENTRIES = [{ word: 'crane', meanings: [{ partOfSpeech: 'noun', definitions: [{ definition: 'A large bird.' }] }] }]
+
+describe('Definition Provider Logic', () => {
+  describe('lookupDefinition', () => {
+    const provider = (id, lookup) => ({ id, lookup: async (word) => lookup(word) })
+
+    it('should answer from the first provider that knows the word', async () => {
+      const result = await lookupDefinition('CRANE', [
+        provider('dictionary', () => CRANE_ENTRIES),
+        provider('offline', () => { throw new Error('not reached') })
+      ])
+
+      expect(result).toEqual({ entries: CRANE_ENTRIES, provider: 'dictionary' })
+    })
+
+    it('CRITICAL: should fall through failing and empty providers', async () => {
+      const result = await lookupDefinition('CRANE', [
+        provider('dictionary', () => { throw new Error('Not found') }),
+        provider('ai', () => []),
+        provider('offline', () => CRANE_ENTRIES)
+      ])
+
+      expect(result.provider).toBe('offline')
+    })
+
+    it('should fail when no provider knows the word', async () => {
+      await expect(lookupDefinition('XYZZY', [provider('offline', () => null)]))
+        .rejects.toThrow('Definition not available')
+    })
+  })
+
+  describe('normalizeAIDefinition', () => {
+    it('should convert the model answer to dictionary entries', () => {
+      const data = { p: '/kreɪn/', m: [{ pos: 'noun', d: [{ d: 'A large bird.', ex: 'A crane flew by.' }, { d: 'A lifting machine.' }] }] }
+
+      expect(normalizeAIDefinition(data, 'CRANE')).toEqual([{
+        word: 'crane',
+        phonetic: '/kreɪn/',
+        meanings: [{
+          partOfSpeech: 'noun',
+          definitions: [
+            { definition: 'A large bird.', example: 'A crane flew by.' },
+            { definition: 'A lifting machine.', example: undefined }
+          ]
+        }]
+      }])
+    })
+
+    it('should return no entries when the model did not know the word', () => {
+      expect(normalizeAIDefinition({ m: [] }, 'XYZZY')).toEqual([])
+      expect(normalizeAIDefinition({ m: [{ pos: 'noun', d: [] }] }, 'XYZZY')).toEqual([])
+    })
+  })
+
+  describe('getPronunciations', () => {
+    const media = 'https://api.dictionaryapi.dev/media/pronunciations/en'
+
+    it('should list one recording per accent', () => {
+      const entries = [
+        { phonetics: [{ text: '/kɹeɪn/', audio: `${media}/crane-us.mp3` }, { text: '/kreɪn/', audio: '' }] },
+        { phonetics: [{ audio: `${media}/crane-uk.mp3` }, { audio: `${media}/crane-us.mp3` }] }
+      ]
+
+      expect(getPronunciations(entries)).toEqual([
+        { accent: 'US', text: '/kɹeɪn/', audio: `${media}/crane-us.mp3` },
+        { accent: 'UK', text: null, audio: `${media}/crane-uk.mp3` }
+      ])
+    })
+
+    it('should keep recordings without an accent and handle missing entries', () => {
+      const audio = 'https://upload.wikimedia.org/crane.ogg'
+
+      expect(getPronunciations([{ phonetics: [{ audio }] }])).toEqual([{ accent: null, text: null, audio }])
+      expect(getPronunciations(null)).toEqual([])
+    })
+  })
+
+  describe('parseMiniDictionary', () => {
+    it('should group meanings by word and skip comments', () => {
+      const dictionary = parseMiniDictionary([
+        '# comment',
+        'CRANE|noun|A large bird.|A crane flew by.',
+        'CRANE|verb|To stretch the neck.',
+        ''
+      ].join('\n'))
+
+      expect(Object.keys(dictionary)).toEqual(['CRANE'])
+      expect(dictionary.CRANE[0].meanings).toEqual([
+        { partOfSpeech: 'noun', definitions: [{ definition: 'A large bird.', example: 'A crane flew by.' }] },
+        { partOfSpeech: 'verb', definitions: [{ definition: 'To stretch the neck.', example: undefined }] }
+      ])
+    })
+
+    it('should give quiz clues from the bundled dictionary', () => {
+      const dictionary = parseMiniDictionary(miniDictionaryText)
+
+      expect(getDictionaryClues(dictionary.SLATE).clues[0].label).toBe('noun')
+      Object.keys(dictionary).forEach(word => expect(word).toMatch(/^[A-Z]{5}$/))
+    })
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import {
+  filterCandidates,
+  pickAdversarialFeedback,
+  getInitialStats,
+  intelligentMerge
+} from './gameLogic'
+
+const WORDS = ['CRANE', 'CRATE', 'GRATE', 'PLATE', 'SLATE', 'HOUSE', 'MOUSE', 'LOUSE']
+
+describe('Evil Mode Logic', () => {
+  describe('filterCandidates', () => {
+    it('should return every word before any guess', () => {
+      expect(filterCandidates(WORDS, [], 'CRANE')).toEqual(WORDS)
+    })
+
+    it('should keep only words that give the same colors', () => {
+      // SLATE against CRANE: only A and E are green
+      expect(filterCandidates(WORDS, ['SLATE'], 'CRANE')).toEqual(['CRANE'])
+    })
+
+    it('CRITICAL: should always keep the target itself', () => {
+      const remaining = filterCandidates(WORDS, ['HOUSE', 'PLATE'], 'GRATE')
+
+      expect(remaining).toContain('GRATE')
+    })
+
+    it('should ignore empty rows', () => {
+      expect(filterCandidates(WORDS, ['MOUSE', '', ''], 'HOUSE')).toEqual(['HOUSE', 'LOUSE'])
+    })
+  })
+
+  describe('pickAdversarialFeedback', () => {
+    it('CRITICAL: should keep the largest group of candidates', () => {
+      // HOUSE shows only a green E for CRANE, CRATE, GRATE and PLATE
+      // (SLATE also gets a yellow S, MOUSE and LOUSE get more greens)
+      const result = pickAdversarialFeedback('HOUSE', WORDS)
+
+      expect(result.candidates).toEqual(['CRANE', 'CRATE', 'GRATE', 'PLATE'])
+      expect(result.pattern).toEqual(['absent', 'absent', 'absent', 'absent', 'correct'])
+    })
+
+    it('should return feedback that matches every remaining candidate', () => {
+      const { pattern, candidates } = pickAdversarialFeedback('CRATE', WORDS)
+
+      candidates.forEach(word => {
+        expect(filterCandidates([word], ['CRATE'], candidates[0])).toEqual([word])
+      })
+      expect(pattern).toHaveLength(5)
+    })
+
+    it('should prefer the feedback that reveals the least on a tie', () => {
+      // CRANE and HOUSE each form a group of one: HOUSE reveals only E (green)
+      // while CRANE reveals everything
+      const result = pickAdversarialFeedback('CRANE', ['CRANE', 'HOUSE'])
+
+      expect(result.candidates).toEqual(['HOUSE'])
+    })
+
+    it('should only concede the win when no other word is left', () => {
+      const result = pickAdversarialFeedback('CRANE', ['CRANE'])
+
+      expect(result.candidates).toEqual(['CRANE'])
+      expect(result.pattern.every(status => status === 'correct')).toBe(true)
+    })
+
+    it('should handle an empty candidate list', () => {
+      expect(pickAdversarialFeedback('CRANE', []).candidates).toEqual([])
+    })
+  })
+
+  describe('Evil mode stats sync', () => {
+    it('should merge evil stats using Math.max', () => {
+      const merged = intelligentMerge(
+        { stats: getInitialStats(), evilStats: { ...getInitialStats(), played: 4, wins: 1 }, gameHistory: [], usedWords: [], settings: {} },
+        { stats: getInitialStats(), evilStats: { ...getInitialStats(), played: 2, wins: 2 }, gameHistory: [], usedWords: [], settings: {} }
+      )
+
+      expect(merged.evilStats.played).toBe(4)
+      expect(merged.evilStats.wins).toBe(2)
+    })
+
+    it('should leave evil stats out when neither device has any', () => {
+      const merged = intelligentMerge(
+        { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} },
+        { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+      )
+
+      expect(merged).not.toHaveProperty('evilStats')
+    })
+  })
+})
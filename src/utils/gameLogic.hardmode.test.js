@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getLetterStatuses,
+  getHardModeViolation,
+  getInitialStats,
+  updateStatistics,
+  createGameHistoryEntry,
+  intelligentMerge
+} from './gameLogic'
+
+describe('Hard Mode Logic', () => {
+  describe('getLetterStatuses', () => {
+    it('should mark exact matches as correct', () => {
+      expect(getLetterStatuses('CRANE', 'CRANE')).toEqual(['correct', 'correct', 'correct', 'correct', 'correct'])
+    })
+
+    it('should mark misplaced letters as present', () => {
+      expect(getLetterStatuses('NACRE', 'CRANE')).toEqual(['present', 'present', 'present', 'present', 'correct'])
+    })
+
+    it('CRITICAL: should not mark more duplicates than the target contains', () => {
+      // SPEED has two E's, ABIDE has one
+      expect(getLetterStatuses('SPEED', 'ABIDE')).toEqual(['absent', 'absent', 'present', 'absent', 'present'])
+    })
+
+    it('should prefer the exact match over an earlier duplicate', () => {
+      // Only one L in HELLO's target WORLD: the green L wins, the first L is gray
+      expect(getLetterStatuses('HELLO', 'WORLD')).toEqual(['absent', 'absent', 'absent', 'correct', 'present'])
+    })
+  })
+
+  describe('getHardModeViolation', () => {
+    it('should allow any guess before hints are revealed', () => {
+      expect(getHardModeViolation('SLATE', [], 'CRANE')).toBeNull()
+    })
+
+    it('should require green letters to stay in place', () => {
+      // A and E are green in SLATE against CRANE
+      expect(getHardModeViolation('BEACH', ['SLATE'], 'CRANE')).toBe('5th letter must be E')
+    })
+
+    it('should use ordinal suffixes in position messages', () => {
+      // R is green in position 2
+      expect(getHardModeViolation('SOUTH', ['BRICK'], 'CRANE')).toBe('2nd letter must be R')
+    })
+
+    it('should require yellow letters to be reused', () => {
+      // N and E are yellow in NOTES against CRANE
+      expect(getHardModeViolation('BRAKE', ['NOTES'], 'CRANE')).toBe('Guess must contain N')
+    })
+
+    it('should require repeated revealed letters the same number of times', () => {
+      // All three E's of EMCEE are revealed against EERIE (two green, one yellow)
+      expect(getHardModeViolation('EERIE', ['EMCEE'], 'EERIE')).toBeNull()
+      expect(getHardModeViolation('ELATE', ['EMCEE'], 'EERIE')).toBe('Guess must contain E 3 times')
+    })
+
+    it('should accept a guess that reuses every hint', () => {
+      expect(getHardModeViolation('CRANE', ['SLATE', 'GRAPE'], 'CRANE')).toBeNull()
+    })
+
+    it('should check hints from all previous guesses', () => {
+      // BLAME satisfies SLATE, but R is green in GRAPE
+      expect(getHardModeViolation('BLAME', ['SLATE', 'GRAPE'], 'CRANE')).toBe('2nd letter must be R')
+    })
+  })
+
+  describe('Hard mode results', () => {
+    it('should count hard mode wins separately', () => {
+      const result = updateStatistics(getInitialStats(), 'won', 4, 'list', true)
+
+      expect(result.wins).toBe(1)
+      expect(result.hardWins).toBe(1)
+    })
+
+    it('should not count normal wins as hard mode wins', () => {
+      const result = updateStatistics(getInitialStats(), 'won', 4, 'list')
+
+      expect(result.hardWins).toBe(0)
+    })
+
+    it('should not count hard mode losses as hard mode wins', () => {
+      const result = updateStatistics(getInitialStats(), 'lost', 6, 'list', true)
+
+      expect(result.hardWins).toBe(0)
+    })
+
+    it('should flag hard mode games in the history entry', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list', 'endless', true)
+
+      expect(entry.h).toBe(1)
+    })
+
+    it('should not flag normal games in the history entry', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list')
+
+      expect(entry).not.toHaveProperty('h')
+    })
+
+    it('should merge hard mode wins using Math.max', () => {
+      const merged = intelligentMerge(
+        { stats: { ...getInitialStats(), hardWins: 4 }, gameHistory: [], usedWords: [], settings: {} },
+        { stats: { ...getInitialStats(), hardWins: 7 }, gameHistory: [], usedWords: [], settings: {} }
+      )
+
+      expect(merged.stats.hardWins).toBe(7)
+    })
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { createGameHistoryEntry, generateUUID } from './gameLogic'
+import { createGameHistoryEntry, generateUUID, getHistoryPage } from './gameLogic'
 
 describe('Game History Logic', () => {
   describe('createGameHistoryEntry', () => {
@@ -90,6 +90,28 @@ describe('Game History Logic', () => {
 
       expect(entry.u).toBe(10)
     })
+
+    it('should store the guesses in order with their timestamps', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list', 'endless', false, false,
+        ['SLATE', 'BRINE', 'CRANE'], [1000, 5000, 9000])
+
+      expect(entry.g).toEqual(['SLATE', 'BRINE', 'CRANE'])
+      expect(entry.gt).toEqual([1000, 5000, 9000])
+    })
+
+    it('should leave timestamps out when they do not match the guesses', () => {
+      const entry = createGameHistoryEntry('CRANE', 2, null, 'list', 'endless', false, false, ['SLATE', 'CRANE'], [1000])
+
+      expect(entry.g).toEqual(['SLATE', 'CRANE'])
+      expect(entry).not.toHaveProperty('gt')
+    })
+
+    it('should not include guess fields when no guesses are given', () => {
+      const entry = createGameHistoryEntry('TESTS', 3, null, 'list')
+
+      expect(entry).not.toHaveProperty('g')
+      expect(entry).not.toHaveProperty('gt')
+    })
   })
 
   describe('generateUUID', () => {
@@ -177,6 +199,23 @@ describe('Game History Logic', () => {
     })
   })
 
+  describe('getHistoryPage', () => {
+    const history = ['ALPHA', 'BRAVO', 'DELTA', 'GAMMA', 'SIGMA'].map((w, i) => ({ w, t: i }))
+    history.splice(2, 0, { w: 'STRAẞE', t: 1.5, l: 'de' })
+
+    it('should page through one language, newest first', () => {
+      const words = (page) => getHistoryPage(history, 'en', page, 2).games.map(game => game.w)
+
+      expect(words(0)).toEqual(['SIGMA', 'GAMMA'])
+      expect(words(2)).toEqual(['ALPHA'])
+      expect(getHistoryPage(history, 'en', 0, 2).total).toBe(5)
+    })
+
+    it('should return an empty page past the end', () => {
+      expect(getHistoryPage(history, 'de', 1, 2)).toEqual({ games: [], total: 1 })
+    })
+  })
+
   describe('Edge Cases', () => {
     it('should handle single-letter words', () => {
       const entry = createGameHistoryEntry('A', 1, null, 'list')
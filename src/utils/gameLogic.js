@@ -3,19 +3,24 @@
  * These functions are extracted to make them easily testable
  */
 
-const MAX_HISTORY_SIZE = 20
+import { t, formatOrdinal } from './i18n'
+
+const MAX_HISTORY_SIZE = 20  // Per language
+const DEFAULT_LANGUAGE = 'en'
 
 /**
  * Get initial stats object
+ * @param {number} maxAttempts - Number of guesses per game (size of the guess distribution)
  */
-export const getInitialStats = () => ({
+export const getInitialStats = (maxAttempts = 6) => ({
   played: 0,
   wins: 0,
   currentStreak: 0,
   maxStreak: 0,
-  guessDistribution: [0, 0, 0, 0, 0, 0],
+  guessDistribution: Array(maxAttempts).fill(0),
   aiWords: 0,
-  listWords: 0
+  listWords: 0,
+  hardWins: 0
 })
 
 /**
@@ -35,9 +40,10 @@ export function generateUUID() {
  * @param {string} status - Game status ('won' or 'lost')
  * @param {number} guessCount - Number of guesses (1-6)
  * @param {string} source - Word source ('ai' or 'list')
+ * @param {boolean} hardMode - Whether the game was played in hard mode
  * @returns {Object} Updated statistics
  */
-export function updateStatistics(currentStats, status, guessCount, source) {
+export function updateStatistics(currentStats, status, guessCount, source, hardMode = false) {
   const newStats = { ...currentStats }
   newStats.played += 1
 
@@ -53,6 +59,11 @@ export function updateStatistics(currentStats, status, guessCount, source) {
     newStats.currentStreak += 1
     newStats.maxStreak = Math.max(newStats.maxStreak, newStats.currentStreak)
     newStats.guessDistribution[guessCount - 1] += 1
+
+    // Track hard mode wins separately
+    if (hardMode) {
+      newStats.hardWins = (newStats.hardWins || 0) + 1
+    }
   } else {
     newStats.currentStreak = 0
   }
@@ -61,26 +72,16 @@ export function updateStatistics(currentStats, status, guessCount, source) {
 }
 
 /**
- * Intelligently merge local and remote data for sync
- * @param {Object} localData - Local game data
- * @param {Object} remoteData - Remote game data
- * @returns {Object} Merged data
+ * Merge statistics from two devices
+ * @param {Object} localStats - Local statistics
+ * @param {Object} remoteStats - Remote statistics
+ * @param {Array} localHistory - Local game history (used to find the most recent device)
+ * @param {Array} remoteHistory - Remote game history (used to find the most recent device)
+ * @returns {Object} Merged statistics
  */
-export function intelligentMerge(localData, remoteData) {
-  const merged = {
-    stats: {},
-    gameHistory: [],
-    usedWords: [],
-    settings: {}
-  }
-
-  // Stats: Use max values for all metrics
-  const localStats = localData.stats || getInitialStats()
-  const remoteStats = remoteData.stats || getInitialStats()
-
-  // Get game history arrays (needed for currentStreak logic)
-  const localHistory = localData.gameHistory || []
-  const remoteHistory = remoteData.gameHistory || []
+export function mergeStats(localStats, remoteStats, localHistory = [], remoteHistory = []) {
+  localStats = localStats || getInitialStats()
+  remoteStats = remoteStats || getInitialStats()
 
   // Determine which device has the most recent game to get accurate currentStreak
   const localLastGame = localHistory.length > 0 ? localHistory[localHistory.length - 1] : null
@@ -101,32 +102,166 @@ export function intelligentMerge(localData, remoteData) {
     currentStreakToUse = remoteStats.currentStreak || 0
   }
 
-  merged.stats = {
+  // Longer words get more attempts, so size the distribution to the longer of the two
+  const localDistribution = localStats.guessDistribution || [0, 0, 0, 0, 0, 0]
+  const remoteDistribution = remoteStats.guessDistribution || [0, 0, 0, 0, 0, 0]
+  const distributionSize = Math.max(localDistribution.length, remoteDistribution.length)
+
+  return {
     played: Math.max(localStats.played || 0, remoteStats.played || 0),
     wins: Math.max(localStats.wins || 0, remoteStats.wins || 0),
     currentStreak: currentStreakToUse,  // Use most recent, not max!
     maxStreak: Math.max(localStats.maxStreak || 0, remoteStats.maxStreak || 0),
-    guessDistribution: (localStats.guessDistribution || [0,0,0,0,0,0]).map((val, idx) =>
-      Math.max(val, (remoteStats.guessDistribution || [0,0,0,0,0,0])[idx] || 0)
+    guessDistribution: Array.from({ length: distributionSize }, (_, idx) =>
+      Math.max(localDistribution[idx] || 0, remoteDistribution[idx] || 0)
     ),
     aiWords: Math.max(localStats.aiWords || 0, remoteStats.aiWords || 0),
-    listWords: Math.max(localStats.listWords || 0, remoteStats.listWords || 0)
+    listWords: Math.max(localStats.listWords || 0, remoteStats.listWords || 0),
+    hardWins: Math.max(localStats.hardWins || 0, remoteStats.hardWins || 0)
+  }
+}
+
+/**
+ * Turn stats saved before they were computed from the game history into a baseline
+ * Those counters already include every game played so far, so the baseline covers
+ * the history up to its latest game and only later games are added on top. Empty
+ * counters (a device that never saved stats) cover nothing, every game counts.
+ * @param {Object} stats - Stored statistics (a baseline has an `until` timestamp)
+ * @param {Array} history - Game history the counters were kept alongside
+ * @returns {Object} Statistics baseline
+ */
+export function toStatsBaseline(stats, history = []) {
+  if (stats.until !== undefined) {
+    return stats
+  }
+  if (!stats.played) {
+    return { ...stats, until: 0 }
+  }
+  return { ...stats, until: history.reduce((latest, game) => Math.max(latest, game.t || 0), 0) }
+}
+
+/**
+ * Merge the stats baselines of two devices
+ * A baseline is the stats as of its `until` time, so the newer one wins (a reset
+ * on one device resets the others). Baselines of the same time use mergeStats.
+ * @param {Object} localStats - Local statistics baseline
+ * @param {Object} remoteStats - Remote statistics baseline (counters from older versions are converted)
+ * @param {Array} localHistory - Local game history
+ * @param {Array} remoteHistory - Remote game history
+ * @returns {Object} Merged statistics baseline
+ */
+export function mergeStatsBaselines(localStats, remoteStats, localHistory = [], remoteHistory = []) {
+  const local = toStatsBaseline(localStats || getInitialStats(), localHistory)
+  const remote = toStatsBaseline(remoteStats || getInitialStats(), remoteHistory)
+
+  if (local.until === remote.until) {
+    return { ...mergeStats(local, remote, localHistory, remoteHistory), until: local.until }
+  }
+  return remote.until > local.until ? remote : local
+}
+
+/**
+ * Check whether a game counts toward a set of statistics
+ * Endless games count per word length and language and evil games have their own
+ * stats; daily and multi-board games and assisted games don't count.
+ * @param {Object} game - Game history entry
+ * @param {string} mode - 'endless' or 'evil'
+ * @param {number} length - Word length (endless stats)
+ * @param {string} language - Language code (endless stats)
+ * @returns {boolean}
+ */
+export function countsTowardStats(game, mode, length, language = DEFAULT_LANGUAGE) {
+  if (game.a === 1 || (game.m || 'endless') !== mode) {
+    return false
+  }
+  return mode !== 'endless' || (game.w.length === length && getGameLanguage(game) === language)
+}
+
+/**
+ * Compute statistics from the game history
+ * The games after the baseline are replayed on top of it in the order they were
+ * played, so merging two devices' histories always gives the right totals.
+ * @param {Array} history - Game history
+ * @param {Object} baseline - Statistics baseline (getInitialStats for a new player)
+ * @param {Function} include - Which games count toward these stats
+ * @returns {Object} Statistics
+ */
+export function computeStats(history, baseline, include) {
+  const { until = 0, ...counters } = baseline
+  return history
+    .filter(game => (game.t || 0) > until && include(game))
+    .sort((a, b) => a.t - b.t)
+    .reduce(
+      (stats, game) => updateStatistics(stats, game.r > 0 ? 'won' : 'lost', game.r, game.src, game.h === 1),
+      { ...counters, guessDistribution: [...counters.guessDistribution] }
+    )
+}
+
+/**
+ * Intelligently merge local and remote data for sync
+ * @param {Object} localData - Local game data
+ * @param {Object} remoteData - Remote game data
+ * @returns {Object} Merged data
+ */
+export function intelligentMerge(localData, remoteData) {
+  const merged = {
+    stats: {},
+    gameHistory: [],
+    usedWords: [],
+    settings: {},
+    dailyStats: {}
+  }
+
+  // Get game history arrays (needed for currentStreak logic)
+  const localHistory = localData.gameHistory || []
+  const remoteHistory = remoteData.gameHistory || []
+
+  // Stats: Only the baselines are merged, the stats are computed from the merged history
+  merged.stats = mergeStatsBaselines(localData.stats, remoteData.stats, localHistory, remoteHistory)
+
+  // Other word lengths: Same rules as the classic 5-letter stats and used words
+  const variantLengths = new Set([
+    ...Object.keys(localData.variants || {}),
+    ...Object.keys(remoteData.variants || {})
+  ])
+  if (variantLengths.size > 0) {
+    merged.variants = {}
+    variantLengths.forEach(length => {
+      const localVariant = localData.variants?.[length] || {}
+      const remoteVariant = remoteData.variants?.[length] || {}
+      merged.variants[length] = {
+        stats: mergeStatsBaselines(localVariant.stats, remoteVariant.stats, localHistory, remoteHistory),
+        usedWords: Array.from(new Set([...(localVariant.usedWords || []), ...(remoteVariant.usedWords || [])]))
+      }
+    })
+  }
+
+  // Evil mode stats: Same rules as the classic stats
+  if (localData.evilStats || remoteData.evilStats) {
+    merged.evilStats = mergeStatsBaselines(localData.evilStats, remoteData.evilStats, localHistory, remoteHistory)
   }
 
   // Game history: Merge by unique game ID, keep most recent for duplicates
   const historyMap = new Map()
   const gamesWithoutId = []
 
+  // Keep the replay (guesses and their timestamps) when only one copy of a game has it
+  const withReplay = (game, other) => {
+    if (game.g || !other?.g) return game
+    return other.gt ? { ...game, g: other.g, gt: other.gt } : { ...game, g: other.g }
+  }
+
   // Add all local games
   localHistory.forEach(game => {
     if (game.id) {
       historyMap.set(game.id, game)
     } else {
-      // Old game entry without ID - add UUID and timestamp
+      // Old game entry without ID - add UUID, a missing time stays 0 so the game
+      // sorts before any stats baseline instead of counting again
       const updatedGame = {
         ...game,
         id: generateUUID(),
-        t: Date.now()
+        t: game.t ?? 0
       }
       gamesWithoutId.push(updatedGame)
     }
@@ -137,14 +272,17 @@ export function intelligentMerge(localData, remoteData) {
     if (game.id) {
       const existing = historyMap.get(game.id)
       if (!existing || (game.t && existing.t && game.t > existing.t)) {
-        historyMap.set(game.id, game)
+        historyMap.set(game.id, withReplay(game, existing))
+      } else {
+        historyMap.set(game.id, withReplay(existing, game))
       }
     } else {
-      // Old game entry without ID - add UUID and timestamp
+      // Old game entry without ID - add UUID, a missing time stays 0 so the game
+      // sorts before any stats baseline instead of counting again
       const updatedGame = {
         ...game,
         id: generateUUID(),
-        t: Date.now()
+        t: game.t ?? 0
       }
       gamesWithoutId.push(updatedGame)
     }
@@ -154,22 +292,33 @@ export function intelligentMerge(localData, remoteData) {
   const allGames = [...Array.from(historyMap.values()), ...gamesWithoutId]
 
   // Convert to array and sort by timestamp (most recent last)
-  merged.gameHistory = allGames
-    .sort((a, b) => (a.t || 0) - (b.t || 0))
-    .slice(-MAX_HISTORY_SIZE)  // Keep last 20 games
+  // Every game is kept since the stats, the day streak and its freezes are computed from them,
+  // localStorage trims when saving
+  merged.gameHistory = allGames.sort((a, b) => (a.t || 0) - (b.t || 0))
 
   // Used words: Union of both sets
   const localWords = new Set(localData.usedWords || [])
   const remoteWords = new Set(remoteData.usedWords || [])
   merged.usedWords = Array.from(new Set([...localWords, ...remoteWords]))
 
+  // Daily challenge stats: Same rules as regular stats, streak from most recent daily
+  merged.dailyStats = mergeDailyStats(localData.dailyStats, remoteData.dailyStats)
+
+  // Word review schedule: Per word, the card reviewed last wins
+  if (localData.reviewSchedule || remoteData.reviewSchedule) {
+    merged.reviewSchedule = mergeReviewSchedules(localData.reviewSchedule, remoteData.reviewSchedule)
+  }
+
   // Settings: Prefer local values (user's current device settings)
   // But sync preferences like tier2Focus and extendedInfo
   merged.settings = {
     aiEnabled: localData.settings?.aiEnabled !== undefined ? localData.settings.aiEnabled : (remoteData.settings?.aiEnabled || true),
     showReasoning: localData.settings?.showReasoning !== undefined ? localData.settings.showReasoning : (remoteData.settings?.showReasoning || false),
     tier2Focus: localData.settings?.tier2Focus !== undefined ? localData.settings.tier2Focus : (remoteData.settings?.tier2Focus || false),
-    extendedInfo: localData.settings?.extendedInfo !== undefined ? localData.settings.extendedInfo : (remoteData.settings?.extendedInfo || false)
+    extendedInfo: localData.settings?.extendedInfo !== undefined ? localData.settings.extendedInfo : (remoteData.settings?.extendedInfo || false),
+    hardMode: localData.settings?.hardMode !== undefined ? localData.settings.hardMode : (remoteData.settings?.hardMode || false),
+    uiLanguage: localData.settings?.uiLanguage !== undefined ? localData.settings.uiLanguage : (remoteData.settings?.uiLanguage || 'en'),
+    translationLanguages: localData.settings?.translationLanguages !== undefined ? localData.settings.translationLanguages : (remoteData.settings?.translationLanguages || DEFAULT_TRANSLATION_LANGUAGES)
     // Note: apiKey is explicitly NOT synced for security
   }
 
@@ -182,9 +331,15 @@ export function intelligentMerge(localData, remoteData) {
  * @param {number} result - Number of guesses to win (1-6), or -1 for loss
  * @param {number|null} understanding - Understanding rating (1-10)
  * @param {string} source - Word source ('ai' or 'list')
+ * @param {string} mode - Game mode ('endless', 'daily', 'multi' or 'evil')
+ * @param {boolean} hardMode - Whether the game was played in hard mode
+ * @param {boolean} assisted - Whether the guess assistant was used
+ * @param {string[]} guesses - Submitted guesses in order
+ * @param {number[]} guessTimes - Timestamp of each guess (same order as guesses)
+ * @param {string} language - Game language ('en', 'de' or 'hr')
  * @returns {Object} Game history entry
  */
-export function createGameHistoryEntry(word, result, understanding, source) {
+export function createGameHistoryEntry(word, result, understanding, source, mode = 'endless', hardMode = false, assisted = false, guesses = [], guessTimes = [], language = DEFAULT_LANGUAGE) {
   const entry = {
     id: generateUUID(),
     w: word,
@@ -193,9 +348,1726 @@ export function createGameHistoryEntry(word, result, understanding, source) {
     t: Date.now()
   }
 
+  // Endless is the default mode, only tag the others to keep entries compact
+  if (mode && mode !== 'endless') {
+    entry.m = mode
+  }
+
+  if (hardMode) {
+    entry.h = 1
+  }
+
+  if (assisted) {
+    entry.a = 1
+  }
+
+  // English is the default language, only tag the others
+  if (language && language !== DEFAULT_LANGUAGE) {
+    entry.l = language
+  }
+
   if (understanding !== null && understanding !== undefined) {
     entry.u = understanding
   }
 
+  // Guesses for the replay viewer, timestamps only when there's one per guess
+  if (guesses && guesses.length > 0) {
+    entry.g = guesses
+    if (guessTimes && guessTimes.length === guesses.length) {
+      entry.gt = guessTimes
+    }
+  }
+
   return entry
 }
+
+/**
+ * Get the language a history entry was played in
+ * @param {Object} game - Game history entry
+ * @returns {string} Language code
+ */
+export const getGameLanguage = (game) => game.l || DEFAULT_LANGUAGE
+
+/**
+ * Keep the most recent games of each language
+ * Every language has its own history, so playing in one never pushes out another
+ * @param {Array} history - Game history (oldest first)
+ * @param {number} maxSize - Games to keep per language
+ * @returns {Array} Trimmed history in the same order
+ */
+export function trimGameHistory(history, maxSize = MAX_HISTORY_SIZE) {
+  const remaining = {}
+  const kept = []
+  for (let i = history.length - 1; i >= 0; i--) {
+    const language = getGameLanguage(history[i])
+    remaining[language] = remaining[language] ?? maxSize
+    if (remaining[language] > 0) {
+      remaining[language]--
+      kept.push(history[i])
+    }
+  }
+  return kept.reverse()
+}
+
+/**
+ * Get one page of a language's games, newest first
+ * @param {Array} history - Game history (oldest first)
+ * @param {string} language - Language code
+ * @param {number} page - Page index (0 = newest games)
+ * @param {number} pageSize - Games per page
+ * @returns {{games: Array, total: number}} Games on the page and the language's game count
+ */
+export function getHistoryPage(history, language, page, pageSize) {
+  const games = history.filter(game => getGameLanguage(game) === language).reverse()
+  return {
+    games: games.slice(page * pageSize, (page + 1) * pageSize),
+    total: games.length
+  }
+}
+
+// ==============================================================================
+// LANGUAGES
+// ==============================================================================
+
+/**
+ * Normalize a word or typed letter for play
+ * Composes letters typed as a base letter plus accent (e.g. C + ˇ into Č) and
+ * uppercases them, writing ß as the capital ẞ so it stays a single tile
+ * (toUpperCase would turn it into SS).
+ * @param {string} word - Word or letter in any case
+ * @returns {string} Uppercase word
+ */
+export const normalizeWord = (word) => word.normalize('NFC').replace(/ß/g, 'ẞ').toUpperCase()
+
+// ==============================================================================
+// GUESS FEEDBACK
+// ==============================================================================
+
+/**
+ * Get the color feedback for every letter of a guess
+ * Exact matches are marked first, then remaining letters are marked present
+ * left to right until the target runs out of that letter.
+ * @param {string} guess - Submitted guess
+ * @param {string} target - Target word
+ * @returns {string[]} Status per position ('correct', 'present' or 'absent')
+ */
+export function getLetterStatuses(guess, target) {
+  const statuses = Array(guess.length).fill('absent')
+  const remaining = {}
+
+  for (let i = 0; i < guess.length; i++) {
+    if (guess[i] === target[i]) {
+      statuses[i] = 'correct'
+    } else {
+      remaining[target[i]] = (remaining[target[i]] || 0) + 1
+    }
+  }
+
+  for (let i = 0; i < guess.length; i++) {
+    if (statuses[i] === 'correct') continue
+    if (remaining[guess[i]] > 0) {
+      statuses[i] = 'present'
+      remaining[guess[i]] -= 1
+    }
+  }
+
+  return statuses
+}
+
+/**
+ * Get the words that are still possible given the feedback shown so far
+ * A word is possible if it would have produced exactly the same colors
+ * for every guess as the target did.
+ * @param {string[]} words - Candidate words
+ * @param {string[]} guesses - Submitted guesses
+ * @param {string} target - Word the feedback was computed against
+ * @returns {string[]} Words consistent with all feedback
+ */
+export function filterCandidates(words, guesses, target) {
+  const submitted = guesses.filter(Boolean)
+  const patterns = submitted.map(guess => getLetterStatuses(guess, target).join(','))
+
+  return words.filter(word =>
+    submitted.every((guess, index) => getLetterStatuses(guess, word).join(',') === patterns[index])
+  )
+}
+
+/**
+ * Check a guess against the hard mode rules
+ * Every green letter revealed so far must stay in place and every
+ * yellow letter must be reused (as many times as it was revealed).
+ * @param {string} guess - Guess about to be submitted
+ * @param {string[]} previousGuesses - Guesses already submitted this game
+ * @param {string} target - Target word
+ * @returns {string|null} Error message in the UI language, or null if the guess is allowed
+ */
+export function getHardModeViolation(guess, previousGuesses, target) {
+  for (const previous of previousGuesses) {
+    if (!previous) continue
+    const statuses = getLetterStatuses(previous, target)
+
+    // Greens must stay in place
+    for (let i = 0; i < previous.length; i++) {
+      if (statuses[i] === 'correct' && guess[i] !== previous[i]) {
+        return t('hardMode.mustBeAt', { position: formatOrdinal(i + 1), letter: previous[i] })
+      }
+    }
+
+    // Revealed letters (green or yellow) must all be reused
+    const required = {}
+    for (let i = 0; i < previous.length; i++) {
+      if (statuses[i] !== 'absent') {
+        required[previous[i]] = (required[previous[i]] || 0) + 1
+      }
+    }
+    for (const [letter, count] of Object.entries(required)) {
+      const used = guess.split('').filter(l => l === letter).length
+      if (used < count) {
+        return t('hardMode.mustContain', { letter, count })
+      }
+    }
+  }
+
+  return null
+}
+
+// ==============================================================================
+// DAILY CHALLENGE
+// ==============================================================================
+
+// Day #1 of the daily challenge (local calendar date)
+const DAILY_EPOCH = { year: 2025, month: 0, day: 1 }
+const DAILY_SEED = 20250101
+
+/**
+ * Get initial daily challenge stats object
+ */
+export const getInitialDailyStats = () => ({
+  played: 0,
+  wins: 0,
+  currentStreak: 0,
+  maxStreak: 0,
+  guessDistribution: [0, 0, 0, 0, 0, 0],
+  lastPlayedDate: null,  // Date key (YYYY-MM-DD) of the last finished daily game
+  lastWonDate: null      // Date key (YYYY-MM-DD) of the last won daily game
+})
+
+/**
+ * Get the calendar date key for a date in the user's local time zone
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {string} Date key in YYYY-MM-DD format
+ */
+export function getDateKey(date = new Date()) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Get the date key of the calendar day before the given one
+ * @param {string} dateKey - Date key in YYYY-MM-DD format
+ * @returns {string} Previous date key
+ */
+export function getPreviousDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return getDateKey(new Date(year, month - 1, day - 1))
+}
+
+/**
+ * Get the daily challenge number for a date (day #1 is the epoch date)
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {number} Daily challenge number
+ */
+export function getDailyNumber(date = new Date()) {
+  // Compare calendar dates in UTC so DST changes don't shift the day count
+  const today = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+  const epoch = Date.UTC(DAILY_EPOCH.year, DAILY_EPOCH.month, DAILY_EPOCH.day)
+  return Math.floor((today - epoch) / 86400000) + 1
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * Returns the same sequence on every device for the same seed
+ */
+function createSeededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Get the daily challenge word for a date
+ * The answer list is shuffled with a fixed seed and walked one word per day,
+ * so every player gets the same word and no word repeats until the list is exhausted.
+ * @param {string[]} words - Answer word list
+ * @param {Date} date - Date to get the word for (defaults to now)
+ * @returns {string|null} Daily word, or null if the list is empty
+ */
+export function getDailyWord(words, date = new Date()) {
+  if (!words || words.length === 0) return null
+
+  const dayIndex = Math.max(getDailyNumber(date) - 1, 0)
+  const cycle = Math.floor(dayIndex / words.length)
+  const random = createSeededRandom(DAILY_SEED + cycle)
+
+  // Fisher-Yates shuffle with the seeded generator (sorted first so list order doesn't matter)
+  const shuffled = [...words].sort()
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+
+  return shuffled[dayIndex % words.length]
+}
+
+/**
+ * Update daily challenge statistics based on game outcome
+ * Streak counts consecutive calendar days with a won daily game.
+ * @param {Object} currentStats - Current daily statistics
+ * @param {string} status - Game status ('won' or 'lost')
+ * @param {number} guessCount - Number of guesses (1-6)
+ * @param {string} dateKey - Date key (YYYY-MM-DD) of the daily game
+ * @returns {Object} Updated daily statistics
+ */
+export function updateDailyStatistics(currentStats, status, guessCount, dateKey) {
+  const newStats = {
+    ...getInitialDailyStats(),
+    ...currentStats,
+    guessDistribution: [...(currentStats?.guessDistribution || getInitialDailyStats().guessDistribution)]
+  }
+
+  // Each daily word can only be counted once
+  if (newStats.lastPlayedDate === dateKey) {
+    return newStats
+  }
+
+  newStats.played += 1
+  newStats.lastPlayedDate = dateKey
+
+  if (status === 'won') {
+    const continuesStreak = newStats.lastWonDate === getPreviousDateKey(dateKey)
+    newStats.wins += 1
+    newStats.currentStreak = continuesStreak ? newStats.currentStreak + 1 : 1
+    newStats.maxStreak = Math.max(newStats.maxStreak, newStats.currentStreak)
+    newStats.guessDistribution[guessCount - 1] += 1
+    newStats.lastWonDate = dateKey
+  } else {
+    newStats.currentStreak = 0
+  }
+
+  return newStats
+}
+
+/**
+ * Get the daily streak as of today
+ * A streak is broken once a full day passes without a won daily game.
+ * @param {Object} dailyStats - Daily statistics
+ * @param {string} todayKey - Today's date key (YYYY-MM-DD)
+ * @returns {number} Current daily streak
+ */
+export function getDailyCurrentStreak(dailyStats, todayKey) {
+  if (!dailyStats?.lastWonDate) return 0
+  if (dailyStats.lastWonDate === todayKey || dailyStats.lastWonDate === getPreviousDateKey(todayKey)) {
+    return dailyStats.currentStreak || 0
+  }
+  return 0
+}
+
+/**
+ * Merge daily challenge statistics from two devices
+ * @param {Object} localDaily - Local daily statistics
+ * @param {Object} remoteDaily - Remote daily statistics
+ * @returns {Object} Merged daily statistics
+ */
+export function mergeDailyStats(localDaily, remoteDaily) {
+  const local = { ...getInitialDailyStats(), ...(localDaily || {}) }
+  const remote = { ...getInitialDailyStats(), ...(remoteDaily || {}) }
+
+  // Streak is time-sensitive: take it from the device that played the most recent daily
+  const remoteIsNewer = (remote.lastPlayedDate || '') > (local.lastPlayedDate || '')
+  const newest = remoteIsNewer ? remote : local
+
+  return {
+    played: Math.max(local.played, remote.played),
+    wins: Math.max(local.wins, remote.wins),
+    currentStreak: newest.currentStreak,
+    maxStreak: Math.max(local.maxStreak, remote.maxStreak),
+    guessDistribution: local.guessDistribution.map((val, idx) =>
+      Math.max(val, remote.guessDistribution[idx] || 0)
+    ),
+    lastPlayedDate: newest.lastPlayedDate,
+    lastWonDate: [local.lastWonDate, remote.lastWonDate]
+      .filter(Boolean)
+      .sort()
+      .pop() || null
+  }
+}
+
+// ==============================================================================
+// MULTI-BOARD
+// ==============================================================================
+
+/**
+ * Get the number of guesses allowed for a multi-board game
+ * One extra guess per board on top of the usual five (2 boards: 7, 4 boards: 9)
+ * @param {number} boardCount - Number of boards
+ * @returns {number} Guesses allowed
+ */
+export const getMultiBoardAttempts = (boardCount) => boardCount + 5
+
+/**
+ * Pick distinct random words for a multi-board game
+ * @param {string[]} words - Answer list to pick from
+ * @param {number} boardCount - Number of boards
+ * @param {Function} random - Random number generator (defaults to Math.random)
+ * @returns {string[]} One word per board
+ */
+export function pickMultiBoardWords(words, boardCount, random = Math.random) {
+  const pool = [...new Set(words)]
+  const picked = []
+
+  while (picked.length < boardCount && pool.length > 0) {
+    const index = Math.floor(random() * pool.length)
+    picked.push(pool.splice(index, 1)[0])
+  }
+
+  return picked
+}
+
+/**
+ * Get the result of every board for game history
+ * @param {string[]} guesses - Guesses submitted (empty strings for unused rows)
+ * @param {string[]} targets - Target word per board
+ * @returns {number[]} Guess count that solved each board, or -1 if unsolved
+ */
+export function getMultiBoardResults(guesses, targets) {
+  return targets.map(target => {
+    const solvedRow = guesses.indexOf(target)
+    return solvedRow >= 0 ? solvedRow + 1 : -1
+  })
+}
+
+/**
+ * Get the status of a multi-board game
+ * @param {string[]} guesses - Guesses submitted (empty strings for unused rows)
+ * @param {string[]} targets - Target word per board
+ * @param {number} maxAttempts - Guesses allowed
+ * @returns {string} 'won' when every board is solved, 'lost' when out of guesses, otherwise 'playing'
+ */
+export function getMultiBoardStatus(guesses, targets, maxAttempts) {
+  const submitted = guesses.filter(Boolean)
+
+  if (targets.every(target => submitted.includes(target))) {
+    return 'won'
+  }
+  if (submitted.length >= maxAttempts) {
+    return 'lost'
+  }
+  return 'playing'
+}
+
+/**
+ * Get the keyboard colors for one board
+ * Each letter keeps its best status (correct > present > absent). Guesses
+ * after the board was solved are ignored.
+ * @param {string[]} guesses - Guesses submitted (empty strings for unused rows)
+ * @param {string} target - Target word of the board
+ * @returns {Object} Status per letter
+ */
+export function getKeyboardStatuses(guesses, target) {
+  const rank = { absent: 1, present: 2, correct: 3 }
+  const keyStatuses = {}
+
+  for (const guess of guesses) {
+    if (!guess) continue
+
+    const statuses = getLetterStatuses(guess, target)
+    for (let i = 0; i < guess.length; i++) {
+      const current = keyStatuses[guess[i]]
+      if (!current || rank[statuses[i]] > rank[current]) {
+        keyStatuses[guess[i]] = statuses[i]
+      }
+    }
+
+    if (guess === target) break
+  }
+
+  return keyStatuses
+}
+
+// ==============================================================================
+// EVIL MODE
+// ==============================================================================
+
+/**
+ * Pick the feedback that keeps the most candidate words alive
+ * Candidates are grouped by the colors the guess would get against them and
+ * the largest group wins. Ties go to the feedback that reveals the least
+ * (fewest greens, then fewest yellows).
+ * @param {string} guess - Submitted guess
+ * @param {string[]} candidates - Words still possible before this guess
+ * @returns {Object} { pattern, candidates } - chosen feedback and the words that remain
+ */
+export function pickAdversarialFeedback(guess, candidates) {
+  const buckets = new Map()
+
+  for (const word of candidates) {
+    const key = getLetterStatuses(guess, word).join(',')
+    if (!buckets.has(key)) {
+      buckets.set(key, [])
+    }
+    buckets.get(key).push(word)
+  }
+
+  const revealed = (pattern) => pattern.reduce(
+    (score, status) => score + (status === 'correct' ? 10 : status === 'present' ? 1 : 0),
+    0
+  )
+
+  let best = null
+  for (const [key, words] of buckets) {
+    const pattern = key.split(',')
+    if (
+      !best ||
+      words.length > best.candidates.length ||
+      (words.length === best.candidates.length && revealed(pattern) < revealed(best.pattern))
+    ) {
+      best = { pattern, candidates: words }
+    }
+  }
+
+  return best || { pattern: Array(guess.length).fill('absent'), candidates: [] }
+}
+
+// ==============================================================================
+// GUESS ASSISTANT
+// ==============================================================================
+
+/**
+ * Encode the feedback of a guess as a single number (base 3 per letter:
+ * 0 absent, 1 present, 2 correct). Same rules as getLetterStatuses, but
+ * without allocating arrays so whole word lists can be scored quickly.
+ * @param {string} guess - Guess
+ * @param {string} target - Target word
+ * @returns {number} Feedback code
+ */
+export function getFeedbackCode(guess, target) {
+  let greens = 0
+  for (let i = 0; i < guess.length; i++) {
+    if (guess[i] === target[i]) greens |= 1 << i
+  }
+
+  let used = greens
+  let code = 0
+  for (let i = 0; i < guess.length; i++) {
+    let status = 0
+    if (greens & (1 << i)) {
+      status = 2
+    } else {
+      for (let j = 0; j < target.length; j++) {
+        if (!(used & (1 << j)) && target[j] === guess[i]) {
+          used |= 1 << j
+          status = 1
+          break
+        }
+      }
+    }
+    code = code * 3 + status
+  }
+
+  return code
+}
+
+// Sorted rankings per guess list, keyed by the candidates, so a board
+// state is only ranked once (the review reuses what the assistant worked out)
+const rankingCache = new WeakMap()
+const MAX_CACHED_RANKINGS = 50  // Per guess list
+
+/**
+ * Pick at most size evenly spaced words, keeping their order
+ * @param {string[]} words - Words to pick from
+ * @param {number} size - Maximum number of words
+ * @returns {string[]} Picked words
+ */
+const sampleEvenly = (words, size) => {
+  const step = Math.max(1, words.length / size)
+  const sample = []
+  for (let i = 0; i < words.length; i += step) {
+    sample.push(words[Math.floor(i)])
+  }
+  return sample
+}
+
+/**
+ * Rank guesses by how much they are expected to narrow down the candidates
+ * Each guess splits the candidates into groups by feedback pattern; the
+ * entropy of that split (in bits) is the expected information. Large
+ * candidate sets are scored against an evenly spaced sample to stay fast,
+ * and long guess lists are cut to the candidates plus an evenly spaced
+ * sample of the other words. Rankings are cached per guess list and
+ * candidates, so pass the same guessWords array to reuse them.
+ * @param {string[]} guessWords - Words that may be guessed
+ * @param {string[]} candidates - Words that are still possible
+ * @param {Object} options - { limit: number of suggestions, sampleSize: max candidates to score against, guessSampleSize: max other words to score }
+ * @returns {Array} [{ word, entropy, expectedRemaining, isCandidate }] best first
+ */
+export function rankGuesses(guessWords, candidates, { limit = 5, sampleSize = 250, guessSampleSize = 1000 } = {}) {
+  if (candidates.length === 0) return []
+
+  const sample = sampleEvenly(candidates, sampleSize)
+  const key = `${sampleSize}:${guessSampleSize}:${candidates.join(',')}`
+  const cached = rankingCache.get(guessWords)
+  if (cached?.has(key)) return cached.get(key).slice(0, limit)
+
+  const scale = candidates.length / sample.length
+  const candidateSet = new Set(candidates)
+
+  // Every possible answer may be the best guess, other words are sampled
+  const others = guessWords.filter(word => !candidateSet.has(word))
+  const scoredWords = others.length > guessSampleSize
+    ? [...guessWords.filter(word => candidateSet.has(word)), ...sampleEvenly(others, guessSampleSize)]
+    : guessWords
+
+  const counts = new Map()
+  const scored = scoredWords.map(word => {
+    counts.clear()
+    for (const target of sample) {
+      const code = getFeedbackCode(word, target)
+      counts.set(code, (counts.get(code) || 0) + 1)
+    }
+
+    let entropy = 0
+    let sumSquares = 0
+    for (const count of counts.values()) {
+      const p = count / sample.length
+      entropy -= p * Math.log2(p)
+      sumSquares += count * count
+    }
+
+    return {
+      word,
+      entropy,
+      expectedRemaining: (sumSquares / sample.length) * scale,
+      isCandidate: candidateSet.has(word)
+    }
+  })
+
+  // Most information first; on a tie prefer a guess that could win outright
+  scored.sort((a, b) => {
+    const entropyDiff = b.entropy - a.entropy
+    if (Math.abs(entropyDiff) > 1e-9) return entropyDiff
+    return Number(b.isCandidate) - Number(a.isCandidate) || a.word.localeCompare(b.word)
+  })
+
+  const rankings = cached || new Map()
+  if (rankings.size >= MAX_CACHED_RANKINGS) rankings.clear()
+  rankings.set(key, scored)
+  rankingCache.set(guessWords, rankings)
+
+  return scored.slice(0, limit)
+}
+
+// ==============================================================================
+// GAME REVIEW
+// ==============================================================================
+
+/**
+ * Analyze one guess of a finished game
+ * How many answers were possible before and after it, the most informative
+ * guess available at that point, a skill score (the guess's expected
+ * information compared with the best guess, 0-100) and a luck score (how the
+ * feedback compared with every feedback the guess could have got, 50 is
+ * average, higher means fewer words were left than usual).
+ * @param {string} guess - Guess
+ * @param {string} target - Target word
+ * @param {string[]} candidates - Answers still possible before the guess (the target is added when missing)
+ * @param {string[]} guessWords - Words that may be guessed
+ * @param {Object} options - Passed to rankGuesses (e.g. sampleSize)
+ * @returns {Object} { row: analysis object, remaining: answers still possible after the guess }
+ */
+export function analyzeGuess(guess, target, candidates, guessWords, options = {}) {
+  // Challenge, AI and quiz words may not be in the answer list, the target is always possible
+  if (!candidates.includes(target)) {
+    candidates = [...candidates, target]
+  }
+
+  // Group the candidates by the feedback this guess would get
+  const groupSizes = new Map()
+  const codes = candidates.map(word => {
+    const code = getFeedbackCode(guess, word)
+    groupSizes.set(code, (groupSizes.get(code) || 0) + 1)
+    return code
+  })
+  const actualCode = getFeedbackCode(guess, target)
+  const remaining = candidates.filter((_, index) => codes[index] === actualCode)
+
+  const [played] = rankGuesses([guess], candidates, options)
+  const [best] = rankGuesses(guessWords, candidates, { ...options, limit: 1 })
+
+  // Nothing left to learn: the only good move is to guess a possible answer
+  const skill = best.entropy > 0
+    ? Math.round(100 * Math.min(1, played.entropy / best.entropy))
+    : (played.isCandidate ? 100 : 0)
+
+  // Share of outcomes that would have left more words (ties count half)
+  let luckier = 0
+  for (const size of groupSizes.values()) {
+    if (size > remaining.length) luckier += size
+    else if (size === remaining.length) luckier += size / 2
+  }
+  const luck = Math.round(100 * luckier / candidates.length)
+
+  return {
+    row: {
+      guess,
+      before: candidates.length,
+      after: remaining.length,
+      solved: guess === target,
+      expected: played.expectedRemaining,
+      bestGuess: best.word,
+      bestExpected: best.expectedRemaining,
+      skill,
+      luck
+    },
+    remaining
+  }
+}
+
+/**
+ * Analyze every guess of a finished game (see analyzeGuess)
+ * @param {string[]} guesses - Guesses of the game (empty strings are ignored)
+ * @param {string} target - Target word
+ * @param {string[]} answerWords - Possible answers
+ * @param {string[]} guessWords - Words that may be guessed
+ * @param {Object} options - Passed to rankGuesses (e.g. sampleSize)
+ * @returns {Array} One analysis object per guess
+ */
+export function analyzeGame(guesses, target, answerWords, guessWords, options = {}) {
+  const rows = []
+  let candidates = answerWords
+
+  for (const guess of guesses.filter(Boolean)) {
+    const { row, remaining } = analyzeGuess(guess, target, candidates, guessWords, options)
+    rows.push(row)
+    candidates = remaining
+  }
+
+  return rows
+}
+
+// ==============================================================================
+// SHARING
+// ==============================================================================
+
+const SHARE_SQUARES = { correct: '🟩', present: '🟨', absent: '⬛' }
+
+/**
+ * Build the spoiler-free emoji grid for sharing a finished game
+ * One grid per board, each stopping at the guess that solved it. Results are
+ * shown as "4/6" (or "X/6" when unsolved), with "*" for hard mode.
+ * @param {string[]} guesses - Guesses submitted (empty strings for unused rows)
+ * @param {string[]} targets - Target word per board (one for single-board games)
+ * @param {Object} options - { mode, maxAttempts, hardMode, dailyNumber }
+ * @returns {string} Text to share
+ */
+export function buildShareText(guesses, targets, { mode = 'endless', maxAttempts = 6, hardMode = false, dailyNumber = null } = {}) {
+  const played = guesses.filter(Boolean)
+  const results = getMultiBoardResults(played, targets)
+
+  let label = 'Endless'
+  if (mode === 'daily') {
+    label = `Daily #${dailyNumber}`
+  } else if (mode === 'multi') {
+    label = `Multi ×${targets.length}`
+  } else if (mode === 'evil') {
+    label = 'Evil 😈'
+  } else if (mode === 'challenge') {
+    label = 'Challenge 🎯'
+  } else if (mode === 'quiz') {
+    label = 'Quiz 📖'
+  } else if (targets[0].length !== 5) {
+    label = `Endless (${targets[0].length} letters)`
+  }
+
+  const score = results.map(result => `${result > 0 ? result : 'X'}/${maxAttempts}`).join(' ')
+  const grids = targets.map((target, index) => {
+    const rows = results[index] > 0 ? played.slice(0, results[index]) : played
+    return rows
+      .map(guess => getLetterStatuses(guess, target).map(status => SHARE_SQUARES[status]).join(''))
+      .join('\n')
+  })
+
+  return `WordWise ${label} ${score}${hardMode ? '*' : ''}\n\n${grids.join('\n\n')}`
+}
+
+// ==============================================================================
+// CHALLENGE LINKS
+// ==============================================================================
+
+// Not encryption: only keeps the word from being readable at a glance in the link
+const CHALLENGE_KEY = 'wordwise'
+
+/**
+ * Encode a word into a challenge link token
+ * Letters are XORed with a fixed key, then base64url encoded.
+ * @param {string} word - Word the friend has to guess
+ * @returns {string} URL-safe token
+ */
+export function encodeChallengeWord(word) {
+  const scrambled = Array.from(word.toUpperCase(), (letter, i) =>
+    String.fromCharCode(letter.charCodeAt(0) ^ CHALLENGE_KEY.charCodeAt(i % CHALLENGE_KEY.length))
+  ).join('')
+
+  return btoa(scrambled).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Decode a challenge link token
+ * @param {string} token - Token from encodeChallengeWord
+ * @returns {string|null} Uppercase word, or null if the token is not a valid challenge
+ */
+export function decodeChallengeWord(token) {
+  try {
+    const scrambled = atob(token.replace(/-/g, '+').replace(/_/g, '/'))
+    const word = Array.from(scrambled, (char, i) =>
+      String.fromCharCode(char.charCodeAt(0) ^ CHALLENGE_KEY.charCodeAt(i % CHALLENGE_KEY.length))
+    ).join('')
+
+    return /^[A-Z]+$/.test(word) ? word : null
+  } catch {
+    // Not base64
+    return null
+  }
+}
+
+// ==============================================================================
+// WORD PACKS
+// ==============================================================================
+
+/**
+ * Parse an imported word pack from pasted or uploaded text
+ * JSON: { name, words: ["WORD" or { word, definition }], definitions: { WORD: text }, allowed: [...] }
+ * (a plain array of words also works). Text: one word per line, optionally
+ * followed by ":", "-", "," or a tab and a definition, "+WORD" lines add an
+ * allowed guess, and a "# Name" line names the pack.
+ * Words must be letters only and wordLength letters long, others are skipped.
+ * @param {string} text - File contents
+ * @param {Object} options - { name (overrides the name in the file), wordLength }
+ * @returns {Object} { pack, skipped, error } - pack is null when nothing usable was found
+ */
+export function parseWordPack(text, { name = '', wordLength = 5 } = {}) {
+  let packName = ''
+  let entries = []  // [word, definition]
+  let allowedEntries = []
+
+  const trimmed = text.trim()
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data
+    try {
+      data = JSON.parse(trimmed)
+    } catch {
+      return { pack: null, skipped: [], error: t('packs.invalidJson') }
+    }
+    if (Array.isArray(data)) {
+      data = { words: data }
+    }
+    packName = typeof data.name === 'string' ? data.name : ''
+    entries = (Array.isArray(data.words) ? data.words : []).map(item =>
+      typeof item === 'string' ? [item, data.definitions?.[item] || data.definitions?.[item.toUpperCase()]] : [String(item?.word ?? ''), item?.definition]
+    )
+    allowedEntries = Array.isArray(data.allowed) ? data.allowed.map(String) : []
+  } else {
+    trimmed.split('\n').forEach(rawLine => {
+      const line = rawLine.trim()
+      if (!line) return
+      if (line.startsWith('#')) {
+        packName = packName || line.slice(1).trim()
+      } else if (line.startsWith('+')) {
+        allowedEntries.push(line.slice(1).trim())
+      } else {
+        const match = line.match(/^(\S+?)\s*(?::|,|\t|\s-\s)\s*(.+)$/)
+        entries.push(match ? [match[1], match[2]] : [line, null])
+      }
+    })
+  }
+
+  const isValid = (word) => /^[A-Za-z]+$/.test(word) && word.length === wordLength
+  const skipped = []
+  const words = []
+  const definitions = {}
+
+  entries.forEach(([word, definition]) => {
+    if (!isValid(word.trim())) {
+      skipped.push(word)
+      return
+    }
+    const upper = word.trim().toUpperCase()
+    if (!words.includes(upper)) {
+      words.push(upper)
+    }
+    if (typeof definition === 'string' && definition.trim()) {
+      definitions[upper] = definition.trim()
+    }
+  })
+
+  const allowed = []
+  allowedEntries.forEach(word => {
+    if (!isValid(word.trim())) {
+      skipped.push(word)
+      return
+    }
+    const upper = word.trim().toUpperCase()
+    if (!words.includes(upper) && !allowed.includes(upper)) {
+      allowed.push(upper)
+    }
+  })
+
+  packName = (name.trim() || packName).trim()
+  if (!packName) {
+    return { pack: null, skipped, error: t('packs.missingName') }
+  }
+  if (words.length === 0) {
+    return { pack: null, skipped, error: t('packs.noWords', { length: wordLength }) }
+  }
+
+  const pack = { name: packName, length: wordLength, words }
+  if (Object.keys(definitions).length > 0) {
+    pack.definitions = definitions
+  }
+  if (allowed.length > 0) {
+    pack.allowed = allowed
+  }
+  return { pack, skipped, error: null }
+}
+
+// ==============================================================================
+// SPACED REPETITION
+// ==============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const INITIAL_EASINESS = 2.5
+const MIN_EASINESS = 1.3
+const MAX_REVIEW_INTERVAL = 365  // Days
+
+/**
+ * Recall quality (SM-2 scale, 0-5) of a finished game
+ * The understanding rating (1-10) says how well the meaning was known; without
+ * one, a win counts as a hesitant recall. A lost game is never a good recall.
+ * @param {number} result - Guesses needed, or -1 for a loss
+ * @param {number|null} understanding - Understanding rating 1-10
+ * @returns {number} Quality 0-5
+ */
+export function getGameReviewQuality(result, understanding = null) {
+  const won = result > 0
+  if (understanding === null || understanding === undefined) {
+    return won ? 3 : 1
+  }
+  const quality = Math.round((understanding - 1) * 5 / 9)
+  return won ? quality : Math.min(quality, 2)
+}
+
+/**
+ * Recall quality (SM-2 scale, 0-5) of a review quiz answer
+ * @param {boolean} correct - Whether the word was recalled
+ * @param {boolean} usedHint - Whether the first letter was revealed
+ * @param {boolean} gaveUp - Whether the answer was shown without a try
+ * @returns {number} Quality 0-5
+ */
+export function getRecallReviewQuality(correct, usedHint = false, gaveUp = false) {
+  if (correct) return usedHint ? 3 : 5
+  return gaveUp ? 0 : 1
+}
+
+/**
+ * Schedule the next review of a word with SM-2
+ * A recall (quality 3+) grows the interval: 1 day, 6 days, then the previous
+ * interval times the easiness. A word reviewed late that is still recalled gets
+ * credit for the whole time since it was last seen. A failed recall starts over
+ * at 1 day. Cards are compact: e (easiness), i (interval in days), n (recalls in
+ * a row), d (due), t (last review), b (card before the last review).
+ * @param {Object|undefined} card - Current card, undefined for a new word
+ * @param {number} quality - Recall quality 0-5
+ * @param {number} now - Review timestamp
+ * @returns {Object} Updated card
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+  const previous = card ? { e: card.e, i: card.i, n: card.n, t: card.t } : null
+  const easiness = previous?.e ?? INITIAL_EASINESS
+  const repetitions = previous?.n ?? 0
+
+  let interval = 1
+  let nextRepetitions = 0
+  if (quality >= 3) {
+    nextRepetitions = repetitions + 1
+    if (repetitions === 1) {
+      interval = 6
+    } else if (repetitions > 1) {
+      const elapsedDays = (now - previous.t) / DAY_MS
+      interval = Math.min(Math.round(Math.max(previous.i, elapsedDays) * easiness), MAX_REVIEW_INTERVAL)
+    }
+  }
+
+  const miss = 5 - quality
+  const nextEasiness = Math.max(MIN_EASINESS, easiness + 0.1 - miss * (0.08 + miss * 0.02))
+
+  return {
+    e: Math.round(nextEasiness * 100) / 100,
+    i: interval,
+    n: nextRepetitions,
+    d: now + interval * DAY_MS,
+    t: now,
+    b: previous
+  }
+}
+
+/**
+ * Add a review of a word to the schedule
+ * @param {Object} schedule - Cards by word
+ * @param {string} word - Reviewed word
+ * @param {number} quality - Recall quality 0-5
+ * @param {number} now - Review timestamp
+ * @returns {Object} New schedule
+ */
+export function recordReview(schedule, word, quality, now = Date.now()) {
+  return { ...schedule, [word]: scheduleReview(schedule[word], quality, now) }
+}
+
+/**
+ * Change the quality of the last review of a word (e.g. a later understanding rating)
+ * The review is redone from the card it started from, so rating again replaces
+ * the earlier rating instead of counting as another review.
+ * @param {Object} schedule - Cards by word
+ * @param {string} word - Reviewed word
+ * @param {number} quality - New recall quality 0-5
+ * @returns {Object} New schedule (unchanged if the word has no card)
+ */
+export function rerateLastReview(schedule, word, quality) {
+  const card = schedule[word]
+  if (!card) return schedule
+  return { ...schedule, [word]: scheduleReview(card.b || undefined, quality, card.t) }
+}
+
+/**
+ * Words due for review, most overdue first
+ * @param {Object} schedule - Cards by word
+ * @param {number} now - Current timestamp
+ * @returns {string[]} Due words
+ */
+export function getDueReviews(schedule, now = Date.now()) {
+  return Object.entries(schedule || {})
+    .filter(([, card]) => card.d <= now)
+    .sort(([, a], [, b]) => a.d - b.d)
+    .map(([word]) => word)
+}
+
+/**
+ * Merge review schedules from two devices
+ * Each word keeps the card that was reviewed last.
+ * @param {Object} localSchedule - Cards by word on this device
+ * @param {Object} remoteSchedule - Cards by word from the cloud
+ * @returns {Object} Merged schedule
+ */
+export function mergeReviewSchedules(localSchedule = {}, remoteSchedule = {}) {
+  const merged = { ...localSchedule }
+  Object.entries(remoteSchedule).forEach(([word, card]) => {
+    if (!merged[word] || card.t > merged[word].t) {
+      merged[word] = card
+    }
+  })
+  return merged
+}
+
+/**
+ * Hide a word (and longer forms of it, like CRANES for CRANE) in a definition
+ * so the definition doesn't give the answer away during a review
+ * @param {string} text - Definition text
+ * @param {string} word - Word to hide
+ * @returns {string} Text with the word replaced by ___
+ */
+export function maskWord(text, word) {
+  return text.replace(new RegExp(`\\b${word}\\w*`, 'gi'), '___')
+}
+
+// ==============================================================================
+// DEFINITION QUIZ
+// ==============================================================================
+
+const UNRATED_QUIZ_WEIGHT = 5  // Words without an understanding rating count as half-known
+
+/**
+ * Pick a word for the definition quiz from the games played
+ * Each word's latest understanding rating sets its odds: a 1 is ten times as
+ * likely as a 10, so poorly understood words come back most often.
+ * @param {Array} history - Game history entries (oldest first)
+ * @param {string|null} previousWord - Word just quizzed, skipped unless it's the only one
+ * @param {Function} random - Random number source (0 to 1)
+ * @returns {string|null} Quiz word, or null without history
+ */
+export function pickQuizWord(history, previousWord = null, random = Math.random) {
+  const ratings = new Map()
+  history.forEach(game => {
+    // Later ratings replace earlier ones, unrated games keep the word's last rating
+    ratings.set(game.w, game.u ?? ratings.get(game.w) ?? null)
+  })
+
+  let words = Array.from(ratings.keys()).filter(word => word !== previousWord)
+  if (words.length === 0) {
+    words = Array.from(ratings.keys())
+  }
+  if (words.length === 0) return null
+
+  const weights = words.map(word => {
+    const rating = ratings.get(word)
+    return rating === null ? UNRATED_QUIZ_WEIGHT : 11 - rating
+  })
+  let pick = random() * weights.reduce((sum, weight) => sum + weight, 0)
+  for (let i = 0; i < words.length; i++) {
+    pick -= weights[i]
+    if (pick < 0) return words[i]
+  }
+  return words[words.length - 1]
+}
+
+/**
+ * Read quiz clues from a dictionary lookup
+ * @param {Array} entries - Entries from the dictionary API
+ * @returns {Object} { clues: [{ label, text }], example } (up to 3 meanings, first example sentence or null)
+ */
+export function getDictionaryClues(entries) {
+  const meanings = entries.flatMap(entry => entry.meanings || [])
+  const clues = meanings
+    .slice(0, 3)
+    .map(meaning => ({ label: meaning.partOfSpeech, text: meaning.definitions[0].definition }))
+  const example = meanings
+    .flatMap(meaning => meaning.definitions)
+    .find(definition => definition.example)?.example || null
+  return { clues, example }
+}
+
+/**
+ * Text of a quiz or review clue to read aloud, with the word itself left out
+ * @param {Object} clue - Clue from getDictionaryClues() or a word pack
+ * @param {string} word - Word being asked for
+ * @returns {string|null} Text to speak, or null without a clue
+ */
+export function getSpokenClue(clue, word) {
+  if (!clue?.clues?.length) {
+    return null
+  }
+  // A pause reads better than "underscore"
+  return clue.clues.map(({ text }) => maskWord(text, word).replace(/___/g, '…')).join(' ')
+}
+
+/**
+ * Letters of the quiz word shown as hints
+ * Letters found in place stay shown, and each wrong guess reveals one more
+ * letter from the left. The last hidden letter is never given away.
+ * @param {string} targetWord - Quiz word
+ * @param {string[]} guesses - Submitted guesses
+ * @returns {string[]} One entry per position: the letter, or '' while hidden
+ */
+export function getQuizHintLetters(targetWord, guesses) {
+  const played = guesses.filter(Boolean)
+  const letters = targetWord.split('')
+  const found = letters.map((letter, i) => played.some(guess => guess[i] === letter))
+  const hidden = found.filter(isFound => !isFound).length
+  let hints = Math.min(played.filter(guess => guess !== targetWord).length, Math.max(hidden - 1, 0))
+
+  return letters.map((letter, i) => {
+    if (found[i]) return letter
+    if (hints > 0) {
+      hints--
+      return letter
+    }
+    return ''
+  })
+}
+
+/**
+ * Understanding rating (1-10) earned in a quiz game
+ * Recalling the word from its definition at once is a 10, every extra guess
+ * (with more letters revealed) is worth less. A lost game is a 1.
+ * @param {number} result - Guesses needed, or -1 for a loss
+ * @returns {number} Understanding rating 1-10
+ */
+export function getQuizUnderstanding(result) {
+  if (result <= 0) return 1
+  return Math.max(3, 12 - 2 * result)
+}
+
+// ==============================================================================
+// VOCABULARY NOTEBOOK
+// ==============================================================================
+
+/**
+ * Where a game's word came from: the mode for daily, multi-board, evil and quiz
+ * games, else the endless source ('list', 'ai' or 'challenge')
+ * @param {Object} game - Game history entry
+ */
+const getNotebookSource = (game) => game.m || game.src || 'list'
+
+/**
+ * Note a finished game in the notebook
+ * Notes outlive the trimmed game history: f and l (first and last seen), src,
+ * u (understanding), lang, plus d (cached definition) and s (starred) set elsewhere.
+ * @param {Object} notebook - Notes by word
+ * @param {Object} game - Game history entry
+ * @returns {Object} New notebook
+ */
+export function recordNotebookGame(notebook, game) {
+  const note = notebook[game.w] || {}
+  const updated = {
+    ...note,
+    f: Math.min(note.f ?? game.t, game.t),
+    l: Math.max(note.l ?? game.t, game.t),
+    src: getNotebookSource(game),
+    lang: getGameLanguage(game)
+  }
+  if (game.u !== null && game.u !== undefined) {
+    updated.u = game.u
+  }
+  return { ...notebook, [game.w]: updated }
+}
+
+/**
+ * Change one field of a word's note (u, d or s)
+ * @param {Object} notebook - Notes by word
+ * @param {string} word - Word to update
+ * @param {string} field - Field name
+ * @param {*} value - New value
+ * @returns {Object} New notebook
+ */
+export function updateNotebookNote(notebook, word, field, value) {
+  return { ...notebook, [word]: { ...notebook[word], [field]: value } }
+}
+
+/**
+ * List every word encountered, newest first
+ * Notes are the main source, the game history fills in words played before the
+ * notebook existed, and used words without either are listed without dates.
+ * @param {Object} notebook - Notes by word
+ * @param {Array} history - Game history entries (oldest first)
+ * @param {Array} usedWordGroups - [{ words, language, source }] for every used words list
+ * @returns {Array} Rows: { word, language, rating, firstSeen, lastSeen, source, definition, starred }
+ */
+export function buildNotebook(notebook, history, usedWordGroups = []) {
+  let notes = notebook
+  history.forEach(game => {
+    if (!notebook[game.w]?.l) {
+      notes = recordNotebookGame(notes, game)
+    }
+  })
+
+  const rows = new Map()
+  Object.entries(notes).forEach(([word, note]) => {
+    rows.set(word, {
+      word,
+      language: note.lang || null,
+      rating: note.u ?? null,
+      firstSeen: note.f ?? null,
+      lastSeen: note.l ?? null,
+      source: note.src || null,
+      definition: note.d || null,
+      starred: !!note.s
+    })
+  })
+  usedWordGroups.forEach(({ words, language, source }) => {
+    words.forEach(word => {
+      const row = rows.get(word)
+      if (row) {
+        row.language = row.language || language
+        row.source = row.source || source
+      } else {
+        rows.set(word, { word, language, rating: null, firstSeen: null, lastSeen: null, source, definition: null, starred: false })
+      }
+    })
+  })
+
+  return Array.from(rows.values())
+    .map(row => row.language ? row : { ...row, language: DEFAULT_LANGUAGE })
+    .sort((a, b) => (b.lastSeen ?? -1) - (a.lastSeen ?? -1) || a.word.localeCompare(b.word))
+}
+
+/**
+ * Filter notebook rows
+ * @param {Array} rows - Rows from buildNotebook()
+ * @param {Object} filters - query (word or definition text), rating ('all', 'unrated', 'low' 1-3, 'medium' 4-7 or 'high' 8-10), starred
+ * @returns {Array} Matching rows
+ */
+export function filterNotebook(rows, { query = '', rating = 'all', starred = false } = {}) {
+  const search = query.trim().toLowerCase()
+  const ratingMatches = (value) => {
+    if (rating === 'all') return true
+    if (rating === 'unrated') return value === null
+    if (value === null) return false
+    if (rating === 'low') return value <= 3
+    if (rating === 'medium') return value >= 4 && value <= 7
+    return value >= 8
+  }
+
+  return rows.filter(row =>
+    (!starred || row.starred) &&
+    ratingMatches(row.rating) &&
+    (!search || row.word.toLowerCase().includes(search) || row.definition?.toLowerCase().includes(search))
+  )
+}
+
+// Quote a CSV field when it holds a comma, quote or line break
+const toCSVField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toDateField = (timestamp) => timestamp === null ? '' : getDateKey(new Date(timestamp))
+
+/**
+ * Export notebook rows as CSV (header row, dates as YYYY-MM-DD)
+ * @param {Array} rows - Rows from buildNotebook()
+ * @returns {string} CSV text
+ */
+export function buildNotebookCSV(rows) {
+  const header = ['Word', 'Language', 'Understanding', 'First Seen', 'Last Seen', 'Source', 'Starred', 'Definition']
+  const lines = rows.map(row => [
+    row.word,
+    row.language,
+    row.rating,
+    toDateField(row.firstSeen),
+    toDateField(row.lastSeen),
+    row.source,
+    row.starred ? 'yes' : 'no',
+    row.definition
+  ].map(toCSVField).join(','))
+  return [header.join(','), ...lines].join('\n')
+}
+
+/**
+ * Export notebook rows for Anki's text import
+ * One note per line: word, definition and tags separated by tabs. The header
+ * lines tell Anki the separator and which column holds the tags.
+ * @param {Array} rows - Rows from buildNotebook()
+ * @returns {string} Tab-separated text
+ */
+export function buildAnkiExport(rows) {
+  // Tabs and line breaks would start a new field or note
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim()
+  const lines = rows.map(row => {
+    const tags = ['wordwise', `wordwise-${row.language}`]
+    if (row.starred) {
+      tags.push('starred')
+    }
+    return [row.word, clean(row.definition), tags.join(' ')].join('\t')
+  })
+  return ['#separator:tab', '#html:false', '#tags column:3', ...lines].join('\n')
+}
+
+// ==============================================================================
+// DEFINITION PROVIDERS
+// ==============================================================================
+
+/**
+ * Turn the model's compact definition JSON into dictionary entries
+ * Entries follow the Free Dictionary API shape the Definition tab renders.
+ * @param {Object} data - Parsed model answer ({p, m: [{pos, d: [{d, ex}]}]})
+ * @param {string} word - Word that was defined
+ * @returns {Array} Dictionary entries (empty when the model didn't know the word)
+ */
+export function normalizeAIDefinition(data, word) {
+  const meanings = (data?.m || [])
+    .map(meaning => ({
+      partOfSpeech: meaning.pos || '',
+      definitions: (meaning.d || [])
+        .filter(definition => definition.d)
+        .map(definition => ({ definition: definition.d, example: definition.ex || undefined }))
+    }))
+    .filter(meaning => meaning.definitions.length > 0)
+
+  if (meanings.length === 0) {
+    return []
+  }
+  return [{ word: word.toLowerCase(), phonetic: data.p || undefined, meanings }]
+}
+
+/**
+ * Parse the bundled offline dictionary
+ * One meaning per line: WORD|part of speech|definition|example (the example is
+ * optional). Lines starting with # are comments.
+ * @param {string} text - Dictionary file contents
+ * @returns {Object} Dictionary entries keyed by word
+ */
+export function parseMiniDictionary(text) {
+  const dictionary = {}
+
+  text.split('\n').forEach(line => {
+    const [word, partOfSpeech, definition, example] = line.split('|').map(field => field.trim())
+    if (!word || word.startsWith('#') || !definition) return
+
+    const key = word.toUpperCase()
+    if (!dictionary[key]) {
+      dictionary[key] = [{ word: word.toLowerCase(), meanings: [] }]
+    }
+    dictionary[key][0].meanings.push({
+      partOfSpeech,
+      definitions: [{ definition, example: example || undefined }]
+    })
+  })
+
+  return dictionary
+}
+
+/**
+ * Look a word up in a chain of definition providers
+ * Providers are tried in order. A provider without an answer returns null or
+ * an empty list; a failing one (404, offline, bad model answer) is skipped.
+ * @param {string} word - Word to define
+ * @param {Array} providers - Providers ({id, lookup(word)})
+ * @returns {Promise<{entries: Array, provider: string}>} First answer and the provider that gave it
+ */
+export async function lookupDefinition(word, providers) {
+  for (const provider of providers) {
+    try {
+      const entries = await provider.lookup(word)
+      if (entries?.length) {
+        return { entries, provider: provider.id }
+      }
+    } catch {
+      // Fall through to the next provider
+    }
+  }
+
+  throw new Error(t('learn.definitionUnavailable'))
+}
+
+/**
+ * Pronunciation recordings in dictionary entries, one per accent
+ * The accent comes from the recording's file name (crane-us.mp3, crane-uk.mp3);
+ * recordings without one keep a null accent.
+ * @param {Array} entries - Dictionary entries
+ * @returns {Array<{accent: string|null, text: string|null, audio: string}>}
+ */
+export function getPronunciations(entries) {
+  const seen = new Set()
+
+  return (entries || [])
+    .flatMap(entry => entry.phonetics || [])
+    .filter(phonetic => phonetic.audio)
+    .map(phonetic => ({
+      accent: phonetic.audio.match(/-([a-z]{2})\.mp3$/i)?.[1].toUpperCase() || null,
+      text: phonetic.text || null,
+      audio: phonetic.audio
+    }))
+    .filter(pronunciation => {
+      const key = pronunciation.accent || pronunciation.audio
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+// ==============================================================================
+// EXTENDED WORD INFO
+// ==============================================================================
+
+// Translations shown before the player picks their own languages
+export const DEFAULT_TRANSLATION_LANGUAGES = ['de', 'hr']
+
+/**
+ * Translations in extended word info, in the order the languages were chosen
+ * Answers keep translations in a map keyed by language code (t). Answers from
+ * before languages could be chosen had German and Croatian at the top level.
+ * @param {Object} info - Extended word info from the AI
+ * @param {string[]} languages - Chosen language codes
+ * @returns {Array<{language: string, w: string, d: string, ex: string[]}>} Translations that are present
+ */
+export function getTranslations(info, languages) {
+  return languages
+    .map(language => ({ language, translation: info?.t?.[language] || info?.[language] }))
+    .filter(({ translation }) => translation?.w)
+    .map(({ language, translation }) => ({ language, w: translation.w, d: translation.d || '', ex: translation.ex || [] }))
+}
+
+// ==============================================================================
+// PROGRESS DASHBOARD
+// ==============================================================================
+
+const UNDERSTANDING_WINDOW = 10  // Rated words in the rolling understanding average
+
+const average = (values) => Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+
+// Win rate and average guesses of some games, null when there is nothing to average
+const summarizeGames = (games) => {
+  const wins = games.filter(game => game.r > 0)
+  return {
+    games: games.length,
+    winRate: games.length > 0 ? Math.round((wins.length / games.length) * 100) : null,
+    avgGuesses: wins.length > 0 ? average(wins.map(game => game.r)) : null
+  }
+}
+
+/**
+ * Get the date key of the Monday that starts the week of a time
+ * @param {number|Date} time - Timestamp or date
+ * @returns {string} Date key in YYYY-MM-DD format
+ */
+export function getWeekKey(time) {
+  const date = new Date(time)
+  return getDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7))
+}
+
+/**
+ * Win rate and average guesses per week
+ * @param {Array} history - Game history
+ * @param {number} weeks - Weeks to show, ending with the current one
+ * @param {Date} now - Current date
+ * @returns {Array<{week: string, games: number, winRate: number|null, avgGuesses: number|null}>} Oldest week first
+ */
+export function getWeeklyProgress(history, weeks = 12, now = new Date()) {
+  const buckets = new Map()
+  for (let i = weeks - 1; i >= 0; i--) {
+    buckets.set(getWeekKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7 * i)), [])
+  }
+  history.forEach(game => buckets.get(getWeekKey(game.t))?.push(game))
+
+  return Array.from(buckets, ([week, games]) => ({ week, ...summarizeGames(games) }))
+}
+
+/**
+ * Rolling average of the understanding ratings, one point per rated word
+ * @param {Array} history - Game history
+ * @param {number} size - Rated words averaged at each point
+ * @returns {Array<{t: number, value: number}>} Oldest first
+ */
+export function getRollingUnderstanding(history, size = UNDERSTANDING_WINDOW) {
+  const rated = history.filter(game => game.u !== undefined && game.u !== null).sort((a, b) => a.t - b.t)
+  return rated.map((game, index) => ({
+    t: game.t,
+    value: average(rated.slice(Math.max(0, index - size + 1), index + 1).map(ratedGame => ratedGame.u))
+  }))
+}
+
+/**
+ * Compare how hard AI-selected and random list words were
+ * Only endless games count, the other modes always use list words.
+ * @param {Array} history - Game history
+ * @returns {{ai: Object, list: Object}} Games, win rate and average guesses of each source
+ */
+export function getSourceComparison(history) {
+  const endless = history.filter(game => !game.m)
+  return {
+    ai: summarizeGames(endless.filter(game => game.src === 'ai')),
+    list: summarizeGames(endless.filter(game => game.src === 'list'))
+  }
+}
+
+/**
+ * Count the games played on each of the last days
+ * @param {Array} history - Game history
+ * @param {number} days - Days to count, ending today
+ * @param {Date} now - Current date
+ * @returns {Array<{date: string, count: number}>} Oldest day first
+ */
+export function getGamesPerDay(history, days = 30, now = new Date()) {
+  const counts = new Map()
+  for (let i = days - 1; i >= 0; i--) {
+    counts.set(getDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i)), 0)
+  }
+  history.forEach(game => {
+    const date = getDateKey(new Date(game.t))
+    if (counts.has(date)) {
+      counts.set(date, counts.get(date) + 1)
+    }
+  })
+
+  return Array.from(counts, ([date, count]) => ({ date, count }))
+}
+
+// ==============================================================================
+// LETTER ANALYTICS
+// ==============================================================================
+
+const OPENER_COUNT = 5  // Opening words listed, most played first
+
+// Guesses whose colors the player could still use: every guess but the solving one
+const getFeedbackGuesses = (game) => {
+  const guesses = (game.g || []).filter(guess => guess.length === game.w.length)
+  return game.r > 0 ? guesses.slice(0, -1) : guesses
+}
+
+// Multi-board games are stored once per board with the same guesses, so they'd count several times
+const isSingleBoardGame = (game) => game.m !== 'multi' && game.g?.length > 0
+
+const countRevealed = (guess, target) => getLetterStatuses(guess, target).filter(status => status !== 'absent').length
+
+/**
+ * Letters of the target the player hadn't found (green or yellow) before the last guess
+ * Games won on the first guess had no feedback to use and are left out.
+ * @param {Array} history - Game history
+ * @returns {Array<{letter: string, games: number, missed: number, rate: number}>} Most missed first
+ */
+export function getMissedLetters(history) {
+  const letters = new Map()
+  history.forEach(game => {
+    const guesses = getFeedbackGuesses(game)
+    if (guesses.length === 0) return
+
+    const found = new Set()
+    guesses.forEach(guess => {
+      getLetterStatuses(guess, game.w).forEach((status, index) => {
+        if (status !== 'absent') found.add(guess[index])
+      })
+    })
+    new Set(game.w).forEach(letter => {
+      const counts = letters.get(letter) ?? { letter, games: 0, missed: 0 }
+      counts.games++
+      if (!found.has(letter)) counts.missed++
+      letters.set(letter, counts)
+    })
+  })
+
+  return Array.from(letters.values())
+    .map(counts => ({ ...counts, rate: Math.round((counts.missed / counts.games) * 100) }))
+    .sort((a, b) => b.missed - a.missed || b.rate - a.rate || a.letter.localeCompare(b.letter))
+}
+
+/**
+ * How often each position was not green, over every guess but the solving one
+ * @param {Array} history - Game history
+ * @returns {Array<{position: number, guesses: number, missed: number, rate: number}>} By position (1-based)
+ */
+export function getPositionMisses(history) {
+  const positions = []
+  history.forEach(game => {
+    getFeedbackGuesses(game).forEach(guess => {
+      getLetterStatuses(guess, game.w).forEach((status, index) => {
+        positions[index] = positions[index] ?? { position: index + 1, guesses: 0, missed: 0 }
+        positions[index].guesses++
+        if (status !== 'correct') positions[index].missed++
+      })
+    })
+  })
+
+  return positions.map(counts => ({ ...counts, rate: Math.round((counts.missed / counts.guesses) * 100) }))
+}
+
+/**
+ * How well each opening word does
+ * @param {Array} history - Game history
+ * @param {number} count - Opening words to list
+ * @returns {Array<{word: string, games: number, winRate: number, avgGuesses: number|null, revealed: number}>}
+ *   Most played first, with the average letters found (green or yellow) by the opener
+ */
+export function getOpenerStats(history, count = OPENER_COUNT) {
+  const openers = new Map()
+  history.filter(isSingleBoardGame).forEach(game => {
+    const opener = game.g[0]
+    openers.set(opener, [...(openers.get(opener) ?? []), game])
+  })
+
+  return Array.from(openers, ([word, games]) => ({
+    word,
+    ...summarizeGames(games),
+    revealed: average(games.map(game => countRevealed(word, game.w)))
+  }))
+    .sort((a, b) => b.games - a.games || b.winRate - a.winRate || a.word.localeCompare(b.word))
+    .slice(0, count)
+}
+
+/**
+ * Count how often each letter was typed in a guess
+ * @param {Array} history - Game history
+ * @returns {Object} Letter to count
+ */
+export function getLetterUsage(history) {
+  const usage = {}
+  history.filter(isSingleBoardGame).forEach(game => {
+    game.g.forEach(guess => {
+      Array.from(guess).forEach(letter => {
+        usage[letter] = (usage[letter] || 0) + 1
+      })
+    })
+  })
+  return usage
+}
+
+// ==============================================================================
+// DAY STREAK
+// ==============================================================================
+
+export const STREAK_FREEZE_DAYS = 7  // Days played in a row that earn a streak freeze
+export const MAX_STREAK_FREEZES = 2  // Freezes that can be saved up
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((new Date(`${toKey}T00:00:00`) - new Date(`${fromKey}T00:00:00`)) / (24 * 60 * 60 * 1000))
+
+/**
+ * Get the day streak: calendar days in a row with at least one game
+ * Days are taken from the game times in the local time zone. Every
+ * STREAK_FREEZE_DAYS days in a row earn a streak freeze, and saved freezes
+ * cover missed days one for one; a gap longer than the saved freezes ends the
+ * streak and keeps them. Today only counts as missed once it's over. Since
+ * everything comes from the history, the merged history of a sync gives every
+ * device the same streak and freezes.
+ * @param {Array} history - Game history (every mode and language)
+ * @param {string} todayKey - Today's date key
+ * @returns {{current: number, best: number, freezes: number, daysPlayed: number, frozenDays: string[], playedToday: boolean}}
+ *   Streak in days played, freezes saved up and the missed days they covered
+ */
+export function getDayStreak(history, todayKey = getDateKey()) {
+  const days = Array.from(new Set(history.filter(game => game.t).map(game => getDateKey(new Date(game.t)))))
+    .filter(day => day <= todayKey)
+    .sort()
+  let current = 0
+  let best = 0
+  let freezes = 0
+  const frozenDays = []
+
+  // Cover the days missed between two days with freezes, or end the streak
+  const bridgeGap = (fromKey, toKey) => {
+    const missed = daysBetween(fromKey, toKey) - 1
+    if (missed <= 0) return
+    if (missed > freezes) {
+      current = 0
+      return
+    }
+    freezes -= missed
+    let day = toKey
+    for (let i = 0; i < missed; i++) {
+      day = getPreviousDateKey(day)
+      frozenDays.push(day)
+    }
+  }
+
+  days.forEach((day, index) => {
+    if (index > 0) bridgeGap(days[index - 1], day)
+    current++
+    best = Math.max(best, current)
+    if (current % STREAK_FREEZE_DAYS === 0) {
+      freezes = Math.min(freezes + 1, MAX_STREAK_FREEZES)
+    }
+  })
+
+  const playedToday = days[days.length - 1] === todayKey
+  if (days.length > 0 && !playedToday) {
+    bridgeGap(days[days.length - 1], todayKey)
+  }
+
+  return { current, best, freezes, daysPlayed: days.length, frozenDays: frozenDays.sort(), playedToday }
+}
+
+/**
+ * Games per day for a calendar heatmap, one column per week
+ * @param {Array} history - Game history
+ * @param {number} weeks - Weeks to show, ending with the current one
+ * @param {Date} now - Current date
+ * @returns {Array<Array<{date: string, count: number}>>} Weeks oldest first, each Monday to Sunday
+ *   (the current week ends today)
+ */
+export function getPlayCalendar(history, weeks = 26, now = new Date()) {
+  const days = getGamesPerDay(history, (weeks - 1) * 7 + (now.getDay() + 6) % 7 + 1, now)
+  return Array.from({ length: weeks }, (_, week) => days.slice(week * 7, week * 7 + 7))
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import answersDeText from '../data/wordle-answers-de.txt?raw'
+import allowedDeText from '../data/wordle-allowed-guesses-de.txt?raw'
+import answersHrText from '../data/wordle-answers-hr.txt?raw'
+import allowedHrText from '../data/wordle-allowed-guesses-hr.txt?raw'
+import {
+  normalizeWord,
+  createGameHistoryEntry,
+  getGameLanguage,
+  trimGameHistory,
+  intelligentMerge,
+  getInitialStats
+} from './gameLogic'
+
+const parseWords = (text) => text.trim().split('\n').map(word => normalizeWord(word.trim()))
+
+describe('Language Logic', () => {
+  describe('normalizeWord', () => {
+    it('should uppercase English words', () => {
+      expect(normalizeWord('crane')).toBe('CRANE')
+    })
+
+    it('CRITICAL: should keep ß as a single letter', () => {
+      const word = normalizeWord('grüße')
+
+      expect(word).toBe('GRÜẞE')
+      expect(word).toHaveLength(5)
+    })
+
+    it('should compose letters typed with a separate accent', () => {
+      // C + combining caron, as some keyboards produce it
+      expect(normalizeWord('c\u030Cekic\u0301')).toBe('ČEKIĆ')
+    })
+
+    it('should uppercase Croatian letters', () => {
+      expect(normalizeWord('đavao')).toBe('ĐAVAO')
+      expect(normalizeWord('žlica')).toBe('ŽLICA')
+    })
+  })
+
+  describe('Word lists', () => {
+    it('should only have 5-letter German words', () => {
+      const words = [...parseWords(answersDeText), ...parseWords(allowedDeText)]
+
+      words.forEach(word => expect(word).toMatch(/^[A-ZÄÖÜẞ]{5}$/))
+    })
+
+    it('should only have 5-letter Croatian words without Q, W, X or Y', () => {
+      const words = [...parseWords(answersHrText), ...parseWords(allowedHrText)]
+
+      words.forEach(word => expect(word).toMatch(/^[A-PR-VZČĆĐŠŽ]{5}$/))
+    })
+  })
+
+  describe('History per language', () => {
+    it('should tag games played in another language', () => {
+      const entry = createGameHistoryEntry('APFEL', 3, null, 'list', 'endless', false, false, [], [], 'de')
+
+      expect(entry.l).toBe('de')
+      expect(getGameLanguage(entry)).toBe('de')
+    })
+
+    it('should not tag English games', () => {
+      const entry = createGameHistoryEntry('CRANE', 3, null, 'list')
+
+      expect(entry).not.toHaveProperty('l')
+      expect(getGameLanguage(entry)).toBe('en')
+    })
+
+    it('should keep the most recent games of each language', () => {
+      const history = [
+        { id: 'de1', l: 'de' },
+        { id: 'en1' },
+        { id: 'en2' },
+        { id: 'hr1', l: 'hr' },
+        { id: 'en3' }
+      ]
+
+      expect(trimGameHistory(history, 2).map(g => g.id)).toEqual(['de1', 'en2', 'hr1', 'en3'])
+    })
+
+    it('CRITICAL: should not let one language push out another when merging', () => {
+      const english = Array.from({ length: 20 }, (_, i) => ({ id: `en${i}`, w: 'CRANE', r: 3, t: 2000 + i }))
+      const german = [{ id: 'de', w: 'APFEL', r: 2, t: 1000, l: 'de' }]
+      const merged = intelligentMerge(
+        { stats: getInitialStats(), gameHistory: german, usedWords: [], settings: {} },
+        { stats: getInitialStats(), gameHistory: english, usedWords: [], settings: {} }
+      )
+
+      expect(merged.gameHistory).toHaveLength(21)
+      expect(merged.gameHistory[0].id).toBe('de')
+    })
+
+    it('should merge stats and used words of other languages', () => {
+      const base = { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+      const merged = intelligentMerge(
+        { ...base, variants: { '5-de': { stats: { ...getInitialStats(), played: 2 }, usedWords: ['APFEL'] } } },
+        { ...base, variants: { '5-de': { stats: { ...getInitialStats(), played: 4 }, usedWords: ['GRÜẞE'] } } }
+      )
+
+      expect(merged.variants['5-de'].stats.played).toBe(4)
+      expect(merged.variants['5-de'].usedWords.sort()).toEqual(['APFEL', 'GRÜẞE'])
+    })
+  })
+})
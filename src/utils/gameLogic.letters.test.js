@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getMissedLetters,
+  getPositionMisses,
+  getOpenerStats,
+  getLetterUsage
+} from './gameLogic'
+
+describe('Letter Analytics Logic', () => {
+  describe('getMissedLetters', () => {
+    it('CRITICAL: should count target letters not found before the solving guess', () => {
+      const history = [
+        // SLATE finds A and E (green); C, R and N were never shown
+        { w: 'CRANE', r: 2, g: ['SLATE', 'CRANE'] },
+        // A loss counts every guess: R, A and E found, B and K missed
+        { w: 'BAKER', r: -1, g: ['ROUTE', 'RADAR'] }
+      ]
+
+      const missed = getMissedLetters(history)
+
+      expect(missed.find(counts => counts.letter === 'E')).toEqual({ letter: 'E', games: 2, missed: 0, rate: 0 })
+      expect(missed.find(counts => counts.letter === 'R')).toEqual({ letter: 'R', games: 2, missed: 1, rate: 50 })
+      expect(missed.find(counts => counts.letter === 'C')).toEqual({ letter: 'C', games: 1, missed: 1, rate: 100 })
+      expect(missed[0].missed).toBe(1)
+      expect(missed.at(-1).missed).toBe(0)
+    })
+
+    it('should leave out games won on the first guess and games without guesses', () => {
+      expect(getMissedLetters([{ w: 'CRANE', r: 1, g: ['CRANE'] }, { w: 'SLATE', r: 3 }])).toEqual([])
+    })
+  })
+
+  describe('getPositionMisses', () => {
+    it('should rate each position by how often it was not green', () => {
+      const history = [
+        { w: 'CRANE', r: 3, g: ['SLATE', 'CRONE', 'CRANE'] },
+        { w: 'TIGER', r: 2, g: ['TOWER', 'TIGER'] }
+      ]
+
+      expect(getPositionMisses(history)).toEqual([
+        { position: 1, guesses: 3, missed: 1, rate: 33 },
+        { position: 2, guesses: 3, missed: 2, rate: 67 },
+        { position: 3, guesses: 3, missed: 2, rate: 67 },
+        { position: 4, guesses: 3, missed: 1, rate: 33 },
+        { position: 5, guesses: 3, missed: 0, rate: 0 }
+      ])
+    })
+  })
+
+  describe('getOpenerStats', () => {
+    it('should summarize opening words, most played first', () => {
+      const history = [
+        { w: 'CRANE', r: 2, g: ['SLATE', 'CRANE'] },
+        { w: 'TIGER', r: -1, g: ['SLATE', 'TOWER'] },
+        { w: 'PLUMB', r: 4, g: ['AUDIO', 'PLUSH', 'PLUMP', 'PLUMB'] }
+      ]
+
+      expect(getOpenerStats(history)).toEqual([
+        { word: 'SLATE', games: 2, winRate: 50, avgGuesses: 2, revealed: 2 },
+        { word: 'AUDIO', games: 1, winRate: 100, avgGuesses: 4, revealed: 1 }
+      ])
+    })
+
+    it('should leave out multi-board games, which are stored once per board', () => {
+      const history = [
+        { w: 'CRANE', r: 2, m: 'multi', g: ['SLATE', 'CRANE'] },
+        { w: 'TIGER', r: 3, m: 'multi', g: ['SLATE', 'CRANE', 'TIGER'] }
+      ]
+
+      expect(getOpenerStats(history)).toEqual([])
+      expect(getLetterUsage(history)).toEqual({})
+    })
+  })
+
+  describe('getLetterUsage', () => {
+    it('should count every typed letter of every guess', () => {
+      expect(getLetterUsage([{ w: 'CRANE', r: 2, g: ['SLATE', 'CRANE'] }])).toEqual({
+        S: 1, L: 1, A: 2, T: 1, E: 2, C: 1, R: 1, N: 1
+      })
+    })
+  })
+})
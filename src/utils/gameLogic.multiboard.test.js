@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getMultiBoardAttempts,
+  pickMultiBoardWords,
+  getMultiBoardResults,
+  getMultiBoardStatus,
+  getKeyboardStatuses
+} from './gameLogic'
+
+const WORDS = ['APPLE', 'BRAVE', 'CRANE', 'DRIVE', 'EAGLE', 'FLAME', 'GRAPE', 'HOUSE']
+
+describe('Multi-Board Logic', () => {
+  describe('getMultiBoardAttempts', () => {
+    it('should allow 7 guesses for 2 boards and 9 for 4 boards', () => {
+      expect(getMultiBoardAttempts(2)).toBe(7)
+      expect(getMultiBoardAttempts(4)).toBe(9)
+    })
+  })
+
+  describe('pickMultiBoardWords', () => {
+    it('should pick one word per board from the list', () => {
+      const words = pickMultiBoardWords(WORDS, 4)
+
+      expect(words).toHaveLength(4)
+      words.forEach(word => expect(WORDS).toContain(word))
+    })
+
+    it('CRITICAL: should never deal the same word to two boards', () => {
+      const words = pickMultiBoardWords(['CRANE', 'CRANE', 'SLATE'], 2)
+
+      expect(new Set(words).size).toBe(2)
+    })
+
+    it('should use the given random generator', () => {
+      expect(pickMultiBoardWords(WORDS, 2, () => 0)).toEqual(['APPLE', 'BRAVE'])
+    })
+
+    it('should not mutate the word list', () => {
+      const words = [...WORDS]
+      pickMultiBoardWords(words, 4)
+
+      expect(words).toEqual(WORDS)
+    })
+  })
+
+  describe('getMultiBoardResults', () => {
+    it('should record the guess count that solved each board', () => {
+      const guesses = ['SLATE', 'CRANE', 'HOUSE', '', '', '', '']
+
+      expect(getMultiBoardResults(guesses, ['HOUSE', 'CRANE'])).toEqual([3, 2])
+    })
+
+    it('should record unsolved boards as lost', () => {
+      const guesses = ['SLATE', 'CRANE', '', '', '', '', '']
+
+      expect(getMultiBoardResults(guesses, ['CRANE', 'HOUSE'])).toEqual([2, -1])
+    })
+  })
+
+  describe('getMultiBoardStatus', () => {
+    it('should keep playing while a board is unsolved', () => {
+      const guesses = ['CRANE', '', '', '', '', '', '']
+
+      expect(getMultiBoardStatus(guesses, ['CRANE', 'HOUSE'], 7)).toBe('playing')
+    })
+
+    it('should be won once every board is solved', () => {
+      const guesses = ['HOUSE', 'CRANE', '', '', '', '', '']
+
+      expect(getMultiBoardStatus(guesses, ['CRANE', 'HOUSE'], 7)).toBe('won')
+    })
+
+    it('should be lost when guesses run out with a board unsolved', () => {
+      const guesses = ['CRANE', 'SLATE', 'SLATE', 'SLATE', 'SLATE', 'SLATE', 'SLATE']
+
+      expect(getMultiBoardStatus(guesses, ['CRANE', 'HOUSE'], 7)).toBe('lost')
+    })
+
+    it('should count solving the last board on the last guess as a win', () => {
+      const guesses = ['CRANE', 'SLATE', 'SLATE', 'SLATE', 'SLATE', 'SLATE', 'HOUSE']
+
+      expect(getMultiBoardStatus(guesses, ['CRANE', 'HOUSE'], 7)).toBe('won')
+    })
+  })
+
+  describe('getKeyboardStatuses', () => {
+    it('should color letters for one board', () => {
+      const statuses = getKeyboardStatuses(['SLATE'], 'CRANE')
+
+      expect(statuses).toEqual({ S: 'absent', L: 'absent', A: 'correct', T: 'absent', E: 'correct' })
+    })
+
+    it('should keep the best status seen for a letter', () => {
+      // R is yellow in TIRED and green in BRINE
+      const statuses = getKeyboardStatuses(['TIRED', 'BRINE'], 'CRANE')
+
+      expect(statuses.R).toBe('correct')
+    })
+
+    it('should give different colors for different boards', () => {
+      expect(getKeyboardStatuses(['SLATE'], 'CRANE').S).toBe('absent')
+      expect(getKeyboardStatuses(['SLATE'], 'HOUSE').S).toBe('present')
+    })
+
+    it('should ignore guesses made after the board was solved', () => {
+      const statuses = getKeyboardStatuses(['CRANE', 'FOGGY'], 'CRANE')
+
+      expect(statuses).not.toHaveProperty('F')
+    })
+  })
+})
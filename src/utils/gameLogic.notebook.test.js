@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import {
+  recordNotebookGame,
+  updateNotebookNote,
+  buildNotebook,
+  filterNotebook,
+  buildNotebookCSV,
+  buildAnkiExport
+} from './gameLogic'
+
+const DAY = 24 * 60 * 60 * 1000
+const JAN_1 = new Date(2026, 0, 1).getTime()
+
+describe('Vocabulary Notebook Logic', () => {
+  describe('recordNotebookGame', () => {
+    it('should track first and last seen across games', () => {
+      let notebook = recordNotebookGame({}, { w: 'CRANE', src: 'list', t: JAN_1 + DAY })
+      notebook = recordNotebookGame(notebook, { w: 'CRANE', src: 'ai', t: JAN_1 + 5 * DAY, u: 7 })
+
+      expect(notebook.CRANE).toEqual({ f: JAN_1 + DAY, l: JAN_1 + 5 * DAY, src: 'ai', lang: 'en', u: 7 })
+    })
+
+    it('should use the mode as the source for non-endless games', () => {
+      const notebook = recordNotebookGame({}, { w: 'CRANE', src: 'list', m: 'daily', t: JAN_1 })
+
+      expect(notebook.CRANE.src).toBe('daily')
+    })
+
+    it('should keep the definition, star and rating of a word played again', () => {
+      const notebook = recordNotebookGame(
+        { CRANE: { f: JAN_1, l: JAN_1, u: 4, d: 'A bird.', s: true } },
+        { w: 'CRANE', src: 'list', t: JAN_1 + DAY }
+      )
+
+      expect(notebook.CRANE).toMatchObject({ u: 4, d: 'A bird.', s: true, l: JAN_1 + DAY })
+    })
+  })
+
+  describe('buildNotebook', () => {
+    it('CRITICAL: should list words that fell out of the game history', () => {
+      const notebook = { CRANE: { f: JAN_1, l: JAN_1, src: 'list', lang: 'en', u: 3, d: 'A bird.', s: true } }
+
+      expect(buildNotebook(notebook, [])).toEqual([{
+        word: 'CRANE',
+        language: 'en',
+        rating: 3,
+        firstSeen: JAN_1,
+        lastSeen: JAN_1,
+        source: 'list',
+        definition: 'A bird.',
+        starred: true
+      }])
+    })
+
+    it('should fill in words from history and used words, newest first', () => {
+      const history = [
+        { w: 'SLATE', src: 'list', t: JAN_1 },
+        { w: 'STRAẞE', src: 'list', t: JAN_1 + DAY, l: 'de' }
+      ]
+      const rows = buildNotebook({}, history, [{ words: ['SLATE', 'TIGER'], language: 'en', source: 'Animals' }])
+
+      expect(rows.map(row => [row.word, row.language, row.source])).toEqual([
+        ['STRAẞE', 'de', 'list'],
+        ['SLATE', 'en', 'list'],
+        ['TIGER', 'en', 'Animals']
+      ])
+      expect(rows[2].lastSeen).toBeNull()
+    })
+
+    it('should list words with only a cached definition', () => {
+      const notebook = updateNotebookNote({}, 'CRANE', 'd', 'A bird.')
+
+      expect(buildNotebook(notebook, [])[0]).toMatchObject({ word: 'CRANE', language: 'en', definition: 'A bird.' })
+    })
+  })
+
+  describe('filterNotebook', () => {
+    const rows = [
+      { word: 'CRANE', rating: 2, definition: 'A large bird.', starred: true },
+      { word: 'SLATE', rating: 9, definition: 'A rock.', starred: false },
+      { word: 'TIGER', rating: null, definition: null, starred: false }
+    ]
+    const words = (filters) => filterNotebook(rows, filters).map(row => row.word)
+
+    it('should search words and definitions', () => {
+      expect(words({ query: 'ti' })).toEqual(['TIGER'])
+      expect(words({ query: 'BIRD' })).toEqual(['CRANE'])
+    })
+
+    it('should filter by rating band', () => {
+      expect(words({ rating: 'low' })).toEqual(['CRANE'])
+      expect(words({ rating: 'high' })).toEqual(['SLATE'])
+      expect(words({ rating: 'unrated' })).toEqual(['TIGER'])
+    })
+
+    it('should filter starred words', () => {
+      expect(words({ starred: true })).toEqual(['CRANE'])
+    })
+  })
+
+  describe('Export', () => {
+    const rows = [
+      { word: 'CRANE', language: 'en', rating: 7, firstSeen: JAN_1, lastSeen: JAN_1 + DAY, source: 'list', definition: 'A bird, "tall"', starred: true },
+      { word: 'TIGER', language: 'en', rating: null, firstSeen: null, lastSeen: null, source: 'Animals', definition: null, starred: false }
+    ]
+
+    it('should export CSV with quoted fields and ISO dates', () => {
+      expect(buildNotebookCSV(rows)).toBe([
+        'Word,Language,Understanding,First Seen,Last Seen,Source,Starred,Definition',
+        'CRANE,en,7,2026-01-01,2026-01-02,list,yes,"A bird, ""tall"""',
+        'TIGER,en,,,,Animals,no,'
+      ].join('\n'))
+    })
+
+    it('should export one Anki note per line with tags', () => {
+      const lines = buildAnkiExport([{ ...rows[0], definition: 'A bird\twith\nlong legs' }]).split('\n')
+
+      expect(lines).toEqual([
+        '#separator:tab',
+        '#html:false',
+        '#tags column:3',
+        'CRANE\tA bird with long legs\twordwise wordwise-en starred'
+      ])
+    })
+  })
+})
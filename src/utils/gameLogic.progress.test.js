@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getWeekKey,
+  getWeeklyProgress,
+  getRollingUnderstanding,
+  getSourceComparison,
+  getGamesPerDay
+} from './gameLogic'
+
+// Wednesday 15 October 2025, noon local time
+const NOW = new Date(2025, 9, 15, 12)
+const daysAgo = (days) => new Date(2025, 9, 15 - days, 12).getTime()
+
+describe('Progress Dashboard Logic', () => {
+  describe('getWeekKey', () => {
+    it('should start weeks on Monday', () => {
+      expect(getWeekKey(new Date(2025, 9, 13, 0, 5))).toBe('2025-10-13')
+      expect(getWeekKey(NOW)).toBe('2025-10-13')
+      expect(getWeekKey(new Date(2025, 9, 19, 23, 55))).toBe('2025-10-13')
+      expect(getWeekKey(new Date(2025, 9, 20))).toBe('2025-10-20')
+    })
+  })
+
+  describe('getWeeklyProgress', () => {
+    it('CRITICAL: should bucket games by week and leave empty weeks without values', () => {
+      const history = [
+        { w: 'CRANE', r: 3, t: daysAgo(0) },
+        { w: 'SLATE', r: 5, t: daysAgo(1) },
+        { w: 'PLUMB', r: -1, t: daysAgo(2) },
+        { w: 'GHOST', r: 4, t: daysAgo(14) },
+        { w: 'OLDER', r: 2, t: daysAgo(60) }
+      ]
+
+      expect(getWeeklyProgress(history, 3, NOW)).toEqual([
+        { week: '2025-09-29', games: 1, winRate: 100, avgGuesses: 4 },
+        { week: '2025-10-06', games: 0, winRate: null, avgGuesses: null },
+        { week: '2025-10-13', games: 3, winRate: 67, avgGuesses: 4 }
+      ])
+    })
+  })
+
+  describe('getRollingUnderstanding', () => {
+    it('should average the last rated words in time order and skip unrated games', () => {
+      const history = [
+        { w: 'THIRD', r: 2, u: 9, t: 3000 },
+        { w: 'FIRST', r: 4, u: 4, t: 1000 },
+        { w: 'NORAT', r: 3, t: 1500 },
+        { w: 'SECND', r: 5, u: 6, t: 2000 }
+      ]
+
+      expect(getRollingUnderstanding(history, 2)).toEqual([
+        { t: 1000, value: 4 },
+        { t: 2000, value: 5 },
+        { t: 3000, value: 7.5 }
+      ])
+    })
+  })
+
+  describe('getSourceComparison', () => {
+    it('should compare AI and list words from endless games only', () => {
+      const history = [
+        { w: 'CRANE', r: 4, src: 'ai', t: 1 },
+        { w: 'SLATE', r: -1, src: 'ai', t: 2 },
+        { w: 'PLUMB', r: 3, src: 'list', t: 3 },
+        { w: 'DAILY', r: 6, src: 'list', m: 'daily', t: 4 }
+      ]
+
+      expect(getSourceComparison(history)).toEqual({
+        ai: { games: 2, winRate: 50, avgGuesses: 4 },
+        list: { games: 1, winRate: 100, avgGuesses: 3 }
+      })
+    })
+
+    it('should have no values for a source without games', () => {
+      expect(getSourceComparison([]).ai).toEqual({ games: 0, winRate: null, avgGuesses: null })
+    })
+  })
+
+  describe('getGamesPerDay', () => {
+    it('should count games on each of the last days, including days without games', () => {
+      const history = [
+        { w: 'CRANE', r: 3, t: daysAgo(0) },
+        { w: 'SLATE', r: 5, t: daysAgo(0) },
+        { w: 'PLUMB', r: 2, t: daysAgo(2) },
+        { w: 'OLDER', r: 2, t: daysAgo(3) }
+      ]
+
+      expect(getGamesPerDay(history, 3, NOW)).toEqual([
+        { date: '2025-10-13', count: 1 },
+        { date: '2025-10-14', count: 0 },
+        { date: '2025-10-15', count: 2 }
+      ])
+    })
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+  pickQuizWord,
+  getDictionaryClues,
+  getQuizHintLetters,
+  getQuizUnderstanding,
+  getSpokenClue
+} from './gameLogic'
+
+describe('Definition Quiz Logic', () => {
+  describe('pickQuizWord', () => {
+    const history = [
+      { w: 'CRANE', u: 10 },
+      { w: 'SLATE', u: 1 },
+      { w: 'TIGER' }
+    ]
+
+    it('CRITICAL: should favor poorly understood words', () => {
+      // Weights: CRANE 1, SLATE 10, TIGER 5 (unrated)
+      expect(pickQuizWord(history, null, () => 0)).toBe('CRANE')
+      expect(pickQuizWord(history, null, () => 0.1)).toBe('SLATE')
+      expect(pickQuizWord(history, null, () => 0.6)).toBe('SLATE')
+      expect(pickQuizWord(history, null, () => 0.7)).toBe('TIGER')
+    })
+
+    it('should use the latest rating of each word', () => {
+      const rerated = [...history, { w: 'SLATE', u: 10 }, { w: 'SLATE' }]
+
+      // Weights: CRANE 1, SLATE 1, TIGER 5
+      expect(pickQuizWord(rerated, null, () => 0.5)).toBe('TIGER')
+    })
+
+    it('should skip the word just quizzed unless it is the only one', () => {
+      expect(pickQuizWord(history, 'SLATE', () => 0.5)).toBe('TIGER')
+      expect(pickQuizWord([{ w: 'CRANE' }], 'CRANE')).toBe('CRANE')
+    })
+
+    it('should return null without history', () => {
+      expect(pickQuizWord([])).toBeNull()
+    })
+  })
+
+  describe('getDictionaryClues', () => {
+    it('should take the first definition of each meaning and the first example', () => {
+      const entries = [{
+        meanings: [
+          { partOfSpeech: 'noun', definitions: [{ definition: 'A large wading bird.' }] },
+          { partOfSpeech: 'verb', definitions: [{ definition: 'To stretch the neck.' }, { definition: 'To lift.', example: 'She craned to see.' }] }
+        ]
+      }]
+
+      expect(getDictionaryClues(entries)).toEqual({
+        clues: [
+          { label: 'noun', text: 'A large wading bird.' },
+          { label: 'verb', text: 'To stretch the neck.' }
+        ],
+        example: 'She craned to see.'
+      })
+    })
+
+    it('should have no example when the dictionary gives none', () => {
+      const entries = [{ meanings: [{ partOfSpeech: 'noun', definitions: [{ definition: 'A rock.' }] }] }]
+
+      expect(getDictionaryClues(entries).example).toBeNull()
+    })
+  })
+
+  describe('getQuizHintLetters', () => {
+    it('should hide every letter before the first guess', () => {
+      expect(getQuizHintLetters('CRANE', [])).toEqual(['', '', '', '', ''])
+    })
+
+    it('should reveal one more letter per wrong guess, after the ones found', () => {
+      // SLATE finds A and E in place, one hint reveals C
+      expect(getQuizHintLetters('CRANE', ['SLATE'])).toEqual(['C', '', 'A', '', 'E'])
+    })
+
+    it('should never reveal the last hidden letter', () => {
+      const guesses = ['BOUND', 'BOUND', 'BOUND', 'BOUND', 'BOUND']
+
+      expect(getQuizHintLetters('CRANE', guesses).filter(letter => letter === '')).toHaveLength(1)
+    })
+  })
+
+  describe('getQuizUnderstanding', () => {
+    it('should rate quick recalls highest', () => {
+      expect([1, 2, 3, 4, 5, 6].map(getQuizUnderstanding)).toEqual([10, 8, 6, 4, 3, 3])
+    })
+
+    it('should rate a lost game 1', () => {
+      expect(getQuizUnderstanding(-1)).toBe(1)
+    })
+  })
+
+  describe('getSpokenClue', () => {
+    it('should read the clues without saying the word', () => {
+      const clue = { clues: [{ label: 'noun', text: 'A crane is a bird.' }, { label: 'verb', text: 'To stretch.' }] }
+
+      expect(getSpokenClue(clue, 'CRANE')).toBe('A … is a bird. To stretch.')
+      expect(getSpokenClue({ error: 'Not found' }, 'CRANE')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import {
+  analyzeGame,
+  analyzeGuess,
+  filterCandidates
+} from './gameLogic'
+
+const ANSWERS = ['CATCH', 'HATCH', 'LATCH', 'MATCH', 'PATCH', 'WATCH']
+const GUESSES = [...ANSWERS, 'CHAMP', 'WHIRL']
+
+describe('Game Review Logic', () => {
+  describe('analyzeGame', () => {
+    it('should return one row per guess and ignore empty rows', () => {
+      const rows = analyzeGame(['WHIRL', 'MATCH', '', ''], 'MATCH', ANSWERS, GUESSES)
+
+      expect(rows.map(row => row.guess)).toEqual(['WHIRL', 'MATCH'])
+    })
+
+    it('CRITICAL: should count candidates before and after each guess like filterCandidates', () => {
+      const guesses = ['WHIRL', 'HATCH', 'MATCH']
+      const rows = analyzeGame(guesses, 'MATCH', ANSWERS, GUESSES)
+
+      rows.forEach((row, index) => {
+        expect(row.before).toBe(filterCandidates(ANSWERS, guesses.slice(0, index), 'MATCH').length)
+        expect(row.after).toBe(filterCandidates(ANSWERS, guesses.slice(0, index + 1), 'MATCH').length)
+      })
+    })
+
+    it('should suggest the most informative guess', () => {
+      const [row] = analyzeGame(['WHIRL'], 'MATCH', ANSWERS, GUESSES)
+
+      expect(row.bestGuess).toBe('CHAMP')
+      expect(row.expected).toBeCloseTo((1 + 1 + 16) / 6)
+    })
+
+    it('should give full skill for the best guess and less for weaker ones', () => {
+      const [best] = analyzeGame(['CHAMP'], 'MATCH', ANSWERS, GUESSES)
+      const [weak] = analyzeGame(['WHIRL'], 'MATCH', ANSWERS, GUESSES)
+
+      expect(best.skill).toBe(100)
+      expect(weak.skill).toBeLessThan(100)
+      expect(weak.skill).toBeGreaterThan(0)
+    })
+
+    it('should rate an outcome that leaves fewer words than usual as lucky', () => {
+      // WHIRL leaves 1 word for WATCH and LATCH but 4 for the rest
+      const [lucky] = analyzeGame(['WHIRL'], 'WATCH', ANSWERS, GUESSES)
+      const [unlucky] = analyzeGame(['WHIRL'], 'MATCH', ANSWERS, GUESSES)
+
+      expect(lucky.luck).toBeGreaterThan(50)
+      expect(unlucky.luck).toBeLessThan(50)
+    })
+
+    it('should give average luck when every outcome is the same', () => {
+      const [row] = analyzeGame(['MATCH'], 'MATCH', ['MATCH'], GUESSES)
+
+      expect(row.luck).toBe(50)
+      expect(row.solved).toBe(true)
+    })
+
+    it('should expect the last possible answer to be guessed', () => {
+      const [, solved] = analyzeGame(['CHAMP', 'MATCH'], 'MATCH', ANSWERS, GUESSES)
+      const [, wasted] = analyzeGame(['CHAMP', 'WHIRL'], 'MATCH', ANSWERS, GUESSES)
+
+      expect(solved.skill).toBe(100)
+      expect(wasted.skill).toBe(0)
+    })
+  })
+
+  describe('Targets outside the answer list', () => {
+    it('CRITICAL: should analyze a game whose target is not a possible answer', () => {
+      // Challenge and AI words only have to be valid guesses
+      const rows = analyzeGame(['WHIRL', 'CHAMP'], 'CHAMP', ANSWERS, GUESSES)
+
+      expect(rows.map(row => row.before)).toEqual([7, 1])
+      expect(rows[1]).toMatchObject({ after: 1, solved: true, skill: 100, luck: 50 })
+    })
+  })
+
+  describe('analyzeGuess', () => {
+    it('should give the rows of analyzeGame one guess at a time', () => {
+      const first = analyzeGuess('WHIRL', 'MATCH', ANSWERS, GUESSES)
+      const second = analyzeGuess('HATCH', 'MATCH', first.remaining, GUESSES)
+
+      expect(first.remaining).toEqual(filterCandidates(ANSWERS, ['WHIRL'], 'MATCH'))
+      expect([first.row, second.row]).toEqual(analyzeGame(['WHIRL', 'HATCH'], 'MATCH', ANSWERS, GUESSES))
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { buildShareText } from './gameLogic'
+
+describe('Share Logic', () => {
+  describe('buildShareText', () => {
+    it('CRITICAL: should build the emoji grid without revealing the word', () => {
+      const text = buildShareText(['SLATE', 'CRANE', '', '', '', ''], ['CRANE'])
+
+      expect(text).toBe('WordWise Endless 2/6\n\n⬛⬛🟩⬛🟩\n🟩🟩🟩🟩🟩')
+      expect(text).not.toContain('CRANE')
+    })
+
+    it('should use yellow for misplaced letters', () => {
+      const text = buildShareText(['NACRE'], ['CRANE'])
+
+      expect(text.split('\n')[2]).toBe('🟨🟨🟨🟨🟩')
+    })
+
+    it('should show X for a lost game', () => {
+      const guesses = ['SLATE', 'SLATE', 'SLATE', 'SLATE', 'SLATE', 'SLATE']
+      const text = buildShareText(guesses, ['CRANE'])
+
+      expect(text.split('\n')[0]).toBe('WordWise Endless X/6')
+      expect(text.split('\n')).toHaveLength(8)
+    })
+
+    it('should mark hard mode games', () => {
+      const text = buildShareText(['CRANE'], ['CRANE'], { hardMode: true })
+
+      expect(text.split('\n')[0]).toBe('WordWise Endless 1/6*')
+    })
+
+    it('should include the daily number', () => {
+      const text = buildShareText(['CRANE'], ['CRANE'], { mode: 'daily', dailyNumber: 42 })
+
+      expect(text.split('\n')[0]).toBe('WordWise Daily #42 1/6')
+    })
+
+    it('should include the word length and attempts for other lengths', () => {
+      const text = buildShareText(['MORNING'], ['MORNING'], { maxAttempts: 7 })
+
+      expect(text.split('\n')[0]).toBe('WordWise Endless (7 letters) 1/7')
+    })
+
+    it('should label evil mode games', () => {
+      const text = buildShareText(['CRANE'], ['CRANE'], { mode: 'evil' })
+
+      expect(text.split('\n')[0]).toBe('WordWise Evil 😈 1/6')
+    })
+
+    it('should label definition quiz games', () => {
+      const text = buildShareText(['CRANE'], ['CRANE'], { mode: 'quiz' })
+
+      expect(text.split('\n')[0]).toBe('WordWise Quiz 📖 1/6')
+    })
+
+    it('should share one grid per board, each stopping when solved', () => {
+      const text = buildShareText(['CRANE', 'HOUSE', ''], ['HOUSE', 'CRANE'], { mode: 'multi', maxAttempts: 7 })
+
+      expect(text).toBe('WordWise Multi ×2 2/7 1/7\n\n⬛⬛⬛⬛🟩\n🟩🟩🟩🟩🟩\n\n🟩🟩🟩🟩🟩')
+    })
+  })
+})
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getGameReviewQuality,
+  getRecallReviewQuality,
+  scheduleReview,
+  recordReview,
+  rerateLastReview,
+  getDueReviews,
+  mergeReviewSchedules,
+  maskWord,
+  intelligentMerge,
+  getInitialStats
+} from './gameLogic'
+
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Spaced Repetition Logic', () => {
+  describe('Review quality', () => {
+    it('should treat an unrated win as a hesitant recall and a loss as a miss', () => {
+      expect(getGameReviewQuality(3)).toBe(3)
+      expect(getGameReviewQuality(-1)).toBe(1)
+    })
+
+    it('should map the understanding rating onto the 0-5 scale', () => {
+      expect(getGameReviewQuality(3, 10)).toBe(5)
+      expect(getGameReviewQuality(3, 6)).toBe(3)
+      expect(getGameReviewQuality(3, 1)).toBe(0)
+    })
+
+    it('should never count a lost game as a recall', () => {
+      expect(getGameReviewQuality(-1, 10)).toBe(2)
+    })
+
+    it('should grade quiz answers by hints and giving up', () => {
+      expect(getRecallReviewQuality(true)).toBe(5)
+      expect(getRecallReviewQuality(true, true)).toBe(3)
+      expect(getRecallReviewQuality(false)).toBe(1)
+      expect(getRecallReviewQuality(false, false, true)).toBe(0)
+    })
+  })
+
+  describe('scheduleReview', () => {
+    it('should grow the interval from 1 to 6 days, then by the easiness', () => {
+      const first = scheduleReview(undefined, 5, 0)
+      const second = scheduleReview(first, 5, DAY)
+      const third = scheduleReview(second, 5, 7 * DAY)
+
+      expect(first).toMatchObject({ i: 1, n: 1, e: 2.6, d: DAY })
+      expect(second).toMatchObject({ i: 6, n: 2, e: 2.7 })
+      expect(third).toMatchObject({ i: 16, n: 3, e: 2.8, d: 23 * DAY })
+    })
+
+    it('should credit the time since a late review that was still recalled', () => {
+      const second = scheduleReview(scheduleReview(undefined, 5, 0), 5, DAY)
+      const late = scheduleReview(second, 5, 21 * DAY)
+
+      expect(late.i).toBe(54)
+    })
+
+    it('CRITICAL: should restart a forgotten word at one day', () => {
+      let card = scheduleReview(undefined, 5, 0)
+      card = scheduleReview(card, 5, DAY)
+      card = scheduleReview(card, 1, 7 * DAY)
+
+      expect(card).toMatchObject({ i: 1, n: 0, d: 8 * DAY })
+      expect(card.e).toBeLessThan(2.7)
+    })
+
+    it('should keep the easiness at or above 1.3', () => {
+      let card
+      for (let review = 0; review < 5; review++) {
+        card = scheduleReview(card, 0, review * DAY)
+      }
+
+      expect(card.e).toBe(1.3)
+    })
+
+    it('should cap the interval at a year', () => {
+      const card = scheduleReview({ e: 2.5, i: 300, n: 5, t: 0 }, 5, 300 * DAY)
+
+      expect(card.i).toBe(365)
+    })
+  })
+
+  describe('rerateLastReview', () => {
+    it('should replace the last review instead of adding one', () => {
+      const schedule = recordReview({}, 'CRANE', 3, 0)
+      const rerated = rerateLastReview(rerateLastReview(schedule, 'CRANE', 1), 'CRANE', 5)
+
+      expect(rerated.CRANE).toEqual(scheduleReview(undefined, 5, 0))
+    })
+
+    it('should leave words without a card alone', () => {
+      const schedule = recordReview({}, 'CRANE', 3, 0)
+
+      expect(rerateLastReview(schedule, 'SLATE', 5)).toBe(schedule)
+    })
+  })
+
+  describe('getDueReviews', () => {
+    it('should list due words, most overdue first', () => {
+      const schedule = {
+        CRANE: { d: 5 * DAY },
+        SLATE: { d: 2 * DAY },
+        TIGER: { d: 20 * DAY }
+      }
+
+      expect(getDueReviews(schedule, 10 * DAY)).toEqual(['SLATE', 'CRANE'])
+    })
+
+    it('should handle a missing schedule', () => {
+      expect(getDueReviews(undefined, 0)).toEqual([])
+    })
+  })
+
+  describe('Review schedule sync', () => {
+    it('should keep the card reviewed last for each word', () => {
+      const merged = mergeReviewSchedules(
+        { CRANE: { t: 5 }, SLATE: { t: 1 } },
+        { CRANE: { t: 2 }, SLATE: { t: 8 }, TIGER: { t: 3 } }
+      )
+
+      expect(merged).toEqual({ CRANE: { t: 5 }, SLATE: { t: 8 }, TIGER: { t: 3 } })
+    })
+
+    it('should merge schedules in the sync payload', () => {
+      const baseData = { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+      const merged = intelligentMerge(
+        { ...baseData, reviewSchedule: { CRANE: { t: 1 } } },
+        { ...baseData, reviewSchedule: { SLATE: { t: 2 } } }
+      )
+
+      expect(merged.reviewSchedule).toEqual({ CRANE: { t: 1 }, SLATE: { t: 2 } })
+    })
+  })
+
+  describe('maskWord', () => {
+    it('should hide the word and its longer forms in a definition', () => {
+      expect(maskWord('To crane the neck, like Cranes do', 'CRANE')).toBe('To ___ the neck, like ___ do')
+    })
+
+    it('should not hide the word inside other words', () => {
+      expect(maskWord('Scrap metal', 'CRAP')).toBe('Scrap metal')
+    })
+  })
+})
@@ -1,5 +1,11 @@
 import { describe, it, expect } from 'vitest'
-import { getInitialStats, updateStatistics } from './gameLogic'
+import {
+  getInitialStats,
+  updateStatistics,
+  toStatsBaseline,
+  countsTowardStats,
+  computeStats
+} from './gameLogic'
 
 describe('Stats Logic', () => {
   describe('updateStatistics - Win scenarios', () => {
@@ -139,4 +145,58 @@ describe('Stats Logic', () => {
       expect(result.maxStreak).toBe(11)
     })
   })
+
+  describe('computeStats - From the game history', () => {
+    const endless = (game) => countsTowardStats(game, 'endless', 5)
+
+    it('should replay every game in the order it was played', () => {
+      const history = [
+        { w: 'SLATE', r: 2, src: 'ai', t: 300, h: 1 },
+        { w: 'CRANE', r: 3, src: 'list', t: 100 },
+        { w: 'TIGER', r: -1, src: 'list', t: 200 }
+      ]
+      const stats = computeStats(history, getInitialStats(), endless)
+
+      expect(stats).toMatchObject({ played: 3, wins: 2, currentStreak: 1, maxStreak: 1, aiWords: 1, listWords: 2, hardWins: 1 })
+      expect(stats.guessDistribution).toEqual([0, 1, 1, 0, 0, 0])
+    })
+
+    it('should add games after the baseline on top of it', () => {
+      const baseline = { ...getInitialStats(), played: 10, wins: 8, currentStreak: 4, maxStreak: 5, until: 1000 }
+      const history = [
+        { w: 'CRANE', r: 3, src: 'list', t: 900 },
+        { w: 'SLATE', r: 4, src: 'list', t: 1100 },
+        { w: 'TIGER', r: 5, src: 'list', t: 1200 }
+      ]
+      const stats = computeStats(history, baseline, endless)
+
+      expect(stats).toMatchObject({ played: 12, wins: 10, currentStreak: 6, maxStreak: 6 })
+      expect(stats).not.toHaveProperty('until')
+      expect(baseline.guessDistribution).toEqual([0, 0, 0, 0, 0, 0])
+    })
+
+    it('should only count unassisted endless games of the word length and language', () => {
+      const counted = [
+        { w: 'CRANE' },
+        { w: 'CRANE', a: 1 },
+        { w: 'CRANE', m: 'daily' },
+        { w: 'BRIDGE' },
+        { w: 'APFEL', l: 'de' }
+      ].map(game => countsTowardStats(game, 'endless', 5))
+
+      expect(counted).toEqual([true, false, false, false, false])
+      expect(countsTowardStats({ w: 'CRANE', m: 'evil' }, 'evil')).toBe(true)
+    })
+
+    it('should keep legacy counters as a baseline without counting their games twice', () => {
+      const legacy = { ...getInitialStats(), played: 40, wins: 30 }
+      const history = [{ w: 'CRANE', r: 3, src: 'list', t: 500 }, { w: 'SLATE', r: 2, src: 'list', t: 800 }]
+      const baseline = toStatsBaseline(legacy, history)
+
+      expect(baseline.until).toBe(800)
+      expect(toStatsBaseline(baseline, [...history, { t: 900 }])).toBe(baseline)
+      expect(computeStats(history, baseline, endless).played).toBe(40)
+      expect(computeStats([...history, { w: 'TIGER', r: -1, src: 'ai', t: 900 }], baseline, endless).played).toBe(41)
+    })
+  })
 })
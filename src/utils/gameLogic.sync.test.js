@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { intelligentMerge, getInitialStats } from './gameLogic'
+import { intelligentMerge, getInitialStats, computeStats, countsTowardStats, getDayStreak } from './gameLogic'
 
 describe('Sync Merge Logic', () => {
   describe('Merging Stats', () => {
@@ -126,6 +126,74 @@ describe('Sync Merge Logic', () => {
     })
   })
 
+  describe('Merging Stats Baselines', () => {
+    const baseline = { ...getInitialStats(), played: 10, wins: 10, currentStreak: 10, maxStreak: 10, until: 1000 }
+
+    it('CRITICAL: should count games played on both devices between syncs', () => {
+      const localData = {
+        stats: baseline,
+        gameHistory: [{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 1100 }, { id: 'b', w: 'SLATE', r: -1, src: 'list', t: 1300 }],
+        usedWords: [],
+        settings: {}
+      }
+      const remoteData = {
+        stats: baseline,
+        gameHistory: [{ id: 'c', w: 'TIGER', r: 4, src: 'ai', t: 1200 }, { id: 'd', w: 'PLANT', r: 2, src: 'ai', t: 1400 }],
+        usedWords: [],
+        settings: {}
+      }
+      const merged = intelligentMerge(localData, remoteData)
+      const stats = computeStats(merged.gameHistory, merged.stats, game => countsTowardStats(game, 'endless', 5))
+
+      expect(stats).toMatchObject({ played: 14, wins: 13, currentStreak: 1, maxStreak: 12, aiWords: 2, listWords: 2 })
+    })
+
+    it('should take the newer baseline so a reset reaches every device', () => {
+      const reset = { ...getInitialStats(), until: 5000 }
+      const base = { gameHistory: [], usedWords: [], settings: {} }
+
+      expect(intelligentMerge({ ...base, stats: baseline }, { ...base, stats: reset }).stats).toEqual(reset)
+      expect(intelligentMerge({ ...base, stats: reset }, { ...base, stats: baseline }).stats).toEqual(reset)
+    })
+
+    it('should turn counters from a device on an older version into a baseline', () => {
+      const localData = { stats: { ...getInitialStats(), until: 0 }, gameHistory: [], usedWords: [], settings: {} }
+      const remoteData = {
+        stats: { ...getInitialStats(), played: 30 },
+        gameHistory: [{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 700 }],
+        usedWords: [],
+        settings: {}
+      }
+
+      expect(intelligentMerge(localData, remoteData).stats).toMatchObject({ played: 30, until: 700 })
+    })
+
+    it('CRITICAL: should count every game of devices that never saved stats', () => {
+      const localData = { stats: { ...getInitialStats(), until: 0 }, gameHistory: [{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 100 }], usedWords: [], settings: {} }
+      // A device on an older version sends empty counters without `until`
+      const remoteData = { stats: getInitialStats(), gameHistory: [{ id: 'b', w: 'SLATE', r: 4, src: 'list', t: 200 }], usedWords: [], settings: {} }
+      const merged = intelligentMerge(localData, remoteData)
+      const stats = computeStats(merged.gameHistory, merged.stats, game => countsTowardStats(game, 'endless', 5))
+
+      expect(merged.stats.until).toBe(0)
+      expect(stats).toMatchObject({ played: 2, wins: 2, currentStreak: 2 })
+    })
+  })
+
+  describe('Merging Day Streaks', () => {
+    const gameOn = (day) => ({ id: `game-${day}`, w: 'CRANE', r: 3, src: 'list', t: new Date(2025, 9, day, 12).getTime() })
+
+    it('should continue one day streak with the days played on each device', () => {
+      const localData = { stats: {}, gameHistory: [1, 2, 3, 4].map(gameOn), usedWords: [], settings: {} }
+      const remoteData = { stats: {}, gameHistory: [5, 6, 7, 9].map(gameOn), usedWords: [], settings: {} }
+      const merged = intelligentMerge(localData, remoteData)
+
+      // Seven days in a row across both devices earn the freeze that covers the 8th
+      expect(getDayStreak(merged.gameHistory, '2025-10-09')).toMatchObject({ current: 8, freezes: 0, frozenDays: ['2025-10-08'] })
+      expect(getDayStreak(remoteData.gameHistory, '2025-10-09')).toMatchObject({ current: 1, freezes: 0 })
+    })
+  })
+
   describe('Merging Game History', () => {
     it('should combine unique games from both devices', () => {
       const localData = {
@@ -203,7 +271,26 @@ describe('Sync Merge Logic', () => {
       expect(merged.gameHistory[0].t).toBeDefined()
     })
 
-    it('should respect MAX_HISTORY_SIZE limit (20 games)', () => {
+    it('CRITICAL: should not count old entries without IDs again on top of the stats baseline', () => {
+      // The baseline already holds both old games
+      const stats = { ...getInitialStats(), played: 2, wins: 2, listWords: 2, until: 5000 }
+      const localData = {
+        stats,
+        gameHistory: [
+          { w: 'OLDGAME', r: 3, src: 'list' },
+          { w: 'TIMED', r: 4, src: 'list', t: 1500 }
+        ],
+        usedWords: [],
+        settings: {}
+      }
+
+      const merged = intelligentMerge(localData, { stats, gameHistory: [], usedWords: [], settings: {} })
+
+      expect(merged.gameHistory.map(game => game.t)).toEqual([0, 1500])
+      expect(computeStats(merged.gameHistory, merged.stats).played).toBe(2)
+    })
+
+    it('should keep every game from both devices (localStorage trims when saving)', () => {
       const manyGames = Array.from({ length: 15 }, (_, i) => ({
         id: `local-${i}`,
         w: `WORD${i}`,
@@ -236,10 +323,42 @@ describe('Sync Merge Logic', () => {
 
       const merged = intelligentMerge(localData, remoteData)
 
-      expect(merged.gameHistory).toHaveLength(20)
-      // Should keep most recent 20
-      expect(merged.gameHistory[0].id).toBe('local-5')  // Oldest kept
-      expect(merged.gameHistory[19].id).toBe('remote-9')  // Most recent
+      expect(merged.gameHistory).toHaveLength(25)
+      expect(merged.gameHistory[0].id).toBe('local-0')  // Oldest
+      expect(merged.gameHistory[24].id).toBe('remote-9')  // Most recent
+    })
+
+    it('CRITICAL: should keep guesses and guess timestamps when syncing', () => {
+      const game = { id: '1', w: 'CRANE', r: 2, src: 'list', t: 1000, g: ['SLATE', 'CRANE'], gt: [500, 1000] }
+      const localData = { stats: getInitialStats(), gameHistory: [game], usedWords: [], settings: {} }
+      const remoteData = { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+
+      const merged = intelligentMerge(localData, remoteData)
+
+      expect(merged.gameHistory[0].g).toEqual(['SLATE', 'CRANE'])
+      expect(merged.gameHistory[0].gt).toEqual([500, 1000])
+    })
+
+    it('should keep the replay when the newer copy of a game has none', () => {
+      // e.g. a device that was last synced before guesses were recorded
+      const localData = {
+        stats: getInitialStats(),
+        gameHistory: [{ id: '1', w: 'CRANE', r: 2, src: 'list', t: 1000, g: ['SLATE', 'CRANE'], gt: [500, 1000] }],
+        usedWords: [],
+        settings: {}
+      }
+      const remoteData = {
+        stats: getInitialStats(),
+        gameHistory: [{ id: '1', w: 'CRANE', r: 2, src: 'list', t: 2000, u: 7 }],
+        usedWords: [],
+        settings: {}
+      }
+
+      const merged = intelligentMerge(localData, remoteData)
+
+      expect(merged.gameHistory[0].u).toBe(7)
+      expect(merged.gameHistory[0].g).toEqual(['SLATE', 'CRANE'])
+      expect(merged.gameHistory[0].gt).toEqual([500, 1000])
     })
   })
 
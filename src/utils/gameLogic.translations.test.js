@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getTranslations,
+  DEFAULT_TRANSLATION_LANGUAGES,
+  intelligentMerge,
+  getInitialStats
+} from './gameLogic'
+
+const SPANISH = { w: 'grulla', d: 'Ave zancuda.', ex: ['La grulla vuela.'] }
+const GERMAN = { w: 'Kranich', d: 'Ein großer Vogel.', ex: ['Der Kranich fliegt.'] }
+
+describe('Translation Languages', () => {
+  describe('getTranslations', () => {
+    it('should list translations in the chosen order', () => {
+      const info = { e: 'Old English.', t: { de: GERMAN, es: SPANISH } }
+
+      expect(getTranslations(info, ['es', 'de'])).toEqual([
+        { language: 'es', ...SPANISH },
+        { language: 'de', ...GERMAN }
+      ])
+    })
+
+    it('CRITICAL: should read answers cached before languages could be chosen', () => {
+      const info = { e: 'Old English.', de: GERMAN, hr: { w: 'ždral', d: 'Velika ptica.', ex: [] } }
+
+      expect(getTranslations(info, DEFAULT_TRANSLATION_LANGUAGES).map(translation => translation.w)).toEqual(['Kranich', 'ždral'])
+    })
+
+    it('should leave out languages the answer lacks', () => {
+      expect(getTranslations({ t: { es: { w: 'grulla' } } }, ['de', 'es'])).toEqual([
+        { language: 'es', w: 'grulla', d: '', ex: [] }
+      ])
+      expect(getTranslations(undefined, ['de'])).toEqual([])
+    })
+  })
+
+  describe('Translation language sync', () => {
+    const baseData = { stats: getInitialStats(), gameHistory: [], usedWords: [] }
+
+    it('should prefer the local languages and default to German and Croatian', () => {
+      const merged = intelligentMerge(
+        { ...baseData, settings: { translationLanguages: ['es'] } },
+        { ...baseData, settings: { translationLanguages: ['fr'] } }
+      )
+      const defaulted = intelligentMerge({ ...baseData, settings: {} }, { ...baseData, settings: {} })
+
+      expect(merged.settings.translationLanguages).toEqual(['es'])
+      expect(defaulted.settings.translationLanguages).toEqual(['de', 'hr'])
+    })
+  })
+})
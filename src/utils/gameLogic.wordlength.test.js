@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getInitialStats,
+  updateStatistics,
+  mergeStats,
+  intelligentMerge
+} from './gameLogic'
+
+describe('Word Length Logic', () => {
+  describe('getInitialStats', () => {
+    it('should default to a 6-guess distribution', () => {
+      expect(getInitialStats().guessDistribution).toEqual([0, 0, 0, 0, 0, 0])
+    })
+
+    it('should size the guess distribution to the number of attempts', () => {
+      expect(getInitialStats(7).guessDistribution).toEqual([0, 0, 0, 0, 0, 0, 0])
+    })
+
+    it('should record a win on the extra attempt', () => {
+      const result = updateStatistics(getInitialStats(7), 'won', 7, 'list')
+
+      expect(result.guessDistribution[6]).toBe(1)
+    })
+  })
+
+  describe('mergeStats', () => {
+    it('should merge stats using Math.max', () => {
+      const local = { ...getInitialStats(), played: 10, wins: 8, guessDistribution: [0, 1, 3, 2, 1, 1] }
+      const remote = { ...getInitialStats(), played: 12, wins: 7, guessDistribution: [1, 0, 2, 4, 0, 0] }
+      const merged = mergeStats(local, remote)
+
+      expect(merged.played).toBe(12)
+      expect(merged.wins).toBe(8)
+      expect(merged.guessDistribution).toEqual([1, 1, 3, 4, 1, 1])
+    })
+
+    it('should keep the longer guess distribution', () => {
+      const local = { ...getInitialStats(7), guessDistribution: [0, 0, 0, 0, 0, 0, 2] }
+      const merged = mergeStats(local, undefined)
+
+      expect(merged.guessDistribution).toEqual([0, 0, 0, 0, 0, 0, 2])
+    })
+
+    it('should take currentStreak from the device with the most recent game', () => {
+      const local = { ...getInitialStats(), currentStreak: 5 }
+      const remote = { ...getInitialStats(), currentStreak: 1 }
+      const merged = mergeStats(local, remote, [{ id: 'a', t: 1000 }], [{ id: 'b', t: 2000 }])
+
+      expect(merged.currentStreak).toBe(1)
+    })
+  })
+
+  describe('intelligentMerge variants', () => {
+    const baseData = { stats: getInitialStats(), gameHistory: [], usedWords: [], settings: {} }
+
+    it('CRITICAL: should merge stats and used words per word length', () => {
+      const localData = {
+        ...baseData,
+        variants: { 6: { stats: { ...getInitialStats(), played: 3 }, usedWords: ['PLANET', 'BRIDGE'] } }
+      }
+      const remoteData = {
+        ...baseData,
+        variants: { 6: { stats: { ...getInitialStats(), played: 5 }, usedWords: ['BRIDGE', 'CASTLE'] } }
+      }
+      const merged = intelligentMerge(localData, remoteData)
+
+      expect(merged.variants[6].stats.played).toBe(5)
+      expect(merged.variants[6].usedWords.sort()).toEqual(['BRIDGE', 'CASTLE', 'PLANET'])
+    })
+
+    it('should keep variants that only exist on one device', () => {
+      const localData = {
+        ...baseData,
+        variants: { 4: { stats: { ...getInitialStats(), wins: 2 }, usedWords: ['LAMP'] } }
+      }
+      const merged = intelligentMerge(localData, baseData)
+
+      expect(merged.variants[4].stats.wins).toBe(2)
+      expect(merged.variants[4].usedWords).toEqual(['LAMP'])
+    })
+
+    it('should not mix other word lengths into the classic used words', () => {
+      const localData = {
+        ...baseData,
+        usedWords: ['CRANE'],
+        variants: { 7: { stats: getInitialStats(7), usedWords: ['MORNING'] } }
+      }
+      const merged = intelligentMerge(localData, baseData)
+
+      expect(merged.usedWords).toEqual(['CRANE'])
+    })
+
+    it('should leave variants out when neither device has any', () => {
+      const merged = intelligentMerge(baseData, baseData)
+
+      expect(merged).not.toHaveProperty('variants')
+    })
+  })
+})
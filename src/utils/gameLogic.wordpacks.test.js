@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { parseWordPack } from './gameLogic'
+
+describe('Word Pack Logic', () => {
+  describe('parseWordPack (text)', () => {
+    it('should read one word per line with the name from a # line', () => {
+      const { pack, error } = parseWordPack('# Animals\nhorse\nTIGER\n\nzebra\n')
+
+      expect(error).toBeNull()
+      expect(pack).toEqual({ name: 'Animals', length: 5, words: ['HORSE', 'TIGER', 'ZEBRA'] })
+    })
+
+    it('should read optional definitions after the word', () => {
+      const { pack } = parseWordPack('# Animals\nTIGER: a large striped cat\nHORSE - a hoofed animal\nZEBRA,striped horse\nCAMEL\ta desert animal')
+
+      expect(pack.definitions).toEqual({
+        TIGER: 'a large striped cat',
+        HORSE: 'a hoofed animal',
+        ZEBRA: 'striped horse',
+        CAMEL: 'a desert animal'
+      })
+    })
+
+    it('should add + lines as allowed guesses only', () => {
+      const { pack } = parseWordPack('# Animals\nTIGER\n+OKAPI')
+
+      expect(pack.words).toEqual(['TIGER'])
+      expect(pack.allowed).toEqual(['OKAPI'])
+    })
+  })
+
+  describe('parseWordPack (JSON)', () => {
+    it('should read name, words, definitions and allowed guesses', () => {
+      const json = JSON.stringify({
+        name: 'Space',
+        words: ['comet', { word: 'ORBIT', definition: 'a curved path around a planet' }],
+        definitions: { COMET: 'an icy body with a tail' },
+        allowed: ['pluto']
+      })
+      const { pack } = parseWordPack(json)
+
+      expect(pack.name).toBe('Space')
+      expect(pack.words).toEqual(['COMET', 'ORBIT'])
+      expect(pack.definitions).toEqual({ COMET: 'an icy body with a tail', ORBIT: 'a curved path around a planet' })
+      expect(pack.allowed).toEqual(['PLUTO'])
+    })
+
+    it('should accept a plain array of words', () => {
+      const { pack } = parseWordPack('["comet", "orbit"]', { name: 'Space' })
+
+      expect(pack.words).toEqual(['COMET', 'ORBIT'])
+    })
+
+    it('should report invalid JSON', () => {
+      expect(parseWordPack('{ "name": ', { name: 'Broken' }).error).toBe('Invalid JSON')
+    })
+  })
+
+  describe('Validation', () => {
+    it('CRITICAL: should skip words with the wrong length or non-letters', () => {
+      const { pack, skipped } = parseWordPack('# Mixed\nTIGER\nCAT\nELEPHANT\nHOR5E\nMÖWEN', { wordLength: 5 })
+
+      expect(pack.words).toEqual(['TIGER'])
+      expect(skipped).toEqual(['CAT', 'ELEPHANT', 'HOR5E', 'MÖWEN'])
+    })
+
+    it('should validate against the given word length', () => {
+      const { pack } = parseWordPack('# Six\nPLANET\nTIGER', { wordLength: 6 })
+
+      expect(pack.length).toBe(6)
+      expect(pack.words).toEqual(['PLANET'])
+    })
+
+    it('should remove duplicate words', () => {
+      const { pack } = parseWordPack('# Dupes\ntiger\nTIGER\n+TIGER')
+
+      expect(pack.words).toEqual(['TIGER'])
+      expect(pack).not.toHaveProperty('allowed')
+    })
+
+    it('should let the given name override the one in the file', () => {
+      const { pack } = parseWordPack('# Animals\nTIGER', { name: 'Big Cats' })
+
+      expect(pack.name).toBe('Big Cats')
+    })
+
+    it('should require a name', () => {
+      expect(parseWordPack('TIGER').error).toBe('Give the pack a name')
+    })
+
+    it('should require at least one valid word', () => {
+      const { pack, error } = parseWordPack('# Empty\nCAT\nDOG')
+
+      expect(pack).toBeNull()
+      expect(error).toBe('No valid 5-letter words found')
+    })
+  })
+})
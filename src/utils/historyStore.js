@@ -0,0 +1,92 @@
+/**
+ * Full game history
+ * localStorage keeps only the last games of each language, which the game
+ * reads synchronously. Every game saved there is also written to IndexedDB,
+ * where nothing is ever trimmed, so the History modal, the AI word picker,
+ * the stats and cloud sync can reach back past that window. Without IndexedDB
+ * the queries resolve to null and callers use the localStorage games instead.
+ */
+import { HISTORY_STORE, runRequest, runTransaction, walkCursor } from './database'
+import { getGameLanguage } from './gameLogic'
+
+const MIGRATED_KEY = 'wordwise-history-migrated'  // Set once the localStorage history was copied over
+
+// Games from before history entries had ids get one from their time and word,
+// games without a time sort first (the time index leaves out records without one)
+const toStoredGame = (game) => ({
+  ...game,
+  id: game.id || `${game.t}-${game.w}`,
+  t: game.t ?? 0
+})
+
+/**
+ * Store games, adding new ones and updating known ones (by id)
+ * @param {Array} games - Game history entries
+ * @returns {Promise<boolean>} Whether the games were stored
+ */
+export function storeGames(games) {
+  return runTransaction(HISTORY_STORE, store => games.forEach(game => store.put(toStoredGame(game))))
+}
+
+/**
+ * Copy the localStorage history into the store, once per browser
+ * @param {Array} games - Game history from localStorage
+ */
+export async function migrateHistory(games) {
+  try {
+    if (localStorage.getItem(MIGRATED_KEY)) {
+      return
+    }
+    if (await storeGames(games)) {
+      localStorage.setItem(MIGRATED_KEY, 'true')
+    }
+  } catch (error) {
+    console.error('Error migrating game history:', error)
+  }
+}
+
+/**
+ * Load one page of a language's games, newest first
+ * @param {string} language - Language code
+ * @param {number} page - Page index (0 = newest games)
+ * @param {number} pageSize - Games per page
+ * @returns {Promise<{games: Array, total: number}|null>} Page and game count, or null without IndexedDB
+ */
+export async function loadHistoryPage(language, page, pageSize) {
+  const games = []
+  let total = 0
+  const finished = await walkCursor(HISTORY_STORE, 'readonly', store => store.index('t').openCursor(null, 'prev'), cursor => {
+    if (getGameLanguage(cursor.value) !== language) return
+    if (total >= page * pageSize && games.length < pageSize) {
+      games.push(cursor.value)
+    }
+    total++
+  })
+  return finished ? { games, total } : null
+}
+
+/**
+ * Load a language's most recent games
+ * @param {string} language - Language code
+ * @param {number} count - Games to load
+ * @param {Function} include - Which games count (all by default)
+ * @returns {Promise<Array|null>} Games oldest first, or null without IndexedDB
+ */
+export async function loadRecentGames(language, count, include = () => true) {
+  const games = []
+  const finished = await walkCursor(HISTORY_STORE, 'readonly', store => store.index('t').openCursor(null, 'prev'), cursor => {
+    if (getGameLanguage(cursor.value) === language && include(cursor.value)) {
+      games.push(cursor.value)
+    }
+    return games.length < count
+  })
+  return finished ? games.reverse() : null
+}
+
+/**
+ * Load every stored game
+ * @returns {Promise<Array|null>} Games oldest first, or null without IndexedDB
+ */
+export function loadAllGames() {
+  return runRequest(HISTORY_STORE, 'readonly', store => store.index('t').getAll())
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+import {
+  storeGames,
+  migrateHistory,
+  loadHistoryPage,
+  loadRecentGames
+} from './historyStore'
+
+describe('Full Game History', () => {
+  describe('Without IndexedDB', () => {
+    const games = [{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 1 }]
+
+    it('CRITICAL: should report that games were not stored', async () => {
+      expect(await storeGames(games)).toBe(false)
+    })
+
+    it('should leave the migration for a browser with IndexedDB', async () => {
+      localStorage.clear()
+      await migrateHistory(games)
+
+      expect(localStorage.getItem('wordwise-history-migrated')).toBeNull()
+    })
+
+    it('should resolve queries to null so callers use the localStorage games', async () => {
+      expect(await loadHistoryPage('en', 0, 10)).toBeNull()
+      expect(await loadRecentGames('en', 30)).toBeNull()
+    })
+  })
+
+  describe('With IndexedDB', () => {
+    // A fresh database and module (it keeps one connection) for each test
+    let store
+    beforeEach(async () => {
+      vi.stubGlobal('indexedDB', new IDBFactory())
+      vi.resetModules()
+      store = await import('./historyStore')
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    const games = [
+      ...Array.from({ length: 25 }, (_, index) => ({ id: `en-${index}`, w: 'CRANE', r: 3, src: 'list', t: 100 + index })),
+      { id: 'de-0', w: 'STRAẞE', r: 2, src: 'list', t: 110, l: 'de' }
+    ]
+
+    it('CRITICAL: should page through a language\'s games, newest first', async () => {
+      expect(await store.storeGames(games)).toBe(true)
+
+      const first = await store.loadHistoryPage('en', 0, 10)
+      const last = await store.loadHistoryPage('en', 2, 10)
+
+      expect(first.total).toBe(25)
+      expect(first.games.map(game => game.id)).toEqual(Array.from({ length: 10 }, (_, index) => `en-${24 - index}`))
+      expect(last.games.map(game => game.id)).toEqual(['en-4', 'en-3', 'en-2', 'en-1', 'en-0'])
+      expect(await store.loadHistoryPage('de', 0, 10)).toEqual({ games: [games[25]], total: 1 })
+    })
+
+    it('should update known games and give games without an id one', async () => {
+      await store.storeGames([{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 100 }, { w: 'SLATE', r: 4, src: 'list', t: 200 }])
+      await store.storeGames([{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 100, u: 7 }])
+
+      expect(await store.loadAllGames()).toEqual([
+        { id: 'a', w: 'CRANE', r: 3, src: 'list', t: 100, u: 7 },
+        { id: '200-SLATE', w: 'SLATE', r: 4, src: 'list', t: 200 }
+      ])
+    })
+
+    it('CRITICAL: should keep games without a time in every query, oldest first', async () => {
+      await store.storeGames([{ id: 'a', w: 'CRANE', r: 3, src: 'list', t: 100 }, { id: 'b', w: 'SLATE', r: 4, src: 'list' }])
+
+      expect((await store.loadAllGames()).map(game => [game.id, game.t])).toEqual([['b', 0], ['a', 100]])
+      expect((await store.loadRecentGames('en', 5)).map(game => game.id)).toEqual(['b', 'a'])
+      expect((await store.loadHistoryPage('en', 0, 5)).total).toBe(2)
+    })
+
+    it('should load the most recent games, oldest first', async () => {
+      await store.storeGames(games)
+
+      const recent = await store.loadRecentGames('en', 3, game => game.t % 2 === 0)
+
+      expect(recent.map(game => game.t)).toEqual([120, 122, 124])
+    })
+
+    it('should copy the localStorage history once', async () => {
+      localStorage.clear()
+      await store.migrateHistory(games.slice(0, 2))
+      await store.migrateHistory(games.slice(2, 4))
+
+      expect(localStorage.getItem('wordwise-history-migrated')).toBe('true')
+      expect((await store.loadAllGames()).map(game => game.id)).toEqual(['en-0', 'en-1'])
+    })
+  })
+})
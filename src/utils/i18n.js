@@ -0,0 +1,130 @@
+/**
+ * UI translations for WordWise
+ * Messages live in one catalog per language (src/locales). The current locale is
+ * module state, so t() also works in helpers outside of React components.
+ */
+
+import en from '../locales/en'
+import de from '../locales/de'
+import hr from '../locales/hr'
+
+const UI_LANGUAGE_KEY = 'wordwise-ui-language'
+export const DEFAULT_UI_LANGUAGE = 'en'
+
+const CATALOGS = { en, de, hr }
+
+// Each language is listed in its own name so it can be found in any locale
+export const UI_LANGUAGE_NAMES = { en: 'English', de: 'Deutsch', hr: 'Hrvatski' }
+
+let currentLocale = DEFAULT_UI_LANGUAGE
+
+/**
+ * Check whether a UI language has a catalog
+ * @param {string} locale - Language code
+ */
+export const isUILanguage = (locale) => Object.keys(CATALOGS).includes(locale)
+
+/**
+ * Switch the language used by t() and the formatters
+ * Unknown languages fall back to English.
+ * @param {string} locale - Language code (en, de or hr)
+ */
+export function setLocale(locale) {
+  currentLocale = isUILanguage(locale) ? locale : DEFAULT_UI_LANGUAGE
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = currentLocale
+  }
+}
+
+/**
+ * Get the language currently used by t()
+ */
+export const getLocale = () => currentLocale
+
+/**
+ * Format a number for the current locale
+ * @param {number} value - Number to format
+ * @param {Object} options - Intl.NumberFormat options
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(currentLocale, options).format(value)
+
+/**
+ * Format a date for the current locale
+ * @param {Date|number|string} date - Date, timestamp or date string
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to the short date)
+ */
+export const formatDate = (date, options) => new Date(date).toLocaleDateString(currentLocale, options)
+
+/**
+ * Name a language in the current locale (or the given one)
+ * @param {string} code - Language code, e.g. 'de'
+ * @param {string} locale - Language to name it in
+ */
+export const formatLanguageName = (code, locale = currentLocale) => new Intl.DisplayNames([locale], { type: 'language' }).of(code)
+
+/**
+ * Format a 1-based position as an ordinal (1st and 2nd in English, 1. and 2. in German and Croatian)
+ * @param {number} position - Position to format
+ */
+export function formatOrdinal(position) {
+  if (currentLocale !== 'en') {
+    return `${position}.`
+  }
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' }
+  const lastTwo = position % 100
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[position % 10] || 'th')
+  return `${position}${suffix}`
+}
+
+/**
+ * Translate a message
+ * Plural messages are objects keyed by plural category (one, few, other), picked
+ * with params.count. {name} placeholders are replaced by params, numbers are
+ * formatted for the locale. Missing messages fall back to English, then to the key.
+ * @param {string} key - Message key, e.g. 'stats.title'
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message
+ */
+export function t(key, params = {}) {
+  let message = CATALOGS[currentLocale][key] ?? en[key] ?? key
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(params.count)
+    message = message[category] ?? message.other
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name]
+    if (value === undefined) return placeholder
+    return typeof value === 'number' ? formatNumber(value) : String(value)
+  })
+}
+
+/**
+ * Load the saved UI language, defaulting to the browser's language
+ */
+export const loadUILanguage = () => {
+  try {
+    const stored = localStorage.getItem(UI_LANGUAGE_KEY)
+    if (isUILanguage(stored)) {
+      return stored
+    }
+  } catch (error) {
+    console.error('Error loading UI language:', error)
+  }
+
+  const browserLanguage = typeof navigator !== 'undefined' ? navigator.language?.split('-')[0] : null
+  return isUILanguage(browserLanguage) ? browserLanguage : DEFAULT_UI_LANGUAGE
+}
+
+/**
+ * Save the UI language
+ * @param {string} locale - Language code
+ */
+export const saveUILanguage = (locale) => {
+  try {
+    localStorage.setItem(UI_LANGUAGE_KEY, locale)
+  } catch (error) {
+    console.error('Error saving UI language:', error)
+  }
+}
@@ -0,0 +1,182 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import en from '../locales/en'
+import de from '../locales/de'
+import hr from '../locales/hr'
+import {
+  t,
+  setLocale,
+  getLocale,
+  formatNumber,
+  formatDate,
+  formatOrdinal,
+  formatLanguageName,
+  loadUILanguage,
+  saveUILanguage
+} from './i18n'
+import {
+  getHardModeViolation,
+  parseWordPack,
+  intelligentMerge,
+  getInitialStats
+} from './gameLogic'
+
+describe('UI Translations', () => {
+  afterEach(() => {
+    setLocale('en')
+    localStorage.clear()
+  })
+
+  describe('Catalogs', () => {
+    it('CRITICAL: should translate every English message', () => {
+      const englishKeys = Object.keys(en).sort()
+
+      expect(Object.keys(de).sort()).toEqual(englishKeys)
+      expect(Object.keys(hr).sort()).toEqual(englishKeys)
+    })
+
+    it('should give every plural message an "other" form', () => {
+      [en, de, hr].forEach(catalog => {
+        Object.values(catalog)
+          .filter(message => typeof message === 'object')
+          .forEach(message => expect(message.other).toBeDefined())
+      })
+    })
+  })
+
+  describe('t', () => {
+    it('should look up messages in the current language', () => {
+      expect(t('stats.title')).toBe('Statistics')
+
+      setLocale('de')
+      expect(t('stats.title')).toBe('Statistik')
+    })
+
+    it('should fill in placeholders', () => {
+      expect(t('board.learnWord', { word: 'CRANE' })).toBe('Learn CRANE')
+    })
+
+    it('should return the key for unknown messages', () => {
+      expect(t('missing.key')).toBe('missing.key')
+    })
+
+    it('should pick the English plural form', () => {
+      expect(t('history.wonIn', { count: 1 })).toBe('✓ Won in 1 try')
+      expect(t('history.wonIn', { count: 3 })).toBe('✓ Won in 3 tries')
+    })
+
+    it('should pick the Croatian one, few and other forms', () => {
+      setLocale('hr')
+
+      expect(t('assistant.possible', { count: 1 })).toBe('1 moguća riječ')
+      expect(t('assistant.possible', { count: 3 })).toBe('3 moguće riječi')
+      expect(t('assistant.possible', { count: 5 })).toBe('5 mogućih riječi')
+      expect(t('assistant.possible', { count: 21 })).toBe('21 moguća riječ')
+    })
+
+    it('should format numbers in placeholders for the language', () => {
+      setLocale('de')
+
+      expect(t('packs.words', { count: 1234 })).toBe('1.234 Wörter')
+    })
+  })
+
+  describe('setLocale', () => {
+    it('should fall back to English for unknown languages', () => {
+      setLocale('fr')
+
+      expect(getLocale()).toBe('en')
+    })
+
+    it('should set the document language', () => {
+      setLocale('hr')
+
+      expect(document.documentElement.lang).toBe('hr')
+    })
+  })
+
+  describe('Formatting', () => {
+    it('should format numbers for the language', () => {
+      expect(formatNumber(1234.5)).toBe('1,234.5')
+
+      setLocale('de')
+      expect(formatNumber(1234.5)).toBe('1.234,5')
+    })
+
+    it('should format dates for the language', () => {
+      const date = new Date(2026, 2, 5)
+
+      setLocale('de')
+      expect(formatDate(date)).toBe('5.3.2026')
+    })
+
+    it('should format ordinals', () => {
+      expect([1, 2, 3, 4, 11, 12, 22].map(formatOrdinal)).toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '22nd'])
+
+      setLocale('hr')
+      expect(formatOrdinal(3)).toBe('3.')
+    })
+
+    it('should name languages in the current language', () => {
+      expect(formatLanguageName('de')).toBe('German')
+
+      setLocale('hr')
+      expect(formatLanguageName('de')).toBe('njemački')
+      expect(formatLanguageName('de', 'en')).toBe('German')
+    })
+  })
+
+  describe('Translated game messages', () => {
+    it('should explain hard mode violations in the current language', () => {
+      setLocale('de')
+
+      expect(getHardModeViolation('SLATE', ['CRANE'], 'CRANE')).toBe('Der 1. Buchstabe muss C sein')
+    })
+
+    it('should report word pack errors in the current language', () => {
+      setLocale('hr')
+
+      expect(parseWordPack('TIGER').error).toBe('Daj paketu naziv')
+    })
+  })
+
+  describe('UI language storage', () => {
+    it('should load the saved language', () => {
+      saveUILanguage('hr')
+
+      expect(loadUILanguage()).toBe('hr')
+    })
+
+    it('should default to the browser language', () => {
+      // jsdom reports en-US
+      expect(loadUILanguage()).toBe('en')
+    })
+
+    it('should ignore unknown saved languages', () => {
+      saveUILanguage('xx')
+
+      expect(loadUILanguage()).toBe('en')
+    })
+  })
+
+  describe('UI language sync', () => {
+    const baseData = { stats: getInitialStats(), gameHistory: [], usedWords: [] }
+
+    it('should prefer the local UI language', () => {
+      const merged = intelligentMerge(
+        { ...baseData, settings: { uiLanguage: 'de' } },
+        { ...baseData, settings: { uiLanguage: 'hr' } }
+      )
+
+      expect(merged.settings.uiLanguage).toBe('de')
+    })
+
+    it('should take the remote UI language when the local one is missing', () => {
+      const merged = intelligentMerge(
+        { ...baseData, settings: {} },
+        { ...baseData, settings: { uiLanguage: 'hr' } }
+      )
+
+      expect(merged.settings.uiLanguage).toBe('hr')
+    })
+  })
+})
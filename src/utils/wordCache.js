@@ -0,0 +1,108 @@
+/**
+ * Offline cache for word lookups
+ * Dictionary definitions, pronunciation recordings and AI extended info are
+ * kept in IndexedDB, keyed by kind and word, so the Learn modal works offline
+ * and repeat lookups cost nothing. The cache is capped in size and drops the
+ * least recently used entries first. Without IndexedDB (private browsing,
+ * tests) every function resolves to an empty result and lookups simply go to
+ * the network.
+ */
+
+import { WORD_CACHE_STORE, runRequest, runTransaction, walkCursor } from './database'
+
+export const MAX_CACHE_BYTES = 20 * 1024 * 1024  // About a thousand words with their recordings
+
+const getCacheKey = (kind, word) => `${kind}:${word}`
+
+// Size or last access of every cached lookup by key, read from an index without loading the data
+const readCacheIndex = async (indexName) => {
+  const values = new Map()
+  const done = await walkCursor(WORD_CACHE_STORE, 'readonly', store => store.index(indexName).openKeyCursor(), cursor => {
+    values.set(cursor.primaryKey, cursor.key)
+  })
+  return done ? values : null
+}
+
+const sumSizes = (sizes) => [...sizes.values()].reduce((sum, size) => sum + size, 0)
+
+/**
+ * Pick the entries to drop so the cache fits its size cap
+ * Least recently used entries go first.
+ * @param {Array} records - Cache records ({key, size, accessed})
+ * @param {number} maxBytes - Size cap
+ * @returns {Array<string>} Keys to delete
+ */
+export function pickCacheEvictions(records, maxBytes) {
+  let total = records.reduce((sum, record) => sum + record.size, 0)
+  const evictions = []
+
+  for (const record of [...records].sort((a, b) => a.accessed - b.accessed)) {
+    if (total <= maxBytes) break
+    evictions.push(record.key)
+    total -= record.size
+  }
+
+  return evictions
+}
+
+/**
+ * Read a cached lookup
+ * @param {string} kind - 'definition', 'audio' or 'extended'
+ * @param {string} word - Word looked up (the recording URL for audio)
+ * @returns {Promise<*>} Cached data, or null when missing
+ */
+export async function getCachedWord(kind, word) {
+  const record = await runRequest(WORD_CACHE_STORE, 'readonly', store => store.get(getCacheKey(kind, word)))
+  if (!record) {
+    return null
+  }
+
+  // Reading counts as a use, so often opened words stay cached
+  await runRequest(WORD_CACHE_STORE, 'readwrite', store => store.put({ ...record, accessed: Date.now() }))
+  return record.data
+}
+
+/**
+ * Cache a lookup and evict old entries past the size cap
+ * @param {string} kind - 'definition', 'audio' or 'extended'
+ * @param {string} word - Word looked up (the recording URL for audio)
+ * @param {*} data - JSON-serializable lookup result, or a Blob
+ */
+export async function cacheWord(kind, word, data) {
+  const record = {
+    key: getCacheKey(kind, word),
+    data,
+    size: data instanceof Blob ? data.size : JSON.stringify(data).length,
+    accessed: Date.now()
+  }
+  await runRequest(WORD_CACHE_STORE, 'readwrite', store => store.put(record))
+
+  const sizes = await readCacheIndex('size')
+  if (!sizes || sumSizes(sizes) <= MAX_CACHE_BYTES) {
+    return
+  }
+
+  const accessed = await readCacheIndex('accessed') || new Map()
+  const records = [...sizes].map(([key, size]) => ({ key, size, accessed: accessed.get(key) ?? 0 }))
+  const evictions = pickCacheEvictions(records, MAX_CACHE_BYTES)
+  await runTransaction(WORD_CACHE_STORE, store => evictions.forEach(key => store.delete(key)))
+}
+
+/**
+ * Count the cached lookups and their approximate size
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getWordCacheStats() {
+  const sizes = await readCacheIndex('size') || new Map()
+  return {
+    count: sizes.size,
+    bytes: sumSizes(sizes)
+  }
+}
+
+/**
+ * Remove every cached lookup
+ */
+export async function clearWordCache() {
+  await runRequest(WORD_CACHE_STORE, 'readwrite', store => store.clear())
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+import {
+  pickCacheEvictions,
+  getCachedWord,
+  cacheWord,
+  getWordCacheStats,
+  clearWordCache
+} from './wordCache'
+
+describe('Offline Word Cache', () => {
+  describe('pickCacheEvictions', () => {
+    const records = [
+      { key: 'definition:CRANE', size: 400, accessed: 30 },
+      { key: 'definition:SLATE', size: 300, accessed: 10 },
+      { key: 'extended:CRANE', size: 200, accessed: 20 }
+    ]
+
+    it('should keep everything under the cap', () => {
+      expect(pickCacheEvictions(records, 900)).toEqual([])
+    })
+
+    it('CRITICAL: should drop the least recently used entries first', () => {
+      expect(pickCacheEvictions(records, 500)).toEqual(['definition:SLATE', 'extended:CRANE'])
+    })
+
+    it('should stop as soon as the cache fits', () => {
+      expect(pickCacheEvictions(records, 600)).toEqual(['definition:SLATE'])
+    })
+  })
+
+  describe('Without IndexedDB', () => {
+    it('should miss every lookup', async () => {
+      await cacheWord('definition', 'CRANE', [{ word: 'crane' }])
+
+      expect(await getCachedWord('definition', 'CRANE')).toBeNull()
+    })
+
+    it('should report an empty cache', async () => {
+      await clearWordCache()
+
+      expect(await getWordCacheStats()).toEqual({ count: 0, bytes: 0 })
+    })
+  })
+
+  describe('With IndexedDB', () => {
+    // A fresh database and modules (they keep one connection) for each test
+    let cache
+    let database
+    beforeEach(async () => {
+      vi.stubGlobal('indexedDB', new IDBFactory())
+      vi.resetModules()
+      cache = await import('./wordCache')
+      database = await import('./database')
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    it('should read back cached lookups and count their size', async () => {
+      await cache.cacheWord('definition', 'CRANE', [{ word: 'crane' }])
+
+      expect(await cache.getCachedWord('definition', 'CRANE')).toEqual([{ word: 'crane' }])
+      expect(await cache.getWordCacheStats()).toEqual({ count: 1, bytes: JSON.stringify([{ word: 'crane' }]).length })
+    })
+
+    it('CRITICAL: should evict the least recently used lookups until the cache fits its cap', async () => {
+      // Stored sizes stand in for large recordings
+      const { WORD_CACHE_STORE, runTransaction } = database
+      await runTransaction(WORD_CACHE_STORE, store => {
+        store.put({ key: 'audio:OLD', data: 'old', size: cache.MAX_CACHE_BYTES / 2, accessed: 1 })
+        store.put({ key: 'audio:NEWER', data: 'newer', size: cache.MAX_CACHE_BYTES / 2, accessed: 2 })
+      })
+
+      await cache.cacheWord('definition', 'CRANE', [{ word: 'crane' }])
+
+      expect(await cache.getCachedWord('audio', 'OLD')).toBeNull()
+      expect(await cache.getCachedWord('audio', 'NEWER')).toBe('newer')
+      expect(await cache.getCachedWord('definition', 'CRANE')).toEqual([{ word: 'crane' }])
+    })
+  })
+})